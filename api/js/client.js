@@ -9,10 +9,12 @@ export class KnowShowGoClient {
    * @param {Object} options
    * @param {string} [options.baseUrl='http://localhost:3000']
    * @param {typeof fetch} [options.fetchImpl]
+   * @param {string|string[]} [options.namespace] - Sent as X-KSG-Namespace (write namespace first)
    */
-  constructor({ baseUrl = 'http://localhost:3000', fetchImpl } = {}) {
+  constructor({ baseUrl = 'http://localhost:3000', fetchImpl, namespace = null } = {}) {
     this.baseUrl = baseUrl.replace(/\/+$/, '');
     this.fetch = fetchImpl ?? fetch;
+    this.namespace = namespace ? [].concat(namespace).join(',') : null;
   }
 
   async _request(method, endpoint, { json, params } = {}) {
@@ -23,9 +25,12 @@ export class KnowShowGoClient {
       }
     }
 
+    const headers = json ? { 'content-type': 'application/json', accept: 'application/json' } : { accept: 'application/json' };
+    if (this.namespace) headers['x-ksg-namespace'] = this.namespace;
+
     const res = await this.fetch(url.toString(), {
       method,
-      headers: json ? { 'content-type': 'application/json', accept: 'application/json' } : { accept: 'application/json' },
+      headers,
       body: json ? JSON.stringify(json) : undefined
     });
 
@@ -116,6 +121,18 @@ export class KnowShowGoClient {
     }).then(r => r.associations);
   }
 
+  delete_association(uuid, { mode = 'hard' } = {}) {
+    return this._request('DELETE', `/api/associations/${encodeURIComponent(uuid)}`, {
+      params: { mode }
+    });
+  }
+
+  delete_node(uuid, { mode = 'hard', cascade = false } = {}) {
+    return this._request('DELETE', `/api/nodes/${encodeURIComponent(uuid)}`, {
+      params: { mode, cascade }
+    });
+  }
+
   // ===== Nodes with Documents =====
   async create_node_with_document({
     label,
@@ -151,5 +168,10 @@ export class KnowShowGoClient {
   get_instance(prototype_name, uuid) {
     return this._request('GET', `/api/orm/${encodeURIComponent(prototype_name)}/${encodeURIComponent(uuid)}`);
   }
+
+  // ===== Change Events =====
+  get_changes(since = 0, { limit } = {}) {
+    return this._request('GET', '/api/changes', { params: { since, limit } });
+  }
 }
 
@@ -12,9 +12,12 @@ import json
 class KnowShowGoClient:
     """Python client for KnowShowGo REST API"""
 
-    def __init__(self, base_url: str = "http://localhost:3000"):
+    def __init__(self, base_url: str = "http://localhost:3000", namespace: Optional[str] = None):
+        """namespace: sent as X-KSG-Namespace (e.g. "team-a" or "team-a,team-b")"""
         self.base_url = base_url.rstrip('/')
         self.session = requests.Session()
+        if namespace:
+            self.session.headers["X-KSG-Namespace"] = namespace
 
     def _request(self, method: str, endpoint: str, **kwargs) -> Dict[str, Any]:
         """Make HTTP request to API"""
@@ -121,6 +124,27 @@ class KnowShowGoClient:
         )
         return result["associations"]
 
+    def delete_association(self, uuid: str, mode: str = "hard") -> Dict[str, Any]:
+        """Delete an association ('hard' removes it, 'soft' tombstones it)"""
+        return self._request(
+            "DELETE",
+            f"/api/associations/{uuid}",
+            params={"mode": mode}
+        )
+
+    def delete_node(
+        self,
+        uuid: str,
+        mode: str = "hard",
+        cascade: bool = False
+    ) -> Dict[str, Any]:
+        """Delete a node and its edges, optionally cascading to document/tag/value nodes"""
+        return self._request(
+            "DELETE",
+            f"/api/nodes/{uuid}",
+            params={"mode": mode, "cascade": "true" if cascade else "false"}
+        )
+
     # ===== Node with Document Methods =====
 
     def create_node_with_document(
@@ -369,6 +393,15 @@ class KnowShowGoClient:
         """
         return self.verify(claim)
 
+    # ===== Change Events =====
+
+    def get_changes(self, since: int = 0, limit: Optional[int] = None) -> Dict[str, Any]:
+        """Get changes after a sequence number ({changes, lastSeq, truncated})"""
+        params = {"since": since}
+        if limit is not None:
+            params["limit"] = limit
+        return self._request("GET", "/api/changes", params=params)
+
 
 # Alias for scp_alg_test compatibility
 class KSGGroundTruth:
@@ -0,0 +1,96 @@
+/**
+ * Copy a graph between memory backends and verify the counts.
+ *
+ *   node scripts/copy-memory.js --from <spec> --to <spec> [--force]
+ *
+ * A spec is one of:
+ *   file[:<dir>]          FileMemory (default dir: KSG_DATA_DIR)
+ *   arango[:<database>]   ArangoMemory (default database: ARANGO_DB; ARANGO_URL/USER/PASS apply)
+ *   ndjson:<path>         NDJSON graph export file (see src/memory/graph-transfer.js)
+ *
+ * At most one side may be an NDJSON file. The target must be empty unless
+ * --force is given.
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import { createMemoryFromEnv } from '../src/server/rest-api.js';
+import { exportGraph, importGraph, copyGraph, countGraph } from '../src/memory/graph-transfer.js';
+
+const usage = 'usage: node scripts/copy-memory.js --from <spec> --to <spec> [--force]';
+
+const parseArgs = (argv) => {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from' || argv[i] === '--to') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--force') {
+      args.force = true;
+    } else {
+      throw new Error(`unknown argument ${argv[i]}\n${usage}`);
+    }
+  }
+  if (!args.from || !args.to) throw new Error(usage);
+  return args;
+};
+
+const parseSpec = (spec) => {
+  const [type, ...rest] = spec.split(':');
+  const arg = rest.join(':') || undefined;
+  if (type === 'file') return { type, memory: createMemoryFromEnv('file', { dir: arg }) };
+  if (type === 'arango') return { type, memory: createMemoryFromEnv('arango', { database: arg }) };
+  if (type === 'ndjson' && arg) return { type, path: arg };
+  throw new Error(`unsupported backend spec "${spec}" (use file[:dir], arango[:database] or ndjson:<path>)`);
+};
+
+const { from, to, force } = parseArgs(process.argv.slice(2));
+const source = parseSpec(from);
+const target = parseSpec(to);
+if (source.type === 'ndjson' && target.type === 'ndjson') {
+  throw new Error(`cannot copy an NDJSON file to another NDJSON file (copy it with cp)\n${usage}`);
+}
+
+try {
+  let expected;
+  if (source.type === 'ndjson') {
+    expected = null; // importGraph checks the file's own footer
+  } else {
+    expected = await countGraph(source.memory);
+  }
+
+  if (target.type === 'ndjson') {
+    await pipeline(Readable.from(exportGraph(source.memory)), fs.createWriteStream(target.path));
+    // Read the file back so a short write is caught
+    const written = await importGraph({ upsert: async () => {} }, fs.createReadStream(target.path));
+    if (written.nodes !== expected.nodes || written.edges !== expected.edges) {
+      throw new Error(`count mismatch: source ${JSON.stringify(expected)}, file ${JSON.stringify(written)}`);
+    }
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify({ ok: true, from, to, copied: written }, null, 2));
+  } else {
+    const before = await countGraph(target.memory);
+    if (!force && (before.nodes > 0 || before.edges > 0)) {
+      throw new Error(`target ${to} is not empty (${before.nodes} nodes, ${before.edges} edges); use --force to merge`);
+    }
+
+    const copied = source.type === 'ndjson'
+      ? await importGraph(target.memory, fs.createReadStream(source.path))
+      : await copyGraph(source.memory, target.memory);
+    expected ??= copied;
+
+    const after = await countGraph(target.memory);
+    const empty = before.nodes === 0 && before.edges === 0;
+    const ok = empty
+      ? after.nodes === expected.nodes && after.edges === expected.edges
+      : after.nodes >= expected.nodes && after.edges >= expected.edges;
+    if (!ok) {
+      throw new Error(`count mismatch: source ${JSON.stringify(expected)}, target ${JSON.stringify(after)}`);
+    }
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify({ ok: true, from, to, copied, target: after }, null, 2));
+  }
+} finally {
+  await source.memory?.close?.();
+  await target.memory?.close?.();
+}
@@ -0,0 +1,74 @@
+/**
+ * Re-embed stored vectors with the current embedding model (resumable).
+ *
+ *   node scripts/reembed.js [--state <file>] [--force] [--restart] [--page-size <n>]
+ *
+ * The backend and embedding provider come from the same environment as the
+ * server (KSG_MEMORY_BACKEND, KSG_EMBED_PROVIDER, OPENAI_EMBED_MODEL, ...).
+ * Progress is checkpointed to the state file (default:
+ * $KSG_DATA_DIR/reembed-state.json) after every page; running the script
+ * again resumes an unfinished job unless --restart is given.
+ */
+
+import fs from 'fs';
+import path from 'path';
+// The server module's default instance is built from the environment
+import { ksg } from '../src/server/rest-api.js';
+import { reembed } from '../src/embeddings/reembed.js';
+
+const usage = 'usage: node scripts/reembed.js [--state <file>] [--force] [--restart] [--page-size <n>]';
+
+const parseArgs = (argv) => {
+  const args = {
+    state: path.join(process.env.KSG_DATA_DIR || './data', 'reembed-state.json'),
+    force: false,
+    restart: false,
+    pageSize: 100
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--state') {
+      args.state = argv[++i];
+    } else if (argv[i] === '--page-size') {
+      args.pageSize = Number(argv[++i]);
+    } else if (argv[i] === '--force' || argv[i] === '--restart') {
+      args[argv[i].slice(2)] = true;
+    } else {
+      throw new Error(`unknown argument ${argv[i]}\n${usage}`);
+    }
+  }
+  if (!args.state || !Number.isInteger(args.pageSize) || args.pageSize < 1) throw new Error(usage);
+  return args;
+};
+
+const { state: statePath, force, restart, pageSize } = parseArgs(process.argv.slice(2));
+
+const saved = !restart && fs.existsSync(statePath)
+  ? JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  : null;
+const resume = saved && saved.phase !== 'done' ? saved : null;
+
+fs.mkdirSync(path.dirname(statePath), { recursive: true });
+const save = async (state) => {
+  // Write then rename, so an interrupted save leaves the previous checkpoint
+  await fs.promises.writeFile(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  await fs.promises.rename(`${statePath}.tmp`, statePath);
+};
+
+try {
+  const state = await reembed(ksg, {
+    state: resume,
+    force,
+    pageSize,
+    onCheckpoint: async (checkpoint) => {
+      await save(checkpoint);
+      // eslint-disable-next-line no-console
+      console.error(`${checkpoint.phase}: ${checkpoint.embedded} embedded, ${checkpoint.derived} derived, ${checkpoint.skipped} skipped`);
+    }
+  });
+  await save(state);
+  const embeddings = await ksg.embeddingStatus({ dimension: state.target.dimension });
+  // eslint-disable-next-line no-console
+  console.log(JSON.stringify({ ok: true, resumed: Boolean(resume), job: state, embeddings }, null, 2));
+} finally {
+  await ksg.memory?.close?.();
+}
@@ -0,0 +1,63 @@
+/**
+ * Batched embedding - embed many texts with chunking and a concurrency limit
+ */
+
+/**
+ * Embed texts in order.
+ *
+ * With embedManyFn, unique texts are sent in chunks of batchSize; without
+ * it, embedFn is called once per unique text. At most `concurrency` calls
+ * are in flight at a time.
+ *
+ * @param {string[]} texts
+ * @param {Object} options
+ * @param {(text: string) => Promise<number[]>} options.embedFn
+ * @param {(texts: string[]) => Promise<number[][]>} [options.embedManyFn]
+ * @param {number} [options.batchSize=64] - Texts per embedManyFn call
+ * @param {number} [options.concurrency=4] - Calls in flight at once
+ * @returns {Promise<number[][]>} One vector per input text
+ * @throws {Error} If embedManyFn returns the wrong number of vectors
+ */
+export async function embedBatched(texts, { embedFn, embedManyFn = null, batchSize = 64, concurrency = 4 }) {
+  const unique = [...new Set(texts)];
+  const vectors = new Map();
+
+  const tasks = [];
+  if (embedManyFn) {
+    for (let i = 0; i < unique.length; i += batchSize) {
+      const batch = unique.slice(i, i + batchSize);
+      tasks.push(async () => {
+        const result = await embedManyFn(batch);
+        if (!Array.isArray(result) || result.length !== batch.length) {
+          throw new Error(`embedManyFn returned ${result?.length} vectors for ${batch.length} texts`);
+        }
+        batch.forEach((text, j) => vectors.set(text, result[j]));
+      });
+    }
+  } else {
+    for (const text of unique) {
+      tasks.push(async () => {
+        vectors.set(text, await embedFn(text));
+      });
+    }
+  }
+
+  await runLimited(tasks, concurrency);
+  return texts.map(text => vectors.get(text));
+}
+
+/**
+ * Run async tasks with at most `limit` running at once (fails fast).
+ *
+ * @private
+ */
+async function runLimited(tasks, limit) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+}
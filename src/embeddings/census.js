@@ -0,0 +1,162 @@
+/**
+ * EmbeddingCensus - which embedding models and dimensions the stored vectors use
+ *
+ * Vectors from different models (or of different lengths) are not comparable:
+ * cosine similarity between them is meaningless, or 0 when the dimensions
+ * differ. The census counts stored vectors per namespace and (provider, model,
+ * dimension) so search can report a mixed index, within the namespaces it
+ * reads, and the re-embed job can find stale nodes.
+ *
+ * Built with one scan of the backend, then kept current from its change events.
+ */
+
+import { TOMBSTONED, namespaceOf } from '../models.js';
+import { iterateNodes } from '../memory/memory-tools.js';
+
+/**
+ * embeddingProvider stamped on caller-supplied vectors: the model that made
+ * them is unknown, so only their dimension is compared against the target.
+ */
+export const EXTERNAL_EMBEDDING = 'external';
+
+/**
+ * The embedding stamp of a node: provider and model from its props (null
+ * when unknown, e.g. vectors from a bare embedFn) and the vector's length.
+ *
+ * @param {Node} node
+ * @returns {{provider: string|null, model: string|null, dimension: number}|null}
+ *   null when the node has no vector (or is tombstoned)
+ */
+export function embeddingStamp(node) {
+  if (!Array.isArray(node?.llmEmbedding) || node.llmEmbedding.length === 0) return null;
+  if (node.props?.status === TOMBSTONED) return null;
+  return {
+    provider: node.props?.embeddingProvider ?? null,
+    model: node.props?.embeddingModel ?? null,
+    dimension: node.llmEmbedding.length
+  };
+}
+
+/**
+ * Whether a stamp differs from the model currently producing vectors.
+ *
+ * Provider and model are only compared when both sides know them (never
+ * for external vectors); the dimension is compared when the target's is known.
+ *
+ * @param {{provider, model, dimension}} stamp - See embeddingStamp
+ * @param {{provider?: string|null, model?: string|null, dimension?: number|null}} target
+ * @returns {boolean}
+ */
+export function isStale(stamp, target) {
+  if (target.dimension && stamp.dimension !== target.dimension) return true;
+  if (stamp.provider === EXTERNAL_EMBEDDING) return false;
+  if (target.model && (stamp.provider !== (target.provider ?? null) || stamp.model !== target.model)) {
+    return true;
+  }
+  return false;
+}
+
+const modelKey = ({ provider, model, dimension }) => JSON.stringify([provider, model, dimension]);
+
+export class EmbeddingCensus {
+  constructor() {
+    this.ready = false;
+    this._byUuid = new Map(); // uuid -> group key
+    this._groups = new Map(); // group key -> { namespace, provider, model, dimension, count }
+    this._building = null;
+  }
+
+  /**
+   * Scan the backend once (concurrent callers share the scan).
+   *
+   * @param {MemoryTools} memory
+   * @returns {Promise<EmbeddingCensus>} this
+   */
+  async build(memory) {
+    if (this.ready) return this;
+    this._building ??= (async () => {
+      try {
+        for await (const node of iterateNodes(memory)) {
+          this.track(node);
+        }
+        this.ready = true;
+      } finally {
+        this._building = null;
+      }
+    })();
+    await this._building;
+    return this;
+  }
+
+  /**
+   * Record a created or updated node.
+   *
+   * @param {Node} node
+   */
+  track(node) {
+    this.untrack(node.uuid);
+    const stamp = embeddingStamp(node);
+    if (!stamp) return;
+    const namespace = namespaceOf(node);
+    const key = JSON.stringify([namespace, modelKey(stamp)]);
+    if (!this._groups.has(key)) {
+      this._groups.set(key, { namespace, ...stamp, count: 0 });
+    }
+    this._groups.get(key).count += 1;
+    this._byUuid.set(node.uuid, key);
+  }
+
+  /**
+   * Forget a deleted node.
+   *
+   * @param {string} uuid
+   */
+  untrack(uuid) {
+    const key = this._byUuid.get(uuid);
+    if (key === undefined) return;
+    this._byUuid.delete(uuid);
+    const group = this._groups.get(key);
+    group.count -= 1;
+    if (group.count === 0) this._groups.delete(key);
+  }
+
+  /**
+   * Apply a backend change event ({ type, item }).
+   *
+   * @param {{type: string, item: Node|Edge}} change
+   */
+  apply({ type, item }) {
+    if (!this.ready || !type.startsWith('node.')) return;
+    if (type === 'node.deleted') this.untrack(item.uuid);
+    else this.track(item);
+  }
+
+  /**
+   * Models in use, largest group first. The index is mixed when it holds
+   * more than one known model or more than one dimension; external vectors
+   * of the common dimension do not count as another model.
+   *
+   * @param {{provider?, model?, dimension?}} [target] - Current model; sets `stale`
+   * @param {Object} [options]
+   * @param {string[]|null} [options.namespaces] - Count only vectors in these namespaces
+   * @returns {{total: number, mixed: boolean, stale: number,
+   *   models: Array<{provider: string|null, model: string|null, dimension: number, count: number}>}}
+   */
+  summary(target = {}, { namespaces = null } = {}) {
+    const byModel = new Map();
+    for (const { namespace, ...group } of this._groups.values()) {
+      if (namespaces && !namespaces.includes(namespace)) continue;
+      const key = modelKey(group);
+      if (byModel.has(key)) byModel.get(key).count += group.count;
+      else byModel.set(key, group);
+    }
+    const models = Array.from(byModel.values()).sort((a, b) => b.count - a.count);
+    const known = models.filter(group => group.provider !== EXTERNAL_EMBEDDING);
+    return {
+      total: models.reduce((sum, group) => sum + group.count, 0),
+      mixed: known.length > 1 || new Set(models.map(group => group.dimension)).size > 1,
+      stale: models.filter(group => isStale(group, target)).reduce((sum, group) => sum + group.count, 0),
+      models
+    };
+  }
+}
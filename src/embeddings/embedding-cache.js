@@ -0,0 +1,383 @@
+/**
+ * EmbeddingCache - content-addressed cache of text embeddings
+ *
+ * Entries are keyed by sha256(provider, model, text), so the same string is
+ * embedded once per model no matter how many tags, values or recomputes ask
+ * for it, and switching models never serves a stale vector.
+ *
+ * The cache is an LRU in memory. With `path` set, every new entry is also
+ * appended to an NDJSON file that is streamed back in on startup. Evicted
+ * entries stay in the file until it grows past `compactFactor * maxEntries`
+ * lines; it is then rewritten to the entries still cached.
+ *
+ *   const cache = new EmbeddingCache({ path: './data/embeddings.ndjson' });
+ *   const ksg = new KnowShowGo({ embeddingProvider: cache.wrapProvider(provider), memory });
+ *   await cache.prewarm(memory, provider);
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { iterateNodes } from '../memory/memory-tools.js';
+
+/**
+ * Cache key for a text embedded by one provider/model.
+ *
+ * @param {string} provider
+ * @param {string} model
+ * @param {string} text
+ * @returns {string} Hex sha256
+ */
+export function embeddingKey(provider, model, text) {
+  return crypto.createHash('sha256').update(`${provider}\u0000${model}\u0000${text}`).digest('hex');
+}
+
+/**
+ * The text KnowShowGo embedded to produce a node's vector, or null when it
+ * cannot be derived from the node (e.g. mean embeddings, caller-supplied vectors).
+ *
+ * @param {Node} node
+ * @returns {string|null}
+ */
+export function embeddingSourceText(node) {
+  const props = node.props || {};
+  if (node.kind === 'fact') return props.rawText ?? null;
+  if (props.isTag) return props.text ?? props.label ?? null;
+  if (props.isProperty) return `property ${props.label} ${props.valueType}`;
+  if (props.isValue && ['string', 'number', 'boolean'].includes(props.valueType)) {
+    return props.label ?? null;
+  }
+  if (props.isDocument && props.data !== undefined && props.conceptUuid) {
+    return JSON.stringify(props.data); // ORM document nodes
+  }
+  return null;
+}
+
+export class EmbeddingCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=50000] - Vectors kept in memory
+   * @param {string} [options.path] - NDJSON file to persist entries to (loaded on startup)
+   * @param {number} [options.compactFactor=2] - Rewrite the file once it holds this many
+   *   times maxEntries lines
+   */
+  constructor({ maxEntries = 50000, path: filePath = null, compactFactor = 2 } = {}) {
+    this.maxEntries = maxEntries;
+    this.path = filePath;
+    this.compactFactor = compactFactor;
+    this.entries = new Map(); // key -> vector, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+    this._pending = new Map(); // key -> Promise<vector> (concurrent misses share one call)
+    this._lines = 0; // lines in the file, live or not
+
+    this._loaded = this.path ? this._load() : Promise.resolve();
+    this._queue = this._loaded; // disk writes wait for the load
+    if (this.path) {
+      this._write(() => this._compactIfNeeded());
+    }
+  }
+
+  /**
+   * Resolves once persisted entries are loaded. embed(), embedMany() and
+   * prewarm() wait for it; call it before reading entries directly.
+   *
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    await this._loaded;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Cached vector for a key (counts a hit or miss).
+   *
+   * @param {string} key - See embeddingKey
+   * @returns {number[]|undefined}
+   */
+  get(key) {
+    const vector = this.entries.get(key);
+    if (vector === undefined) {
+      this.misses += 1;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.hits += 1;
+    return vector;
+  }
+
+  /**
+   * Store a vector (persisted when the cache has a path).
+   *
+   * @param {string} key - See embeddingKey
+   * @param {number[]} vector
+   */
+  set(key, vector) {
+    const known = this.entries.has(key);
+    this._put(key, vector);
+    if (this.path && !known) {
+      this._append({ k: key, v: vector });
+    }
+  }
+
+  /**
+   * Embed text through the cache.
+   *
+   * @param {{name: string, model: string, embed: Function}} provider
+   * @param {string} text
+   * @returns {Promise<number[]>}
+   */
+  async embed(provider, text) {
+    await this._loaded;
+    const key = embeddingKey(provider.name, provider.model, text);
+    const cached = this.get(key);
+    if (cached !== undefined) return [...cached];
+
+    if (!this._pending.has(key)) {
+      this._pending.set(key, (async () => {
+        try {
+          const vector = await provider.embed(text);
+          this.set(key, vector);
+          return vector;
+        } finally {
+          this._pending.delete(key);
+        }
+      })());
+    }
+    return [...await this._pending.get(key)];
+  }
+
+  /**
+   * Embed several texts through the cache; only the misses are sent to the
+   * provider, in one embedMany call.
+   *
+   * @param {{name: string, model: string, embedMany: Function}} provider
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} One vector per text, in order
+   */
+  async embedMany(provider, texts) {
+    await this._loaded;
+    const keys = texts.map(text => embeddingKey(provider.name, provider.model, text));
+    const vectors = keys.map(key => this.get(key));
+
+    const missing = new Map(); // key -> text
+    keys.forEach((key, i) => {
+      if (vectors[i] === undefined && !this._pending.has(key)) missing.set(key, texts[i]);
+    });
+    if (missing.size > 0) {
+      const batch = (async () => {
+        try {
+          const result = await provider.embedMany(Array.from(missing.values()));
+          const byKey = new Map();
+          Array.from(missing.keys()).forEach((key, j) => {
+            this.set(key, result[j]);
+            byKey.set(key, result[j]);
+          });
+          return byKey;
+        } finally {
+          for (const key of missing.keys()) this._pending.delete(key);
+        }
+      })();
+      for (const key of missing.keys()) {
+        this._pending.set(key, batch.then(byKey => byKey.get(key)));
+      }
+    }
+
+    return Promise.all(keys.map(async (key, i) => [...(vectors[i] ?? await this._pending.get(key))]));
+  }
+
+  /**
+   * A provider that embeds through this cache (with embedMany when the
+   * wrapped provider has it).
+   *
+   * @param {EmbeddingProvider} provider
+   * @returns {EmbeddingProvider} Same name/model; `cache` points back here
+   */
+  wrapProvider(provider) {
+    const cache = this;
+    const wrapped = {
+      get name() { return provider.name; },
+      get model() { return provider.model; },
+      get dimension() { return provider.dimension; },
+      cache,
+      embed: (text) => cache.embed(provider, text)
+    };
+    if (typeof provider.embedMany === 'function') {
+      wrapped.embedMany = (texts) => cache.embedMany(provider, texts);
+    }
+    return wrapped;
+  }
+
+  /**
+   * An embedFn that embeds through this cache.
+   *
+   * @param {(text: string) => Promise<number[]>} embedFn
+   * @param {Object} [options]
+   * @param {string} [options.provider='custom'] - Name used in cache keys
+   * @param {string} [options.model='default'] - Model used in cache keys
+   * @returns {(text: string) => Promise<number[]>}
+   */
+  wrapEmbedFn(embedFn, { provider = 'custom', model = 'default' } = {}) {
+    const source = { name: provider, model, embed: embedFn };
+    return (text) => this.embed(source, text);
+  }
+
+  /**
+   * Seed the cache from vectors already stored on nodes.
+   *
+   * Only nodes stamped with this provider's name and model are used, and
+   * only when the embedded text can be derived (see embeddingSourceText).
+   *
+   * @param {MemoryTools} memory
+   * @param {{name: string, model: string}} provider
+   * @returns {Promise<number>} Entries added
+   */
+  async prewarm(memory, provider) {
+    await this._loaded;
+    let added = 0;
+    for await (const node of iterateNodes(memory)) {
+      if (!Array.isArray(node.llmEmbedding) || node.llmEmbedding.length === 0) continue;
+      if (node.props?.embeddingProvider !== provider.name || node.props?.embeddingModel !== provider.model) {
+        continue;
+      }
+      const text = embeddingSourceText(node);
+      if (text === null) continue;
+      const key = embeddingKey(provider.name, provider.model, text);
+      if (!this.entries.has(key)) {
+        this.set(key, node.llmEmbedding);
+        added += 1;
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Hit/miss counters.
+   *
+   * @returns {{size: number, maxEntries: number, hits: number, misses: number, hitRate: number}}
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups
+    };
+  }
+
+  /**
+   * Wait for pending disk writes.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this._queue;
+  }
+
+  /**
+   * @private
+   */
+  _put(key, vector) {
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    while (this.entries.size > this.maxEntries) {
+      const [oldest] = this.entries.keys();
+      this.entries.delete(oldest);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    this._write(async () => {
+      await fs.promises.appendFile(this.path, line);
+      this._lines += 1;
+      await this._compactIfNeeded();
+    });
+  }
+
+  /**
+   * Queue a disk write behind the previous ones.
+   *
+   * @private
+   */
+  _write(fn) {
+    this._queue = this._queue.then(fn).catch((err) => {
+      // A failed write only costs a re-embed after restart
+      console.error(`Embedding cache write failed: ${err.message}`);
+    });
+  }
+
+  /**
+   * Once the file holds more than compactFactor * maxEntries lines, rewrite
+   * it to the cached entries (least recently used first) via a temp file, so
+   * a crash leaves either the old or the new file.
+   *
+   * @private
+   */
+  async _compactIfNeeded() {
+    if (this._lines <= this.compactFactor * this.maxEntries) return;
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    const entries = Array.from(this.entries);
+    for (const [k, v] of entries) {
+      if (!out.write(`${JSON.stringify({ k, v })}\n`)) {
+        await new Promise(resolve => out.once('drain', resolve));
+      }
+    }
+    await new Promise((resolve, reject) => {
+      out.on('error', reject);
+      out.end(resolve);
+    });
+    await fs.promises.rename(tmp, this.path);
+    this._lines = entries.length;
+  }
+
+  /**
+   * Stream persisted entries in, line by line. A torn last line from a crash
+   * is skipped. Entries set while loading are newer and win.
+   *
+   * @private
+   */
+  async _load() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      const loaded = new Map();
+      let lines = 0;
+      try {
+        const input = fs.createReadStream(this.path, { encoding: 'utf8' });
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+          if (!line) continue;
+          lines += 1;
+          try {
+            const { k, v } = JSON.parse(line);
+            loaded.delete(k);
+            loaded.set(k, v);
+            if (loaded.size > this.maxEntries) loaded.delete(loaded.keys().next().value);
+          } catch {
+            // torn write
+          }
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      const live = this.entries;
+      this.entries = loaded;
+      for (const [k, v] of live) this._put(k, v);
+      this._lines = lines;
+    } catch (err) {
+      // Start empty; entries are re-embedded on demand
+      console.error(`Embedding cache load failed: ${err.message}`);
+    }
+  }
+}
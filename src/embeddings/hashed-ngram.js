@@ -0,0 +1,130 @@
+/**
+ * Hashed n-gram embeddings - a deterministic, fully offline embedding provider
+ *
+ * Text is split into words; each word contributes itself plus its character
+ * n-grams (e.g. "#ca", "cat", "at#"), and neighbouring words contribute a
+ * bigram. Features are hashed into a fixed number of signed buckets
+ * (feature hashing) and weighted by sublinear term frequency times an
+ * optional IDF table, then L2-normalized.
+ *
+ * The result has no semantics beyond shared words and word pieces, but
+ * cosine similarity is meaningful lexical overlap that tolerates typos and
+ * inflections ("telephone" ~ "telephones" ~ "telefone"), which makes it a
+ * useful default when no embedding service is reachable.
+ */
+
+/**
+ * @typedef {Object} HashedNgramOptions
+ * @property {number} [dimension=384] - Vector length (hash buckets)
+ * @property {number[]} [ngramRange=[3, 4]] - Character n-gram sizes (min, max)
+ * @property {Object<string, number>} [idf] - Feature -> IDF weight (see fitIdf); default weight 1
+ * @property {string} [model] - Model id recorded on nodes (defaults to one derived from the options)
+ */
+
+/**
+ * Split text into normalized word tokens.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Features of a text with their counts.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number[]} [options.ngramRange=[3, 4]]
+ * @returns {Map<string, number>}
+ */
+export function extractFeatures(text, { ngramRange = [3, 4] } = {}) {
+  const [minN, maxN] = ngramRange;
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+  const words = tokenize(text);
+
+  words.forEach((word, i) => {
+    add(`w:${word}`);
+    if (i > 0) add(`b:${words[i - 1]} ${word}`);
+    const padded = `#${word}#`;
+    for (let n = minN; n <= maxN; n++) {
+      for (let j = 0; j + n <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + n)}`);
+      }
+    }
+  });
+  return counts;
+}
+
+/**
+ * Compute an IDF table from a sample corpus (smoothed: ln((1 + N) / (1 + df)) + 1).
+ *
+ * @param {string[]} texts - Representative texts (e.g. existing labels and summaries)
+ * @param {Object} [options]
+ * @param {number[]} [options.ngramRange=[3, 4]]
+ * @returns {Object<string, number>} Feature -> IDF weight
+ */
+export function fitIdf(texts, { ngramRange = [3, 4] } = {}) {
+  const df = new Map();
+  for (const text of texts) {
+    for (const feature of extractFeatures(text, { ngramRange }).keys()) {
+      df.set(feature, (df.get(feature) || 0) + 1);
+    }
+  }
+  const idf = {};
+  for (const [feature, count] of df) {
+    idf[feature] = Math.log((1 + texts.length) / (1 + count)) + 1;
+  }
+  return idf;
+}
+
+/**
+ * 32-bit FNV-1a hash.
+ *
+ * @private
+ */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create the hashed n-gram embedding provider.
+ *
+ * @param {HashedNgramOptions} [options]
+ * @returns {EmbeddingProvider}
+ */
+export function createHashedNgramProvider({ dimension = 384, ngramRange = [3, 4], idf = null, model } = {}) {
+  const embedText = (text) => {
+    const vector = new Array(dimension).fill(0);
+    for (const [feature, count] of extractFeatures(text, { ngramRange })) {
+      const h = fnv1a(feature);
+      const weight = (1 + Math.log(count)) * (idf?.[feature] ?? 1);
+      // Top bit picks the sign so colliding features tend to cancel out
+      vector[h % dimension] += (h & 0x80000000) ? -weight : weight;
+    }
+    let norm = 0;
+    for (const v of vector) norm += v * v;
+    if (norm === 0) return vector;
+    norm = Math.sqrt(norm);
+    return vector.map(v => v / norm);
+  };
+
+  return {
+    name: 'hashed',
+    model: model || `hashed-ngram-v1-${dimension}${idf ? '-idf' : ''}`,
+    dimension,
+    embed: async (text) => embedText(text),
+    embedMany: async (texts) => texts.map(embedText)
+  };
+}
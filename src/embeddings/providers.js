@@ -0,0 +1,241 @@
+/**
+ * Embedding providers - named factories that turn text into vectors
+ *
+ * A provider is a plain object:
+ *
+ *   { name, model, dimension?, embed(text) => Promise<number[]>, embedMany?(texts) => Promise<number[][]> }
+ *
+ * Pass one to KnowShowGo as `embeddingProvider` and every node it embeds
+ * records props.embeddingProvider / props.embeddingModel. Bundled providers:
+ *
+ * - openai: OpenAI-compatible /embeddings endpoint (OpenAI, or any local
+ *   server speaking the same API; the API key is optional for local servers)
+ * - hashed: deterministic hashed n-gram vectors, fully offline (hashed-ngram.js)
+ * - mock: the legacy character-code vectors (stable but nearly meaningless)
+ * - module: a provider loaded from a local ES module
+ *
+ * Register more with registerEmbeddingProvider(name, factory).
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createHashedNgramProvider } from './hashed-ngram.js';
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Registry name, e.g. 'openai'
+ * @property {string} model - Model id, e.g. 'text-embedding-3-small'
+ * @property {number} [dimension] - Vector length, when known up front
+ * @property {(text: string) => Promise<number[]>} embed
+ * @property {(texts: string[]) => Promise<number[][]>} [embedMany] - One request for many texts
+ */
+
+const registry = new Map();
+
+/**
+ * Register (or replace) a provider factory.
+ *
+ * @param {string} name
+ * @param {(options: Object) => EmbeddingProvider} factory
+ */
+export function registerEmbeddingProvider(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Names of all registered providers.
+ *
+ * @returns {string[]}
+ */
+export function listEmbeddingProviders() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Create a provider by registry name.
+ *
+ * @param {string} name
+ * @param {Object} [options] - Provider options (see each factory)
+ * @returns {EmbeddingProvider}
+ * @throws {Error} If no provider is registered under this name
+ */
+export function createEmbeddingProvider(name, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${name} (registered: ${listEmbeddingProviders().join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Create the provider selected by the environment.
+ *
+ * KSG_EMBED_PROVIDER picks the provider; without it, 'openai' is used when
+ * OPENAI_API_KEY is set and 'mock' otherwise, as before providers existed,
+ * so vectors already stored by a server keep matching its query vectors.
+ * Switching to 'hashed' needs a re-embed (see reembed.js).
+ *
+ * - openai: OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_EMBED_MODEL
+ * - hashed: KSG_EMBED_DIMENSION (default 384)
+ * - module: KSG_EMBED_MODULE (path to the module), KSG_EMBED_MODEL
+ *
+ * @param {Object} [env=process.env]
+ * @returns {EmbeddingProvider}
+ */
+export function createEmbeddingProviderFromEnv(env = process.env) {
+  const name = env.KSG_EMBED_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'mock');
+  const dimension = env.KSG_EMBED_DIMENSION ? Number(env.KSG_EMBED_DIMENSION) : undefined;
+  const options = {
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL,
+      model: env.OPENAI_EMBED_MODEL
+    },
+    hashed: { dimension },
+    mock: { dimension },
+    module: { path: env.KSG_EMBED_MODULE, model: env.KSG_EMBED_MODEL }
+  }[name] || {};
+  return createEmbeddingProvider(name, options);
+}
+
+/**
+ * OpenAI-compatible HTTP provider.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Sent as a bearer token when set
+ * @param {string} [options.baseUrl='https://api.openai.com/v1']
+ * @param {string} [options.model='text-embedding-3-small']
+ * @param {Function} [options.fetch=globalThis.fetch] - For tests and custom agents
+ * @returns {EmbeddingProvider}
+ */
+export function createOpenAIProvider({
+  apiKey,
+  baseUrl = 'https://api.openai.com/v1',
+  model = 'text-embedding-3-small',
+  fetch = globalThis.fetch
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  const request = async (input) => {
+    const headers = { 'content-type': 'application/json' };
+    if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, input })
+    });
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      throw new Error(`OpenAI embeddings failed (${res.status}): ${body.slice(0, 400)}`);
+    }
+
+    const json = await res.json();
+    return Array.isArray(json?.data) ? json.data : [];
+  };
+
+  return {
+    name: 'openai',
+    model,
+    embed: async (text) => {
+      const [item] = await request(text);
+      if (!Array.isArray(item?.embedding)) {
+        throw new Error('OpenAI embeddings response missing embedding array');
+      }
+      return item.embedding;
+    },
+    embedMany: async (texts) => {
+      if (texts.length === 0) return [];
+      // Array input: one request, results matched back by index
+      const data = await request(texts);
+      const embeddings = [];
+      data.forEach((item, i) => { embeddings[item.index ?? i] = item.embedding; });
+      if (embeddings.length !== texts.length || !embeddings.every(Array.isArray)) {
+        throw new Error(`OpenAI embeddings response has ${data.length} embeddings for ${texts.length} inputs`);
+      }
+      return embeddings;
+    }
+  };
+}
+
+/**
+ * Legacy character-code provider (kept for old data and tests).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimension=384]
+ * @returns {EmbeddingProvider}
+ */
+export function createMockProvider({ dimension = 384 } = {}) {
+  return {
+    name: 'mock',
+    model: `charcode-${dimension}`,
+    dimension,
+    embed: async (text) => {
+      const vec = new Array(dimension).fill(0);
+      for (let i = 0; i < Math.min(text.length, dimension); i++) {
+        vec[i] = text.charCodeAt(i) / 1000;
+      }
+      return vec;
+    },
+    embedMany(texts) {
+      return Promise.all(texts.map(text => this.embed(text)));
+    }
+  };
+}
+
+/**
+ * Provider implemented by a local ES module, loaded on first use.
+ *
+ * The module either default-exports a factory `(options) => EmbeddingProvider`
+ * (or a promise of one), or exports `embed(text)` and optionally `embedMany(texts)`
+ * and `model`. Without embedMany, batches are embedded one text at a time.
+ *
+ * @param {Object} options
+ * @param {string} options.path - Module path (relative paths resolve from the working directory)
+ * @param {string} [options.model] - Model id (overrides the module's)
+ * @returns {EmbeddingProvider}
+ */
+export function createModuleProvider({ path: modulePath, model, ...options } = {}) {
+  if (!modulePath) {
+    throw new Error('module embedding provider requires a path (KSG_EMBED_MODULE)');
+  }
+  let loading = null;
+  const load = () => {
+    loading ??= (async () => {
+      const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+      const loaded = typeof mod.default === 'function' ? await mod.default(options) : mod;
+      if (typeof loaded?.embed !== 'function') {
+        throw new Error(`embedding module ${modulePath} exports no embed function`);
+      }
+      if (!model && loaded.model) provider.model = loaded.model;
+      if (loaded.dimension) provider.dimension = loaded.dimension;
+      return loaded;
+    })();
+    return loading;
+  };
+  const provider = {
+    name: 'module',
+    model: model || path.basename(modulePath).replace(/\.[cm]?js$/, ''),
+    embed: async (text) => {
+      const loaded = await load();
+      return loaded.embed(text);
+    },
+    embedMany: async (texts) => {
+      const loaded = await load();
+      if (typeof loaded.embedMany === 'function') {
+        return loaded.embedMany(texts);
+      }
+      const embeddings = [];
+      for (const text of texts) {
+        embeddings.push(await loaded.embed(text));
+      }
+      return embeddings;
+    }
+  };
+  return provider;
+}
+
+registerEmbeddingProvider('openai', createOpenAIProvider);
+registerEmbeddingProvider('hashed', createHashedNgramProvider);
+registerEmbeddingProvider('mock', createMockProvider);
+registerEmbeddingProvider('module', createModuleProvider);
@@ -0,0 +1,137 @@
+/**
+ * Re-embed job - recompute stored vectors with the current embedding model
+ *
+ * Run after switching models (OPENAI_EMBED_MODEL, KSG_EMBED_PROVIDER, ...):
+ * vectors from the old model are not comparable with new query vectors.
+ * The job makes two passes over the nodes, in uuid order:
+ *
+ * 1. embed: tag, value, property, fact and ORM document vectors are
+ *    recomputed from their source text (see embeddingSourceText), in batches
+ *    through ksg.embedMany.
+ * 2. derive: every other node with a vector (concepts, documents,
+ *    prototypes, ...) is re-derived with ksg.computeNodeEmbedding.
+ *
+ * Only stale vectors are touched (see census.js isStale) unless `force` is
+ * set. The job state is a plain JSON object, checkpointed after every page;
+ * pass it back as `state` to resume an interrupted or failed run.
+ *
+ *   let state = null;
+ *   state = await reembed(ksg, { state, onCheckpoint: s => save(s) });
+ */
+
+import { Provenance } from '../models.js';
+import { nextCursor } from '../memory/memory-tools.js';
+import { embeddingSourceText } from './embedding-cache.js';
+import { embeddingStamp, isStale } from './census.js';
+
+export const REEMBED_PHASES = ['embed', 'derive', 'done'];
+
+/**
+ * @typedef {Object} ReembedState
+ * @property {string} phase - 'embed', 'derive' or 'done'
+ * @property {string|null} cursor - Last completed page of the current phase
+ * @property {boolean} force - Recompute every vector, not just stale ones
+ * @property {{provider: string|null, model: string|null, dimension: number}} target - Model re-embedded to
+ * @property {number} embedded - Vectors recomputed from source text
+ * @property {number} derived - Vectors re-derived with computeNodeEmbedding
+ * @property {number} skipped - Vectors already current
+ * @property {string} startedAt
+ * @property {string} updatedAt
+ * @property {string|null} finishedAt
+ */
+
+/**
+ * Run (or resume) a re-embed job.
+ *
+ * Use an unscoped KnowShowGo instance: the job covers every namespace.
+ *
+ * @param {KnowShowGo} ksg
+ * @param {Object} [options]
+ * @param {ReembedState} [options.state] - State of an earlier run to resume
+ * @param {boolean} [options.force=false] - Recompute every vector (new jobs only)
+ * @param {number} [options.pageSize=100] - Nodes per page (and per checkpoint)
+ * @param {(state: ReembedState) => Promise<void>|void} [options.onCheckpoint] - Called after every page
+ * @param {AbortSignal} [options.signal] - Stops the job after the current page
+ * @returns {Promise<ReembedState>} Final state (phase 'done' unless aborted)
+ */
+export async function reembed(ksg, { state = null, force = false, pageSize = 100, onCheckpoint = null, signal = null } = {}) {
+  if (state && !REEMBED_PHASES.includes(state.phase)) {
+    throw new Error(`Invalid re-embed state phase: ${state.phase}`);
+  }
+  state = state ? { ...state } : {
+    phase: 'embed',
+    cursor: null,
+    force,
+    target: await currentTarget(ksg),
+    embedded: 0,
+    derived: 0,
+    skipped: 0,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+
+  const prov = new Provenance({
+    source: 'system',
+    ts: new Date().toISOString(),
+    confidence: 1.0,
+    traceId: 'reembed'
+  });
+  const needsWork = (node) => {
+    const stamp = embeddingStamp(node);
+    return stamp !== null && (state.force || isStale(stamp, state.target));
+  };
+
+  while (state.phase !== 'done' && !signal?.aborted) {
+    const page = await ksg.memory.listNodes({ limit: pageSize, cursor: state.cursor ?? undefined });
+
+    if (state.phase === 'embed') {
+      const work = [];
+      for (const node of page) {
+        const text = embeddingSourceText(node);
+        if (text === null || !embeddingStamp(node)) continue;
+        if (needsWork(node)) work.push({ node, text });
+        else state.skipped += 1;
+      }
+      const vectors = await ksg.embedMany(work.map(w => w.text));
+      for (const [i, { node }] of work.entries()) {
+        node.llmEmbedding = vectors[i];
+        Object.assign(node.props, ksg.embeddingProps(vectors[i]));
+        await ksg.memory.upsert(node, prov, { embeddingRequest: false });
+      }
+      state.embedded += work.length;
+    } else {
+      for (const node of page) {
+        if (embeddingSourceText(node) !== null || !embeddingStamp(node)) continue;
+        if (needsWork(node)) {
+          await ksg.updateNodeEmbedding(node.uuid);
+          state.derived += 1;
+        } else {
+          state.skipped += 1;
+        }
+      }
+    }
+
+    state.cursor = nextCursor(page, pageSize);
+    if (state.cursor === null) {
+      state.phase = REEMBED_PHASES[REEMBED_PHASES.indexOf(state.phase) + 1];
+      if (state.phase === 'done') state.finishedAt = new Date().toISOString();
+    }
+    state.updatedAt = new Date().toISOString();
+    await onCheckpoint?.({ ...state });
+  }
+
+  return state;
+}
+
+/**
+ * The model new vectors come from. The dimension is probed with one embed
+ * call when the provider does not declare it.
+ *
+ * @private
+ */
+async function currentTarget(ksg) {
+  const provider = ksg.embeddingProvider;
+  const dimension = provider?.dimension ?? (await ksg.embedFn('dimension probe')).length;
+  return { provider: provider?.name ?? null, model: provider?.model ?? null, dimension };
+}
@@ -0,0 +1,94 @@
+/**
+ * ChangeLog - bounded, sequence-numbered log of graph change events
+ *
+ * KnowShowGo appends every event it emits (node.created, edge.created,
+ * assertion.created, fact.stored, ...) here. Subscribers remember the last
+ * seq they processed and call since(seq) after a disconnect to catch up.
+ * Only the newest `capacity` entries are kept; a subscriber that fell
+ * further behind gets `truncated: true` and should resync from the graph.
+ * Sequence numbers are process-local and restart at 1, so a seq ahead of
+ * lastSeq (remembered from before a restart) is reported as truncated too.
+ */
+
+/**
+ * @typedef {Object} ChangeEntry
+ * @property {number} seq - Monotonic sequence number (starts at 1)
+ * @property {string} type - Event type, e.g. 'node.created'
+ * @property {string} ts - ISO timestamp
+ * @property {Object} item - Snapshot of the node/edge/assertion (without llmEmbedding)
+ * @property {Provenance|null} provenance - Provenance of the change
+ */
+
+export class ChangeLog {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=10000] - Entries kept in memory
+   */
+  constructor({ capacity = 10000 } = {}) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.lastSeq = 0;
+  }
+
+  /**
+   * Oldest seq still retained (lastSeq + 1 when empty).
+   */
+  get firstSeq() {
+    return this.entries.length > 0 ? this.entries[0].seq : this.lastSeq + 1;
+  }
+
+  /**
+   * Append an event.
+   *
+   * @param {string} type - Event type
+   * @param {Object} payload - { item, provenance }
+   * @returns {ChangeEntry}
+   */
+  append(type, { item, provenance = null }) {
+    const entry = {
+      seq: ++this.lastSeq,
+      type,
+      ts: new Date().toISOString(),
+      item: snapshotItem(item),
+      provenance
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) {
+      this.entries.splice(0, this.entries.length - this.capacity);
+    }
+    return entry;
+  }
+
+  /**
+   * Entries after a sequence number.
+   *
+   * @param {number} [seq=0] - Last seq the caller has seen
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum entries
+   * @returns {{ changes: ChangeEntry[], lastSeq: number, truncated: boolean }}
+   *   truncated when entries after `seq` were evicted or `seq` was never issued by this log
+   */
+  since(seq = 0, { limit } = {}) {
+    const start = this.entries.findIndex(e => e.seq > seq);
+    const changes = start === -1
+      ? []
+      : this.entries.slice(start, limit === undefined ? undefined : start + limit);
+    return {
+      changes,
+      lastSeq: this.lastSeq,
+      truncated: seq < this.firstSeq - 1 || seq > this.lastSeq
+    };
+  }
+}
+
+/**
+ * Copy an item for the log so later in-place edits do not rewrite history.
+ * Embeddings are dropped to keep the log small.
+ *
+ * @private
+ */
+function snapshotItem(item) {
+  if (!item || typeof item !== 'object') return item;
+  const { llmEmbedding, ...rest } = item;
+  return structuredClone(rest);
+}
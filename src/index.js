@@ -6,6 +6,39 @@
 
 export { KnowShowGo } from './knowshowgo.js';
 export { InMemoryMemory } from './memory/in-memory.js';
-export { Node, Edge, Provenance } from './models.js';
+export { FileMemory } from './memory/file-memory.js';
+export { CachedMemory } from './memory/cached-memory.js';
+export { HnswVectorIndex, ExactVectorIndex, createVectorIndex } from './memory/vector-index.js';
+export { LexicalIndex, fuseRankings, matchedTerms, SEARCH_MODES, FUSION_METHODS, SEARCH_FIELDS } from './memory/lexical-index.js';
+export { LabelIndex, normalizeLabel, levenshtein, LABEL_FIELDS } from './memory/label-index.js';
+export { matchesWhere, validateWhere, WHERE_OPERATORS } from './query/where.js';
+export { collapseResults, mmrRerank, validateDiversifyOptions, COLLAPSE_MODES } from './query/diversify.js';
+export { neighborhood, cheapestPaths, edgeCost, TRAVERSAL_DIRECTIONS, MAX_TRAVERSAL_DEPTH } from './query/traversal.js';
+export { parseQuery, planQuery, runQuery } from './query/pattern-query.js';
+export {
+  MEMORY_TOOLS_METHODS,
+  MEMORY_EVENTS,
+  assertMemoryTools,
+  iterateNodes,
+  iterateEdges,
+  lookupLabel
+} from './memory/memory-tools.js';
+export { exportGraph, importGraph, copyGraph, countGraph } from './memory/graph-transfer.js';
+export {
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+  createEmbeddingProvider,
+  createEmbeddingProviderFromEnv,
+  createOpenAIProvider,
+  createMockProvider,
+  createModuleProvider
+} from './embeddings/providers.js';
+export { createHashedNgramProvider, fitIdf } from './embeddings/hashed-ngram.js';
+export { EmbeddingCache, embeddingKey, embeddingSourceText } from './embeddings/embedding-cache.js';
+export { embedBatched } from './embeddings/batch.js';
+export { EmbeddingCensus, embeddingStamp, isStale } from './embeddings/census.js';
+export { reembed, REEMBED_PHASES } from './embeddings/reembed.js';
+export { ChangeLog } from './events/change-log.js';
+export { Node, Edge, Provenance, reviveNode, reviveEdge } from './models.js';
 export { KSGORM } from './orm/ksg-orm.js';
 
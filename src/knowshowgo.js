@@ -8,26 +8,306 @@
  * - Supports uncertainty handling via provenance confidence scores
  */
 
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import { Node, Edge, Provenance } from './models.js';
+import { Node, Edge, Provenance, TOMBSTONED, PUBLIC_NAMESPACE, namespaceOf } from './models.js';
 import { KSGORM } from './orm/ksg-orm.js';
+import { ChangeLog } from './events/change-log.js';
+import { embedBatched } from './embeddings/batch.js';
+import { EmbeddingCensus, EXTERNAL_EMBEDDING } from './embeddings/census.js';
+import { validateSearchOptions, matchedTerms } from './memory/lexical-index.js';
+import { validateWhere, matchesWhere } from './query/where.js';
+import { validateDiversifyOptions, collapseResults, mmrRerank } from './query/diversify.js';
+import { validateTraversalOptions, neighborhood, cheapestPaths } from './query/traversal.js';
+import { parseQuery, planQuery, runQuery, describePlan } from './query/pattern-query.js';
+import {
+  assertMemoryTools,
+  encodeCursor,
+  decodeCursor,
+  nextCursor,
+  iterateNodes,
+  iterateEdges,
+  nodeMatches,
+  lookupLabel
+} from './memory/memory-tools.js';
+
+/**
+ * A soft-deleted copy of a node or edge. The status it had before (e.g. a
+ * fact's 'verified') is kept in props.statusBeforeDelete.
+ *
+ * @private
+ */
+function tombstoneOf(item) {
+  const copy = Object.assign(Object.create(Object.getPrototypeOf(item)), item);
+  copy.props = {
+    ...item.props,
+    status: TOMBSTONED,
+    statusBeforeDelete: item.props?.status ?? null,
+    deletedAt: new Date().toISOString()
+  };
+  if ('status' in item) copy.status = TOMBSTONED;
+  return copy;
+}
+
+/**
+ * Attach the cursor for the next page to a result array. The property is
+ * non-enumerable, so the array still serializes and compares as a plain list.
+ *
+ * @private
+ */
+function withNextCursor(items, cursor) {
+  Object.defineProperty(items, 'nextCursor', { value: cursor, enumerable: false });
+  return items;
+}
+
+/**
+ * Candidates ranked per result slot when collapsing or MMR re-ranking
+ */
+const DIVERSITY_POOL_FACTOR = 4;
 
 export class KnowShowGo {
   /**
    * @param {Object} options
-   * @param {Function} options.embedFn - Async function(text: string) => Promise<number[]>
-   * @param {Object} options.memory - Memory backend (must implement MemoryTools interface)
+   * @param {Function} [options.embedFn] - Async function(text: string) => Promise<number[]>
+   * @param {Object} [options.embeddingProvider] - EmbeddingProvider (see embeddings/providers.js);
+   *   used as embedFn when none is given, and recorded on every node it embeds
+   * @param {Function} [options.embedManyFn] - Async function(texts: string[]) => Promise<number[][]>;
+   *   defaults to embeddingProvider.embedMany when the provider has one
+   * @param {number} [options.embedBatchSize=64] - Texts per embedManyFn call
+   * @param {number} [options.embedConcurrency=4] - Embedding calls in flight at once
+   * @param {Object} options.memory - Memory backend (must implement MemoryTools, see memory/memory-tools.js)
+   * @param {number} [options.changeLogSize=10000] - Change events kept for subscribers to catch up on
    */
-  constructor({ embedFn, memory }) {
-    if (!embedFn) {
+  constructor({
+    embedFn,
+    embeddingProvider = null,
+    embedManyFn = null,
+    embedBatchSize = 64,
+    embedConcurrency = 4,
+    memory,
+    changeLogSize = 10000
+  }) {
+    if (!embedFn && !embeddingProvider) {
       throw new Error('embedFn is required');
     }
     if (!memory) {
       throw new Error('memory is required');
     }
-    this.embedFn = embedFn;
-    this.memory = memory;
+    this.embeddingProvider = embeddingProvider;
+    // Vectors this instance produced (see embeddingProps)
+    this._ownVectors = new WeakSet();
+    this.embedFn = embedFn || (text => embeddingProvider.embed(text));
+    this.embedManyFn = embedManyFn || (typeof embeddingProvider?.embedMany === 'function'
+      ? texts => embeddingProvider.embedMany(texts)
+      : null);
+    this.embedBatchSize = embedBatchSize;
+    this.embedConcurrency = embedConcurrency;
+    this.memory = assertMemoryTools(memory);
     this.orm = new KSGORM(this);  // ORM for prototype-based object hydration
+
+    // Namespaces: new items are written to `namespace`; reads are scoped to
+    // `readNamespaces` (null = unscoped). See forNamespace().
+    this.namespace = PUBLIC_NAMESPACE;
+    this.readNamespaces = null;
+
+    // Change events: backend node/edge events plus prototype.created, concept.created,
+    // association.created, assertion.created and fact.stored from this class
+    this.events = new EventEmitter();
+    this.changeLog = new ChangeLog({ capacity: changeLogSize });
+
+    // Embedding models of stored vectors, built on first use (see embeddingStatus());
+    // searchConcepts builds it in the background
+    this.embeddingCensus = new EmbeddingCensus();
+
+    this._onMemoryChange = ({ type, item, provenance }) => {
+      this.embeddingCensus.apply({ type, item });
+      this._emit(type, { item, provenance });
+    };
+    if (typeof memory.on === 'function') {
+      memory.on('change', this._onMemoryChange);
+    }
+  }
+
+  /**
+   * Stop listening to the memory backend, so an instance dropped while its
+   * backend lives on can be garbage collected. Does not close the backend;
+   * the caller that created it owns it.
+   */
+  close() {
+    if (typeof this.memory.off === 'function') {
+      this.memory.off('change', this._onMemoryChange);
+    }
+    this.events.removeAllListeners();
+  }
+
+  /**
+   * Embedding function. Vectors it returns are remembered as produced by this
+   * instance, so embeddingProps can tell them from caller-supplied ones.
+   *
+   * @type {(text: string) => Promise<number[]>}
+   */
+  get embedFn() {
+    return this._embedFn;
+  }
+
+  set embedFn(fn) {
+    this._embedFn = async text => this._markOwnVector(await fn(text));
+  }
+
+  /**
+   * @private
+   */
+  _markOwnVector(vector) {
+    if (vector && typeof vector === 'object') this._ownVectors.add(vector);
+    return vector;
+  }
+
+  /**
+   * Listen for a change event type ('node.created', 'fact.stored', ...) or
+   * 'change' for all of them. Listeners receive a ChangeEntry
+   * ({ seq, type, ts, item, provenance }).
+   * 
+   * @param {string} type - Event type
+   * @param {Function} listener
+   * @returns {KnowShowGo} this
+   */
+  on(type, listener) {
+    this.events.on(type, listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener added with on().
+   * 
+   * @param {string} type - Event type
+   * @param {Function} listener
+   * @returns {KnowShowGo} this
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
+    return this;
+  }
+
+  /**
+   * Subscribe to all changes, first replaying those after `since`.
+   * 
+   * @param {Function} listener - Called with each ChangeEntry in seq order
+   * @param {Object} [options]
+   * @param {number} [options.since] - Last seq already processed (default: only new changes)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener, { since = this.changeLog.lastSeq } = {}) {
+    for (const entry of this.getChanges(since).changes) {
+      listener(entry);
+    }
+    const scoped = this.readNamespaces
+      ? (entry) => { if (this._isVisible(entry.item)) listener(entry); }
+      : listener;
+    this.events.on('change', scoped);
+    return () => this.events.off('change', scoped);
+  }
+
+  /**
+   * Changes recorded after a sequence number (for catching up after a disconnect).
+   * 
+   * @param {number} [since=0] - Last seq already processed
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum entries
+   * @returns {{ changes: Array, lastSeq: number, truncated: boolean }}
+   *   truncated is true when entries after `since` were already evicted, or when `since`
+   *   is ahead of lastSeq (seqs restart with the process); resync from the graph then
+   */
+  getChanges(since = 0, { limit } = {}) {
+    if (!this.readNamespaces) {
+      return this.changeLog.since(since, { limit });
+    }
+    const result = this.changeLog.since(since);
+    const changes = result.changes.filter(entry => this._isVisible(entry.item));
+    return { ...result, changes: limit === undefined ? changes : changes.slice(0, limit) };
+  }
+
+  /**
+   * Run several operations as one unit of work.
+   * 
+   * fn receives a KnowShowGo view whose memory is a backend transaction: its
+   * writes are committed together, or rolled back if fn throws. Backends
+   * without a transaction() method run fn directly. Nested calls join the
+   * outer transaction.
+   * 
+   * @param {(ksg: KnowShowGo) => Promise<*>} fn
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async transaction(fn) {
+    if (this._inTransaction || typeof this.memory.transaction !== 'function') {
+      return fn(this);
+    }
+    // Events raised by this class are held back until the transaction commits
+    const pendingEvents = [];
+    const result = await this.memory.transaction(tx => fn(Object.create(this, {
+      memory: { value: tx },
+      _inTransaction: { value: true },
+      _pendingEvents: { value: pendingEvents }
+    })));
+    for (const { type, payload } of pendingEvents) {
+      this._emit(type, payload);
+    }
+    return result;
+  }
+
+  /**
+   * A view of this instance scoped to one or more namespaces.
+   * 
+   * The view writes new items to the first namespace and only reads items in
+   * the given namespaces plus 'public' (searchConcepts, getConcept,
+   * getAssociations, getAssertions, verify, getChanges, ...). It shares memory,
+   * change log and ORM registry with this instance.
+   * 
+   * @param {string|string[]} namespaces - Write namespace first, then extra readable ones
+   * @returns {KnowShowGo} Scoped view
+   */
+  forNamespace(namespaces) {
+    const list = [].concat(namespaces).filter(Boolean);
+    if (list.length === 0) {
+      throw new Error('namespace is required');
+    }
+    return Object.create(this, {
+      namespace: { value: list[0] },
+      readNamespaces: { value: [...new Set([...list, PUBLIC_NAMESPACE])] }
+    });
+  }
+
+  /**
+   * Namespaces a read may see: the explicit list (plus 'public'), else the
+   * view's scope; null means unscoped.
+   * 
+   * @private
+   */
+  _scope(namespaces) {
+    if (!namespaces) return this.readNamespaces;
+    return [...new Set([...[].concat(namespaces), PUBLIC_NAMESPACE])];
+  }
+
+  /**
+   * @private
+   */
+  _isVisible(item, namespaces = null) {
+    const scope = this._scope(namespaces);
+    return !scope || !item || scope.includes(namespaceOf(item));
+  }
+
+  /**
+   * Record a change in the change log and notify listeners.
+   * 
+   * @private
+   */
+  _emit(type, payload) {
+    if (this._pendingEvents) {
+      this._pendingEvents.push({ type, payload });
+      return;
+    }
+    const entry = this.changeLog.append(type, payload);
+    this.events.emit(type, entry);
+    this.events.emit('change', entry);
   }
 
   /**
@@ -45,6 +325,7 @@ export class KnowShowGo {
    * @param {Provenance} [params.provenance] - Provenance info
    * @param {string} [params.basePrototypeUuid] - Single parent prototype UUID (backward compat)
    * @param {string[]} [params.parentPrototypeUuids] - Multiple parent prototype UUIDs (unified architecture)
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<string>} Prototype UUID
    */
   async createPrototype({
@@ -55,7 +336,8 @@ export class KnowShowGo {
     embedding,
     provenance = null,
     basePrototypeUuid = null,
-    parentPrototypeUuids = null
+    parentPrototypeUuids = null,
+    namespace = this.namespace
   }) {
     const prov = provenance || new Provenance({
       source: 'user',
@@ -78,7 +360,8 @@ export class KnowShowGo {
         summary: description,
         isPrototype: true,
         status: 'active',
-        namespace: 'public',
+        namespace,
+        ...this.embeddingProps(embedding),
         context: context,
         name: name,
         description: description
@@ -87,6 +370,7 @@ export class KnowShowGo {
     });
 
     await this.memory.upsert(proto, prov, { embeddingRequest: true });
+    this._emit('prototype.created', { item: proto, provenance: prov });
 
     // Unified architecture: Multiple inheritance via "is_a" associations
     const parents = [
@@ -102,7 +386,8 @@ export class KnowShowGo {
         toConceptUuid: parentUuid,
         relationType: 'is_a',  // Multiple inheritance via associations
         strength: 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
       
       // Also create "inherits" edge for backward compatibility
@@ -114,7 +399,8 @@ export class KnowShowGo {
           child: name,
           parentUuid: parentUuid,
           w: 1.0,
-          status: 'accepted'
+          status: 'accepted',
+          namespace
         }
       });
       await this.memory.upsert(edge, prov, { embeddingRequest: false });
@@ -134,6 +420,7 @@ export class KnowShowGo {
    * @param {number[]} params.embedding - Vector embedding
    * @param {Provenance} [params.provenance] - Provenance info
    * @param {string} [params.previousVersionUuid] - Previous version UUID (for versioning)
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<string>} Concept UUID
    */
   async createConcept({
@@ -141,7 +428,8 @@ export class KnowShowGo {
     jsonObj,
     embedding,
     provenance = null,
-    previousVersionUuid = null
+    previousVersionUuid = null,
+    namespace = this.namespace
   }) {
     const prov = provenance || new Provenance({
       source: 'user',
@@ -165,7 +453,8 @@ export class KnowShowGo {
         summary: jsonObj.description || jsonObj.summary || '',
         isPrototype: false,
         status: 'active',
-        namespace: 'public',
+        namespace,
+        ...this.embeddingProps(embedding),
         prototypeUuid: prototypeUuid, // Backward compat
         // Preserve commonly expected fields
         name: jsonObj.name ?? label,
@@ -179,6 +468,7 @@ export class KnowShowGo {
     });
 
     await this.memory.upsert(concept, prov, { embeddingRequest: true });
+    this._emit('concept.created', { item: concept, provenance: prov });
 
     // Create instanceOf association
     await this.addAssociation({
@@ -186,7 +476,8 @@ export class KnowShowGo {
       toConceptUuid: prototypeUuid,
       relationType: 'instanceOf',
       strength: 1.0,
-      provenance: prov
+      provenance: prov,
+      namespace
     });
 
     if (previousVersionUuid) {
@@ -198,7 +489,8 @@ export class KnowShowGo {
         props: {
           prototypeUuid: prototypeUuid,
           w: 1.0,
-          status: 'accepted'
+          status: 'accepted',
+          namespace
         }
       });
       await this.memory.upsert(versionEdge, prov, { embeddingRequest: false });
@@ -216,6 +508,8 @@ export class KnowShowGo {
    * @param {string} params.relationType - Relationship type
    * @param {number} [params.strength=1.0] - Association strength (0.0-1.0)
    * @param {Provenance} [params.provenance] - Provenance info
+   * @param {Object} [params.props] - Extra edge props
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<string>} Edge UUID
    */
   async addAssociation({
@@ -224,7 +518,8 @@ export class KnowShowGo {
     relationType,
     strength = 1.0,
     provenance = null,
-    props = {}
+    props = {},
+    namespace = this.namespace
   }) {
     const prov = provenance || new Provenance({
       source: 'user',
@@ -240,11 +535,13 @@ export class KnowShowGo {
       props: {
         w: strength,
         status: 'accepted',
+        namespace,
         ...props
       }
     });
 
     await this.memory.upsert(edge, prov, { embeddingRequest: false });
+    this._emit('association.created', { item: edge, provenance: prov });
     return edge.uuid;
   }
 
@@ -256,20 +553,60 @@ export class KnowShowGo {
    * @param {Object} params
    * @param {string} params.query - Search query text
    * @param {number} [params.topK=5] - Maximum number of results
-   * @param {number} [params.similarityThreshold=0.0] - Minimum similarity score
-   * @param {string} [params.prototypeFilter] - Filter by prototype name
+   * @param {number} [params.similarityThreshold=0.0] - Minimum similarity score (ignored in
+   *   lexical mode, which has no query vector)
+   * @param {string} [params.prototypeFilter] - Only instances of this prototype (name or UUID)
+   * @param {boolean} [params.includeSubtypes=false] - With prototypeFilter, also instances of its
+   *   transitive is_a subtypes
+   * @param {Object} [params.where] - Property conditions on props and has_value values
+   *   (see query/where.js), applied to the ranked results
+   * @param {boolean} [params.explain=false] - Add an `explanation` (score breakdown) to each
+   *   result; see _explainResult()
+   * @param {number} [params.mmrLambda] - Re-rank by maximal marginal relevance (1 = relevance
+   *   only, 0 = diversity only; see query/diversify.js)
+   * @param {Array<'version'|'document'>} [params.collapse] - Keep one result per next_version
+   *   chain and/or per document target (tags, documents and values count as their concept);
+   *   results then list the hits they stand for in `collapsed`
    * @param {number[]} [params.queryEmbedding] - Pre-computed query embedding
-   * @returns {Promise<Array>} List of concept dicts with similarity scores
+   * @param {boolean} [params.exact=false] - Bypass the backend's approximate vector index
+   * @param {'hybrid'|'vector'|'lexical'} [params.mode='hybrid'] - Scoring: vector similarity,
+   *   BM25 over labels/aliases/summaries/tag text, or both fused (see memory/lexical-index.js)
+   * @param {'rrf'|'weighted'} [params.fusion='rrf'] - Hybrid fusion: reciprocal rank or weighted scores
+   * @param {{vector?: number, lexical?: number}} [params.weights] - Fusion weights (default 1 each)
+   * @param {string[]} [params.namespaces] - Namespaces to search ('public' is always included;
+   *   default: this view's scope)
+   * @param {number} [params.limit] - Page size (default: topK, unpaginated)
+   * @param {string} [params.cursor] - nextCursor of the previous page (with mmrLambda or
+   *   collapse, pages walk one pool of max(topK, limit) * DIVERSITY_POOL_FACTOR candidates)
+   * @returns {Promise<Array>} List of concept dicts with similarity scores; `nextCursor`
+   *   is set on the array when another page is available, and `embeddingWarning`
+   *   (see embeddingStatus()) when stored vectors come from more than one model
    */
   async searchConcepts({
     query,
     topK = 5,
     similarityThreshold = 0.0,
     prototypeFilter = null,
-    queryEmbedding = null
+    includeSubtypes = false,
+    where = null,
+    explain = false,
+    mmrLambda = null,
+    collapse = null,
+    queryEmbedding = null,
+    exact = false,
+    mode = 'hybrid',
+    fusion = 'rrf',
+    weights = {},
+    namespaces = null,
+    limit,
+    cursor
   }) {
+    validateSearchOptions({ mode, fusion, weights });
+    if (where) validateWhere(where);
+    validateDiversifyOptions({ mmrLambda, collapse });
+
     let embedding = queryEmbedding;
-    if (!embedding && this.embedFn) {
+    if (!embedding && this.embedFn && mode !== 'lexical') {
       try {
         embedding = await this.embedFn(query);
       } catch (error) {
@@ -278,50 +615,463 @@ export class KnowShowGo {
       }
     }
 
-    const filters = { kind: 'topic' };
+    const filters = { kind: 'topic', excludeStatus: [TOMBSTONED] };
+    const scope = this._scope(namespaces);
+    if (scope) {
+      filters.namespaces = scope;
+    }
     if (prototypeFilter) {
-      // Note: prototype filtering would require edge traversal
-      // Simplified here - would need to traverse instanceOf edges
+      const prototypeUuid = await this.findPrototype(prototypeFilter, { namespaces });
+      if (!prototypeUuid) {
+        throw Object.assign(new Error(`Prototype not found: ${prototypeFilter}`), { status: 404 });
+      }
+      filters.instanceOf = includeSubtypes
+        ? await this.getSubtypes(prototypeUuid)
+        : [prototypeUuid];
+    }
+    if (embedding && similarityThreshold > 0) {
+      filters.minSimilarity = similarityThreshold;
     }
 
-    const results = await this.memory.search({
+    // Ranked results are paged by offset: fetch through the end of the
+    // requested page (plus one result, to tell whether another page exists)
+    // and drop the pages before it. Collapse and MMR order a whole candidate
+    // pool at once, so the pool is fixed by the first page (and carried in
+    // the cursor): every page slices the same order, and paging ends with
+    // the pool.
+    const paged = limit !== undefined || cursor !== undefined;
+    const pageSize = limit ?? topK;
+    const position = cursor !== undefined ? decodeCursor(cursor, 'offset') : { offset: 0 };
+    const offset = position.offset;
+    const wanted = offset + pageSize;
+    const diversify = mmrLambda !== null || collapse !== null;
+    if (position.pool !== undefined && !(Number.isInteger(position.pool) && position.pool > 0)) {
+      throw Object.assign(new Error(`Invalid cursor: ${cursor}`), { status: 400 });
+    }
+    const pool = diversify ? position.pool ?? Math.max(topK, pageSize) * DIVERSITY_POOL_FACTOR : null;
+    const poolSize = diversify ? pool : wanted + (paged ? 1 : 0);
+    const search = (k) => this.memory.search({
       query,
-      topK,
+      topK: k,
       filters,
-      queryEmbedding: embedding
+      queryEmbedding: embedding,
+      mode,
+      fusion,
+      weights,
+      exact,
+      explain
     });
 
-    return results.map(r => {
-      if (typeof r === 'object' && r !== null) {
-        return r;
+    let results = await search(poolSize);
+    if (where) {
+      // Property values live partly in the graph, so conditions are checked
+      // on ranked results; widen the search until the page is full
+      const matched = new Map();
+      for (let k = poolSize; ; k *= 4) {
+        const ranked = k === poolSize ? results : await search(k);
+        for (const result of ranked) {
+          if (!matched.has(result.uuid)) {
+            matched.set(result.uuid, matchesWhere(await this._whereValues(result), where));
+          }
+        }
+        results = ranked.filter(result => matched.get(result.uuid));
+        if (results.length >= poolSize || ranked.length < k) break;
+      }
+    }
+
+    if (collapse) {
+      const keys = await Promise.all(results.map(result => this._collapseKey(result.uuid, collapse)));
+      results = collapseResults(results, keys).map(({ item, collapsed }) => ({
+        ...item,
+        collapsed: collapsed.map(hit => hit.uuid),
+        ...(explain && collapsed.length > 0
+          ? { adjustments: [{ type: 'collapse', by: collapse, collapsed: collapsed.map(hit => hit.uuid) }] }
+          : {})
+      }));
+    }
+    if (mmrLambda !== null && results.length > 0) {
+      const nodes = await Promise.all(results.map(result => this.memory.getNode(result.uuid)));
+      const reranked = mmrRerank(results, nodes.map(node => node?.llmEmbedding ?? null), {
+        lambda: mmrLambda,
+        k: poolSize
+      });
+      results = reranked.map(({ item, relevance, redundancy, mmrScore }) => (explain
+        ? {
+          ...item,
+          adjustments: [
+            ...(item.adjustments ?? []),
+            { type: 'mmr', lambda: mmrLambda, relevance, redundancy, mmrScore, delta: mmrScore - relevance }
+          ]
+        }
+        : item));
+    }
+
+    let page = results.slice(offset, offset + pageSize);
+    if (explain) {
+      const context = {
+        query,
+        mode: embedding ? mode : 'lexical',
+        fusion,
+        weights,
+        filters,
+        where,
+        prototypeFilter
+      };
+      page = await Promise.all(page.map(result => this._explainResult(result, context)));
+    }
+    const hasMore = paged && results.length > wanted;
+
+    // Vectors from another model score meaningless (or, across dimensions, 0)
+    // similarities against this query: report a mixed index. Only backends
+    // with change events keep the census current without rescanning.
+    if (embedding && typeof this.memory.on === 'function') {
+      const status = this._embeddingWarning(embedding.length);
+      if (status) {
+        Object.defineProperty(page, 'embeddingWarning', { value: status, enumerable: false });
+      }
+    }
+
+    const next = diversify ? { offset: offset + pageSize, pool } : { offset: offset + pageSize };
+    return withNextCursor(page, hasMore ? encodeCursor(next) : null);
+  }
+
+  /**
+   * A search result with its score breakdown (in place of the backend's
+   * `ranking`):
+   * 
+   *   explanation: {
+   *     score, mode, fusion,                          // fusion: hybrid mode only
+   *     vector: { similarity, rank, weight, contribution } | null,
+   *     lexical: { score, rank, weight, contribution, terms } | null,
+   *     filters: { namespace, prototype?, similarityThreshold?, where? },
+   *     adjustments: [{ type, ... }]                  // changes after fusion (collapse, mmr)
+   *   }
+   * 
+   * `vector` / `lexical` are null when the result was not in that ranking;
+   * weights are null outside hybrid mode (and both are null for backends
+   * that do not report a ranking). `terms` are the matched terms.
+   * `filters` shows the values each filter matched on. An 'mmr' adjustment
+   * has the normalized relevance, the redundancy (max similarity to results
+   * ranked above) and delta = mmrScore - relevance; a 'collapse' one lists
+   * the hits folded into this result.
+   * 
+   * @private
+   */
+  async _explainResult(result, { query, mode, fusion, weights, filters, where, prototypeFilter }) {
+    const { ranking = {}, adjustments = [], ...rest } = result;
+    const hybrid = mode === 'hybrid';
+
+    const matched = { namespace: namespaceOf(result) };
+    if (filters.instanceOf) {
+      const edges = await this.memory.findEdges({ fromNode: result.uuid, rel: 'instanceOf' });
+      matched.prototype = {
+        filter: prototypeFilter,
+        instanceOf: edges.map(edge => edge.toNode).filter(uuid => filters.instanceOf.includes(uuid))
+      };
+    }
+    if (filters.minSimilarity !== undefined) {
+      matched.similarityThreshold = { threshold: filters.minSimilarity, similarity: result.similarity };
+    }
+    if (where) {
+      const values = await this._whereValues(result);
+      matched.where = Object.fromEntries(Object.keys(where).map(key => [key, values[key] ?? null]));
+    }
+
+    const explanation = {
+      score: result.score,
+      mode,
+      fusion: hybrid ? fusion : null,
+      vector: ranking.vectorRank == null ? null : {
+        similarity: result.similarity,
+        rank: ranking.vectorRank,
+        weight: hybrid ? weights.vector ?? 1 : null,
+        contribution: ranking.vectorContribution
+      },
+      lexical: ranking.lexicalRank == null ? null : {
+        score: result.lexicalScore,
+        rank: ranking.lexicalRank,
+        weight: hybrid ? weights.lexical ?? 1 : null,
+        contribution: ranking.lexicalContribution,
+        terms: matchedTerms(query, result)
+      },
+      filters: matched,
+      adjustments
+    };
+    return { ...rest, explanation };
+  }
+
+  /**
+   * Group key of a search hit for `collapse`: with 'document', the concept
+   * a document, tag or value node belongs to; with 'version', the newest
+   * version of its next_version chain.
+   * 
+   * @private
+   */
+  async _collapseKey(uuid, collapse) {
+    let key = uuid;
+    if (collapse.includes('document')) {
+      key = await this._documentTarget(key);
+    }
+    if (collapse.includes('version')) {
+      const seen = new Set([key]);
+      for (;;) {
+        const [next] = await this.memory.findEdges({ fromNode: key, rel: 'next_version' });
+        if (!next || seen.has(next.toNode)) break;
+        key = next.toNode;
+        seen.add(key);
+      }
+    }
+    return key;
+  }
+
+  /**
+   * The node a document, tag or value node describes (else the node itself).
+   * 
+   * @private
+   */
+  async _documentTarget(uuid) {
+    const node = await this.memory.getNode(uuid);
+    if (node?.props?.isDocument) {
+      return node.props.targetNodeUuid ?? node.props.conceptUuid ?? uuid;
+    }
+    if (node?.props?.isTag) {
+      const [tagged] = await this.memory.findEdges({ toNode: uuid, rel: 'has_tag' });
+      return tagged ? this._documentTarget(tagged.fromNode) : uuid;
+    }
+    if (node?.props?.isValue) {
+      const edges = await this.memory.findEdges({ toNode: uuid, rel: 'has_value' });
+      return edges.find(edge => edge.props?.propertyName)?.fromNode ?? uuid;
+    }
+    return uuid;
+  }
+
+  /**
+   * Property values a where clause is checked against: node props, then
+   * has_value values (which win).
+   * 
+   * @private
+   */
+  async _whereValues(result) {
+    return { ...result.props, ...(await this.getProperties(result.uuid)) };
+  }
+
+  /**
+   * Find a prototype by UUID or by name (label or alias, folded for case,
+   * accents and spacing; a name written exactly alike wins).
+   * 
+   * @param {string} nameOrUuid
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Namespaces to look in (default: this view's scope)
+   * @returns {Promise<string|null>} Prototype UUID, or null
+   */
+  async findPrototype(nameOrUuid, { namespaces = null } = {}) {
+    const node = await this.memory.getNode(nameOrUuid);
+    if (node?.props?.isPrototype && node.props.status !== TOMBSTONED && this._isVisible(node, namespaces)) {
+      return node.uuid;
+    }
+    const [match] = await lookupLabel(this.memory, {
+      text: nameOrUuid,
+      limit: 1,
+      filters: {
+        kind: 'topic',
+        props: { isPrototype: true },
+        excludeStatus: [TOMBSTONED],
+        ...(this._scope(namespaces) ? { namespaces: this._scope(namespaces) } : {})
       }
-      return r;
     });
+    return match?.uuid ?? null;
   }
 
   /**
-   * List all edges in the current memory backend.
-   *
-   * Works for Map-backed in-memory storage and Arango proxy storage.
-   *
+   * Find nodes by name: labels, names and aliases equal to the text once
+   * folded (case, accents, spacing), or with fuzzy, within a few edits of
+   * it (see memory/label-index.js). Unlike searchConcepts this never
+   * matches by meaning.
+   * 
+   * Nodes linked to a match by synonymOf (an association in either
+   * direction, or a synonymOf node_ref property) follow the direct matches,
+   * with match 'synonym' and `via` set to the node they were reached from.
+   * 
+   * @param {string} text - Name to look up
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false] - Also match names within maxDistance edits
+   * @param {number} [options.maxDistance] - Edits allowed with fuzzy (default: 1 for names up
+   *   to 4 characters, else 2)
+   * @param {string} [options.kind] - Only nodes of this kind
+   * @param {string} [options.prototype] - Only instances of this prototype (name or UUID)
+   * @param {boolean} [options.includeSubtypes=false] - With prototype, also instances of its
+   *   transitive is_a subtypes
+   * @param {Object} [options.props] - props fields that must equal these values
+   *   (e.g. { isPrototype: true })
+   * @param {boolean} [options.synonyms=true] - Add nodes linked by synonymOf
+   * @param {number} [options.limit=10] - Maximum results
+   * @param {string[]} [options.namespaces] - Namespaces to look in (default: this view's scope)
+   * @returns {Promise<Array>} { uuid, name, props, matched, distance, match, via? }, direct
+   *   matches closest first; `matched` is the name that matched, `match` is 'exact',
+   *   'fuzzy' or 'synonym'
+   */
+  async lookupByLabel(text, {
+    fuzzy = false,
+    maxDistance = null,
+    kind = null,
+    prototype = null,
+    includeSubtypes = false,
+    props = null,
+    synonyms = true,
+    limit = 10,
+    namespaces = null
+  } = {}) {
+    const fail = (message) => Object.assign(new Error(message), { status: 400 });
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw fail('text is required');
+    }
+    if (maxDistance !== null && !(Number.isInteger(maxDistance) && maxDistance >= 0)) {
+      throw fail('maxDistance must be a non-negative integer');
+    }
+    if (!(Number.isInteger(limit) && limit > 0)) {
+      throw fail('limit must be a positive integer');
+    }
+
+    const filters = { excludeStatus: [TOMBSTONED] };
+    if (kind) filters.kind = kind;
+    if (props) filters.props = props;
+    const scope = this._scope(namespaces);
+    if (scope) {
+      filters.namespaces = scope;
+    }
+    if (prototype) {
+      const prototypeUuid = await this.findPrototype(prototype, { namespaces });
+      if (!prototypeUuid) {
+        throw Object.assign(new Error(`Prototype not found: ${prototype}`), { status: 404 });
+      }
+      filters.instanceOf = includeSubtypes
+        ? await this.getSubtypes(prototypeUuid)
+        : [prototypeUuid];
+    }
+
+    const hits = await lookupLabel(this.memory, { text, fuzzy, maxDistance, limit, filters });
+    const results = hits.map(hit => ({ ...hit, match: hit.distance === 0 ? 'exact' : 'fuzzy' }));
+    if (synonyms) {
+      const seen = new Set(results.map(result => result.uuid));
+      for (const hit of hits) {
+        for (const uuid of await this._synonymsOf(hit.uuid)) {
+          if (seen.has(uuid)) continue;
+          seen.add(uuid);
+          const node = await this.memory.getNode(uuid);
+          if (!node || !(await this._passesLookupFilters(node, filters))) continue;
+          results.push({
+            uuid,
+            name: node.props.label || node.props.name,
+            props: node.props,
+            matched: hit.matched,
+            distance: hit.distance,
+            match: 'synonym',
+            via: hit.uuid
+          });
+        }
+      }
+    }
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Nodes linked to a node by synonymOf: associations either way, and the
+   * node's synonymOf property (a node_ref or a list of them).
+   * 
    * @private
-   * @returns {Promise<Array>}
    */
-  async _listEdges() {
-    const edges = this.memory?.edges;
-    if (!edges) return [];
+  async _synonymsOf(uuid) {
+    const edges = [
+      ...await this.memory.findEdges({ fromNode: uuid, rel: 'synonymOf' }),
+      ...await this.memory.findEdges({ toNode: uuid, rel: 'synonymOf' })
+    ].filter(edge => edge.props?.status !== TOMBSTONED);
+    const linked = edges.map(edge => (edge.fromNode === uuid ? edge.toNode : edge.fromNode));
+    const { synonymOf } = await this.getProperties(uuid);
+    linked.push(...[].concat(synonymOf ?? []).filter(value => this._isUuid(value)));
+    return [...new Set(linked)].filter(other => other !== uuid);
+  }
 
-    if (edges instanceof Map) {
-      return Array.from(edges.values());
+  /**
+   * Whether a node passes lookupByLabel filters (for synonyms, which the
+   * backend did not filter).
+   * 
+   * @private
+   */
+  async _passesLookupFilters(node, { instanceOf, ...filters }) {
+    if (!nodeMatches(node, filters)) return false;
+    if (!instanceOf) return true;
+    const edges = await this.memory.findEdges({ fromNode: node.uuid, rel: 'instanceOf' });
+    return edges.some(edge => instanceOf.includes(edge.toNode));
+  }
+
+  /**
+   * A prototype and its transitive subtypes (prototypes that reach it through
+   * is_a associations).
+   * 
+   * @param {string} prototypeUuid
+   * @returns {Promise<string[]>} Prototype UUIDs, starting with prototypeUuid
+   */
+  async getSubtypes(prototypeUuid) {
+    const seen = new Set([prototypeUuid]);
+    const queue = [prototypeUuid];
+    while (queue.length > 0) {
+      const edges = await this.memory.findEdges({ toNode: queue.shift(), rel: 'is_a' });
+      for (const edge of edges) {
+        if (!seen.has(edge.fromNode)) {
+          seen.add(edge.fromNode);
+          queue.push(edge.fromNode);
+        }
+      }
     }
+    return [...seen];
+  }
 
-    // ArangoMemory exposes edges.values as an async function returning an array
-    if (typeof edges.values === 'function') {
-      const out = edges.values();
-      return Array.isArray(out) ? out : await out;
+  /**
+   * Which embedding models and dimensions the stored vectors use.
+   * 
+   * `stale` counts vectors that differ from the current model (provider and
+   * model when known, and the dimension); re-embed them with reembed()
+   * (see embeddings/reembed.js). The first call scans the backend. Only
+   * vectors in the namespaces this instance reads are counted.
+   * 
+   * @param {Object} [options]
+   * @param {number} [options.dimension] - Vector length of the current model
+   *   (default: embeddingProvider.dimension, when known)
+   * @returns {Promise<{current: Object, total: number, mixed: boolean, stale: number, models: Array}>}
+   */
+  async embeddingStatus({ dimension } = {}) {
+    const census = typeof this.memory.on === 'function' ? this.embeddingCensus : new EmbeddingCensus();
+    await census.build(this.memory);
+    return this._embeddingSummary(census, dimension);
+  }
+
+  /**
+   * embeddingStatus() for searchConcepts, without waiting for the census:
+   * null until the background scan is done, and while the index is consistent.
+   *
+   * @private
+   */
+  _embeddingWarning(dimension) {
+    if (!this.embeddingCensus.ready) {
+      this.embeddingCensus.build(this.memory).catch((err) => {
+        console.error(`Embedding census failed: ${err.message}`);
+      });
+      return null;
     }
+    const status = this._embeddingSummary(this.embeddingCensus, dimension);
+    return status.mixed || status.stale > 0 ? status : null;
+  }
 
-    return [];
+  /**
+   * @private
+   */
+  _embeddingSummary(census, dimension) {
+    const current = {
+      provider: this.embeddingProvider?.name ?? null,
+      model: this.embeddingProvider?.model ?? null,
+      dimension: dimension ?? this.embeddingProvider?.dimension ?? null
+    };
+    return { current, ...census.summary(current, { namespaces: this.readNamespaces }) };
   }
 
   _isUuid(v) {
@@ -398,10 +1148,13 @@ export class KnowShowGo {
    * Get a concept by UUID.
    * 
    * @param {string} conceptUuid - Concept UUID
-   * @returns {Promise<Object|null>} Concept node or null if not found
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
+   * @returns {Promise<Object|null>} Concept node or null if not found (or not visible)
    */
-  async getConcept(conceptUuid) {
-    return await this.memory.getNode(conceptUuid);
+  async getConcept(conceptUuid, { namespaces = null } = {}) {
+    const node = await this.memory.getNode(conceptUuid);
+    return this._isVisible(node, namespaces) ? node : null;
   }
 
   /**
@@ -418,21 +1171,411 @@ export class KnowShowGo {
   }
 
   /**
-   * Get associations (edges) for a concept.
+   * Get associations (edges) for a concept. Tombstoned edges and edges
+   * outside the readable namespaces are skipped.
    *
    * @param {string} conceptUuid
    * @param {'incoming'|'outgoing'|'both'} [direction='both']
-   * @returns {Promise<Array>}
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
+   * @param {number} [options.limit] - Page size (pages are ordered by edge uuid)
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @returns {Promise<Array>} Edges; `nextCursor` is set on the array when another page is available
+   */
+  async getAssociations(conceptUuid, direction = 'both', { namespaces = null, limit, cursor } = {}) {
+    const visible = e => e.props?.status !== TOMBSTONED && this._isVisible(e, namespaces);
+    if (limit === undefined && cursor === undefined) {
+      const edges = [];
+      if (direction !== 'incoming') {
+        edges.push(...await this.memory.findEdges({ fromNode: conceptUuid }));
+      }
+      if (direction !== 'outgoing') {
+        const incoming = await this.memory.findEdges({ toNode: conceptUuid });
+        // Self-loops were already collected as outgoing
+        edges.push(...incoming.filter(e => direction === 'incoming' || e.fromNode !== conceptUuid));
+      }
+      return withNextCursor(edges.filter(visible), null);
+    }
+
+    // Paged: the backend pages each direction by edge uuid; merge the two
+    // uuid-ordered streams, fetching more while hidden edges leave the page short
+    if (cursor !== undefined) decodeCursor(cursor, 'after');
+    const pageSize = limit ?? 500;
+    const streams = [];
+    if (direction !== 'incoming') {
+      streams.push(iterateEdges(this.memory, { fromNode: conceptUuid }, { pageSize, cursor }));
+    }
+    if (direction !== 'outgoing') {
+      streams.push(iterateEdges(this.memory, { toNode: conceptUuid }, { pageSize, cursor }));
+    }
+    const heads = await Promise.all(streams.map(async stream => ({ stream, next: await stream.next() })));
+    const page = [];
+    let last = null;
+    while (limit === undefined || page.length < limit) {
+      const live = heads.filter(head => !head.next.done);
+      if (live.length === 0) break;
+      const head = live.reduce((a, b) => (b.next.value.uuid < a.next.value.uuid ? b : a));
+      const edge = head.next.value;
+      head.next = await head.stream.next();
+      // A self-loop comes from both streams
+      if (edge.uuid === last) continue;
+      last = edge.uuid;
+      if (visible(edge)) page.push(edge);
+    }
+    await Promise.all(streams.map(stream => stream.return()));
+    return withNextCursor(page, nextCursor(page, limit));
+  }
+
+  /**
+   * The subgraph around a node: every node within `depth` hops and the
+   * edges followed to reach them. Tombstoned and invisible nodes and edges
+   * are skipped (and not walked through).
+   * 
+   * @param {string} uuid - Start node
+   * @param {Object} [options]
+   * @param {number} [options.depth=1] - Hops (1 to MAX_TRAVERSAL_DEPTH, see query/traversal.js)
+   * @param {string[]} [options.rels] - Only follow these relations (default: all)
+   * @param {'incoming'|'outgoing'|'both'} [options.direction='both'] - Edge direction to follow
+   * @param {number} [options.maxNodes=500] - Stop growing once this many nodes are reached
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
+   * @returns {Promise<Object|null>} { root, nodes, edges, depths, truncated } where depths maps
+   *   node UUID -> hops from root; null if the node is not found (or not visible)
+   */
+  async neighborhood(uuid, { depth = 1, rels = null, direction = 'both', maxNodes = 500, namespaces = null } = {}) {
+    validateTraversalOptions({ depth, rels, direction, maxNodes });
+    if (!(await this._traversable(uuid, namespaces))) return null;
+
+    const neighbors = this._traversalNeighbors({ rels, direction, namespaces });
+    const walk = await neighborhood(uuid, neighbors, { depth, maxNodes });
+    const nodes = await Promise.all([...walk.depths.keys()].map(id => this.memory.getNode(id)));
+    return {
+      root: uuid,
+      nodes,
+      edges: [...walk.edges.values()],
+      depths: Object.fromEntries(walk.depths),
+      truncated: walk.truncated
+    };
+  }
+
+  /**
+   * The strongest paths between two nodes ("how is X related to Y").
+   * 
+   * Paths are ranked by cost -ln(w * confidence) summed over their edges,
+   * i.e. by `strength`, the product of edge weights and confidences (ties:
+   * fewer hops first). Edges are followed in either direction by default.
+   * 
+   * @param {string} fromUuid
+   * @param {string} toUuid
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=3] - Longest path, in edges (up to MAX_TRAVERSAL_DEPTH)
+   * @param {string[]} [options.rels] - Only follow these relations (default: all)
+   * @param {'incoming'|'outgoing'|'both'} [options.direction='both'] - Edge direction to follow
+   * @param {number} [options.limit=3] - Paths to return
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
+   * @returns {Promise<Object|null>} { from, to, paths, nodes, edges, truncated }: each path is
+   *   { nodes, edges, cost, strength } with node and edge UUIDs in walk order, and nodes /
+   *   edges hold every node and edge on them; null if either end is not found (or not visible)
+   */
+  async paths(fromUuid, toUuid, { maxDepth = 3, rels = null, direction = 'both', limit = 3, namespaces = null } = {}) {
+    validateTraversalOptions({ maxDepth, rels, direction, limit });
+    if (!(await this._traversable(fromUuid, namespaces)) || !(await this._traversable(toUuid, namespaces))) {
+      return null;
+    }
+
+    const neighbors = this._traversalNeighbors({ rels, direction, namespaces });
+    const search = await cheapestPaths(fromUuid, toUuid, neighbors, { maxDepth, limit });
+    const edges = new Map(search.paths.flatMap(path => path.edges.map(edge => [edge.uuid, edge])));
+    const nodeUuids = [...new Set(search.paths.flatMap(path => path.nodes))];
+    return {
+      from: fromUuid,
+      to: toUuid,
+      paths: search.paths.map(path => ({
+        nodes: path.nodes,
+        edges: path.edges.map(edge => edge.uuid),
+        cost: path.cost,
+        strength: path.strength
+      })),
+      nodes: await Promise.all(nodeUuids.map(id => this.memory.getNode(id))),
+      edges: [...edges.values()],
+      truncated: search.truncated
+    };
+  }
+
+  /**
+   * Whether traversal may visit a node (exists, visible, not tombstoned).
+   * 
+   * @private
+   */
+  async _traversable(uuid, namespaces) {
+    const node = await this.memory.getNode(uuid);
+    return Boolean(node) && node.props?.status !== TOMBSTONED && this._isVisible(node, namespaces);
+  }
+
+  /**
+   * neighbors(uuid) callback for query/traversal.js: the node's usable
+   * edges with the node at the other end. Lookups are cached per walk.
+   * 
+   * @private
+   */
+  _traversalNeighbors({ rels, direction, namespaces }) {
+    const cache = new Map();
+    const traversable = new Map();
+    const usable = async (edge, other) => {
+      if (edge.props?.status === TOMBSTONED || !this._isVisible(edge, namespaces)) return false;
+      if (rels && !rels.includes(edge.rel)) return false;
+      if (!traversable.has(other)) traversable.set(other, await this._traversable(other, namespaces));
+      return traversable.get(other);
+    };
+    return async (uuid) => {
+      if (cache.has(uuid)) return cache.get(uuid);
+      const steps = [];
+      if (direction !== 'incoming') {
+        for (const edge of await this.memory.findEdges({ fromNode: uuid })) {
+          if (await usable(edge, edge.toNode)) steps.push({ edge, node: edge.toNode });
+        }
+      }
+      if (direction !== 'outgoing') {
+        for (const edge of await this.memory.findEdges({ toNode: uuid })) {
+          // Self-loops were already collected as outgoing
+          if (direction === 'both' && edge.fromNode === uuid) continue;
+          if (await usable(edge, edge.fromNode)) steps.push({ edge, node: edge.fromNode });
+        }
+      }
+      cache.set(uuid, steps);
+      return steps;
+    };
+  }
+
+  /**
+   * Run a graph pattern query (a Cypher-like subset, see query/pattern-query.js):
+   * 
+   *   MATCH (p:Procedure)-[:hasStep]->(s:Step {order: {gte: 2}})
+   *   WHERE p.label = $name
+   *   RETURN p, s.label AS step LIMIT 10
+   * 
+   * Works on any memory backend. Tombstoned and invisible nodes and edges
+   * never match. `plan` lists the steps the query ran with the rows each
+   * produced; a query starting with EXPLAIN is planned but not run (rows
+   * null).
+   * 
+   * @param {string} text - Query
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Values for $name parameters
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
+   * @param {number} [options.maxRows=1000] - Row cap for queries without LIMIT
+   * @param {number} [options.maxExpansions=100000] - Nodes scanned plus neighbor lists read
+   *   before the query gives up with the rows found so far (truncated: true)
+   * @returns {Promise<{columns: string[], rows: Object[]|null, plan: Object[], truncated: boolean}>}
+   *   Rows map column -> value: nodes as { uuid, kind, labels, props }, relations as
+   *   { uuid, fromNode, toNode, rel, props } (lists for variable-length ones)
    */
-  async getAssociations(conceptUuid, direction = 'both') {
-    const edges = await this._listEdges();
-    if (direction === 'incoming') {
-      return edges.filter(e => e.toNode === conceptUuid);
+  async query(text, { params = {}, namespaces = null, maxRows = 1000, maxExpansions = 100000 } = {}) {
+    if (!(Number.isInteger(maxRows) && maxRows > 0)) {
+      throw Object.assign(new Error('maxRows must be a positive integer'), { status: 400 });
+    }
+    if (!(Number.isInteger(maxExpansions) && maxExpansions > 0)) {
+      throw Object.assign(new Error('maxExpansions must be a positive integer'), { status: 400 });
     }
-    if (direction === 'outgoing') {
-      return edges.filter(e => e.fromNode === conceptUuid);
+    const ast = parseQuery(text, params);
+    const plan = planQuery(ast);
+    if (ast.explain) {
+      return { columns: plan.columns, rows: null, plan: describePlan(plan.steps), truncated: false };
     }
-    return edges.filter(e => e.fromNode === conceptUuid || e.toNode === conceptUuid);
+    return runQuery(plan, this._querySource(namespaces), { maxRows, maxExpansions });
+  }
+
+  /**
+   * QuerySource for query/pattern-query.js over this graph's memory.
+   * Lookups are cached per query.
+   * 
+   * @private
+   */
+  _querySource(namespaces) {
+    const nodes = new Map();
+    const values = new Map();
+    const walkers = new Map();
+    const scope = this._scope(namespaces);
+    const readable = node => Boolean(node) && node.props?.status !== TOMBSTONED && this._isVisible(node, namespaces);
+    const node = async (uuid) => {
+      if (!nodes.has(uuid)) {
+        const found = await this.memory.getNode(uuid);
+        nodes.set(uuid, readable(found) ? found : null);
+      }
+      return nodes.get(uuid);
+    };
+    const linked = async (filter, end) => {
+      const edges = await this.memory.findEdges({ ...filter, rel: 'instanceOf' });
+      return edges.filter(edge => edge.props?.status !== TOMBSTONED && this._isVisible(edge, namespaces))
+        .map(edge => edge[end]);
+    };
+
+    return {
+      node,
+      nodesByLabel: async (label) => {
+        const matches = await lookupLabel(this.memory, {
+          text: label,
+          limit: Number.MAX_SAFE_INTEGER,
+          filters: { excludeStatus: [TOMBSTONED], ...(scope ? { namespaces: scope } : {}) }
+        });
+        return (await Promise.all(matches.map(match => node(match.uuid)))).filter(Boolean);
+      },
+      instancesOf: async (prototypeUuids) => {
+        const uuids = new Set();
+        for (const prototypeUuid of prototypeUuids) {
+          for (const uuid of await linked({ toNode: prototypeUuid }, 'fromNode')) uuids.add(uuid);
+        }
+        return (await Promise.all([...uuids].map(node))).filter(Boolean);
+      },
+      scanNodes: () => iterateNodes(this.memory, { excludeStatus: [TOMBSTONED], ...(scope ? { namespaces: scope } : {}) }),
+      neighbors: (uuid, direction) => {
+        if (!walkers.has(direction)) walkers.set(direction, this._traversalNeighbors({ rels: null, direction, namespaces }));
+        return walkers.get(direction)(uuid);
+      },
+      values: async (found) => {
+        if (!values.has(found.uuid)) values.set(found.uuid, await this._whereValues(found));
+        return values.get(found.uuid);
+      },
+      prototypes: async (name) => {
+        const prototypeUuid = await this.findPrototype(name, { namespaces });
+        if (!prototypeUuid) {
+          throw Object.assign(new Error(`Prototype not found: ${name}`), { status: 404 });
+        }
+        return this.getSubtypes(prototypeUuid);
+      },
+      instanceOf: uuid => linked({ fromNode: uuid }, 'toNode')
+    };
+  }
+
+  /**
+   * Delete a node and its incident edges.
+   *
+   * - hard: removes the node and every edge touching it from memory
+   * - soft: keeps them but marks status 'tombstoned' (hidden from search,
+   *   associations and snapshots); the prior status is kept in
+   *   props.statusBeforeDelete
+   *
+   * With cascade, dependent nodes are deleted the same way: the document
+   * node (has_document), its tag nodes (has_tag) and value nodes (has_value)
+   * written by createNodeWithDocument / createConceptWithProperties.
+   * Shared property nodes are never cascaded. All writes roll back together
+   * on failure.
+   *
+   * @param {string} nodeUuid - Node UUID
+   * @param {Object} [options]
+   * @param {'hard'|'soft'} [options.mode='hard'] - Delete mode
+   * @param {boolean} [options.cascade=false] - Also delete dependent nodes
+   * @param {Provenance} [options.provenance] - Provenance for soft deletes
+   * @returns {Promise<Object|null>} { mode, nodes, edges } UUIDs deleted, or null if not found
+   *   (or outside this view's namespaces)
+   */
+  async deleteNode(nodeUuid, { mode = 'hard', cascade = false, provenance = null } = {}) {
+    if (mode !== 'hard' && mode !== 'soft') {
+      throw new Error(`Unsupported delete mode: ${mode}`);
+    }
+    if (!this._inTransaction) {
+      return this.transaction(tx => tx.deleteNode(nodeUuid, { mode, cascade, provenance }));
+    }
+    const root = await this.memory.getNode(nodeUuid);
+    if (!root || !this._isVisible(root)) return null;
+
+    const prov = provenance || new Provenance({
+      source: 'user',
+      ts: new Date().toISOString(),
+      confidence: 1.0,
+      traceId: 'knowshowgo'
+    });
+
+    const targets = [root];
+    if (cascade) {
+      targets.push(...await this._collectDependents(nodeUuid));
+    }
+
+    const deletedNodes = [];
+    const deletedEdges = new Set();
+    for (const node of targets) {
+      const incident = [
+        ...await this.memory.findEdges({ fromNode: node.uuid }),
+        ...await this.memory.findEdges({ toNode: node.uuid })
+      ];
+      for (const edge of incident) {
+        if (deletedEdges.has(edge.uuid)) continue;
+        deletedEdges.add(edge.uuid);
+        await this._deleteEdgeItem(edge, mode, prov);
+      }
+
+      if (mode === 'hard') {
+        await this.memory.deleteNode(node.uuid);
+      } else {
+        await this.memory.upsert(tombstoneOf(node), prov, { embeddingRequest: false });
+      }
+      deletedNodes.push(node.uuid);
+    }
+
+    return { mode, nodes: deletedNodes, edges: [...deletedEdges] };
+  }
+
+  /**
+   * Delete an association (edge).
+   *
+   * @param {string} edgeUuid - Edge UUID
+   * @param {Object} [options]
+   * @param {'hard'|'soft'} [options.mode='hard'] - Remove, or mark status 'tombstoned'
+   * @param {Provenance} [options.provenance] - Provenance for soft deletes
+   * @returns {Promise<boolean>} Whether the edge existed
+   */
+  async deleteAssociation(edgeUuid, { mode = 'hard', provenance = null } = {}) {
+    if (mode !== 'hard' && mode !== 'soft') {
+      throw new Error(`Unsupported delete mode: ${mode}`);
+    }
+    const edge = await this.memory.getEdge(edgeUuid);
+    if (!edge || !this._isVisible(edge)) return false;
+
+    const prov = provenance || new Provenance({
+      source: 'user',
+      ts: new Date().toISOString(),
+      confidence: 1.0,
+      traceId: 'knowshowgo'
+    });
+    await this._deleteEdgeItem(edge, mode, prov);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async _deleteEdgeItem(edge, mode, prov) {
+    if (mode === 'hard') {
+      await this.memory.deleteEdge(edge.uuid);
+      return;
+    }
+    await this.memory.upsert(tombstoneOf(edge), prov, { embeddingRequest: false });
+  }
+
+  /**
+   * Nodes owned by a node: its document, the document's tags, and its values.
+   *
+   * @private
+   */
+  async _collectDependents(nodeUuid) {
+    const dependents = [];
+    const outgoing = await this.memory.findEdges({ fromNode: nodeUuid });
+    for (const edge of outgoing) {
+      if (edge.rel !== 'has_document' && edge.rel !== 'has_value') continue;
+      const target = await this.memory.getNode(edge.toNode);
+      if (!target) continue;
+
+      if (edge.rel === 'has_document' && target.props?.isDocument) {
+        dependents.push(target);
+        const tagEdges = await this.memory.findEdges({ fromNode: target.uuid, rel: 'has_tag' });
+        for (const tagEdge of tagEdges) {
+          const tag = await this.memory.getNode(tagEdge.toNode);
+          if (tag?.props?.isTag) dependents.push(tag);
+        }
+      } else if (edge.rel === 'has_value' && target.props?.isValue) {
+        dependents.push(target);
+      }
+    }
+    return dependents;
   }
 
   /**
@@ -447,6 +1590,7 @@ export class KnowShowGo {
    * @param {string} [params.description] - Property description
    * @param {number[]} [params.embedding] - Vector embedding
    * @param {Provenance} [params.provenance] - Provenance info
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<string>} Property node UUID
    */
   async createProperty({
@@ -455,7 +1599,8 @@ export class KnowShowGo {
     required = false,
     description = null,
     embedding = null,
-    provenance = null
+    provenance = null,
+    namespace = this.namespace
   }) {
     const prov = provenance || new Provenance({
       source: 'user',
@@ -478,7 +1623,8 @@ export class KnowShowGo {
         required: required,
         description: description || `Property: ${name}`,
         status: 'active',
-        namespace: 'public'
+        namespace,
+        ...this.embeddingProps(embedding)
       },
       llmEmbedding: embedding
     });
@@ -497,13 +1643,15 @@ export class KnowShowGo {
    * @param {string} params.valueType - Value type
    * @param {number[]} [params.embedding] - Vector embedding
    * @param {Provenance} [params.provenance] - Provenance info
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<string>} Value node UUID
    */
   async createValueNode({
     value,
     valueType,
     embedding = null,
-    provenance = null
+    provenance = null,
+    namespace = this.namespace
   }) {
     const prov = provenance || new Provenance({
       source: 'user',
@@ -528,7 +1676,8 @@ export class KnowShowGo {
         valueType: normalizedType,
         literalValue: normalizedValue, // JSON-friendly normalized value
         status: 'active',
-        namespace: 'public'
+        namespace,
+        ...this.embeddingProps(embedding)
       },
       llmEmbedding: embedding
     });
@@ -547,14 +1696,22 @@ export class KnowShowGo {
    * @param {Object} params.properties - Property name -> value mapping
    * @param {number[]} params.embedding - Concept embedding
    * @param {Provenance} [params.provenance] - Provenance info
-   * @returns {Promise<string>} Concept UUID
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
+   * @returns {Promise<string>} Concept UUID (all writes roll back together on failure)
    */
   async createConceptWithProperties({
     prototypeUuid,
     properties,
     embedding,
-    provenance = null
+    provenance = null,
+    namespace = this.namespace
   }) {
+    if (!this._inTransaction) {
+      return this.transaction(tx => tx.createConceptWithProperties({
+        prototypeUuid, properties, embedding, provenance, namespace
+      }));
+    }
+
     const prov = provenance || new Provenance({
       source: 'user',
       ts: new Date().toISOString(),
@@ -572,12 +1729,14 @@ export class KnowShowGo {
         isPrototype: false,
         isConcept: true,
         status: 'active',
-        namespace: 'public'
+        namespace,
+        ...this.embeddingProps(embedding)
       },
       llmEmbedding: embedding
     });
 
     await this.memory.upsert(concept, prov, { embeddingRequest: true });
+    this._emit('concept.created', { item: concept, provenance: prov });
 
     // Create instanceOf association
     await this.addAssociation({
@@ -585,25 +1744,28 @@ export class KnowShowGo {
       toConceptUuid: prototypeUuid,
       relationType: 'instanceOf',
       strength: 1.0,
-      provenance: prov
+      provenance: prov,
+      namespace
     });
 
-    // For each property, create property node, value node, and associations
-    for (const [propName, propValue] of Object.entries(properties)) {
-      if (propName === 'name' || propName === 'label') {
-        continue; // Already used for concept label
-      }
+    // name/label are already used for the concept label
+    const entries = Object.entries(properties)
+      .filter(([propName]) => propName !== 'name' && propName !== 'label');
+    const valueEmbeddings = await this.embedMany(entries.map(([, propValue]) => String(propValue)));
 
+    // For each property, create property node, value node, and associations
+    for (const [i, [propName, propValue]] of entries.entries()) {
       // Get or create property node
-      const propNode = await this.getOrCreateProperty(propName, typeof propValue);
+      const propNode = await this.getOrCreateProperty(propName, typeof propValue, { namespace });
       const valueType = propNode.props?.valueType || this._inferValueType(propValue);
 
       // Create value node
       const valueUuid = await this.createValueNode({
         value: propValue,
         valueType: valueType,
-        embedding: await this.embedFn(String(propValue)),
-        provenance: prov
+        embedding: valueEmbeddings[i],
+        provenance: prov,
+        namespace
       });
 
       // Concept --[has_prop]--> Property
@@ -613,6 +1775,7 @@ export class KnowShowGo {
         relationType: 'has_prop',
         strength: 1.0,
         provenance: prov,
+        namespace,
         props: {
           propertyName: propName
         }
@@ -624,7 +1787,8 @@ export class KnowShowGo {
         toConceptUuid: valueUuid,
         relationType: 'has_value',
         strength: 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
 
       // Concept --[has_value]--> Value (for quick access, with property name in props)
@@ -634,6 +1798,7 @@ export class KnowShowGo {
         relationType: 'has_value',
         strength: 1.0,
         provenance: prov,
+        namespace,
         props: {
           propertyName: propName
         }
@@ -644,20 +1809,21 @@ export class KnowShowGo {
   }
 
   /**
-   * Get or create a property node.
+   * Get or create a property node (looked up in `namespace` and 'public').
    * 
    * @private
    */
-  async getOrCreateProperty(propName, valueType = 'string') {
-    // Search for existing property
-    const results = await this.searchConcepts({
-      query: `property ${propName}`,
-      topK: 1,
-      prototypeFilter: null
+  async getOrCreateProperty(propName, valueType = 'string', { namespace = this.namespace } = {}) {
+    // Only reuse a property with this exact name (a near match has another meaning)
+    const matches = await this.lookupByLabel(propName, {
+      kind: 'topic',
+      props: { isProperty: true },
+      synonyms: false,
+      namespaces: [namespace]
     });
-
-    if (results.length > 0 && results[0].props?.isProperty) {
-      const existing = await this.getConcept(results[0].uuid);
+    const match = matches.find(candidate => candidate.props.label === propName);
+    if (match) {
+      const existing = await this.memory.getNode(match.uuid);
       if (existing) return existing;
     }
 
@@ -665,9 +1831,10 @@ export class KnowShowGo {
     const createdUuid = await this.createProperty({
       name: propName,
       valueType: valueType,
-      embedding: await this.embedFn(`property ${propName} ${valueType}`)
+      embedding: await this.embedFn(`property ${propName} ${valueType}`),
+      namespace
     });
-    const created = await this.getConcept(createdUuid);
+    const created = await this.memory.getNode(createdUuid);
     if (!created) {
       throw new Error(`Failed to load created property node: ${createdUuid}`);
     }
@@ -691,12 +1858,8 @@ export class KnowShowGo {
     }
 
     // Find direct "has_value" associations with propertyName in props
-    const edges = await this._listEdges();
-    const hasValueEdges = edges.filter(e => 
-      e.fromNode === conceptUuid && 
-      e.rel === 'has_value' &&
-      e.props?.propertyName
-    );
+    const edges = await this.memory.findEdges({ fromNode: conceptUuid, rel: 'has_value' });
+    const hasValueEdges = edges.filter(e => e.props?.propertyName);
 
     const properties = {};
     for (const edge of hasValueEdges) {
@@ -725,7 +1888,8 @@ export class KnowShowGo {
    * @param {Array} [params.associations] - Associations to other nodes
    * @param {string} [params.prototypeUuid] - Prototype UUID (if creating concept)
    * @param {Provenance} [params.provenance] - Provenance info
-   * @returns {Promise<string>} Node UUID
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
+   * @returns {Promise<string>} Node UUID (all writes roll back together on failure)
    */
   async createNodeWithDocument({
     label,
@@ -734,8 +1898,15 @@ export class KnowShowGo {
     metadata = {},
     associations = [],
     prototypeUuid = null,
-    provenance = null
+    provenance = null,
+    namespace = this.namespace
   }) {
+    if (!this._inTransaction) {
+      return this.transaction(tx => tx.createNodeWithDocument({
+        label, summary, tags, metadata, associations, prototypeUuid, provenance, namespace
+      }));
+    }
+
     const prov = provenance || new Provenance({
       source: 'user',
       ts: new Date().toISOString(),
@@ -745,8 +1916,9 @@ export class KnowShowGo {
 
     // 1. Create tag nodes from text
     const tagNodes = [];
-    for (const tagText of tags) {
-      const tagEmbedding = await this.embedFn(tagText);
+    const tagEmbeddings = await this.embedMany(tags);
+    for (const [i, tagText] of tags.entries()) {
+      const tagEmbedding = tagEmbeddings[i];
       const tagNode = new Node({
         kind: 'topic',
         labels: [tagText],
@@ -755,7 +1927,8 @@ export class KnowShowGo {
           isTag: true,
           text: tagText,
           status: 'active',
-          namespace: 'public'
+          namespace,
+          ...this.embeddingProps(tagEmbedding)
         },
         llmEmbedding: tagEmbedding
       });
@@ -773,7 +1946,7 @@ export class KnowShowGo {
         isConcept: prototypeUuid !== null,
         isPrototype: prototypeUuid === null && metadata.isPrototype === true,
         status: 'active',
-        namespace: 'public',
+        namespace,
         ...metadata
       },
       llmEmbedding: null  // Will be computed as mean of related text
@@ -787,7 +1960,8 @@ export class KnowShowGo {
         toConceptUuid: prototypeUuid,
         relationType: 'instanceOf',
         strength: 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
     }
 
@@ -811,7 +1985,7 @@ export class KnowShowGo {
           weight: a.weight || a.w || 1.0
         })),
         status: 'active',
-        namespace: 'public'
+        namespace
       },
       llmEmbedding: null  // Will be computed from tags
     });
@@ -823,7 +1997,8 @@ export class KnowShowGo {
       toConceptUuid: docNode.uuid,
       relationType: 'has_document',
       strength: 1.0,
-      provenance: prov
+      provenance: prov,
+      namespace
     });
 
     // 6. Link document to tags
@@ -833,7 +2008,8 @@ export class KnowShowGo {
         toConceptUuid: tagNode.uuid,
         relationType: 'has_tag',
         strength: 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
     }
 
@@ -844,7 +2020,8 @@ export class KnowShowGo {
         toConceptUuid: assoc.targetUuid || assoc.toNode,
         relationType: assoc.relationType || assoc.rel,
         strength: assoc.weight || assoc.w || 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
     }
 
@@ -852,6 +2029,7 @@ export class KnowShowGo {
     const meanEmbedding = await this.computeNodeEmbedding(node.uuid);
     if (meanEmbedding) {
       node.llmEmbedding = meanEmbedding;
+      Object.assign(node.props, this.embeddingProps(meanEmbedding));
       await this.memory.upsert(node, prov, { embeddingRequest: false });
     }
 
@@ -864,6 +2042,7 @@ export class KnowShowGo {
       if (tagEmbeddings.length > 0) {
         const docMeanEmbedding = this._meanEmbedding(tagEmbeddings);
         docNode.llmEmbedding = docMeanEmbedding;
+        Object.assign(docNode.props, this.embeddingProps(docMeanEmbedding));
         await this.memory.upsert(docNode, prov, { embeddingRequest: false });
       }
     }
@@ -886,34 +2065,25 @@ export class KnowShowGo {
   async computeNodeEmbedding(nodeUuid) {
     const tagEmbeddings = [];
 
-    // 1. Get all edges connected to this node
-    const edges = await this._listEdges();
-    
-    // 2. Find all tag nodes linked via edges (both incoming and outgoing)
+    // 1-2. Find all tag nodes linked via edges (both incoming and outgoing)
     const connectedNodes = new Set();
     
     // Outgoing edges: node -> tag
-    for (const edge of edges) {
-      if (edge.fromNode === nodeUuid) {
-        connectedNodes.add(edge.toNode);
-      }
+    for (const edge of await this.memory.findEdges({ fromNode: nodeUuid })) {
+      connectedNodes.add(edge.toNode);
     }
     
     // Incoming edges: tag -> node
-    for (const edge of edges) {
-      if (edge.toNode === nodeUuid) {
-        connectedNodes.add(edge.fromNode);
-      }
+    for (const edge of await this.memory.findEdges({ toNode: nodeUuid })) {
+      connectedNodes.add(edge.fromNode);
     }
     
     // 3. Also check document node if it exists
     const docNode = await this._getDocumentNode(nodeUuid);
     if (docNode) {
       // Get edges from document to tags
-      for (const edge of edges) {
-        if (edge.fromNode === docNode.uuid) {
-          connectedNodes.add(edge.toNode);
-        }
+      for (const edge of await this.memory.findEdges({ fromNode: docNode.uuid })) {
+        connectedNodes.add(edge.toNode);
       }
     }
 
@@ -954,6 +2124,53 @@ export class KnowShowGo {
     return this._meanEmbedding(tagEmbeddings);
   }
 
+  /**
+   * Embed several texts, in order (see embeddings/batch.js).
+   * 
+   * Uses embedManyFn in chunks of embedBatchSize when available, otherwise
+   * embedFn per text; at most embedConcurrency calls run at once and
+   * duplicate texts are embedded once.
+   * 
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embedMany(texts) {
+    const vectors = await embedBatched(texts, {
+      embedFn: this.embedFn,
+      embedManyFn: this.embedManyFn,
+      batchSize: this.embedBatchSize,
+      concurrency: this.embedConcurrency
+    });
+    vectors.forEach(vector => this._markOwnVector(vector));
+    return vectors;
+  }
+
+  /**
+   * Node props recording the embedding's dimension and which provider and
+   * model produced it (empty without an embedding). Spread into the props of
+   * any node written with an embedding.
+   *
+   * Only vectors from this instance's embedFn / embedMany (or means of them)
+   * are stamped with its provider and model; a caller-supplied vector gets
+   * embeddingProvider 'external', since nothing says which model made it.
+   * Without an embeddingProvider, own vectors carry just the dimension.
+   * 
+   * @param {number[]|null} embedding
+   * @returns {{embeddingDimension?: number, embeddingProvider?: string, embeddingModel?: string}}
+   */
+  embeddingProps(embedding) {
+    if (!embedding) return {};
+    if (!this._ownVectors.has(embedding)) {
+      return { embeddingProvider: EXTERNAL_EMBEDDING, embeddingDimension: embedding.length };
+    }
+    if (!this.embeddingProvider) return { embeddingDimension: embedding.length };
+    return {
+      embeddingProvider: this.embeddingProvider.name,
+      embeddingModel: this.embeddingProvider.model,
+      embeddingDimension: embedding.length
+    };
+  }
+
   /**
    * Compute mean of embeddings.
    * 
@@ -961,7 +2178,8 @@ export class KnowShowGo {
    */
   _meanEmbedding(embeddings) {
     if (embeddings.length === 0) return null;
-    if (embeddings.length === 1) return embeddings[0];
+    // Means are derived from tag vectors this instance embedded
+    if (embeddings.length === 1) return this._markOwnVector([...embeddings[0]]);
 
     const dim = embeddings[0].length;
     const mean = new Array(dim).fill(0);
@@ -977,7 +2195,7 @@ export class KnowShowGo {
       mean[i] /= embeddings.length;
     }
 
-    return mean;
+    return this._markOwnVector(mean);
   }
 
   /**
@@ -986,11 +2204,7 @@ export class KnowShowGo {
    * @private
    */
   async _getDocumentNode(conceptUuid) {
-    const edges = await this._listEdges();
-    const docEdge = edges.find(e =>
-      e.fromNode === conceptUuid &&
-      e.rel === 'has_document'
-    );
+    const [docEdge] = await this.memory.findEdges({ fromNode: conceptUuid, rel: 'has_document' });
 
     if (docEdge) {
       return await this.getConcept(docEdge.toNode);
@@ -1011,6 +2225,7 @@ export class KnowShowGo {
       const node = await this.getConcept(nodeUuid);
       if (node) {
         node.llmEmbedding = newEmbedding;
+        Object.assign(node.props, this.embeddingProps(newEmbedding));
         const prov = new Provenance({
           source: 'system',
           ts: new Date().toISOString(),
@@ -1037,9 +2252,10 @@ export class KnowShowGo {
    * @param {*} params.object - Value (string, number, or JSON)
    * @param {number} [params.truth=1.0] - How true is this? [0,1]
    * @param {string} [params.source='user'] - Where this came from
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
    * @returns {Promise<Object>} Created assertion
    */
-  async createAssertion({ subject, predicate, object, truth = 1.0, source = 'user' }) {
+  async createAssertion({ subject, predicate, object, truth = 1.0, source = 'user', namespace = this.namespace }) {
     if (!subject) throw new Error('subject is required');
     if (!predicate) throw new Error('predicate is required');
     if (object === undefined) throw new Error('object is required');
@@ -1054,11 +2270,13 @@ export class KnowShowGo {
       object,
       truth,
       source,
+      namespace,
       createdAt: new Date().toISOString()
     };
 
     // Store in memory as a special node type
     const node = new Node({
+      uuid: assertion.uuid,
       kind: 'assertion',
       labels: [`assertion:${subject}:${predicate}`],
       props: assertion,
@@ -1073,62 +2291,69 @@ export class KnowShowGo {
     });
 
     await this.memory.upsert(node, prov, { embeddingRequest: false });
+    this._emit('assertion.created', { item: assertion, provenance: prov });
     return assertion;
   }
 
   /**
-   * Get assertions matching filters.
+   * Get assertions matching filters (tombstoned assertions are skipped).
    * 
    * @param {Object} [filters={}]
    * @param {string} [filters.subject] - Filter by subject UUID
    * @param {string} [filters.predicate] - Filter by predicate name
    * @param {*} [filters.object] - Filter by object value
-   * @returns {Promise<Array>} Matching assertions
+   * @param {string[]} [filters.namespaces] - Readable namespaces (default: this view's scope)
+   * @param {number} [filters.limit] - Page size (pages are ordered by assertion uuid)
+   * @param {string} [filters.cursor] - nextCursor of the previous page
+   * @returns {Promise<Array>} Matching assertions; `nextCursor` is set on the array when
+   *   another page is available
    */
   async getAssertions(filters = {}) {
-    const allNodes = await this._getAllNodes();
-    
-    return allNodes
-      .filter(n => n.kind === 'assertion')
-      .map(n => n.props)
-      .filter(a => {
-        if (filters.subject && a.subject !== filters.subject) return false;
-        if (filters.predicate && a.predicate !== filters.predicate) return false;
-        if (filters.object !== undefined && a.object !== filters.object) return false;
-        return true;
-      });
+    // Every filter is pushed down to the backend, so pages come back full
+    const props = {};
+    if (filters.subject) props.subject = filters.subject;
+    if (filters.predicate) props.predicate = filters.predicate;
+    if (filters.object !== undefined) props.object = filters.object;
+    const scope = this._scope(filters.namespaces);
+    const nodes = await this.memory.listNodes({
+      kind: 'assertion',
+      props,
+      excludeStatus: [TOMBSTONED],
+      ...(scope && { namespaces: scope }),
+      limit: filters.limit,
+      cursor: filters.cursor
+    });
+
+    return withNextCursor(nodes.map(n => n.props), nextCursor(nodes, filters.limit));
   }
 
   /**
-   * Get all nodes from memory (helper).
+   * Iterate over nodes page by page instead of loading them all (helper).
    * @private
+   * @param {Object} [filters] - NodeFilters for memory.listNodes ({ kind, label, props, namespaces, ... })
    */
-  async _getAllNodes() {
-    const nodes = this.memory?.nodes;
-    if (!nodes) return [];
-
-    if (nodes instanceof Map) {
-      return Array.from(nodes.values());
-    }
-
-    if (typeof nodes.values === 'function') {
-      const out = nodes.values();
-      return Array.isArray(out) ? out : await out;
-    }
-
-    return [];
+  _iterateNodes(filters = {}) {
+    return iterateNodes(this.memory, filters);
   }
 
   /**
    * Get snapshot (resolved values) for an entity.
    * 
    * KISS: Highest truth wins. Ties: most recent.
+   * A tombstoned entity resolves to an empty snapshot.
    * 
    * @param {string} entityUuid - Entity UUID
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
    * @returns {Promise<Object>} Resolved property values
    */
-  async snapshot(entityUuid) {
-    const assertions = await this.getAssertions({ subject: entityUuid });
+  async snapshot(entityUuid, { namespaces = null } = {}) {
+    const entity = await this.memory.getNode(entityUuid);
+    if (entity?.props?.status === TOMBSTONED) {
+      return {};
+    }
+
+    const assertions = await this.getAssertions({ subject: entityUuid, namespaces });
     
     // Group by predicate
     const byPredicate = {};
@@ -1156,10 +2381,12 @@ export class KnowShowGo {
    * 
    * @param {string} entityUuid - Entity UUID
    * @param {string} [predicate] - Optional filter by predicate
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Readable namespaces (default: this view's scope)
    * @returns {Promise<Array>} All assertions with scores
    */
-  async evidence(entityUuid, predicate = null) {
-    const filters = { subject: entityUuid };
+  async evidence(entityUuid, predicate = null, { namespaces = null } = {}) {
+    const filters = { subject: entityUuid, namespaces };
     if (predicate) {
       filters.predicate = predicate;
     }
@@ -1200,9 +2427,20 @@ export class KnowShowGo {
    * @param {string} [params.status='verified'] - verified|refuted|unverified
    * @param {number} [params.confidence=1.0] - Confidence [0,1]
    * @param {Object} [params.source] - Provenance source
+   * @param {string} [params.namespace] - Namespace to write to (default: this.namespace)
+   * @param {number[]} [params.embedding] - Precomputed embedding of "subject predicate object"
    * @returns {Promise<Object>} Stored fact
    */
-  async storeFact({ subject, predicate, object, status = 'verified', confidence = 1.0, source = null }) {
+  async storeFact({
+    subject,
+    predicate,
+    object,
+    status = 'verified',
+    confidence = 1.0,
+    source = null,
+    namespace = this.namespace,
+    embedding = null
+  }) {
     // Normalize to lowercase for matching
     const normSubject = subject.toLowerCase().trim();
     const normPredicate = predicate.toLowerCase().trim();
@@ -1223,12 +2461,13 @@ export class KnowShowGo {
         source: source || { type: 'user' }
       }),
       truth: confidence,
-      source: 'verification'
+      source: 'verification',
+      namespace
     });
     
     // Also create searchable embedding for semantic matching
     const factText = `${subject} ${predicate} ${object}`;
-    const embedding = await this.embedFn(factText);
+    embedding = embedding || await this.embedFn(factText);
     
     const factNode = new Node({
       kind: 'fact',
@@ -1241,7 +2480,9 @@ export class KnowShowGo {
         confidence,
         source: source || { type: 'user' },
         assertionId: assertion.uuid,
-        rawText: factText
+        rawText: factText,
+        namespace,
+        ...this.embeddingProps(embedding)
       },
       llmEmbedding: embedding
     });
@@ -1254,6 +2495,7 @@ export class KnowShowGo {
     });
     
     await this.memory.upsert(factNode, prov, { embeddingRequest: false });
+    this._emit('fact.stored', { item: factNode, provenance: prov });
     
     return {
       uuid: factNode.uuid,
@@ -1262,27 +2504,52 @@ export class KnowShowGo {
       predicate: normPredicate,
       object: normObject,
       status,
-      confidence
+      confidence,
+      namespace
     };
   }
 
+  /**
+   * Store several facts, embedding their texts in batches (see embedMany).
+   * 
+   * @param {Object[]} facts - storeFact params (namespace defaults to options.namespace)
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Namespace to write to (default: this.namespace)
+   * @returns {Promise<Object[]>} Stored facts, in input order
+   */
+  async storeFacts(facts, { namespace = this.namespace } = {}) {
+    const embeddings = await this.embedMany(facts.map(f => `${f.subject} ${f.predicate} ${f.object}`));
+    const stored = [];
+    for (const [i, fact] of facts.entries()) {
+      stored.push(await this.storeFact({ namespace, ...fact, embedding: embeddings[i] }));
+    }
+    return stored;
+  }
+
   /**
    * Verify a claim against stored facts.
    * 
    * @param {string} claim - Natural language claim to verify
    * @param {Object} [options]
    * @param {number} [options.threshold=0.7] - Similarity threshold
+   * @param {boolean} [options.exact=false] - Bypass the backend's approximate vector index
+   * @param {string[]} [options.namespaces] - Namespaces whose facts count ('public' is always
+   *   included; default: this view's scope)
    * @returns {Promise<Object>} Verification result
    */
-  async verify(claim, { threshold = 0.7 } = {}) {
+  async verify(claim, { threshold = 0.7, exact = false, namespaces = null } = {}) {
     const claimLower = claim.toLowerCase().trim();
     const claimEmbedding = await this.embedFn(claim);
+    const scope = this._scope(namespaces);
+    const factFilters = {
+      kind: 'fact',
+      excludeStatus: [TOMBSTONED],
+      ...(scope ? { namespaces: scope } : {})
+    };
     
-    // Get all fact nodes
-    const allNodes = await this._getAllNodes();
-    const factNodes = allNodes.filter(n => n.kind === 'fact');
+    const [anyFact] = await this.memory.listNodes({ ...factFilters, limit: 1 });
     
-    if (factNodes.length === 0) {
+    if (!anyFact) {
       return {
         status: 'unverified',
         confidence: 0,
@@ -1293,18 +2560,21 @@ export class KnowShowGo {
       };
     }
     
-    // Find best matching fact by embedding similarity
+    // Find best matching fact by embedding similarity (vector index backed)
     let bestMatch = null;
     let bestSimilarity = 0;
     
-    for (const fact of factNodes) {
-      if (!fact.llmEmbedding) continue;
-      
-      const similarity = this._cosineSimilarity(claimEmbedding, fact.llmEmbedding);
-      if (similarity > bestSimilarity) {
-        bestSimilarity = similarity;
-        bestMatch = fact;
-      }
+    const [nearest] = await this.memory.search({
+      query: claim,
+      topK: 1,
+      filters: factFilters,
+      queryEmbedding: claimEmbedding,
+      mode: 'vector',
+      exact
+    });
+    if (nearest && nearest.similarity > 0) {
+      bestSimilarity = nearest.similarity;
+      bestMatch = nearest;
     }
     
     // No good match
@@ -1322,7 +2592,7 @@ export class KnowShowGo {
     const matchedFact = bestMatch.props;
     
     // Check for contradiction (different subject/object for same relation)
-    const possibleContradiction = await this._findContradiction(claimLower, matchedFact, factNodes);
+    const possibleContradiction = await this._findContradiction(claimLower, matchedFact, factFilters);
     
     if (possibleContradiction) {
       return {
@@ -1388,7 +2658,7 @@ export class KnowShowGo {
    * Find if claim contradicts a known fact.
    * @private
    */
-  async _findContradiction(claimLower, matchedFact, factNodes) {
+  async _findContradiction(claimLower, matchedFact, factFilters) {
     const { subject, predicate, object } = matchedFact;
     
     // Heuristic 1: Claim mentions predicate but DIFFERENT subject
@@ -1397,10 +2667,8 @@ export class KnowShowGo {
       if (!claimLower.includes(subject)) {
         // Claims same predicate+object but different subject
         // Check if there's a known fact with this predicate+object
-        for (const fact of factNodes) {
-          if (fact.props.predicate === predicate && 
-              fact.props.object === object &&
-              claimLower.includes(fact.props.subject)) {
+        for await (const fact of this._iterateNodes({ ...factFilters, props: { predicate, object } })) {
+          if (claimLower.includes(fact.props.subject)) {
             // Claim mentions a different subject - not a contradiction
             return null;
           }
@@ -1443,17 +2711,18 @@ export class KnowShowGo {
    * @returns {Promise<Object>}
    */
   async getFactStats() {
-    const allNodes = await this._getAllNodes();
-    const facts = allNodes.filter(n => n.kind === 'fact');
+    const filters = this.readNamespaces ? { kind: 'fact', namespaces: this.readNamespaces } : { kind: 'fact' };
     
+    let total = 0;
     const byStatus = { verified: 0, refuted: 0, unverified: 0 };
-    for (const f of facts) {
+    for await (const f of this._iterateNodes(filters)) {
       const status = f.props?.status || 'unverified';
       byStatus[status] = (byStatus[status] || 0) + 1;
+      total += 1;
     }
     
     return {
-      total: facts.length,
+      total,
       byStatus
     };
   }
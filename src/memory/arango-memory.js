@@ -1,13 +1,97 @@
 /**
  * ArangoDB Memory Backend for KnowShowGo
  * 
- * Stores nodes and edges in ArangoDB graph database.
+ * Stores nodes and edges in ArangoDB graph database. Every non-edge item
+ * (topics, assertions, facts, values, tags, documents) lives in `nodes` with a
+ * `nodeType` discriminator; only Edges go to `edges`.
  */
 
+import { EventEmitter } from 'events';
 import { aql, Database } from 'arangojs';
+import { join, literal } from 'arangojs/aql.js';
+import { Edge, PUBLIC_NAMESPACE } from '../models.js';
+import { emitChange, decodeCursor, nodeMatches } from './memory-tools.js';
+import { SEARCH_FIELDS, fuseRankings, rankingOf } from './lexical-index.js';
+import { LABEL_FIELDS, normalizeLabel, nodeLabels, defaultMaxDistance } from './label-index.js';
+import { tokenize } from '../embeddings/hashed-ngram.js';
 
-export class ArangoMemory {
+/**
+ * Node-type discriminator stored on every document in the nodes collection,
+ * so assertions, facts, values, tags and documents can be indexed and
+ * queried apart from ordinary topics.
+ *
+ * @param {Object} node
+ * @returns {'assertion'|'fact'|'value'|'tag'|'document'|'property'|'prototype'|'topic'}
+ */
+export function nodeTypeOf(node) {
+  if (node.kind === 'assertion' || node.kind === 'fact') return node.kind;
+  const props = node.props || {};
+  if (props.isValue) return 'value';
+  if (props.isTag) return 'tag';
+  if (props.isDocument) return 'document';
+  if (props.isProperty) return 'property';
+  if (props.isPrototype) return 'prototype';
+  return 'topic';
+}
+
+/**
+ * Folded names stored on every node document (normLabels), so label
+ * lookups can use an index instead of folding every name in AQL.
+ *
+ * @param {Object} node
+ * @returns {string[]}
+ */
+function normLabelsOf(node) {
+  return [...new Set(nodeLabels(node).map(normalizeLabel).filter(Boolean))];
+}
+
+/**
+ * Whether an item is an edge (routed to the edges collection).
+ *
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function isEdge(item) {
+  return item instanceof Edge || (item.fromNode !== undefined && item.toNode !== undefined);
+}
+
+/**
+ * Whether an arangojs error means the document does not exist (errorNum
+ * 1202, ERROR_ARANGO_DOCUMENT_NOT_FOUND, sent with HTTP 404).
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isDocumentNotFound(err) {
+  return err?.errorNum === 1202 || err?.code === 404;
+}
+
+/**
+ * Emits MEMORY_EVENTS (node.created, edge.deleted, ...) and 'change' on every
+ * write; writes made in a transaction are announced only once it commits.
+ */
+export class ArangoMemory extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} [config.url]
+   * @param {string} [config.database]
+   * @param {string} [config.username]
+   * @param {string} [config.password]
+   * @param {Object} [config.vectorIndex] - Optional in-process vector index (see vector-index.js),
+   *   rebuilt from the database on connect and maintained on upsert/delete
+   * @param {number} [config.exactSearchThreshold=1000] - Use exact search up to this many indexed vectors
+   * @param {number} [config.candidateMultiplier=4] - ANN candidates fetched per requested result
+   * @param {Object} [config.arangoVectorIndex] - Use an ArangoDB vector index (3.12.4+) on
+   *   llmEmbedding: { dimension, nLists }. All embeddings must share the dimension.
+   * @param {string} [config.searchView='nodes_search'] - ArangoSearch view used for BM25
+   *   lexical search (created on connect; see lexical-index.js)
+   * @param {boolean} [config.searchWaitForSync=true] - Make lexical searches wait for the view
+   *   to index recent writes, so a node is findable right after upsert. Each search then pays
+   *   for a view commit; set false to accept up to ~1s of staleness (the view's commit interval)
+   *   in exchange for cheaper searches under heavy write load.
+   */
   constructor(config) {
+    super();
     this.config = {
       url: config.url || 'http://localhost:8529',
       database: config.database || 'knowshowgo',
@@ -17,6 +101,16 @@ export class ArangoMemory {
     this.db = null;
     this.nodesCollection = null;
     this.edgesCollection = null;
+    this.vectorIndex = config.vectorIndex || null;
+    // kind, status and namespace of the vectors in vectorIndex, so ANN
+    // candidates can be filtered before they are fetched
+    this._vectorNodes = new Map(); // uuid -> { kind, props: { status, namespace } }
+    this.exactSearchThreshold = config.exactSearchThreshold ?? 1000;
+    this.candidateMultiplier = config.candidateMultiplier ?? 4;
+    this.arangoVectorIndex = config.arangoVectorIndex || null;
+    this.searchView = config.searchView || 'nodes_search';
+    this.searchWaitForSync = config.searchWaitForSync ?? true;
+    this._trx = null; // set on transaction views only
   }
 
   async connect() {
@@ -64,6 +158,22 @@ export class ArangoMemory {
       type: 'persistent',
       fields: ['kind']
     });
+    await this.nodesCollection.ensureIndex({
+      type: 'persistent',
+      fields: ['nodeType']
+    });
+    // Assertion and fact lookups by subject/predicate
+    await this.nodesCollection.ensureIndex({
+      type: 'persistent',
+      fields: ['props.subject', 'props.predicate'],
+      sparse: true
+    });
+    // Exact label lookups by folded name
+    await this.nodesCollection.ensureIndex({
+      type: 'persistent',
+      fields: ['normLabels[*]'],
+      sparse: true
+    });
     await this.edgesCollection.ensureIndex({
       type: 'persistent',
       fields: ['fromNode']
@@ -72,6 +182,241 @@ export class ArangoMemory {
       type: 'persistent',
       fields: ['toNode']
     });
+    await this.edgesCollection.ensureIndex({
+      type: 'persistent',
+      fields: ['rel']
+    });
+    if (this.arangoVectorIndex) {
+      await this.nodesCollection.ensureIndex({
+        type: 'vector',
+        fields: ['llmEmbedding'],
+        sparse: true,
+        params: {
+          metric: 'cosine',
+          dimension: this.arangoVectorIndex.dimension,
+          nLists: this.arangoVectorIndex.nLists || 100
+        }
+      });
+    }
+
+    await this._ensureSearchView();
+    await this._backfillNormLabels();
+
+    if (this.vectorIndex) {
+      await this.rebuildVectorIndex();
+    }
+  }
+
+  /**
+   * Create the analyzers and ArangoSearch view behind lexical search.
+   *
+   * ksg_text tokenizes like the in-memory LexicalIndex (lowercase, no
+   * accents, no stemming); ksg_norm indexes whole labels for substring
+   * matches; ksg_trigram indexes the folded names (normLabels) to shortlist
+   * fuzzy label lookups. The view is eventually consistent: new writes
+   * become searchable after its commit interval (about a second). A view
+   * created before normLabels existed gets the new fields linked.
+   *
+   * @private
+   */
+  async _ensureSearchView() {
+    const analyzers = {
+      ksg_text: {
+        type: 'text',
+        properties: { locale: 'en', case: 'lower', accent: false, stemming: false },
+        features: ['frequency', 'norm', 'position']
+      },
+      ksg_norm: {
+        type: 'norm',
+        properties: { locale: 'en', case: 'lower', accent: false },
+        features: ['frequency', 'norm']
+      },
+      ksg_trigram: {
+        type: 'ngram',
+        properties: { min: 3, max: 3, preserveOriginal: false, streamType: 'utf8' },
+        features: ['frequency', 'norm', 'position']
+      }
+    };
+    for (const [name, options] of Object.entries(analyzers)) {
+      const analyzer = this.db.analyzer(name);
+      if (!(await analyzer.exists())) {
+        await analyzer.create(options);
+      }
+    }
+
+    const fields = Object.fromEntries(SEARCH_FIELDS.map(field => [field, {}]));
+    fields.label = { analyzers: ['ksg_text', 'ksg_norm'] };
+    const links = {
+      nodes: {
+        analyzers: ['ksg_text'],
+        fields: {
+          props: { fields },
+          labels: {},
+          normLabels: { analyzers: ['ksg_trigram'] },
+          normLabelLengths: { analyzers: ['identity'] }
+        }
+      }
+    };
+    const view = this.db.view(this.searchView);
+    if (!(await view.exists())) {
+      await this.db.createView(this.searchView, { type: 'arangosearch', links });
+    } else if (!(await view.properties()).links?.nodes?.fields?.normLabels) {
+      await view.updateProperties({ links });
+    }
+  }
+
+  /**
+   * Store normLabels (and their lengths) on nodes written before label
+   * lookups were indexed. Runs once per connection; a no-op when every
+   * node already has them.
+   *
+   * @private
+   */
+  async _backfillNormLabels() {
+    const fields = [...LABEL_FIELDS.map(field => aql`node.props[${field}]`), aql`node.labels`];
+    await this._query(aql`
+      FOR node IN nodes
+        FILTER node.normLabels == null
+        LET normLabels = UNIQUE(
+          FOR name IN FLATTEN([${join(fields, ', ')}])
+            FILTER IS_STRING(name)
+            LET folded = REGEX_REPLACE(TRIM(TOKENS(name, 'ksg_norm')[0]), '\\\\s+', ' ')
+            FILTER folded != ''
+            RETURN folded
+        )
+        UPDATE node WITH {
+          normLabels,
+          normLabelLengths: UNIQUE(normLabels[* RETURN CHAR_LENGTH(CURRENT)])
+        } IN nodes
+    `);
+  }
+
+  /**
+   * Rebuild the in-process vector index from all stored node embeddings.
+   */
+  async rebuildVectorIndex() {
+    if (!this.vectorIndex) return;
+    await this.connect();
+    this.vectorIndex.clear();
+    this._vectorNodes.clear();
+    const cursor = await this._query(aql`
+      FOR node IN nodes
+        FILTER node.llmEmbedding != null
+        RETURN {
+          uuid: node.uuid,
+          kind: node.kind,
+          props: { status: node.props.status, namespace: node.props.namespace },
+          llmEmbedding: node.llmEmbedding
+        }
+    `);
+    for (const node of await cursor.all()) {
+      this._indexVector(node);
+    }
+  }
+
+  /**
+   * Run fn inside an ArangoDB stream transaction over nodes and edges.
+   *
+   * fn receives a view of this memory whose reads and writes all run in the
+   * transaction. It is committed when fn resolves and aborted when fn throws
+   * (the error is rethrown). Nested calls join the outer transaction.
+   *
+   * @param {(tx: ArangoMemory) => Promise<*>} fn
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async transaction(fn) {
+    if (this._trx) {
+      return fn(this);
+    }
+    await this.connect();
+    const trx = await this.db.beginTransaction({ write: ['nodes', 'edges'] });
+    const touched = new Set();
+    const pendingChanges = [];
+    const tx = Object.create(this, {
+      _trx: { value: trx },
+      _touched: { value: touched },
+      _pendingChanges: { value: pendingChanges }
+    });
+
+    try {
+      const result = await fn(tx);
+      await trx.commit();
+      for (const change of pendingChanges) {
+        emitChange(this, change.type, change.item, change.provenance);
+      }
+      return result;
+    } catch (error) {
+      await trx.abort();
+      await this._resyncVectorIndex(touched);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a database call, inside the current stream transaction if any.
+   *
+   * @private
+   */
+  _run(fn) {
+    return this._trx ? this._trx.step(fn) : fn();
+  }
+
+  /**
+   * @private
+   */
+  _query(query) {
+    return this._run(() => this.db.query(query));
+  }
+
+  /**
+   * Emit a change event now, or queue it until the current transaction commits.
+   *
+   * @private
+   */
+  _emitChange(type, item, provenance = null) {
+    if (this._pendingChanges) {
+      this._pendingChanges.push({ type, item, provenance });
+    } else {
+      emitChange(this, type, item, provenance);
+    }
+  }
+
+  /**
+   * Re-read nodes touched by an aborted transaction into the vector index.
+   *
+   * @private
+   */
+  async _resyncVectorIndex(uuids) {
+    if (!this.vectorIndex) return;
+    for (const uuid of uuids) {
+      this._indexVector((await this.getNode(uuid)) ?? { uuid });
+    }
+  }
+
+  /**
+   * Add a node's vector to the in-process index (or drop it when it has none).
+   *
+   * @private
+   */
+  _indexVector(node) {
+    if (!this.vectorIndex) return;
+    if (Array.isArray(node.llmEmbedding) && node.llmEmbedding.length > 0) {
+      this.vectorIndex.add(node.uuid, node.llmEmbedding);
+      this._vectorNodes.set(node.uuid, {
+        kind: node.kind,
+        props: { status: node.props?.status, namespace: node.props?.namespace }
+      });
+    } else {
+      this._unindexVector(node.uuid);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unindexVector(uuid) {
+    this.vectorIndex?.remove(uuid);
+    this._vectorNodes.delete(uuid);
   }
 
   async upsert(nodeOrEdge, provenance, options = {}) {
@@ -84,155 +429,502 @@ export class ArangoMemory {
       updatedAt: new Date().toISOString()
     };
 
-    if (nodeOrEdge.kind === 'topic' && !nodeOrEdge.fromNode) {
-      // It's a node
-      await this.nodesCollection.save(doc, { overwrite: true });
+    if (!isEdge(nodeOrEdge)) {
+      // It's a node (topics, assertions, facts, values, tags, documents)
+      doc.nodeType = nodeTypeOf(nodeOrEdge);
+      doc.normLabels = normLabelsOf(nodeOrEdge);
+      doc.normLabelLengths = [...new Set(doc.normLabels.map(key => [...key].length))];
+      const saved = await this._run(() => this.nodesCollection.save(doc, { overwrite: true, returnOld: true }));
+      this._touched?.add(nodeOrEdge.uuid);
+      this._emitChange(saved?.old ? 'node.updated' : 'node.created', nodeOrEdge, provenance);
+      this._indexVector(nodeOrEdge);
     } else {
       // It's an edge
       doc._from = `nodes/${doc.fromNode.replace(/-/g, '')}`;
       doc._to = `nodes/${doc.toNode.replace(/-/g, '')}`;
-      await this.edgesCollection.save(doc, { overwrite: true });
+      const saved = await this._run(() => this.edgesCollection.save(doc, { overwrite: true, returnOld: true }));
+      this._emitChange(saved?.old ? 'edge.updated' : 'edge.created', nodeOrEdge, provenance);
     }
   }
 
   async getNode(uuid) {
     await this.connect();
     try {
-      const doc = await this.nodesCollection.document(uuid.replace(/-/g, ''));
-      const { _key, _id, _rev, _from, _to, ...node } = doc;
-      return node;
+      const doc = await this._run(() => this.nodesCollection.document(uuid.replace(/-/g, '')));
+      return this._stripNode(doc);
     } catch (err) {
       return null;
     }
   }
 
-  async getEdge(fromNode, toNode, rel) {
+  /**
+   * Get an edge by UUID.
+   *
+   * The legacy (fromNode, toNode, rel) form is still accepted and returns
+   * the first matching edge.
+   */
+  async getEdge(uuid, toNode, rel) {
     await this.connect();
-    const cursor = await this.db.query(aql`
+    if (toNode !== undefined || rel !== undefined) {
+      const edges = await this.findEdges({ fromNode: uuid, toNode, rel });
+      return edges.length > 0 ? edges[0] : null;
+    }
+    try {
+      const doc = await this._run(() => this.edgesCollection.document(uuid.replace(/-/g, '')));
+      return this._stripEdge(doc);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the provenance stored with a node or edge document. Connection and
+   * server errors are thrown, not reported as a missing document.
+   */
+  async getProvenance(uuid) {
+    await this.connect();
+    const key = uuid.replace(/-/g, '');
+    for (const collection of [this.nodesCollection, this.edgesCollection]) {
+      try {
+        const doc = await this._run(() => collection.document(key));
+        return doc.provenance || null;
+      } catch (err) {
+        if (!isDocumentNotFound(err)) throw err;
+        // not in this collection
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List nodes matching the filters (filtered and paginated in AQL).
+   *
+   * @param {Object} [filters] - { kind, label, props, namespaces, excludeStatus, limit, offset, cursor }
+   */
+  async listNodes({ limit, offset, cursor, ...filters } = {}) {
+    await this.connect();
+    const result = await this._query(aql`
+      FOR node IN nodes
+        ${join(this._nodeFilterClauses(filters))}
+        ${this._pageClause('node', { limit, offset, cursor })}
+        RETURN node
+    `);
+    const nodes = await result.all();
+    return nodes.map(n => this._stripNode(n));
+  }
+
+  async listEdges(page = {}) {
+    return this.findEdges({}, page);
+  }
+
+  /**
+   * Find edges by fromNode/toNode/rel (filtered and paginated in AQL).
+   *
+   * @param {Object} [filters] - { fromNode, toNode, rel }
+   * @param {Object} [page] - { limit, offset, cursor }
+   */
+  async findEdges({ fromNode, toNode, rel } = {}, page = {}) {
+    await this.connect();
+    const filters = [];
+    if (fromNode !== undefined) filters.push(aql`FILTER edge.fromNode == ${fromNode}`);
+    if (toNode !== undefined) filters.push(aql`FILTER edge.toNode == ${toNode}`);
+    if (rel !== undefined) filters.push(aql`FILTER edge.rel == ${rel}`);
+    const cursor = await this._query(aql`
       FOR edge IN edges
-        FILTER edge.fromNode == ${fromNode}
-        FILTER edge.toNode == ${toNode}
-        FILTER edge.rel == ${rel}
+        ${join(filters)}
+        ${this._pageClause('edge', page)}
         RETURN edge
     `);
     const edges = await cursor.all();
-    return edges.length > 0 ? edges[0] : null;
+    return edges.map(e => this._stripEdge(e));
+  }
+
+  async deleteNode(uuid) {
+    await this.connect();
+    this._touched?.add(uuid);
+    this._unindexVector(uuid);
+    let removed;
+    try {
+      removed = await this._run(() => this.nodesCollection.remove(uuid.replace(/-/g, ''), { returnOld: true }));
+    } catch (err) {
+      return false;
+    }
+    this._emitChange('node.deleted', removed?.old ? this._stripNode(removed.old) : { uuid });
+    return true;
+  }
+
+  async deleteEdge(uuid) {
+    await this.connect();
+    let removed;
+    try {
+      removed = await this._run(() => this.edgesCollection.remove(uuid.replace(/-/g, ''), { returnOld: true }));
+    } catch (err) {
+      return false;
+    }
+    this._emitChange('edge.deleted', removed?.old ? this._stripEdge(removed.old) : { uuid });
+    return true;
+  }
+
+  _stripNode(doc) {
+    const { _key, _id, _rev, _from, _to, nodeType, normLabels, normLabelLengths, ...node } = doc;
+    return node;
+  }
+
+  _stripEdge(doc) {
+    const { _key, _id, _rev, _from, _to, ...edge } = doc;
+    return edge;
   }
 
   /**
    * Search for nodes by query and optional embedding.
    *
-   * Matches the InMemoryMemory interface used by KnowShowGo.
+   * Matches the InMemoryMemory interface used by KnowShowGo (same modes,
+   * fusion and result fields). Filtering and the vector and BM25 rankings run
+   * in AQL; hybrid mode fuses the two candidate lists here.
    */
-  async search({ query, topK, filters = {}, queryEmbedding = null }) {
+  async search({
+    query,
+    topK,
+    filters = {},
+    queryEmbedding = null,
+    mode = 'hybrid',
+    fusion = 'rrf',
+    weights = {},
+    exact = false,
+    explain = false
+  }) {
     await this.connect();
+    if (!queryEmbedding) mode = 'lexical';
+    const candidates = mode === 'hybrid' ? topK * this.candidateMultiplier : topK;
 
-    let results = await this.searchNodes(queryEmbedding, topK, filters);
-
-    if (filters.kind) {
-      results = results.filter(n => n.kind === filters.kind);
-    }
-
-    if (queryEmbedding && results.length > 0) {
-      results = results
-        .map(node => {
-          if (!node.llmEmbedding) return { node, similarity: 0 };
-          const similarity = this._cosineSimilarity(queryEmbedding, node.llmEmbedding);
-          return { node, similarity };
-        })
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, topK)
-        .map(r => ({
-          uuid: r.node.uuid,
-          name: r.node.props?.label || r.node.props?.name,
-          props: r.node.props,
-          similarity: r.similarity
-        }));
-    } else {
-      const q = (query || '').toLowerCase();
-      results = results
-        .filter(n => {
-          const label = (n.props?.label || n.props?.name || '').toLowerCase();
-          return label.includes(q);
-        })
-        .slice(0, topK)
-        .map(n => ({
-          uuid: n.uuid,
-          name: n.props?.label || n.props?.name,
-          props: n.props,
-          similarity: 0.5
-        }));
-    }
-
-    return results;
-  }
-
-  _cosineSimilarity(a, b) {
-    if (!a || !b || a.length !== b.length) return 0;
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
-    }
-    if (normA === 0 || normB === 0) return 0;
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    const vectorHits = mode === 'lexical'
+      ? []
+      : await this._vectorSearch({ limit: candidates, filters, queryEmbedding, exact });
+    const lexicalHits = mode === 'vector'
+      ? []
+      : await this._lexicalSearch({ query, limit: candidates, filters, queryEmbedding });
+
+    // Same fusion as InMemoryMemory; rows carry similarity from either query
+    const rows = new Map([...lexicalHits, ...vectorHits].map(row => [row.uuid, row]));
+    const fused = fuseRankings(
+      vectorHits,
+      lexicalHits.map(row => ({ uuid: row.uuid, score: row.lexicalScore })),
+      { mode, fusion, weights }
+    );
+    return Array.from(fused).slice(0, topK).map(([uuid, ranked]) => {
+      const { lexicalScore, ...row } = rows.get(uuid);
+      return {
+        ...row,
+        score: ranked.score,
+        lexicalScore: ranked.lexicalScore ?? lexicalScore ?? 0,
+        ...(explain ? { ranking: rankingOf(ranked) } : {})
+      };
+    });
+  }
+
+  /**
+   * Nodes ranked by cosine similarity to the query vector.
+   *
+   * The approximate paths rank only the nearest candidates, and filters
+   * (instanceOf, minSimilarity; kind, status and namespace for the ArangoDB
+   * index) can reject some of them, so the candidate count grows 4x until
+   * the page is full or every vector has been a candidate. The in-process
+   * index skips candidates of the wrong kind, status or namespace itself.
+   *
+   * @private
+   */
+  async _vectorSearch({ limit, filters, queryEmbedding, exact }) {
+    const inProcess = !exact && this.vectorIndex && this.vectorIndex.size > this.exactSearchThreshold;
+    const approximate = !exact && !inProcess && this.arangoVectorIndex;
+    if (!inProcess && !approximate) {
+      return this._rankVectors(aql`FOR node IN nodes`, { limit, filters, queryEmbedding });
+    }
+
+    const { kind, excludeStatus, namespaces } = filters;
+    const passes = (uuid) => {
+      const node = this._vectorNodes.get(uuid);
+      return !node || nodeMatches(node, { kind, excludeStatus, namespaces });
+    };
+    let total = null;
+    for (let k = limit * this.candidateMultiplier; ; k *= 4) {
+      let candidates;
+      let exhausted = false;
+      if (inProcess) {
+        // In-process ANN index: rank only its nearest candidates
+        const uuids = this.vectorIndex.search(queryEmbedding, k, { filter: passes }).map(hit => hit.id);
+        candidates = aql`FOR node IN nodes FILTER node.uuid IN ${uuids}`;
+        exhausted = uuids.length < k;
+      } else {
+        // ArangoDB vector index: approximate candidates, filtered afterwards
+        candidates = aql`
+          FOR node IN nodes
+            SORT APPROX_NEAR_COSINE(node.llmEmbedding, ${queryEmbedding}) DESC
+            LIMIT ${k}`;
+      }
+      const rows = await this._rankVectors(candidates, { limit, filters, queryEmbedding });
+      if (rows.length >= limit || exhausted) return rows;
+      if (!inProcess) {
+        if (total === null) {
+          const [count] = await (await this._query(aql`RETURN LENGTH(nodes)`)).all();
+          total = Number(count) || 0;
+        }
+        if (k >= total) return rows;
+      }
+    }
+  }
+
+  /**
+   * Rank candidate nodes that pass the search filters by similarity.
+   *
+   * @private
+   */
+  async _rankVectors(candidates, { limit, filters, queryEmbedding }) {
+    const cursor = await this._query(aql`
+      ${candidates}
+        ${join(this._searchFilterClauses(filters))}
+        FILTER IS_LIST(node.llmEmbedding)
+        LET similarity = ${this._similarityExpression(queryEmbedding)}
+        ${this._minSimilarityClause(filters)}
+        SORT similarity DESC
+        LIMIT ${limit}
+        RETURN {
+          uuid: node.uuid,
+          name: node.props.label || node.props.name,
+          props: node.props,
+          similarity
+        }
+    `);
+    return cursor.all();
+  }
+
+  /**
+   * Nodes ranked by BM25 over the search view (labels, aliases, summaries,
+   * tag text). Query words of 3+ characters also match inside labels.
+   *
+   * @private
+   */
+  async _lexicalSearch({ query, limit, filters, queryEmbedding }) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+    const fields = [...SEARCH_FIELDS.map(field => aql`node.props[${field}] IN ${tokens}`), aql`node.labels IN ${tokens}`];
+    const substrings = tokens
+      .filter(token => token.length >= 3)
+      .map(token => aql`LIKE(node.props.label, ${`%${token}%`})`);
+    const search = substrings.length > 0
+      ? aql`ANALYZER(${join(fields, ' OR ')}, 'ksg_text') OR ANALYZER(${join(substrings, ' OR ')}, 'ksg_norm')`
+      : aql`ANALYZER(${join(fields, ' OR ')}, 'ksg_text')`;
+
+    const cursor = await this._query(aql`
+      FOR node IN ${literal(this.searchView)}
+        SEARCH ${search}
+        ${this.searchWaitForSync ? aql`OPTIONS { waitForSync: true }` : join([])}
+        ${join(this._searchFilterClauses(filters))}
+        LET similarity = ${queryEmbedding ? this._similarityExpression(queryEmbedding) : 0}
+        ${queryEmbedding ? this._minSimilarityClause(filters) : join([])}
+        LET lexicalScore = BM25(node)
+        SORT lexicalScore DESC
+        LIMIT ${limit}
+        RETURN {
+          uuid: node.uuid,
+          name: node.props.label || node.props.name,
+          props: node.props,
+          similarity,
+          lexicalScore
+        }
+    `);
+    return cursor.all();
   }
 
+  /**
+   * Find nodes by label, name or alias (same folding and distances as the
+   * in-memory LabelIndex). Exact lookups go through the index on the stored
+   * folded names (normLabels). Fuzzy lookups shortlist candidates in the
+   * search view - names sharing enough trigrams with the query, or, for
+   * short queries, names of a compatible length - and compute
+   * LEVENSHTEIN_DISTANCE only on those.
+   *
+   * @param {LabelLookupParams} params
+   * @returns {Promise<LabelMatch[]>} Closest first
+   */
+  async lookupLabel({ text, fuzzy = false, maxDistance = null, limit = 10, filters = {} }) {
+    await this.connect();
+    const query = normalizeLabel(text);
+    if (!query) return [];
+    const allowed = fuzzy ? (maxDistance ?? defaultMaxDistance(query)) : 0;
+    const fields = [...LABEL_FIELDS.map(field => aql`node.props[${field}]`), aql`node.labels`];
+
+    const cursor = await this._query(aql`
+      ${allowed > 0 ? this._fuzzyLabelCandidates(query, allowed) : aql`FOR node IN nodes FILTER ${query} IN node.normLabels[*]`}
+        ${join(this._searchFilterClauses(filters))}
+        LET matches = (
+          FOR name IN UNIQUE(FLATTEN([${join(fields, ', ')}]))
+            FILTER IS_STRING(name)
+            LET folded = REGEX_REPLACE(TRIM(TOKENS(name, 'ksg_norm')[0]), '\\\\s+', ' ')
+            LET distance = ${allowed > 0 ? aql`LEVENSHTEIN_DISTANCE(folded, ${query})` : aql`folded == ${query} ? 0 : 1`}
+            FILTER distance <= ${allowed}
+            SORT distance, name == ${text} DESC
+            LIMIT 1
+            RETURN { name, distance }
+        )
+        FILTER LENGTH(matches) > 0
+        SORT matches[0].distance, matches[0].name == ${text} DESC
+        LIMIT ${limit}
+        RETURN {
+          uuid: node.uuid,
+          name: node.props.label || node.props.name,
+          props: node.props,
+          matched: matches[0].name,
+          distance: matches[0].distance
+        }
+    `);
+    return cursor.all();
+  }
+
+  /**
+   * FOR ... SEARCH clause yielding the nodes that may have a name within
+   * `allowed` edits of the query. Each edit destroys at most three of the
+   * query's trigrams, so a name must keep (trigrams - 3 * allowed) of them
+   * in order (NGRAM_MATCH); when that bound is not positive, every name of
+   * a compatible length is a candidate.
+   *
+   * @private
+   */
+  _fuzzyLabelCandidates(query, allowed) {
+    const length = [...query].length;
+    const grams = length - 2;
+    const required = grams - 3 * allowed;
+    const search = required > 0
+      ? aql`NGRAM_MATCH(node.normLabels, ${query}, ${required / grams}, 'ksg_trigram')`
+      : aql`IN_RANGE(node.normLabelLengths, ${length - allowed}, ${length + allowed}, true, true)`;
+    return aql`
+      FOR node IN ${literal(this.searchView)}
+        SEARCH ${search}
+        ${this.searchWaitForSync ? aql`OPTIONS { waitForSync: true }` : join([])}
+    `;
+  }
+
+  /**
+   * Cosine similarity of node.llmEmbedding to a query vector (0 across dimensions).
+   *
+   * @private
+   */
+  _similarityExpression(queryEmbedding) {
+    return aql`IS_LIST(node.llmEmbedding) AND LENGTH(node.llmEmbedding) == ${queryEmbedding.length}
+          ? NOT_NULL(COSINE_SIMILARITY(node.llmEmbedding, ${queryEmbedding}), 0)
+          : 0`;
+  }
+
+  /**
+   * @deprecated Use search() or listNodes()
+   */
   async searchNodes(queryEmbedding, topK, filters = {}) {
     await this.connect();
-    
-    // Simple vector search (in production, use ArangoDB vector search or external service)
-    // For now, return all nodes and let caller filter
-    const cursor = await this.db.query(aql`
+    const cursor = await this._query(aql`
       FOR node IN nodes
+        ${join(this._nodeFilterClauses(filters))}
+        LIMIT ${topK}
         RETURN node
     `);
     const nodes = await cursor.all();
-    
-    // Remove ArangoDB metadata
-    return nodes.map(n => {
-      const { _key, _id, _rev, ...node } = n;
-      return node;
-    });
+    return nodes.map(n => this._stripNode(n));
   }
 
+  /**
+   * AQL FILTER clauses for node filters ({ kind, label, props, excludeStatus, namespaces }).
+   *
+   * @private
+   */
+  _nodeFilterClauses({ kind, label, props, excludeStatus, namespaces } = {}) {
+    const clauses = [];
+    if (kind !== undefined) clauses.push(aql`FILTER node.kind == ${kind}`);
+    if (label !== undefined) clauses.push(aql`FILTER node.props.label == ${label} OR ${label} IN node.labels`);
+    for (const [key, value] of Object.entries(props || {})) {
+      clauses.push(aql`FILTER node.props[${key}] == ${value}`);
+    }
+    if (excludeStatus && excludeStatus.length > 0) {
+      clauses.push(aql`FILTER node.props.status NOT IN ${excludeStatus}`);
+    }
+    if (namespaces) {
+      clauses.push(aql`FILTER (node.props.namespace || ${PUBLIC_NAMESPACE}) IN ${namespaces}`);
+    }
+    return clauses;
+  }
+
+  /**
+   * Node filter clauses plus the search-only instanceOf filter (an
+   * instanceOf edge to one of the listed prototypes).
+   *
+   * @private
+   */
+  _searchFilterClauses(filters = {}) {
+    const clauses = this._nodeFilterClauses(filters);
+    if (filters.instanceOf) {
+      clauses.push(aql`FILTER LENGTH(
+        FOR edge IN edges
+          FILTER edge.fromNode == node.uuid AND edge.rel == 'instanceOf' AND edge.toNode IN ${filters.instanceOf}
+          LIMIT 1
+          RETURN 1
+      ) > 0`);
+    }
+    return clauses;
+  }
+
+  /**
+   * FILTER on the search's `similarity` variable, when filters.minSimilarity is set.
+   *
+   * @private
+   */
+  _minSimilarityClause({ minSimilarity } = {}) {
+    return minSimilarity === undefined ? join([]) : aql`FILTER similarity >= ${minSimilarity}`;
+  }
+
+  /**
+   * Stable SORT + LIMIT for a paginated query, or nothing when unpaginated.
+   * _key is the uuid without dashes, so _key order is uuid order and a
+   * cursor ({ after: uuid }) becomes a range filter on the primary index.
+   *
+   * @private
+   */
+  _pageClause(variable, { limit, offset = 0, cursor } = {}) {
+    if (limit === undefined && !offset && cursor === undefined) return join([]);
+    const doc = literal(variable);
+    const after = cursor === undefined
+      ? join([])
+      : aql`FILTER ${doc}._key > ${decodeCursor(cursor, 'after').after.replace(/-/g, '')}`;
+    return aql`${after} SORT ${doc}._key LIMIT ${offset}, ${limit ?? Number.MAX_SAFE_INTEGER}`;
+  }
+
+  /**
+   * @deprecated Use listNodes() (MemoryTools interface)
+   */
   get nodes() {
     // Return a proxy that queries ArangoDB on access
     return new Proxy({}, {
       get: (target, prop) => {
         if (prop === 'values') {
-          return async () => {
-            await this.connect();
-            const cursor = await this.db.query(aql`FOR node IN nodes RETURN node`);
-            const nodes = await cursor.all();
-            return nodes.map(n => {
-              const { _key, _id, _rev, ...node } = n;
-              return node;
-            });
-          };
+          return () => this.listNodes();
+        }
+        if (prop === 'get') {
+          // Single-document lookup instead of pulling the collection
+          return (uuid) => this.getNode(uuid);
         }
         return undefined;
       }
     });
   }
 
+  /**
+   * @deprecated Use listEdges() (MemoryTools interface)
+   */
   get edges() {
     // Return a proxy that queries ArangoDB on access
     return new Proxy({}, {
       get: (target, prop) => {
         if (prop === 'values') {
-          return async () => {
-            await this.connect();
-            const cursor = await this.db.query(aql`FOR edge IN edges RETURN edge`);
-            const edges = await cursor.all();
-            return edges.map(e => {
-              const { _key, _id, _rev, _from, _to, ...edge } = e;
-              return edge;
-            });
-          };
+          return () => this.listEdges();
+        }
+        if (prop === 'get') {
+          return (uuid) => this.getEdge(uuid);
         }
         return undefined;
       }
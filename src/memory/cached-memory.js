@@ -0,0 +1,387 @@
+/**
+ * CachedMemory - read-through LRU cache in front of any MemoryTools backend
+ *
+ * Caches getNode results and adjacency lists (findEdges calls that name a
+ * fromNode and/or toNode and are not paginated), which is what the ORM and
+ * KnowShowGo read over and over. Every other call goes straight to the
+ * wrapped backend.
+ *
+ * Writes go through to the backend and then invalidate what they touch:
+ * the node itself, and the adjacency lists of both endpoints of an edge.
+ * Writes made directly on the wrapped backend are picked up from its
+ * change events. Other processes writing to the same database are not
+ * seen; set `ttl` to bound how stale a cached entry can get.
+ *
+ * A read that a write overlaps is returned but not cached (each uuid has a
+ * generation that invalidation bumps), so a slow read never stores the
+ * value from before the write. Cached nodes are copied in and out, like
+ * adjacency lists, so callers may modify what they get.
+ *
+ *   const memory = new CachedMemory(new ArangoMemory(config), { maxNodes: 5000 });
+ *   memory.stats(); // { nodes: { hits, misses, ... }, adjacency: {...}, hitRate }
+ */
+
+import { EventEmitter } from 'events';
+import { MEMORY_EVENTS, lookupLabel } from './memory-tools.js';
+
+/**
+ * Map-ordered LRU with optional expiry and hit/miss counters.
+ *
+ * @private
+ */
+class LruCache {
+  constructor({ max, ttl = 0, onEvict = () => {} }) {
+    this.max = max;
+    this.ttl = ttl;
+    this.onEvict = onEvict;
+    this.entries = new Map(); // key -> { value, expires }, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || (entry.expires && entry.expires <= Date.now())) {
+      if (entry) this.delete(key);
+      this.misses += 1;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+    this.entries.set(key, { value, expires: this.ttl > 0 ? Date.now() + this.ttl : 0 });
+    while (this.entries.size > this.max) {
+      const [oldest] = this.entries.keys();
+      this.delete(oldest);
+      this.evictions += 1;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.onEvict(key, entry.value);
+  }
+
+  clear() {
+    for (const key of Array.from(this.entries.keys())) {
+      this.delete(key);
+    }
+  }
+
+  stats() {
+    return {
+      size: this.entries.size,
+      max: this.max,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
+
+/**
+ * Re-emits the wrapped backend's MEMORY_EVENTS and 'change' events.
+ */
+export class CachedMemory extends EventEmitter {
+  /**
+   * @param {MemoryTools} inner - Backend to wrap
+   * @param {Object} [options]
+   * @param {number} [options.maxNodes=10000] - Nodes kept in the cache
+   * @param {number} [options.maxAdjacency=10000] - Adjacency lists kept in the cache
+   * @param {number} [options.ttl=0] - Milliseconds before an entry is refetched (0 = never)
+   */
+  constructor(inner, { maxNodes = 10000, maxAdjacency = 10000, ttl = 0 } = {}) {
+    super();
+    this.inner = inner;
+    this.nodeCache = new LruCache({ max: maxNodes, ttl });
+    this.adjacencyCache = new LruCache({
+      max: maxAdjacency,
+      ttl,
+      onEvict: (key, edges) => this._unindexAdjacency(key, edges)
+    });
+
+    // Which adjacency keys mention a node (as endpoint) or an edge (as member)
+    this._nodeKeys = new Map(); // nodeUuid -> Set<key>
+    this._edgeKeys = new Map(); // edgeUuid -> Set<key>
+    // Generations of the uuids that reads in flight depend on
+    this._reads = new Map(); // uuid -> { generation, pending }
+
+    if (typeof inner.on === 'function') {
+      for (const type of MEMORY_EVENTS) {
+        inner.on(type, (payload) => this.emit(type, payload));
+      }
+      inner.on('change', (change) => {
+        this._invalidate(change.item);
+        this.emit('change', change);
+      });
+    }
+  }
+
+  async upsert(item, provenance, options = {}) {
+    // Invalidate before and after: lists holding the old version of an edge
+    // are found through _edgeKeys, lists for its new endpoints by endpoint.
+    this._invalidate(item);
+    await this.inner.upsert(item, provenance, options);
+    this._invalidate(item);
+  }
+
+  async getNode(uuid) {
+    const cached = this.nodeCache.get(uuid);
+    if (cached !== undefined) return cloneItem(cached);
+    const fresh = this._beginRead([uuid]);
+    let node;
+    try {
+      node = await this.inner.getNode(uuid);
+    } catch (error) {
+      fresh();
+      throw error;
+    }
+    if (fresh() && node) this.nodeCache.set(uuid, cloneItem(node));
+    return node;
+  }
+
+  async getEdge(...args) {
+    return this.inner.getEdge(...args);
+  }
+
+  async listNodes(filters) {
+    return this.inner.listNodes(filters);
+  }
+
+  async listEdges(page) {
+    return this.inner.listEdges(page);
+  }
+
+  /**
+   * Adjacency lookups (fromNode and/or toNode, no paging) are cached.
+   */
+  async findEdges(filters = {}, page = {}) {
+    const { fromNode, toNode, rel } = filters;
+    const paged = page.limit !== undefined || page.offset !== undefined || page.cursor !== undefined;
+    if ((fromNode === undefined && toNode === undefined) || paged) {
+      return this.inner.findEdges(filters, page);
+    }
+
+    const key = JSON.stringify([fromNode ?? null, toNode ?? null, rel ?? null]);
+    // Lists are copied in and out so callers can sort or filter them in place
+    const cached = this.adjacencyCache.get(key);
+    if (cached !== undefined) return [...cached];
+
+    const fresh = this._beginRead([fromNode, toNode].filter(uuid => uuid !== undefined));
+    let edges;
+    try {
+      edges = await this.inner.findEdges(filters, page);
+    } catch (error) {
+      fresh();
+      throw error;
+    }
+    if (!fresh()) return edges;
+    this.adjacencyCache.set(key, [...edges]);
+    for (const uuid of [fromNode, toNode]) {
+      if (uuid !== undefined) addKey(this._nodeKeys, uuid, key);
+    }
+    for (const edge of edges) {
+      addKey(this._edgeKeys, edge.uuid, key);
+    }
+    return edges;
+  }
+
+  async deleteNode(uuid) {
+    const existed = await this.inner.deleteNode(uuid);
+    this._invalidate({ uuid });
+    return existed;
+  }
+
+  async deleteEdge(uuid) {
+    const existed = await this.inner.deleteEdge(uuid);
+    this._invalidate({ uuid });
+    return existed;
+  }
+
+  async search(params) {
+    return this.inner.search(params);
+  }
+
+  async lookupLabel(params) {
+    return lookupLabel(this.inner, params);
+  }
+
+  /**
+   * Run fn in a transaction of the wrapped backend (when it has one).
+   *
+   * Reads inside the transaction bypass the cache so uncommitted state is
+   * never cached; everything written is invalidated again once it ends.
+   */
+  async transaction(fn) {
+    if (typeof this.inner.transaction !== 'function') {
+      return fn(this);
+    }
+    const written = [];
+    try {
+      return await this.inner.transaction(tx => fn(recordWrites(tx, written)));
+    } finally {
+      for (const item of written) {
+        this._invalidate(item);
+      }
+    }
+  }
+
+  async getProvenance(uuid) {
+    return typeof this.inner.getProvenance === 'function' ? this.inner.getProvenance(uuid) : null;
+  }
+
+  async close() {
+    await this.inner.close?.();
+  }
+
+  /**
+   * Hit/miss counters for the node and adjacency caches.
+   *
+   * @returns {{nodes: Object, adjacency: Object, hitRate: number}}
+   *   hitRate is hits / lookups over both caches (0 before any lookup)
+   */
+  stats() {
+    const nodes = this.nodeCache.stats();
+    const adjacency = this.adjacencyCache.stats();
+    const hits = nodes.hits + adjacency.hits;
+    const lookups = hits + nodes.misses + adjacency.misses;
+    return { nodes, adjacency, hitRate: lookups === 0 ? 0 : hits / lookups };
+  }
+
+  /**
+   * Drop every cached entry (counters are kept).
+   */
+  clear() {
+    this.nodeCache.clear();
+    this.adjacencyCache.clear();
+    for (const entry of this._reads.values()) {
+      entry.generation += 1;
+    }
+  }
+
+  /**
+   * Drop cache entries that a write to this node or edge may have changed.
+   *
+   * @private
+   */
+  _invalidate(item) {
+    if (!item?.uuid) return;
+    for (const uuid of [item.uuid, item.fromNode, item.toNode]) {
+      const read = this._reads.get(uuid);
+      if (read) read.generation += 1;
+    }
+    this.nodeCache.delete(item.uuid);
+    const keys = new Set([
+      ...(this._nodeKeys.get(item.uuid) || []),
+      ...(this._edgeKeys.get(item.uuid) || []),
+      ...(this._nodeKeys.get(item.fromNode) || []),
+      ...(this._nodeKeys.get(item.toNode) || [])
+    ]);
+    for (const key of keys) {
+      this.adjacencyCache.delete(key);
+    }
+  }
+
+  /**
+   * Note a read that depends on these uuids; the returned function ends it
+   * and tells whether no write touched them meanwhile (safe to cache).
+   *
+   * @private
+   */
+  _beginRead(uuids) {
+    const started = uuids.map((uuid) => {
+      if (!this._reads.has(uuid)) this._reads.set(uuid, { generation: 0, pending: 0 });
+      const read = this._reads.get(uuid);
+      read.pending += 1;
+      return { uuid, read, generation: read.generation };
+    });
+    return () => {
+      let fresh = true;
+      for (const { uuid, read, generation } of started) {
+        if (read.generation !== generation) fresh = false;
+        read.pending -= 1;
+        if (read.pending === 0) this._reads.delete(uuid);
+      }
+      return fresh;
+    };
+  }
+
+  /**
+   * @private
+   */
+  _unindexAdjacency(key, edges) {
+    const [fromNode, toNode] = JSON.parse(key);
+    for (const uuid of [fromNode, toNode]) {
+      if (uuid !== null) removeKey(this._nodeKeys, uuid, key);
+    }
+    for (const edge of edges) {
+      removeKey(this._edgeKeys, edge.uuid, key);
+    }
+  }
+}
+
+/**
+ * Copy a node (keeping its class) so the cached one is never shared.
+ *
+ * @private
+ */
+function cloneItem(item) {
+  return Object.assign(Object.create(Object.getPrototypeOf(item)), structuredClone({ ...item }));
+}
+
+/**
+ * @private
+ */
+function addKey(index, uuid, key) {
+  if (!index.has(uuid)) index.set(uuid, new Set());
+  index.get(uuid).add(key);
+}
+
+/**
+ * @private
+ */
+function removeKey(index, uuid, key) {
+  const keys = index.get(uuid);
+  if (!keys) return;
+  keys.delete(key);
+  if (keys.size === 0) index.delete(uuid);
+}
+
+/**
+ * A view of a transaction that notes every item written through it.
+ *
+ * @private
+ */
+function recordWrites(tx, written) {
+  return Object.create(tx, {
+    upsert: {
+      value: async (item, provenance, options) => {
+        written.push(item);
+        return tx.upsert(item, provenance, options);
+      }
+    },
+    deleteNode: {
+      value: async (uuid) => {
+        written.push({ uuid });
+        return tx.deleteNode(uuid);
+      }
+    },
+    deleteEdge: {
+      value: async (uuid) => {
+        written.push({ uuid });
+        return tx.deleteEdge(uuid);
+      }
+    },
+    transaction: {
+      value: async (fn) => tx.transaction(inner => fn(recordWrites(inner, written)))
+    }
+  });
+}
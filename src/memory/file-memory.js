@@ -0,0 +1,307 @@
+/**
+ * File-backed memory backend
+ *
+ * Keeps the working graph in memory (same surface as InMemoryMemory) and
+ * persists every write to an append-only log on local disk. The log is
+ * periodically compacted into a snapshot, and both are replayed on startup.
+ *
+ * On-disk layout (inside `dir`):
+ * - snapshot.json - last compacted state: { seq, nodes, edges, provenance, vectorIndex }
+ * - log.ndjson    - one JSON record per line, written after the snapshot
+ *
+ * Crash safety:
+ * - Snapshots are written to a temp file and atomically renamed into place.
+ * - Every log record carries a sequence number; records already covered by
+ *   the snapshot are skipped on replay (crash between rename and truncate).
+ * - A torn final log line (crash mid-append) is discarded on load.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Node, Edge, reviveNode, reviveEdge } from '../models.js';
+import { InMemoryMemory } from './in-memory.js';
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'log.ndjson';
+
+export class FileMemory extends InMemoryMemory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir='./data'] - Directory holding the snapshot and log
+   * @param {number} [options.compactEvery=1000] - Compact after this many log records
+   * @param {boolean} [options.fsync=true] - fsync after every append (durability vs. speed)
+   * @param {Object} [options.vectorIndex] - Vector index (see InMemoryMemory); persisted in snapshots
+   * @param {number} [options.exactSearchThreshold] - See InMemoryMemory
+   * @param {number} [options.candidateMultiplier] - See InMemoryMemory
+   */
+  constructor({ dir = './data', compactEvery = 1000, fsync = true, ...memoryOptions } = {}) {
+    super(memoryOptions);
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    this.logPath = path.join(dir, LOG_FILE);
+    this.compactEvery = compactEvery;
+    this.fsync = fsync;
+
+    this.seq = 0;             // last assigned sequence number
+    this._logRecords = 0;     // records in the log since the last snapshot
+    this._queue = Promise.resolve();
+    this._logHandle = null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    this._load();
+  }
+
+  /**
+   * Upsert a node or edge and append it to the log.
+   *
+   * @param {Node|Edge} item - Node or Edge to upsert
+   * @param {Provenance} provenance - Provenance info
+   * @param {Object} options - Options (embeddingRequest, etc.)
+   */
+  async upsert(item, provenance, options = {}) {
+    const type = item instanceof Node ? 'node' : item instanceof Edge ? 'edge' : null;
+    if (!type) {
+      return;
+    }
+
+    // Serialize and sequence in the same tick as the in-memory write so the
+    // log order always matches the order in which state was applied.
+    const record = {
+      seq: ++this.seq,
+      op: 'upsert',
+      type,
+      item: JSON.parse(JSON.stringify(item)),
+      provenance: provenance ?? null
+    };
+    await super.upsert(item, provenance, options);
+    await this._append(record);
+  }
+
+  /**
+   * Delete a node and append the deletion to the log.
+   *
+   * @param {string} uuid - Node UUID
+   * @returns {Promise<boolean>} Whether the node existed
+   */
+  async deleteNode(uuid) {
+    return this._delete('node', uuid);
+  }
+
+  /**
+   * Delete an edge and append the deletion to the log.
+   *
+   * @param {string} uuid - Edge UUID
+   * @returns {Promise<boolean>} Whether the edge existed
+   */
+  async deleteEdge(uuid) {
+    return this._delete('edge', uuid);
+  }
+
+  /**
+   * Write a compacted snapshot of the current state and truncate the log.
+   *
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    return this._enqueue(async () => {
+      const state = {
+        seq: this.seq,
+        nodes: Array.from(this.nodes.values()),
+        edges: Array.from(this.edges.values()),
+        provenance: Array.from(this.provenance.entries()),
+        vectorIndex: this.vectorIndex.toJSON()
+      };
+
+      const tmpPath = `${this.snapshotPath}.tmp`;
+      const handle = await fs.promises.open(tmpPath, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(state));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmpPath, this.snapshotPath);
+
+      await this._closeLog();
+      await fs.promises.writeFile(this.logPath, '');
+      this._logRecords = 0;
+    });
+  }
+
+  /**
+   * Wait for all pending log writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this._enqueue(async () => {});
+  }
+
+  /**
+   * Flush pending writes and release the log file handle.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._enqueue(() => this._closeLog());
+  }
+
+  /**
+   * @private
+   */
+  async _delete(type, uuid) {
+    // Deleting nothing changes no state, so it takes no seq and no record
+    if (!(type === 'node' ? this.nodes : this.edges).has(uuid)) {
+      return false;
+    }
+    const record = { seq: ++this.seq, op: 'delete', type, uuid };
+    if (type === 'node') {
+      await super.deleteNode(uuid);
+    } else {
+      await super.deleteEdge(uuid);
+    }
+    await this._append(record);
+    return true;
+  }
+
+  /**
+   * Append a record to the log, compacting when the log grows too long.
+   *
+   * @private
+   */
+  async _append(record) {
+    await this._enqueue(async () => {
+      if (!this._logHandle) {
+        this._logHandle = await fs.promises.open(this.logPath, 'a');
+      }
+      await this._logHandle.write(`${JSON.stringify(record)}\n`);
+      if (this.fsync) {
+        await this._logHandle.sync();
+      }
+      this._logRecords += 1;
+    });
+
+    if (this.compactEvery > 0 && this._logRecords >= this.compactEvery) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Run a file operation after all previously queued ones.
+   *
+   * @private
+   */
+  _enqueue(fn) {
+    const run = this._queue.then(fn);
+    // Keep the chain alive after a failed write; the caller still sees the error.
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async _closeLog() {
+    if (this._logHandle) {
+      const handle = this._logHandle;
+      this._logHandle = null;
+      await handle.close();
+    }
+  }
+
+  /**
+   * Load the snapshot and replay the log (synchronous, runs once at startup).
+   *
+   * @private
+   */
+  _load() {
+    // A leftover temp snapshot means we crashed while compacting; the
+    // previous snapshot and the untruncated log are still authoritative.
+    fs.rmSync(`${this.snapshotPath}.tmp`, { force: true });
+
+    let snapshotSeq = 0;
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      // Reuse the persisted vector index when it matches the configured type
+      const restoreIndex = snapshot.vectorIndex?.type === this.vectorIndex.type;
+      if (restoreIndex) {
+        this.vectorIndex.load(snapshot.vectorIndex);
+      }
+      for (const data of snapshot.nodes || []) {
+        this._putNode(reviveNode(data), { indexVector: !restoreIndex });
+      }
+      for (const data of snapshot.edges || []) {
+        this._putEdge(reviveEdge(data));
+      }
+      this.provenance = new Map(snapshot.provenance || []);
+      snapshotSeq = snapshot.seq || 0;
+    }
+    this.seq = snapshotSeq;
+
+    if (!fs.existsSync(this.logPath)) {
+      return;
+    }
+
+    const content = fs.readFileSync(this.logPath, 'utf8');
+    const lines = content.split('\n');
+    let offset = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isLast = i === lines.length - 1;
+      if (line.trim() === '') {
+        offset += Buffer.byteLength(line) + (isLast ? 0 : 1);
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        if (isLast) {
+          // Torn write: drop the partial record so later appends start clean
+          fs.truncateSync(this.logPath, offset);
+          break;
+        }
+        throw new Error(`Corrupt log record at ${this.logPath}:${i + 1}: ${err.message}`);
+      }
+      offset += Buffer.byteLength(line) + (isLast ? 0 : 1);
+
+      if (isLast) {
+        // Parsed but missing its newline: terminate it before appending more
+        fs.appendFileSync(this.logPath, '\n');
+      }
+
+      this._logRecords += 1;
+      if (record.seq <= snapshotSeq) {
+        continue;
+      }
+      this._replay(record);
+      this.seq = Math.max(this.seq, record.seq);
+    }
+  }
+
+  /**
+   * Apply a single log record to in-memory state.
+   *
+   * @private
+   */
+  _replay(record) {
+    if (record.op === 'upsert') {
+      if (record.provenance) {
+        this.provenance.set(record.item.uuid, record.provenance);
+      }
+      if (record.type === 'node') {
+        this._putNode(reviveNode(record.item));
+      } else if (record.type === 'edge') {
+        this._putEdge(reviveEdge(record.item));
+      }
+    } else if (record.op === 'delete') {
+      this.provenance.delete(record.uuid);
+      if (record.type === 'node') {
+        this._removeNode(record.uuid);
+      } else if (record.type === 'edge') {
+        this._removeEdge(record.uuid);
+      }
+    }
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Graph export/import - move a whole graph between memory backends
+ *
+ * Graphs are streamed as NDJSON, one record per line:
+ *
+ *   {"type":"header","format":"knowshowgo-graph","version":1,"exportedAt":"..."}
+ *   {"type":"node","item":{...},"provenance":{...}}   (every node)
+ *   {"type":"edge","item":{...},"provenance":{...}}   (every edge)
+ *   {"type":"footer","nodes":N,"edges":M}
+ *
+ * Nodes come before edges, and UUIDs are kept, so a dump of an
+ * InMemoryMemory prototype can be loaded into ArangoMemory unchanged.
+ * The footer lets importGraph reject truncated files.
+ */
+
+import readline from 'readline';
+import { Readable } from 'stream';
+import { Provenance, reviveNode, reviveEdge } from '../models.js';
+import { iterateNodes, iterateEdges } from './memory-tools.js';
+
+export const GRAPH_FORMAT = 'knowshowgo-graph';
+export const GRAPH_FORMAT_VERSION = 1;
+
+/**
+ * Stream every node and edge of a backend as NDJSON lines.
+ *
+ * Provenance is read from the stored document (ArangoMemory) or from
+ * memory.getProvenance when the backend has it.
+ *
+ * @param {MemoryTools} memory - Source backend
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=500] - Items fetched per backend call
+ * @returns {AsyncGenerator<string>} Lines, each ending in '\n'
+ */
+export async function* exportGraph(memory, { pageSize = 500 } = {}) {
+  const counts = { nodes: 0, edges: 0 };
+  yield line({
+    type: 'header',
+    format: GRAPH_FORMAT,
+    version: GRAPH_FORMAT_VERSION,
+    exportedAt: new Date().toISOString()
+  });
+  for await (const node of iterateNodes(memory, {}, { pageSize })) {
+    yield line({ type: 'node', item: stripStored(node), provenance: await provenanceOf(memory, node) });
+    counts.nodes += 1;
+  }
+  for await (const edge of iterateEdges(memory, {}, { pageSize })) {
+    yield line({ type: 'edge', item: stripStored(edge), provenance: await provenanceOf(memory, edge) });
+    counts.edges += 1;
+  }
+  yield line({ type: 'footer', ...counts });
+}
+
+/**
+ * Load an NDJSON graph export into a backend, keeping UUIDs.
+ *
+ * Existing items with the same UUID are replaced.
+ *
+ * @param {MemoryTools} memory - Target backend
+ * @param {import('stream').Readable|AsyncIterable<string>} input - NDJSON text
+ * @returns {Promise<{nodes: number, edges: number}>} Items written
+ * @throws {Error} On malformed records, or when the footer is missing or its counts differ
+ */
+export async function importGraph(memory, input) {
+  const stream = input instanceof Readable ? input : Readable.from(input);
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const counts = { nodes: 0, edges: 0 };
+  let lineNo = 0;
+  let header = null;
+  let footer = null;
+
+  for await (const text of lines) {
+    lineNo += 1;
+    if (text.trim() === '') continue;
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Graph import line ${lineNo}: invalid JSON`);
+    }
+    if (footer) {
+      throw new Error(`Graph import line ${lineNo}: record after footer`);
+    }
+
+    if (record.type === 'header') {
+      if (record.format !== GRAPH_FORMAT || record.version !== GRAPH_FORMAT_VERSION) {
+        throw new Error(`Graph import line ${lineNo}: unsupported format ${record.format} v${record.version}`);
+      }
+      header = record;
+    } else if (!header) {
+      throw new Error(`Graph import line ${lineNo}: missing header`);
+    } else if (record.type === 'node' || record.type === 'edge') {
+      if (!record.item?.uuid) {
+        throw new Error(`Graph import line ${lineNo}: ${record.type} without uuid`);
+      }
+      const item = record.type === 'node' ? reviveNode(record.item) : reviveEdge(record.item);
+      const provenance = record.provenance ? new Provenance(record.provenance) : null;
+      await memory.upsert(item, provenance);
+      counts[`${record.type}s`] += 1;
+    } else if (record.type === 'footer') {
+      footer = record;
+    } else {
+      throw new Error(`Graph import line ${lineNo}: unknown record type ${record.type}`);
+    }
+  }
+
+  if (!footer) {
+    throw new Error('Graph import: missing footer (truncated input?)');
+  }
+  if (footer.nodes !== counts.nodes || footer.edges !== counts.edges) {
+    throw new Error(
+      `Graph import: footer expects ${footer.nodes} nodes/${footer.edges} edges, ` +
+      `read ${counts.nodes}/${counts.edges}`
+    );
+  }
+  return counts;
+}
+
+/**
+ * Copy every node and edge from one backend into another.
+ *
+ * @param {MemoryTools} source
+ * @param {MemoryTools} target
+ * @param {Object} [options] - See exportGraph
+ * @returns {Promise<{nodes: number, edges: number}>} Items written
+ */
+export async function copyGraph(source, target, options = {}) {
+  return importGraph(target, exportGraph(source, options));
+}
+
+/**
+ * Count the nodes and edges in a backend.
+ *
+ * @param {MemoryTools} memory
+ * @returns {Promise<{nodes: number, edges: number}>}
+ */
+export async function countGraph(memory) {
+  const counts = { nodes: 0, edges: 0 };
+  for await (const _node of iterateNodes(memory)) counts.nodes += 1;
+  for await (const _edge of iterateEdges(memory)) counts.edges += 1;
+  return counts;
+}
+
+/**
+ * @private
+ */
+function line(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * Drop storage bookkeeping (ArangoMemory keeps provenance/updatedAt on the document).
+ *
+ * @private
+ */
+function stripStored(item) {
+  const { provenance, updatedAt, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Provenance stored on the item itself, else from memory.getProvenance.
+ *
+ * @private
+ */
+async function provenanceOf(memory, item) {
+  if (item.provenance !== undefined) return item.provenance;
+  if (typeof memory.getProvenance === 'function') {
+    return memory.getProvenance(item.uuid);
+  }
+  return null;
+}
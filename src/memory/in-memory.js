@@ -2,12 +2,56 @@
  * In-memory memory backend for testing and development
  */
 
-import { Node, Edge, Provenance } from '../models.js';
+import { EventEmitter } from 'events';
+import { Node, Edge, Provenance, namespaceOf } from '../models.js';
+import { edgeMatches, nodeMatches, paginate, emitChange, SortedKeys } from './memory-tools.js';
+import { HnswVectorIndex } from './vector-index.js';
+import { LexicalIndex, fuseRankings, rankingOf } from './lexical-index.js';
+import { LabelIndex } from './label-index.js';
 
-export class InMemoryMemory {
-  constructor() {
+/**
+ * Copy a node or edge for the undo log (keeps the class so upsert accepts it)
+ */
+function cloneItem(item) {
+  return Object.assign(Object.create(Object.getPrototypeOf(item)), structuredClone({ ...item }));
+}
+
+/**
+ * Emits MEMORY_EVENTS (node.created, edge.deleted, ...) and 'change' on every write.
+ */
+export class InMemoryMemory extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.vectorIndex] - Vector index (see vector-index.js); defaults to HNSW
+   * @param {number} [options.exactSearchThreshold=1000] - Use exact search up to this many nodes
+   * @param {number} [options.candidateMultiplier=4] - ANN candidates fetched per requested result
+   */
+  constructor({ vectorIndex = null, exactSearchThreshold = 1000, candidateMultiplier = 4 } = {}) {
+    super();
     this.nodes = new Map(); // uuid -> Node
     this.edges = new Map(); // uuid -> Edge
+    this.provenance = new Map(); // uuid -> Provenance of the last write
+
+    // uuid order for paged listings
+    this._nodeOrder = new SortedKeys();
+    this._edgeOrder = new SortedKeys();
+
+    // Approximate nearest-neighbour index over node embeddings
+    this.vectorIndex = vectorIndex || new HnswVectorIndex();
+    this.exactSearchThreshold = exactSearchThreshold;
+    this.candidateMultiplier = candidateMultiplier;
+
+    // BM25 inverted index over labels, aliases, summaries and tag text
+    this.lexicalIndex = new LexicalIndex();
+
+    // Folded names (labels, aliases) for exact and fuzzy label lookup
+    this.labelIndex = new LabelIndex();
+
+    // Adjacency indexes (edge UUID sets) so edge lookups never scan every edge
+    this._outIndex = new Map(); // fromNode -> Map<rel, Set<edgeUuid>>
+    this._inIndex = new Map();  // toNode -> Map<rel, Set<edgeUuid>>
+    this._relIndex = new Map(); // rel -> Set<edgeUuid>
+    this._indexedEdgeKeys = new Map(); // edgeUuid -> { fromNode, toNode, rel } as indexed
   }
 
   /**
@@ -18,80 +62,119 @@ export class InMemoryMemory {
    * @param {Object} options - Options (embeddingRequest, etc.)
    */
   async upsert(item, provenance, options = {}) {
+    if (provenance && (item instanceof Node || item instanceof Edge)) {
+      this.provenance.set(item.uuid, provenance);
+    }
     if (item instanceof Node) {
-      this.nodes.set(item.uuid, item);
+      const existed = this.nodes.has(item.uuid);
+      this._putNode(item);
+      emitChange(this, existed ? 'node.updated' : 'node.created', item, provenance);
     } else if (item instanceof Edge) {
-      this.edges.set(item.uuid, item);
+      const existed = this.edges.has(item.uuid);
+      this._putEdge(item);
+      emitChange(this, existed ? 'edge.updated' : 'edge.created', item, provenance);
     }
   }
 
   /**
    * Search for nodes by query
    * 
+   * Vector candidates come from the vector index on large graphs
+   * (approximate); graphs up to exactSearchThreshold nodes, or calls with
+   * exact=true, compare every node. Lexical candidates are BM25-ranked from
+   * the lexical index. Hybrid mode fuses both rankings (see lexical-index.js).
+   * 
    * @param {Object} params
    * @param {string} params.query - Search query
    * @param {number} params.topK - Maximum results
-   * @param {Object} params.filters - Filter criteria
+   * @param {Object} params.filters - Filter criteria (see SearchParams in memory-tools.js)
    * @param {number[]} [params.queryEmbedding] - Query embedding vector
-   * @returns {Promise<Array>} Search results
-   */
-  async search({ query, topK, filters = {}, queryEmbedding = null }) {
-    let results = Array.from(this.nodes.values());
-
-    // Apply filters
-    if (filters.kind) {
-      results = results.filter(n => n.kind === filters.kind);
-    }
-
-    // Simple similarity if embedding provided
-    if (queryEmbedding && results.length > 0) {
-      const q = (query || '').toLowerCase();
-      const tokens = q
-        .split(/[^a-z0-9]+/i)
-        .map(t => t.trim())
-        .filter(t => t.length >= 3);
-
-      results = results
-        .map(node => {
-          if (!node.llmEmbedding) {
-            return { node, similarity: 0, textBoost: 0 };
-          }
-          const similarity = this._cosineSimilarity(queryEmbedding, node.llmEmbedding);
-          const label = String(node.props.label || node.props.name || '').toLowerCase();
-          const name = String(node.props.name || '').toLowerCase();
-          const haystack = `${label} ${name}`;
-          const textBoost =
-            (q && haystack.includes(q)) ? 3 :
-            tokens.reduce((acc, t) => (haystack.includes(t) ? acc + 1 : acc), 0);
-          return { node, similarity, textBoost };
-        })
-        .filter(r => r.similarity >= 0) // Filter out nodes without embeddings
-        // Hybrid rank: strong text match wins, then embedding similarity
-        .sort((a, b) => (b.textBoost - a.textBoost) || (b.similarity - a.similarity))
-        .slice(0, topK)
-        .map(r => ({
-          uuid: r.node.uuid,
-          name: r.node.props.label || r.node.props.name,
-          props: r.node.props,
-          similarity: r.similarity
-        }));
-    } else {
-      // Simple text matching
-      results = results
-        .filter(n => {
-          const label = n.props.label || n.props.name || '';
-          return label.toLowerCase().includes(query.toLowerCase());
-        })
-        .slice(0, topK)
-        .map(n => ({
-          uuid: n.uuid,
-          name: n.props.label || n.props.name,
-          props: n.props,
-          similarity: 0.5 // Default similarity for text match
-        }));
+   * @param {'hybrid'|'vector'|'lexical'} [params.mode='hybrid'] - Scoring mode; without a
+   *   query embedding, search is lexical
+   * @param {'rrf'|'weighted'} [params.fusion='rrf'] - How hybrid mode combines the rankings
+   * @param {{vector?: number, lexical?: number}} [params.weights] - Per-ranking fusion weights
+   * @param {boolean} [params.exact=false] - Bypass the vector index (recall checks)
+   * @param {boolean} [params.explain=false] - Add each result's `ranking` (ranks and score contributions)
+   * @returns {Promise<Array>} Search results ({ uuid, name, props, similarity, score, lexicalScore })
+   */
+  async search({
+    query,
+    topK,
+    filters = {},
+    queryEmbedding = null,
+    mode = 'hybrid',
+    fusion = 'rrf',
+    weights = {},
+    exact = false,
+    explain = false
+  }) {
+    if (!queryEmbedding) mode = 'lexical';
+    const candidates = mode === 'hybrid' ? topK * this.candidateMultiplier : topK;
+    const similarityOf = (node) => (queryEmbedding && Array.isArray(node.llmEmbedding)
+      ? this._cosineSimilarity(queryEmbedding, node.llmEmbedding)
+      : 0);
+    const prototypes = filters.instanceOf ? new Set(filters.instanceOf) : null;
+    const passes = (n) =>
+      (!filters.kind || n.kind === filters.kind) &&
+      (!filters.excludeStatus || !filters.excludeStatus.includes(n.props?.status)) &&
+      (!filters.namespaces || filters.namespaces.includes(namespaceOf(n))) &&
+      (!prototypes || this._isInstanceOf(n.uuid, prototypes)) &&
+      (!queryEmbedding || filters.minSimilarity === undefined || similarityOf(n) >= filters.minSimilarity);
+
+    let vectorHits = [];
+    if (mode !== 'lexical') {
+      let nodes;
+      if (!exact && this.nodes.size > this.exactSearchThreshold) {
+        // Approximate: only nodes near the query vector are ranked
+        nodes = this.vectorIndex
+          .search(queryEmbedding, candidates, { filter: uuid => passes(this.nodes.get(uuid)) })
+          .map(hit => this.nodes.get(hit.id));
+      } else {
+        nodes = Array.from(this.nodes.values()).filter(n => passes(n) && Array.isArray(n.llmEmbedding));
+      }
+      vectorHits = nodes
+        .map(node => ({ uuid: node.uuid, similarity: similarityOf(node) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, candidates);
     }
 
-    return results;
+    const lexicalHits = mode === 'vector'
+      ? []
+      : this.lexicalIndex.search(query || '', candidates, { filter: uuid => passes(this.nodes.get(uuid)) });
+
+    const fused = fuseRankings(vectorHits, lexicalHits, { mode, fusion, weights });
+    return Array.from(fused).slice(0, topK).map(([uuid, ranked]) => {
+      const node = this.nodes.get(uuid);
+      return {
+        uuid,
+        name: node.props.label || node.props.name,
+        props: node.props,
+        similarity: ranked.similarity ?? similarityOf(node),
+        score: ranked.score,
+        lexicalScore: ranked.lexicalScore ?? 0,
+        ...(explain ? { ranking: rankingOf(ranked) } : {})
+      };
+    });
+  }
+
+  /**
+   * Find nodes by name: labels, names and aliases equal to the text once
+   * folded (case, accents, spacing), or with fuzzy, within a few edits of
+   * it (see label-index.js)
+   * 
+   * @param {LabelLookupParams} params
+   * @returns {Promise<LabelMatch[]>} Closest first
+   */
+  async lookupLabel({ text, fuzzy = false, maxDistance = null, limit = 10, filters = {} }) {
+    const prototypes = filters.instanceOf ? new Set(filters.instanceOf) : null;
+    const passes = (uuid) => {
+      const node = this.nodes.get(uuid);
+      return nodeMatches(node, filters) && (!prototypes || this._isInstanceOf(uuid, prototypes));
+    };
+    return this.labelIndex.lookup(text, { fuzzy, maxDistance, filter: passes }).slice(0, limit).map(hit => {
+      const node = this.nodes.get(hit.uuid);
+      return { uuid: hit.uuid, name: node.props.label || node.props.name, props: node.props, ...hit };
+    });
   }
 
   /**
@@ -104,6 +187,359 @@ export class InMemoryMemory {
     return this.nodes.get(uuid) || null;
   }
 
+  /**
+   * Get an edge by UUID
+   * 
+   * @param {string} uuid - Edge UUID
+   * @returns {Promise<Edge|null>} Edge or null
+   */
+  async getEdge(uuid) {
+    return this.edges.get(uuid) || null;
+  }
+
+  /**
+   * Get the provenance of the last write to a node or edge
+   * 
+   * @param {string} uuid - Node or edge UUID
+   * @returns {Promise<Provenance|null>} Provenance or null
+   */
+  async getProvenance(uuid) {
+    return this.provenance.get(uuid) || null;
+  }
+
+  /**
+   * List nodes matching the filters
+   * 
+   * @param {Object} [filters]
+   * @param {string} [filters.kind] - Only nodes of this kind
+   * @param {string} [filters.label] - Only nodes with this label
+   * @param {Object} [filters.props] - Only nodes whose props equal these values
+   * @param {string[]} [filters.namespaces] - Only nodes in these namespaces
+   * @param {number} [filters.limit] - Page size
+   * @param {number} [filters.offset=0] - Nodes to skip
+   * @param {string} [filters.cursor] - nextCursor of the previous page
+   * @returns {Promise<Node[]>}
+   */
+  async listNodes({ limit, offset, cursor, ...filters } = {}) {
+    if (limit === undefined && !offset && cursor === undefined) {
+      return Array.from(this.nodes.values()).filter(n => nodeMatches(n, filters));
+    }
+    return this._nodeOrder.page(uuid => this.nodes.get(uuid), { limit, offset, cursor }, n => nodeMatches(n, filters));
+  }
+
+  /**
+   * List all edges
+   * 
+   * @param {Object} [page]
+   * @param {number} [page.limit] - Page size
+   * @param {number} [page.offset=0] - Edges to skip
+   * @param {string} [page.cursor] - nextCursor of the previous page
+   * @returns {Promise<Edge[]>}
+   */
+  async listEdges({ limit, offset, cursor } = {}) {
+    if (limit === undefined && !offset && cursor === undefined) {
+      return Array.from(this.edges.values());
+    }
+    return this._edgeOrder.page(uuid => this.edges.get(uuid), { limit, offset, cursor });
+  }
+
+  /**
+   * Find edges matching every given field (served from the adjacency indexes)
+   * 
+   * @param {Object} filters
+   * @param {string} [filters.fromNode] - Source node UUID
+   * @param {string} [filters.toNode] - Destination node UUID
+   * @param {string} [filters.rel] - Relationship type
+   * @param {Object} [page] - { limit, offset, cursor }
+   * @returns {Promise<Edge[]>}
+   */
+  async findEdges(filters = {}, page = {}) {
+    const { fromNode, toNode, rel } = filters;
+    let candidates;
+    if (fromNode !== undefined) {
+      candidates = this._lookupAdjacency(this._outIndex, fromNode, rel);
+    } else if (toNode !== undefined) {
+      candidates = this._lookupAdjacency(this._inIndex, toNode, rel);
+    } else if (rel !== undefined) {
+      candidates = this._relIndex.get(rel) || [];
+    } else {
+      return this.listEdges(page);
+    }
+
+    const out = [];
+    for (const edgeUuid of candidates) {
+      const edge = this.edges.get(edgeUuid);
+      if (edge && edgeMatches(edge, filters)) {
+        out.push(edge);
+      }
+    }
+    return paginate(out, page);
+  }
+
+  /**
+   * Delete a node (incident edges are not touched)
+   * 
+   * @param {string} uuid - Node UUID
+   * @returns {Promise<boolean>} Whether the node existed
+   */
+  async deleteNode(uuid) {
+    const node = this.nodes.get(uuid);
+    if (!node) return false;
+    this._removeNode(uuid);
+    this.provenance.delete(uuid);
+    emitChange(this, 'node.deleted', node);
+    return true;
+  }
+
+  /**
+   * Rebuild the vector index from every stored node embedding
+   */
+  rebuildVectorIndex() {
+    this.vectorIndex.clear();
+    for (const node of this.nodes.values()) {
+      this._indexNodeVector(node);
+    }
+  }
+
+  /**
+   * Store a node and keep the vector and lexical indexes in sync
+   * 
+   * @private
+   */
+  _putNode(node, { indexVector = true } = {}) {
+    if (!this.nodes.has(node.uuid)) this._nodeOrder.add(node.uuid);
+    this.nodes.set(node.uuid, node);
+    this.lexicalIndex.add(node);
+    this.labelIndex.add(node);
+    if (indexVector) {
+      this._indexNodeVector(node);
+    }
+  }
+
+  /**
+   * Remove a node and its index entries
+   * 
+   * @private
+   */
+  _removeNode(uuid) {
+    this.vectorIndex.remove(uuid);
+    this.lexicalIndex.remove(uuid);
+    this.labelIndex.remove(uuid);
+    if (this.nodes.has(uuid)) this._nodeOrder.delete(uuid);
+    return this.nodes.delete(uuid);
+  }
+
+  /**
+   * Whether a node has an instanceOf edge to one of the prototypes
+   * 
+   * @private
+   */
+  _isInstanceOf(uuid, prototypes) {
+    for (const edgeUuid of this._lookupAdjacency(this._outIndex, uuid, 'instanceOf')) {
+      if (prototypes.has(this.edges.get(edgeUuid)?.toNode)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _indexNodeVector(node) {
+    if (Array.isArray(node.llmEmbedding) && node.llmEmbedding.length > 0) {
+      this.vectorIndex.add(node.uuid, node.llmEmbedding);
+    } else {
+      this.vectorIndex.remove(node.uuid);
+    }
+  }
+
+  /**
+   * Delete an edge
+   * 
+   * @param {string} uuid - Edge UUID
+   * @returns {Promise<boolean>} Whether the edge existed
+   */
+  async deleteEdge(uuid) {
+    const edge = this.edges.get(uuid);
+    if (!edge) return false;
+    this._removeEdge(uuid);
+    this.provenance.delete(uuid);
+    emitChange(this, 'edge.deleted', edge);
+    return true;
+  }
+
+  /**
+   * Run fn inside a transaction
+   * 
+   * fn receives a view of this memory; every write made through it is
+   * recorded in an undo log. If fn throws, the writes are reverted in
+   * reverse order (through upsert/delete, so subclasses such as FileMemory
+   * persist the rollback too) and the error is rethrown. Writes, and their
+   * change events, are visible to other callers before commit; a rollback
+   * emits the compensating events. Nested calls join the outer transaction.
+   * 
+   * getNode/getEdge hand out the stored objects, so the view snapshots an
+   * item when it is first read: a read-modify-upsert rolls back to the state
+   * before the read, not to the already mutated object.
+   * 
+   * @param {(tx: InMemoryMemory) => Promise<*>} fn
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async transaction(fn) {
+    const undo = [];
+    const snapshots = new Map(); // 'node:uuid' -> { previous, provenance } as first seen
+    const recorded = new Set();
+    const snapshot = (type, uuid) => {
+      const key = `${type}:${uuid}`;
+      if (!snapshots.has(key)) {
+        const previous = type === 'node' ? this.nodes.get(uuid) : this.edges.get(uuid);
+        snapshots.set(key, {
+          previous: previous ? cloneItem(previous) : null,
+          provenance: this.provenance.get(uuid) ?? null
+        });
+      }
+      return snapshots.get(key);
+    };
+    const record = (type, uuid) => {
+      const key = `${type}:${uuid}`;
+      if (recorded.has(key)) return;
+      recorded.add(key);
+      undo.push({ type, uuid, ...snapshot(type, uuid) });
+    };
+
+    const tx = Object.create(this, {
+      getNode: {
+        value: async (uuid) => {
+          snapshot('node', uuid);
+          return this.getNode(uuid);
+        }
+      },
+      getEdge: {
+        value: async (uuid) => {
+          snapshot('edge', uuid);
+          return this.getEdge(uuid);
+        }
+      },
+      upsert: {
+        value: async (item, provenance, options) => {
+          if (item instanceof Node) record('node', item.uuid);
+          else if (item instanceof Edge) record('edge', item.uuid);
+          return this.upsert(item, provenance, options);
+        }
+      },
+      deleteNode: {
+        value: async (uuid) => {
+          record('node', uuid);
+          return this.deleteNode(uuid);
+        }
+      },
+      deleteEdge: {
+        value: async (uuid) => {
+          record('edge', uuid);
+          return this.deleteEdge(uuid);
+        }
+      },
+      transaction: { value: async (inner) => inner(tx) }
+    });
+
+    try {
+      return await fn(tx);
+    } catch (error) {
+      for (const { type, uuid, previous, provenance } of undo.reverse()) {
+        if (previous) {
+          await this.upsert(previous, provenance);
+        } else if (type === 'node') {
+          await this.deleteNode(uuid);
+        } else {
+          await this.deleteEdge(uuid);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store an edge and (re)index its endpoints
+   * 
+   * @private
+   */
+  _putEdge(edge) {
+    this._unindexEdge(edge.uuid);
+    if (!this.edges.has(edge.uuid)) this._edgeOrder.add(edge.uuid);
+    this.edges.set(edge.uuid, edge);
+
+    const key = { fromNode: edge.fromNode, toNode: edge.toNode, rel: edge.rel };
+    this._indexedEdgeKeys.set(edge.uuid, key);
+    this._addToIndex(this._outIndex, key.fromNode, key.rel, edge.uuid);
+    this._addToIndex(this._inIndex, key.toNode, key.rel, edge.uuid);
+    if (!this._relIndex.has(key.rel)) this._relIndex.set(key.rel, new Set());
+    this._relIndex.get(key.rel).add(edge.uuid);
+  }
+
+  /**
+   * Remove an edge and its index entries
+   * 
+   * @private
+   */
+  _removeEdge(uuid) {
+    this._unindexEdge(uuid);
+    if (this.edges.has(uuid)) this._edgeOrder.delete(uuid);
+    return this.edges.delete(uuid);
+  }
+
+  /**
+   * @private
+   */
+  _unindexEdge(uuid) {
+    const key = this._indexedEdgeKeys.get(uuid);
+    if (!key) return;
+    this._indexedEdgeKeys.delete(uuid);
+    this._removeFromIndex(this._outIndex, key.fromNode, key.rel, uuid);
+    this._removeFromIndex(this._inIndex, key.toNode, key.rel, uuid);
+    const byRel = this._relIndex.get(key.rel);
+    if (byRel) {
+      byRel.delete(uuid);
+      if (byRel.size === 0) this._relIndex.delete(key.rel);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addToIndex(index, nodeUuid, rel, edgeUuid) {
+    if (!index.has(nodeUuid)) index.set(nodeUuid, new Map());
+    const byRel = index.get(nodeUuid);
+    if (!byRel.has(rel)) byRel.set(rel, new Set());
+    byRel.get(rel).add(edgeUuid);
+  }
+
+  /**
+   * @private
+   */
+  _removeFromIndex(index, nodeUuid, rel, edgeUuid) {
+    const byRel = index.get(nodeUuid);
+    const set = byRel?.get(rel);
+    if (!set) return;
+    set.delete(edgeUuid);
+    if (set.size === 0) byRel.delete(rel);
+    if (byRel.size === 0) index.delete(nodeUuid);
+  }
+
+  /**
+   * Edge UUIDs adjacent to a node, optionally restricted to one relation
+   * 
+   * @private
+   */
+  _lookupAdjacency(index, nodeUuid, rel) {
+    const byRel = index.get(nodeUuid);
+    if (!byRel) return [];
+    if (rel !== undefined) return byRel.get(rel) || [];
+    const out = [];
+    for (const set of byRel.values()) {
+      out.push(...set);
+    }
+    return out;
+  }
+
   /**
    * Calculate cosine similarity between two vectors
    * 
@@ -0,0 +1,229 @@
+/**
+ * Label index - exact and typo-tolerant lookup of nodes by name
+ *
+ * A node answers to its label, name and aliases, and to the entries of
+ * node.labels (LABEL_FIELDS). Names are folded before comparison
+ * (normalizeLabel: case, accents, runs of whitespace), so 'Café  Bar' and
+ * 'cafe bar' are the same name. Fuzzy lookups also accept names within a
+ * small Levenshtein distance of the query. Each edit destroys at most three
+ * of the query's trigrams, so a trigram index picks the names sharing
+ * enough of them; when the allowed edits could destroy them all (short
+ * queries), the names of a compatible length are compared instead.
+ *
+ * InMemoryMemory keeps a LabelIndex in process; ArangoMemory stores the
+ * folded names on each node, indexes them (plus trigrams in its search
+ * view) and compares the shortlisted names with LEVENSHTEIN_DISTANCE.
+ */
+
+/**
+ * Node props looked up by label (plus node.labels).
+ */
+export const LABEL_FIELDS = ['label', 'name', 'aliases'];
+
+/**
+ * Fold a name for comparison: lowercase, no accents, single spaces.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeLabel(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distinct names of a node (unfolded).
+ *
+ * @param {Node} node
+ * @returns {string[]}
+ */
+export function nodeLabels(node) {
+  const props = node.props || {};
+  const names = [...LABEL_FIELDS.flatMap(field => [].concat(props[field] ?? [])), ...(node.labels || [])];
+  return [...new Set(names.filter(name => typeof name === 'string' && name.trim() !== ''))];
+}
+
+/**
+ * Edits a fuzzy lookup tolerates by default: 1 for names up to 4
+ * characters, 2 for longer ones.
+ *
+ * @param {string} text - Folded query
+ * @returns {number}
+ */
+export function defaultMaxDistance(text) {
+  return text.length <= 4 ? 1 : 2;
+}
+
+/**
+ * Levenshtein distance (insertions, deletions and substitutions).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Trigrams of a folded name, padded so short names have some.
+ *
+ * @private
+ */
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * In-process label index (folded name -> node UUIDs, plus trigrams).
+ */
+export class LabelIndex {
+  constructor() {
+    this._names = new Map(); // folded name -> Map<uuid, name as written>
+    this._trigrams = new Map(); // trigram -> Set<folded name>
+    this._nodeNames = new Map(); // uuid -> Set<folded name>
+    this._lengths = new Map(); // name length -> Set<folded name>
+  }
+
+  get size() {
+    return this._nodeNames.size;
+  }
+
+  /**
+   * Index (or re-index) a node.
+   *
+   * @param {Node} node
+   */
+  add(node) {
+    this.remove(node.uuid);
+    const folded = new Set();
+    for (const name of nodeLabels(node)) {
+      const key = normalizeLabel(name);
+      if (!key || folded.has(key)) continue;
+      folded.add(key);
+      if (!this._names.has(key)) {
+        this._names.set(key, new Map());
+        for (const gram of trigrams(key)) {
+          if (!this._trigrams.has(gram)) this._trigrams.set(gram, new Set());
+          this._trigrams.get(gram).add(key);
+        }
+        if (!this._lengths.has(key.length)) this._lengths.set(key.length, new Set());
+        this._lengths.get(key.length).add(key);
+      }
+      this._names.get(key).set(node.uuid, name);
+    }
+    if (folded.size > 0) this._nodeNames.set(node.uuid, folded);
+  }
+
+  /**
+   * @param {string} uuid
+   */
+  remove(uuid) {
+    const folded = this._nodeNames.get(uuid);
+    if (!folded) return;
+    for (const key of folded) {
+      const owners = this._names.get(key);
+      owners.delete(uuid);
+      if (owners.size > 0) continue;
+      this._names.delete(key);
+      for (const gram of trigrams(key)) {
+        const keys = this._trigrams.get(gram);
+        keys.delete(key);
+        if (keys.size === 0) this._trigrams.delete(gram);
+      }
+      const sameLength = this._lengths.get(key.length);
+      sameLength.delete(key);
+      if (sameLength.size === 0) this._lengths.delete(key.length);
+    }
+    this._nodeNames.delete(uuid);
+  }
+
+  clear() {
+    this._names.clear();
+    this._trigrams.clear();
+    this._nodeNames.clear();
+    this._lengths.clear();
+  }
+
+  /**
+   * Nodes with a name equal to the query once folded, or (fuzzy) within
+   * maxDistance edits of it.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false]
+   * @param {number} [options.maxDistance] - Edits allowed (default: defaultMaxDistance)
+   * @param {(uuid: string) => boolean} [options.filter]
+   * @returns {Array<{uuid: string, matched: string, distance: number}>} Closest name per
+   *   node, closest first (names written exactly like the query before other exact ones)
+   */
+  lookup(text, { fuzzy = false, maxDistance = null, filter = null } = {}) {
+    const query = normalizeLabel(text);
+    if (!query) return [];
+    const allowed = fuzzy ? (maxDistance ?? defaultMaxDistance(query)) : 0;
+
+    const distances = new Map([[query, 0]]);
+    for (const key of this._fuzzyCandidates(query, allowed)) {
+      if (!distances.has(key)) distances.set(key, levenshtein(query, key));
+    }
+
+    const best = new Map();
+    for (const [key, distance] of distances) {
+      if (distance > allowed) continue;
+      for (const [uuid, matched] of this._names.get(key) || []) {
+        if (filter && !filter(uuid)) continue;
+        const current = best.get(uuid);
+        if (!current || distance < current.distance) best.set(uuid, { uuid, matched, distance });
+      }
+    }
+    const verbatim = (hit) => (hit.matched === text ? 0 : 1);
+    return [...best.values()].sort((a, b) => a.distance - b.distance || verbatim(a) - verbatim(b));
+  }
+
+  /**
+   * Folded names that may be within `allowed` edits of the query: those
+   * sharing at least (query trigrams - 3 * allowed) trigrams with it, or
+   * every name of a compatible length when that bound is not positive.
+   *
+   * @private
+   */
+  _fuzzyCandidates(query, allowed) {
+    if (allowed === 0) return [];
+    const fits = key => Math.abs(key.length - query.length) <= allowed;
+    const grams = trigrams(query);
+    const required = grams.size - 3 * allowed;
+    if (required <= 0) {
+      const keys = [];
+      for (let length = query.length - allowed; length <= query.length + allowed; length++) {
+        keys.push(...(this._lengths.get(length) || []));
+      }
+      return keys;
+    }
+
+    const shared = new Map(); // folded name -> trigrams shared with the query
+    for (const gram of grams) {
+      for (const key of this._trigrams.get(gram) || []) {
+        if (fits(key)) shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+    return [...shared].filter(([, count]) => count >= required).map(([key]) => key);
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Lexical search - BM25 over node text, and rank fusion with vector similarity
+ *
+ * The searchable text of a node is its label, name, aliases, summary, tag
+ * text and labels (SEARCH_FIELDS). InMemoryMemory keeps a LexicalIndex in
+ * process; ArangoMemory gets the same BM25 ranking from an ArangoSearch view
+ * over the same fields. Both fuse it with vector similarity via fuseRankings.
+ *
+ * Search modes (searchConcepts / memory.search `mode`):
+ * - vector: cosine similarity only
+ * - lexical: BM25 only
+ * - hybrid: both, fused by reciprocal rank ('rrf', the default) or by a
+ *   weighted sum of cosine similarity and max-normalized BM25 ('weighted')
+ */
+
+import { tokenize } from '../embeddings/hashed-ngram.js';
+
+export const SEARCH_MODES = ['hybrid', 'vector', 'lexical'];
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Node props indexed for lexical search (plus node.labels).
+ */
+export const SEARCH_FIELDS = ['label', 'name', 'aliases', 'summary', 'text'];
+
+/**
+ * The searchable text of a node.
+ *
+ * @param {Node} node
+ * @returns {string}
+ */
+export function nodeSearchText(node) {
+  const props = node.props || {};
+  const parts = SEARCH_FIELDS.flatMap(field => [].concat(props[field] ?? []));
+  return [...parts, ...(node.labels || [])].filter(v => typeof v === 'string').join(' ');
+}
+
+/**
+ * Check search options (throws an Error with status 400 for the REST API).
+ *
+ * @param {Object} options
+ * @param {string} [options.mode]
+ * @param {string} [options.fusion]
+ * @param {{vector?: number, lexical?: number}} [options.weights]
+ */
+export function validateSearchOptions({ mode, fusion, weights } = {}) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+    throw fail(`mode must be one of ${SEARCH_MODES.join(', ')}`);
+  }
+  if (fusion !== undefined && !FUSION_METHODS.includes(fusion)) {
+    throw fail(`fusion must be one of ${FUSION_METHODS.join(', ')}`);
+  }
+  if (weights !== undefined) {
+    const values = [weights?.vector, weights?.lexical].filter(w => w !== undefined);
+    if (typeof weights !== 'object' || values.some(w => typeof w !== 'number' || !(w >= 0))) {
+      throw fail('weights must be { vector, lexical } non-negative numbers');
+    }
+  }
+}
+
+/**
+ * Fuse a vector ranking and a lexical ranking.
+ *
+ * @param {Array<{uuid: string, similarity: number}>} vectorHits - Best first
+ * @param {Array<{uuid: string, score: number}>} lexicalHits - Best first
+ * @param {Object} [options]
+ * @param {string} [options.mode='hybrid'] - See SEARCH_MODES
+ * @param {string} [options.fusion='rrf'] - See FUSION_METHODS
+ * @param {{vector?: number, lexical?: number}} [options.weights] - Per-ranking weights (default 1 each)
+ * @param {number} [options.rrfK=60] - Reciprocal rank fusion constant
+ * @returns {Map<string, {score: number, vectorRank: number|null, lexicalRank: number|null,
+ *   similarity: number|null, lexicalScore: number|null, vectorContribution: number,
+ *   lexicalContribution: number}>} By uuid, best first; score is the sum of the contributions
+ */
+export function fuseRankings(vectorHits, lexicalHits, { mode = 'hybrid', fusion = 'rrf', weights = {}, rrfK = 60 } = {}) {
+  const wVector = weights.vector ?? 1;
+  const wLexical = weights.lexical ?? 1;
+  const maxLexical = lexicalHits.reduce((max, hit) => Math.max(max, hit.score), 0);
+
+  const fused = new Map();
+  const entry = (uuid) => {
+    if (!fused.has(uuid)) {
+      fused.set(uuid, {
+        score: 0,
+        vectorRank: null,
+        lexicalRank: null,
+        similarity: null,
+        lexicalScore: null,
+        vectorContribution: 0,
+        lexicalContribution: 0
+      });
+    }
+    return fused.get(uuid);
+  };
+
+  if (mode !== 'lexical') {
+    const ranks = tiedRanks(vectorHits.map(hit => hit.similarity));
+    vectorHits.forEach((hit, i) => {
+      const e = entry(hit.uuid);
+      e.vectorRank = ranks[i];
+      e.similarity = hit.similarity;
+      if (mode === 'vector') e.vectorContribution = hit.similarity;
+      else if (fusion === 'rrf') e.vectorContribution = wVector / (rrfK + ranks[i]);
+      else e.vectorContribution = wVector * Math.max(hit.similarity, 0);
+      e.score += e.vectorContribution;
+    });
+  }
+  if (mode !== 'vector') {
+    const ranks = tiedRanks(lexicalHits.map(hit => hit.score));
+    lexicalHits.forEach((hit, i) => {
+      const e = entry(hit.uuid);
+      e.lexicalRank = ranks[i];
+      e.lexicalScore = hit.score;
+      if (mode === 'lexical') e.lexicalContribution = hit.score;
+      else if (fusion === 'rrf') e.lexicalContribution = wLexical / (rrfK + ranks[i]);
+      else e.lexicalContribution = maxLexical > 0 ? wLexical * (hit.score / maxLexical) : 0;
+      e.score += e.lexicalContribution;
+    });
+  }
+
+  return new Map([...fused].sort(([, a], [, b]) => b.score - a.score));
+}
+
+/**
+ * The ranking details of a fused entry, for search explanations.
+ *
+ * @param {Object} entry - A fuseRankings value
+ * @returns {{vectorRank: number|null, lexicalRank: number|null, vectorContribution: number,
+ *   lexicalContribution: number}}
+ */
+export function rankingOf({ vectorRank, lexicalRank, vectorContribution, lexicalContribution }) {
+  return { vectorRank, lexicalRank, vectorContribution, lexicalContribution };
+}
+
+/**
+ * Indexed-form query terms that match a node's searchable text: the query
+ * tokens found in it, and tokens of 3+ characters found inside its words
+ * (like LexicalIndex's expansion of unknown tokens).
+ *
+ * @param {string} query
+ * @param {Node} node - Needs props (and labels, when present)
+ * @returns {string[]} Matched node terms
+ */
+export function matchedTerms(query, node) {
+  const nodeTerms = new Set(tokenize(nodeSearchText(node)));
+  const matched = new Set();
+  for (const token of tokenize(query || '')) {
+    if (nodeTerms.has(token)) {
+      matched.add(token);
+    } else if (token.length >= 3) {
+      for (const term of nodeTerms) {
+        if (term.includes(token)) matched.add(term);
+      }
+    }
+  }
+  return [...matched];
+}
+
+/**
+ * 1-based ranks of descending scores; equal scores share a rank (1, 2, 2, 4).
+ *
+ * @private
+ */
+function tiedRanks(scores) {
+  const ranks = [];
+  scores.forEach((score, i) => {
+    ranks.push(i > 0 && score === scores[i - 1] ? ranks[i - 1] : i + 1);
+  });
+  return ranks;
+}
+
+/**
+ * In-process inverted index with BM25 scoring.
+ *
+ * A query term that is not in the vocabulary matches the indexed terms
+ * containing it ('phone' -> 'telephone'), like a substring match on labels.
+ */
+export class LexicalIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1=1.2] - Term frequency saturation
+   * @param {number} [options.b=0.75] - Length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this._docs = new Map(); // uuid -> { length, terms: Map<term, tf> }
+    this._postings = new Map(); // term -> Map<uuid, tf>
+    this._totalLength = 0;
+  }
+
+  get size() {
+    return this._docs.size;
+  }
+
+  /**
+   * Index (or re-index) a node.
+   *
+   * @param {Node} node
+   */
+  add(node) {
+    this.remove(node.uuid);
+    const tokens = tokenize(nodeSearchText(node));
+    if (tokens.length === 0) return;
+    const terms = new Map();
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    for (const [term, tf] of terms) {
+      if (!this._postings.has(term)) this._postings.set(term, new Map());
+      this._postings.get(term).set(node.uuid, tf);
+    }
+    this._docs.set(node.uuid, { length: tokens.length, terms });
+    this._totalLength += tokens.length;
+  }
+
+  /**
+   * @param {string} uuid
+   */
+  remove(uuid) {
+    const doc = this._docs.get(uuid);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const posting = this._postings.get(term);
+      posting.delete(uuid);
+      if (posting.size === 0) this._postings.delete(term);
+    }
+    this._docs.delete(uuid);
+    this._totalLength -= doc.length;
+  }
+
+  clear() {
+    this._docs.clear();
+    this._postings.clear();
+    this._totalLength = 0;
+  }
+
+  /**
+   * BM25-ranked nodes matching any query term.
+   *
+   * @param {string} query
+   * @param {number} k - Maximum hits
+   * @param {Object} [options]
+   * @param {(uuid: string) => boolean} [options.filter]
+   * @returns {Array<{uuid: string, score: number}>} Best first
+   */
+  search(query, k, { filter = null } = {}) {
+    const n = this._docs.size;
+    if (n === 0) return [];
+    const avgLength = this._totalLength / n;
+    const scores = new Map();
+
+    for (const term of this._expand(tokenize(query))) {
+      const posting = this._postings.get(term);
+      const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [uuid, tf] of posting) {
+        const { length } = this._docs.get(uuid);
+        const norm = tf + this.k1 * (1 - this.b + this.b * length / avgLength);
+        scores.set(uuid, (scores.get(uuid) || 0) + idf * (tf * (this.k1 + 1)) / norm);
+      }
+    }
+
+    const hits = [];
+    for (const [uuid, score] of scores) {
+      if (!filter || filter(uuid)) hits.push({ uuid, score });
+    }
+    return hits.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Indexed terms for the query tokens (unknown tokens of 3+ characters
+   * expand to the terms containing them).
+   *
+   * @private
+   */
+  _expand(tokens) {
+    const terms = new Set();
+    for (const token of tokens) {
+      if (this._postings.has(token)) {
+        terms.add(token);
+      } else if (token.length >= 3) {
+        for (const term of this._postings.keys()) {
+          if (term.includes(token)) terms.add(term);
+        }
+      }
+    }
+    return terms;
+  }
+}
@@ -0,0 +1,500 @@
+/**
+ * MemoryTools - the backend contract used by KnowShowGo and KSGORM
+ *
+ * Every memory backend (InMemoryMemory, FileMemory, ArangoMemory, ...) must
+ * implement the async methods below. KnowShowGo and the ORM only talk to
+ * storage through this surface, so a new backend that passes the shared
+ * conformance suite (tests/conformance/memory-tools.js) is a drop-in
+ * replacement.
+ *
+ * Nodes and edges may come back as model instances or plain objects, but
+ * must carry the same fields as Node / Edge in models.js.
+ */
+
+import { namespaceOf } from '../models.js';
+import { LabelIndex } from './label-index.js';
+
+/**
+ * @typedef {Object} SearchParams
+ * @property {string} query - Search query text
+ * @property {number} topK - Maximum results
+ * @property {Object} [filters] - Filter criteria:
+ *   { kind, excludeStatus, namespaces, instanceOf, minSimilarity } where excludeStatus is a list of
+ *   props.status values to skip, namespaces limits results to nodes whose props.namespace is listed
+ *   (missing = 'public'), instanceOf to nodes with an instanceOf edge to one of the listed prototype
+ *   UUIDs, and minSimilarity (with a queryEmbedding) drops nodes less similar to the query
+ * @property {number[]|null} [queryEmbedding] - Query embedding vector
+ * @property {'hybrid'|'vector'|'lexical'} [mode='hybrid'] - 'vector' ranks by embedding similarity,
+ *   'lexical' by BM25 over node text, 'hybrid' fuses both (lexical without a queryEmbedding)
+ * @property {'rrf'|'weighted'} [fusion='rrf'] - How hybrid mode fuses the rankings
+ * @property {{vector?: number, lexical?: number}} [weights] - Fusion weights (default 1 each)
+ * @property {boolean} [exact=false] - Bypass any approximate vector index and score every node
+ * @property {boolean} [explain=false] - Add each result's `ranking`: { vectorRank, lexicalRank,
+ *   vectorContribution, lexicalContribution } (ranks are 1-based, null when not ranked)
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} uuid - Node UUID
+ * @property {string} name - Node label/name
+ * @property {Object} props - Node props
+ * @property {number} similarity - Similarity score
+ * @property {number} score - Ranking score (similarity, BM25 or the fused score, by mode)
+ * @property {number} lexicalScore - BM25 score (0 without a text match)
+ */
+
+/**
+ * @typedef {Object} LabelLookupParams
+ * @property {string} text - Name to look up
+ * @property {boolean} [fuzzy=false] - Also match names within maxDistance edits
+ * @property {number|null} [maxDistance] - Levenshtein edits allowed when fuzzy (default: 1 for
+ *   names up to 4 characters, else 2)
+ * @property {number} [limit=10] - Maximum results
+ * @property {Object} [filters] - { kind, props, excludeStatus, namespaces, instanceOf }, as for
+ *   NodeFilters and SearchParams
+ */
+
+/**
+ * @typedef {Object} LabelMatch
+ * @property {string} uuid - Node UUID
+ * @property {string} name - Node label/name
+ * @property {Object} props - Node props
+ * @property {string} matched - The label, name or alias that matched (as written)
+ * @property {number} distance - Edits between the folded query and the folded name (0 = exact)
+ */
+
+/**
+ * @typedef {Object} EdgeFilters
+ * @property {string} [fromNode] - Source node UUID
+ * @property {string} [toNode] - Destination node UUID
+ * @property {string} [rel] - Relationship type
+ */
+
+/**
+ * @typedef {Object} NodeFilters
+ * @property {string} [kind] - Node kind
+ * @property {string} [label] - Exact props.label, or an entry of labels
+ * @property {Object} [props] - props fields that must equal the given values
+ * @property {string[]} [namespaces] - Only nodes in these namespaces (missing props.namespace = 'public')
+ * @property {string[]} [excludeStatus] - Skip nodes whose props.status is listed
+ * @property {number} [limit] - Page size (default: no limit)
+ * @property {number} [offset=0] - Items to skip
+ * @property {string} [cursor] - Continue after the page that returned this cursor
+ */
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {number} [limit] - Page size (default: no limit)
+ * @property {number} [offset=0] - Items to skip
+ * @property {string} [cursor] - Continue after the page that returned this cursor
+ *   (see nextCursor). Paginated results are ordered by uuid, so cursors stay valid
+ *   while other items are written.
+ */
+
+/**
+ * @typedef {Object} MemoryTools
+ * @property {(item: Node|Edge, provenance: Provenance, options?: Object) => Promise<void>} upsert
+ *   Insert or replace a node or edge (matched by uuid)
+ * @property {(uuid: string) => Promise<Node|null>} getNode - Node by UUID, or null
+ * @property {(uuid: string) => Promise<Edge|null>} getEdge - Edge by UUID, or null
+ * @property {(filters?: NodeFilters) => Promise<Node[]>} listNodes - Nodes matching the filters, paginated
+ * @property {(page?: PageOptions) => Promise<Edge[]>} listEdges - All edges, paginated
+ * @property {(filters: EdgeFilters, page?: PageOptions) => Promise<Edge[]>} findEdges
+ *   Edges matching every given field, paginated
+ * @property {(uuid: string) => Promise<boolean>} deleteNode
+ *   Remove a node (incident edges are left to the caller); false if it did not exist
+ * @property {(uuid: string) => Promise<boolean>} deleteEdge - Remove an edge; false if it did not exist
+ * @property {(params: SearchParams) => Promise<SearchResult[]>} search - Ranked node search
+ * @property {(params: LabelLookupParams) => Promise<LabelMatch[]>} [lookupLabel]
+ *   Optional: nodes by label, name or alias (folded, optionally typo-tolerant), closest
+ *   first. Without it, lookupLabel() below scans listNodes.
+ * @property {(uuid: string) => Promise<Provenance|null>} [getProvenance]
+ *   Optional: provenance of the last write to a node or edge (used by graph export)
+ * @property {(event: string, listener: Function) => *} [on]
+ *   Optional: backends that are EventEmitters emit MEMORY_EVENTS with { item, provenance },
+ *   plus a 'change' event ({ type, item, provenance }) for each of them
+ * @property {(fn: (tx: MemoryTools) => Promise<*>) => Promise<*>} [transaction]
+ *   Optional: run fn against a transactional view; its writes are committed when fn
+ *   resolves and rolled back when it throws. Nested calls join the outer transaction.
+ */
+
+/**
+ * Method names every MemoryTools backend must implement.
+ */
+export const MEMORY_TOOLS_METHODS = [
+  'upsert',
+  'getNode',
+  'getEdge',
+  'listNodes',
+  'listEdges',
+  'findEdges',
+  'deleteNode',
+  'deleteEdge',
+  'search'
+];
+
+/**
+ * Change events emitted by EventEmitter backends.
+ */
+export const MEMORY_EVENTS = [
+  'node.created',
+  'node.updated',
+  'node.deleted',
+  'edge.created',
+  'edge.updated',
+  'edge.deleted'
+];
+
+/**
+ * Emit a change event and the catch-all 'change' event (helper for backends).
+ *
+ * @param {import('events').EventEmitter} emitter
+ * @param {string} type - One of MEMORY_EVENTS
+ * @param {Node|Edge} item
+ * @param {Provenance|null} [provenance]
+ */
+export function emitChange(emitter, type, item, provenance = null) {
+  emitter.emit(type, { item, provenance });
+  emitter.emit('change', { type, item, provenance });
+}
+
+/**
+ * Throw if a backend does not implement the MemoryTools interface.
+ *
+ * @param {Object} memory - Memory backend
+ * @returns {MemoryTools} The same backend
+ */
+export function assertMemoryTools(memory) {
+  const missing = MEMORY_TOOLS_METHODS.filter(m => typeof memory?.[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`memory backend is missing MemoryTools methods: ${missing.join(', ')}`);
+  }
+  return memory;
+}
+
+/**
+ * Check whether an edge matches EdgeFilters (helper for scanning backends).
+ *
+ * @param {Edge} edge
+ * @param {EdgeFilters} filters
+ * @returns {boolean}
+ */
+export function edgeMatches(edge, { fromNode, toNode, rel } = {}) {
+  if (fromNode !== undefined && edge.fromNode !== fromNode) return false;
+  if (toNode !== undefined && edge.toNode !== toNode) return false;
+  if (rel !== undefined && edge.rel !== rel) return false;
+  return true;
+}
+
+/**
+ * Check whether a node matches NodeFilters (helper for scanning backends).
+ *
+ * @param {Node} node
+ * @param {NodeFilters} filters
+ * @returns {boolean}
+ */
+export function nodeMatches(node, { kind, label, props, namespaces, excludeStatus } = {}) {
+  if (kind !== undefined && node.kind !== kind) return false;
+  if (namespaces && !namespaces.includes(namespaceOf(node))) return false;
+  if (excludeStatus && excludeStatus.includes(node.props?.status)) return false;
+  if (label !== undefined && node.props?.label !== label && !(node.labels || []).includes(label)) {
+    return false;
+  }
+  if (props) {
+    for (const [key, value] of Object.entries(props)) {
+      if (node.props?.[key] !== value) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Apply limit/offset/cursor to an array (helper for scanning backends).
+ * Paginated results are ordered by uuid.
+ *
+ * @param {Array} items - Nodes or edges
+ * @param {PageOptions} page
+ * @returns {Array}
+ */
+export function paginate(items, { limit, offset = 0, cursor } = {}) {
+  if (limit === undefined && offset === 0 && cursor === undefined) return items;
+  let page = items;
+  if (cursor !== undefined) {
+    const { after } = decodeCursor(cursor, 'after');
+    page = page.filter(item => item.uuid > after);
+  }
+  page = [...page].sort((a, b) => (a.uuid < b.uuid ? -1 : a.uuid > b.uuid ? 1 : 0));
+  return page.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+/**
+ * Keys (uuids) of a collection in sorted order, so a scanning backend can
+ * serve uuid-ordered pages without sorting the collection for every page.
+ * Writes are buffered and merged into the order on the next read, so bulk
+ * loads stay linear.
+ *
+ * The owner reports each key once when it enters the collection (add) and
+ * once when it leaves (delete).
+ */
+export class SortedKeys {
+  constructor() {
+    this._sorted = [];
+    this._added = new Set(); // added since the last merge
+    this._removed = new Set(); // still in _sorted, but deleted
+  }
+
+  /**
+   * @param {string} key
+   */
+  add(key) {
+    if (!this._removed.delete(key)) this._added.add(key);
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    if (!this._added.delete(key)) this._removed.add(key);
+  }
+
+  /**
+   * Apply limit/offset/cursor over the keys in order, returning the items
+   * that match.
+   *
+   * @param {(key: string) => *} get - Item for a key
+   * @param {PageOptions} page
+   * @param {(item: *) => boolean} [match] - Items to keep
+   * @returns {Array}
+   */
+  page(get, { limit, offset = 0, cursor } = {}, match = () => true) {
+    const keys = this._merged();
+    let start = 0;
+    if (cursor !== undefined) {
+      const { after } = decodeCursor(cursor, 'after');
+      let end = keys.length;
+      while (start < end) {
+        const middle = (start + end) >>> 1;
+        if (keys[middle] <= after) start = middle + 1;
+        else end = middle;
+      }
+    }
+    const items = [];
+    let skipped = 0;
+    for (let i = start; i < keys.length && (limit === undefined || items.length < limit); i++) {
+      const item = get(keys[i]);
+      if (!match(item)) continue;
+      if (skipped < offset) skipped += 1;
+      else items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * The sorted keys, with pending writes merged in.
+   *
+   * @private
+   */
+  _merged() {
+    if (this._added.size === 0 && this._removed.size === 0) return this._sorted;
+    const kept = this._removed.size > 0 ? this._sorted.filter(key => !this._removed.has(key)) : this._sorted;
+    const added = [...this._added].sort();
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < kept.length || j < added.length) {
+      merged.push(j >= added.length || (i < kept.length && kept[i] < added[j]) ? kept[i++] : added[j++]);
+    }
+    this._sorted = merged;
+    this._added.clear();
+    this._removed.clear();
+    return merged;
+  }
+}
+
+/**
+ * Encode a cursor value as an opaque URL-safe string.
+ *
+ * Listings (listNodes, findEdges, getAssociations, ...) are ordered by uuid
+ * and page with { after: uuid }. Ranked results (searchConcepts) have no
+ * stable key order and page with { offset: n }. Each rejects the other's
+ * cursors (see decodeCursor).
+ *
+ * @param {Object} value - e.g. { after: uuid } or { offset: n }
+ * @returns {string}
+ */
+export function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor.
+ *
+ * @param {string} cursor
+ * @param {'after'|'offset'} [kind] - Field the caller pages by: 'after' must be a
+ *   string, 'offset' a non-negative integer
+ * @returns {Object}
+ * @throws {Error} With status 400 if the cursor is malformed or of another kind
+ */
+export function decodeCursor(cursor, kind) {
+  let value = null;
+  try {
+    value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    // rejected below
+  }
+  const valid = value && typeof value === 'object' && (
+    kind === undefined ||
+    (kind === 'after' && typeof value.after === 'string') ||
+    (kind === 'offset' && Number.isInteger(value.offset) && value.offset >= 0)
+  );
+  if (!valid) {
+    throw Object.assign(new Error(`Invalid cursor: ${cursor}`), { status: 400 });
+  }
+  return value;
+}
+
+/**
+ * Cursor for the page after `items`, or null when it was the last page.
+ *
+ * @param {Array} items - A page of nodes or edges (ordered by uuid)
+ * @param {number} [limit] - Page size the page was requested with
+ * @returns {string|null}
+ */
+export function nextCursor(items, limit) {
+  if (limit === undefined || items.length === 0 || items.length < limit) return null;
+  return encodeCursor({ after: items[items.length - 1].uuid });
+}
+
+/**
+ * Iterate over every node matching the filters, one page at a time.
+ *
+ * @param {MemoryTools} memory
+ * @param {NodeFilters} [filters]
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=500] - Nodes fetched per backend call
+ * @returns {AsyncGenerator<Node>}
+ */
+export async function* iterateNodes(memory, filters = {}, { pageSize = 500 } = {}) {
+  let cursor;
+  do {
+    const page = await memory.listNodes({ ...filters, limit: pageSize, cursor });
+    yield* page;
+    cursor = nextCursor(page, pageSize);
+  } while (cursor);
+}
+
+/**
+ * Iterate over every edge matching the filters, one page at a time.
+ *
+ * @param {MemoryTools} memory
+ * @param {EdgeFilters} [filters]
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=500] - Edges fetched per backend call
+ * @param {string} [options.cursor] - Start after the page that returned this cursor
+ * @returns {AsyncGenerator<Edge>}
+ */
+export async function* iterateEdges(memory, filters = {}, { pageSize = 500, cursor } = {}) {
+  do {
+    const page = await memory.findEdges(filters, { limit: pageSize, cursor });
+    yield* page;
+    cursor = nextCursor(page, pageSize);
+  } while (cursor);
+}
+
+/**
+ * Label indexes for backends without lookupLabel but with change events:
+ * built by one listNodes scan, then kept current from the events.
+ * memory -> Promise<{ index: LabelIndex, nodes: Map<uuid, Node> }>
+ */
+const fallbackLabelIndexes = new WeakMap();
+
+/**
+ * Index the nodes matching the filters, skipping the UUIDs in `skip`.
+ *
+ * @private
+ */
+async function scanLabels(memory, filters, { index = new LabelIndex(), nodes = new Map(), skip = new Set() } = {}) {
+  for await (const node of iterateNodes(memory, filters)) {
+    if (skip.has(node.uuid)) continue;
+    index.add(node);
+    nodes.set(node.uuid, node);
+  }
+  return { index, nodes };
+}
+
+/**
+ * The label index kept for an event-emitting backend. Nodes changed while
+ * the first scan runs keep the version from their event; a failed scan is
+ * forgotten so the next lookup retries.
+ *
+ * @private
+ */
+function fallbackLabelIndex(memory) {
+  let cached = fallbackLabelIndexes.get(memory);
+  if (cached) return cached;
+  const index = new LabelIndex();
+  const nodes = new Map();
+  const changed = new Set(); // uuids changed during the first scan
+  let scanning = true;
+  const onChange = ({ type, item }) => {
+    if (!type.startsWith('node.')) return;
+    if (scanning) changed.add(item.uuid);
+    if (type === 'node.deleted') {
+      index.remove(item.uuid);
+      nodes.delete(item.uuid);
+    } else {
+      index.add(item);
+      nodes.set(item.uuid, item);
+    }
+  };
+  memory.on('change', onChange);
+  cached = scanLabels(memory, {}, { index, nodes, skip: changed }).then(
+    (built) => {
+      scanning = false;
+      changed.clear();
+      return built;
+    },
+    (error) => {
+      memory.off?.('change', onChange);
+      fallbackLabelIndexes.delete(memory);
+      throw error;
+    }
+  );
+  fallbackLabelIndexes.set(memory, cached);
+  return cached;
+}
+
+/**
+ * Look nodes up by label through the backend's lookupLabel. Backends
+ * without one get a LabelIndex kept in process: cached and updated from
+ * their change events when they emit them, rebuilt by a listNodes scan on
+ * every call otherwise.
+ *
+ * @param {MemoryTools} memory
+ * @param {LabelLookupParams} params
+ * @returns {Promise<LabelMatch[]>} Closest first
+ */
+export async function lookupLabel(memory, params) {
+  if (typeof memory.lookupLabel === 'function') {
+    return memory.lookupLabel(params);
+  }
+  const { text, fuzzy = false, maxDistance = null, limit = 10, filters = {} } = params;
+  const { instanceOf, ...nodeFilters } = filters;
+  const { index, nodes } = typeof memory.on === 'function'
+    ? await fallbackLabelIndex(memory)
+    : await scanLabels(memory, nodeFilters);
+
+  const prototypes = instanceOf ? new Set(instanceOf) : null;
+  const filter = uuid => nodeMatches(nodes.get(uuid), nodeFilters);
+  const matches = [];
+  for (const hit of index.lookup(text, { fuzzy, maxDistance, filter })) {
+    if (matches.length >= limit) break;
+    if (prototypes) {
+      const edges = await memory.findEdges({ fromNode: hit.uuid, rel: 'instanceOf' });
+      if (!edges.some(edge => prototypes.has(edge.toNode))) continue;
+    }
+    const node = nodes.get(hit.uuid);
+    matches.push({ uuid: hit.uuid, name: node.props.label || node.props.name, props: node.props, ...hit });
+  }
+  return matches;
+}
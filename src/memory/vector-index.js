@@ -0,0 +1,446 @@
+/**
+ * Vector indexes for nearest-neighbour search over node embeddings
+ *
+ * Memory backends keep one of these next to their node store and update it
+ * on every upsert/delete. Both indexes rank by cosine similarity and share
+ * the same interface, so either can be plugged into a backend:
+ *
+ *   add(id, vector)      insert or replace a vector
+ *   remove(id)           drop a vector
+ *   has(id) / size       membership
+ *   search(vector, k, { filter, ef }) -> [{ id, similarity }] (best first)
+ *   clear()              drop everything
+ *   toJSON() / load(data) persist and restore the index state
+ *
+ * - ExactVectorIndex: brute force, always exact. Used for small graphs and
+ *   as the reference for recall checks.
+ * - HnswVectorIndex: approximate (Hierarchical Navigable Small World graph,
+ *   Malkov & Yashunin 2016) in pure JS; sub-linear queries on large graphs.
+ */
+
+/**
+ * Return a unit-length copy of a vector, or null for empty/zero vectors.
+ *
+ * @param {number[]} vector
+ * @returns {number[]|null}
+ */
+export function normalizeVector(vector) {
+  if (!Array.isArray(vector) || vector.length === 0) return null;
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  if (norm === 0 || !Number.isFinite(norm)) return null;
+  norm = Math.sqrt(norm);
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Cosine similarity of two unit vectors (0 when dimensions differ).
+ *
+ * @private
+ */
+function unitSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Brute-force cosine index.
+ */
+export class ExactVectorIndex {
+  constructor() {
+    this.type = 'exact';
+    this._vectors = new Map(); // id -> unit vector
+  }
+
+  get size() {
+    return this._vectors.size;
+  }
+
+  has(id) {
+    return this._vectors.has(id);
+  }
+
+  add(id, vector) {
+    const unit = normalizeVector(vector);
+    if (!unit) {
+      this.remove(id);
+      return;
+    }
+    this._vectors.set(id, unit);
+  }
+
+  remove(id) {
+    return this._vectors.delete(id);
+  }
+
+  clear() {
+    this._vectors.clear();
+  }
+
+  /**
+   * @param {number[]} vector - Query vector
+   * @param {number} k - Maximum results
+   * @param {Object} [options]
+   * @param {(id: string) => boolean} [options.filter] - Only ids passing this predicate
+   * @returns {Array<{id: string, similarity: number}>}
+   */
+  search(vector, k, { filter = null } = {}) {
+    const q = normalizeVector(vector);
+    if (!q) return [];
+    const out = [];
+    for (const [id, unit] of this._vectors) {
+      if (filter && !filter(id)) continue;
+      out.push({ id, similarity: unitSimilarity(q, unit) });
+    }
+    return out.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+  }
+
+  toJSON() {
+    return { type: this.type, vectors: Array.from(this._vectors.entries()) };
+  }
+
+  load(data) {
+    this._vectors = new Map(data.vectors || []);
+  }
+}
+
+/**
+ * Approximate cosine index using an HNSW graph.
+ *
+ * Replacing or removing a vector marks the old graph entry deleted (it still
+ * routes searches); the graph is rebuilt once deleted entries outnumber live ones.
+ */
+export class HnswVectorIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.M=16] - Links per node on upper layers (2*M on layer 0)
+   * @param {number} [options.efConstruction=100] - Candidate list size while inserting
+   * @param {number} [options.efSearch=64] - Candidate list size while querying
+   * @param {number} [options.seed=42] - Seed for level assignment (reproducible graphs)
+   */
+  constructor({ M = 16, efConstruction = 100, efSearch = 64, seed = 42 } = {}) {
+    this.type = 'hnsw';
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this._levelMult = 1 / Math.log(M);
+    this.clear();
+  }
+
+  get size() {
+    return this._slots.size;
+  }
+
+  has(id) {
+    return this._slots.has(id);
+  }
+
+  clear() {
+    this._items = [];         // slot -> { id, vector, level, links: number[][], deleted }
+    this._slots = new Map();  // id -> live slot
+    this._entry = -1;
+    this._maxLevel = -1;
+    this._deleted = 0;
+    this._rng = this.seed >>> 0;
+  }
+
+  add(id, vector) {
+    const unit = normalizeVector(vector);
+    if (!unit) {
+      this.remove(id);
+      return;
+    }
+
+    const existing = this._slots.get(id);
+    if (existing !== undefined) {
+      const current = this._items[existing].vector;
+      if (current.length === unit.length && current.every((v, i) => v === unit[i])) {
+        return;
+      }
+      this._markDeleted(existing);
+    }
+
+    this._insert(id, unit);
+    this._maybeCompact();
+  }
+
+  remove(id) {
+    const slot = this._slots.get(id);
+    if (slot === undefined) return false;
+    this._markDeleted(slot);
+    this._maybeCompact();
+    return true;
+  }
+
+  /**
+   * @param {number[]} vector - Query vector
+   * @param {number} k - Maximum results
+   * @param {Object} [options]
+   * @param {(id: string) => boolean} [options.filter] - Only ids passing this predicate
+   * @param {number} [options.ef] - Candidate list size (defaults to efSearch)
+   * @returns {Array<{id: string, similarity: number}>}
+   */
+  search(vector, k, { filter = null, ef = null } = {}) {
+    const q = normalizeVector(vector);
+    if (!q || this._entry === -1 || k <= 0) return [];
+
+    let width = Math.max(ef ?? this.efSearch, k);
+    for (;;) {
+      let ep = this._entry;
+      for (let level = this._maxLevel; level > 0; level--) {
+        ep = this._greedy(q, ep, level);
+      }
+      const found = this._searchLayer(q, ep, width, 0);
+
+      const out = [];
+      for (const c of found) {
+        const item = this._items[c.slot];
+        if (item.deleted || (filter && !filter(item.id))) continue;
+        out.push({ id: item.id, similarity: 1 - c.dist });
+        if (out.length === k) break;
+      }
+
+      // Selective filters can starve the candidate list: widen and retry
+      if (out.length >= k || width >= this._items.length) {
+        return out;
+      }
+      width *= 4;
+    }
+  }
+
+  /**
+   * Rebuild the graph from live entries (drops deleted routing nodes).
+   */
+  rebuild() {
+    const live = Array.from(this._slots.keys()).map(id => [id, this._items[this._slots.get(id)].vector]);
+    this.clear();
+    for (const [id, unit] of live) {
+      this._insert(id, unit);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entry: this._entry,
+      maxLevel: this._maxLevel,
+      rng: this._rng,
+      items: this._items
+    };
+  }
+
+  load(data) {
+    this.M = data.M;
+    this.maxM0 = data.M * 2;
+    this._levelMult = 1 / Math.log(data.M);
+    this.efConstruction = data.efConstruction;
+    this.efSearch = data.efSearch;
+    this._entry = data.entry;
+    this._maxLevel = data.maxLevel;
+    this._rng = data.rng >>> 0;
+    this._items = data.items;
+    this._slots = new Map();
+    this._deleted = 0;
+    this._items.forEach((item, slot) => {
+      if (item.deleted) {
+        this._deleted += 1;
+      } else {
+        this._slots.set(item.id, slot);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _insert(id, unit) {
+    const level = this._randomLevel();
+    const slot = this._items.length;
+    const item = {
+      id,
+      vector: unit,
+      level,
+      links: Array.from({ length: level + 1 }, () => []),
+      deleted: false
+    };
+    this._items.push(item);
+    this._slots.set(id, slot);
+
+    if (this._entry === -1) {
+      this._entry = slot;
+      this._maxLevel = level;
+      return;
+    }
+
+    let ep = this._entry;
+    for (let l = this._maxLevel; l > level; l--) {
+      ep = this._greedy(unit, ep, l);
+    }
+
+    for (let l = Math.min(level, this._maxLevel); l >= 0; l--) {
+      const candidates = this._searchLayer(unit, ep, this.efConstruction, l);
+      const maxConn = l === 0 ? this.maxM0 : this.M;
+      const neighbors = candidates.slice(0, this.M);
+      item.links[l] = neighbors.map(c => c.slot);
+
+      for (const n of neighbors) {
+        const links = this._items[n.slot].links[l];
+        links.push(slot);
+        if (links.length > maxConn) {
+          this._items[n.slot].links[l] = this._closest(this._items[n.slot].vector, links, maxConn);
+        }
+      }
+      ep = candidates[0].slot;
+    }
+
+    if (level > this._maxLevel) {
+      this._maxLevel = level;
+      this._entry = slot;
+    }
+  }
+
+  /**
+   * Greedy walk towards q on one layer.
+   *
+   * @private
+   */
+  _greedy(q, ep, level) {
+    let best = ep;
+    let bestDist = this._dist(q, ep);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const n of this._items[best].links[level] || []) {
+        const d = this._dist(q, n);
+        if (d < bestDist) {
+          bestDist = d;
+          best = n;
+          improved = true;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Beam search on one layer; returns up to ef { slot, dist } sorted closest first.
+   *
+   * @private
+   */
+  _searchLayer(q, ep, ef, level) {
+    const visited = new Set([ep]);
+    const start = { slot: ep, dist: this._dist(q, ep) };
+    const candidates = [start];   // ascending by dist
+    const results = [start];      // ascending by dist, at most ef
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.dist > results[results.length - 1].dist) {
+        break;
+      }
+      for (const n of this._items[current.slot].links[level] || []) {
+        if (visited.has(n)) continue;
+        visited.add(n);
+        const d = this._dist(q, n);
+        if (results.length < ef || d < results[results.length - 1].dist) {
+          const entry = { slot: n, dist: d };
+          insertSorted(candidates, entry);
+          insertSorted(results, entry);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _closest(vector, slots, count) {
+    return slots
+      .map(slot => ({ slot, dist: 1 - unitSimilarity(vector, this._items[slot].vector) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, count)
+      .map(c => c.slot);
+  }
+
+  /**
+   * @private
+   */
+  _dist(q, slot) {
+    return 1 - unitSimilarity(q, this._items[slot].vector);
+  }
+
+  /**
+   * @private
+   */
+  _markDeleted(slot) {
+    const item = this._items[slot];
+    if (item.deleted) return;
+    item.deleted = true;
+    this._slots.delete(item.id);
+    this._deleted += 1;
+  }
+
+  /**
+   * @private
+   */
+  _maybeCompact() {
+    if (this._deleted > 64 && this._deleted > this._slots.size) {
+      this.rebuild();
+    }
+  }
+
+  /**
+   * Draw a level from the exponential distribution (seeded mulberry32).
+   *
+   * @private
+   */
+  _randomLevel() {
+    this._rng = (this._rng + 0x6D2B79F5) >>> 0;
+    let t = this._rng;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const r = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.floor(-Math.log(1 - r) * this._levelMult);
+  }
+}
+
+/**
+ * Insert into an array kept sorted by ascending dist.
+ *
+ * @private
+ */
+function insertSorted(arr, entry) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (arr[mid].dist <= entry.dist) lo = mid + 1;
+    else hi = mid;
+  }
+  arr.splice(lo, 0, entry);
+}
+
+/**
+ * Create a vector index by type name.
+ *
+ * @param {'hnsw'|'exact'} type
+ * @param {Object} [options] - Index options (see HnswVectorIndex)
+ */
+export function createVectorIndex(type = 'hnsw', options = {}) {
+  if (type === 'hnsw') return new HnswVectorIndex(options);
+  if (type === 'exact') return new ExactVectorIndex();
+  throw new Error(`Unknown vector index type: ${type}`);
+}
@@ -4,6 +4,27 @@
 
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Status value marking a soft-deleted node or edge
+ */
+export const TOMBSTONED = 'tombstoned';
+
+/**
+ * Namespace readable by every caller (and the default for new items)
+ */
+export const PUBLIC_NAMESPACE = 'public';
+
+/**
+ * Namespace of a node, edge or assertion; items written before namespaces
+ * existed count as public.
+ *
+ * @param {Object} item
+ * @returns {string}
+ */
+export function namespaceOf(item) {
+  return item?.props?.namespace ?? item?.namespace ?? PUBLIC_NAMESPACE;
+}
+
 /**
  * Provenance - tracks the origin of information
  */
@@ -41,7 +62,7 @@ export class Node {
       summary: props.summary || '',
       isPrototype: props.isPrototype ?? false,
       status: props.status || status,
-      namespace: props.namespace || 'public',
+      namespace: props.namespace || PUBLIC_NAMESPACE,
       ...props
     };
     this.uuid = uuid;
@@ -81,3 +102,36 @@ export class Edge {
   }
 }
 
+/**
+ * Rebuild a Node from its JSON form (snapshots, logs, exports).
+ *
+ * @param {Object} data
+ * @returns {Node}
+ */
+export function reviveNode(data) {
+  return new Node({
+    kind: data.kind,
+    labels: data.labels,
+    props: data.props,
+    uuid: data.uuid,
+    llmEmbedding: data.llmEmbedding,
+    status: data.status
+  });
+}
+
+/**
+ * Rebuild an Edge from its JSON form (snapshots, logs, exports).
+ *
+ * @param {Object} data
+ * @returns {Edge}
+ */
+export function reviveEdge(data) {
+  return new Edge({
+    fromNode: data.fromNode,
+    toNode: data.toNode,
+    rel: data.rel,
+    props: data.props,
+    uuid: data.uuid,
+    kind: data.kind
+  });
+}
@@ -6,9 +6,11 @@
  * - Lazy property loading from associated nodes
  * - Cached JSON documents linked to concept nodes
  * - Query by prototype (e.g., Person.find(), Person.create())
+ * - Namespaces: create() writes to options.namespace, find()/get() read
+ *   options.namespaces (plus 'public'); both default to the KnowShowGo scope
  */
 
-import { Node, Edge, Provenance } from '../models.js';
+import { Node, Edge, Provenance, namespaceOf } from '../models.js';
 
 export class KSGORM {
   constructor(ksg) {
@@ -224,21 +226,28 @@ export class KSGORM {
 
     /**
      * Create a new instance.
+     * 
+     * @param {Object} data - Property values
+     * @param {Object} [options]
+     * @param {string} [options.namespace] - Namespace to write to
      */
-    KSGObject.create = async function(data) {
-      const embedding = await self.ksg.embedFn(
-        `${prototypeName} ${Object.values(data).join(' ')}`
-      );
+    KSGObject.create = async function(data, { namespace = self.ksg.namespace } = {}) {
+      // Concept and document texts are embedded in one batch
+      const [embedding, documentEmbedding] = await self.ksg.embedMany([
+        `${prototypeName} ${Object.values(data).join(' ')}`,
+        JSON.stringify(data)
+      ]);
 
       // Create concept with properties
       const conceptUuid = await self.ksg.createConceptWithProperties({
         prototypeUuid: prototypeUuid,
         properties: data,
-        embedding: embedding
+        embedding: embedding,
+        namespace
       });
 
       // Create cached document
-      await self._updateCachedDocument(conceptUuid, data);
+      await self._updateCachedDocument(conceptUuid, data, { embedding: documentEmbedding });
 
       // Return instance
       const instance = new KSGObject(conceptUuid, true);
@@ -248,37 +257,39 @@ export class KSGORM {
     };
 
     /**
-     * Get an instance by UUID.
+     * Get an instance by UUID (null when missing or outside options.namespaces).
      */
-    KSGObject.get = async function(uuid) {
-      const node = await self.ksg.getConcept(uuid);
+    KSGObject.get = async function(uuid, { namespaces = null } = {}) {
+      const node = await self.ksg.getConcept(uuid, { namespaces });
       if (!node) return null;
       return new KSGObject(uuid, false);
     };
 
     /**
      * Find all instances of this prototype.
+     * 
+     * @param {Object} [options]
+     * @param {Object} [options.where] - Property conditions, e.g. { priority: { gte: 3 } }
+     *   (see query/where.js)
+     * @param {string[]} [options.namespaces] - Namespaces to read ('public' is always included)
      */
-    KSGObject.find = async function() {
+    KSGObject.find = async function({ where = null, namespaces = null } = {}) {
       const results = await self.ksg.searchConcepts({
         query: prototypeName,
         topK: 100,
-        prototypeFilter: prototypeName
+        prototypeFilter: prototypeUuid,
+        where,
+        namespaces
       });
 
-      return results
-        .filter(r => {
-          // Verify instanceOf association to this prototype
-          return true; // Simplified - would need to check instanceOf edges
-        })
-        .map(r => new KSGObject(r.uuid, false));
+      return results.map(r => new KSGObject(r.uuid, false));
     };
 
     /**
      * Find one instance by properties.
      */
-    KSGObject.findOne = async function(query) {
-      const all = await KSGObject.find();
+    KSGObject.findOne = async function(query, { namespaces = null } = {}) {
+      const all = await KSGObject.find({ namespaces });
       
       for (const instance of all) {
         const props = await instance.toJSON();
@@ -306,12 +317,8 @@ export class KSGORM {
    */
   async _getPropertyValue(conceptUuid, propName) {
     // Find has_value associations with propertyName
-    const edges = Array.from(this.memory.edges?.values() || []);
-    const hasValueEdges = edges.filter(e =>
-      e.fromNode === conceptUuid &&
-      e.rel === 'has_value' &&
-      e.props?.propertyName === propName
-    );
+    const edges = await this.memory.findEdges({ fromNode: conceptUuid, rel: 'has_value' });
+    const hasValueEdges = edges.filter(e => e.props?.propertyName === propName);
 
     if (hasValueEdges.length === 0) {
       return undefined;
@@ -332,16 +339,15 @@ export class KSGORM {
    * @private
    */
   async _setPropertyValue(conceptUuid, propName, value) {
+    // New nodes and edges live in the concept's namespace
+    const namespace = namespaceOf(await this.memory.getNode(conceptUuid));
+
     // Get or create property node
-    const propUuid = await this._getOrCreateProperty(propName, typeof value);
+    const propUuid = await this._getOrCreateProperty(propName, typeof value, namespace);
 
     // Find existing value association
-    const edges = Array.from(this.memory.edges?.values() || []);
-    const existingEdge = edges.find(e =>
-      e.fromNode === conceptUuid &&
-      e.rel === 'has_value' &&
-      e.props?.propertyName === propName
-    );
+    const edges = await this.memory.findEdges({ fromNode: conceptUuid, rel: 'has_value' });
+    const existingEdge = edges.find(e => e.props?.propertyName === propName);
 
     if (existingEdge) {
       // Update existing value node
@@ -381,7 +387,8 @@ export class KSGORM {
       const valueUuid = await this.ksg.createValueNode({
         value: value,
         valueType: typeof value,
-        embedding: await this.ksg.embedFn(String(value))
+        embedding: await this.ksg.embedFn(String(value)),
+        namespace
       });
 
       // Concept --[has_prop]--> Property
@@ -389,7 +396,8 @@ export class KSGORM {
         fromConceptUuid: conceptUuid,
         toConceptUuid: propUuid,
         relationType: 'has_prop',
-        strength: 1.0
+        strength: 1.0,
+        namespace
       });
 
       // Concept --[has_value]--> Value
@@ -398,6 +406,7 @@ export class KSGORM {
         toConceptUuid: valueUuid,
         relationType: 'has_value',
         strength: 1.0,
+        namespace,
         props: {
           propertyName: propName
         }
@@ -410,22 +419,25 @@ export class KSGORM {
    * 
    * @private
    */
-  async _getOrCreateProperty(propName, valueType) {
-    // Search for existing property
-    const results = await this.ksg.searchConcepts({
-      query: `property ${propName}`,
-      topK: 1
+  async _getOrCreateProperty(propName, valueType, namespace = this.ksg.namespace) {
+    // Reuse a property with exactly this name
+    const matches = await this.ksg.lookupByLabel(propName, {
+      kind: 'topic',
+      props: { isProperty: true },
+      synonyms: false,
+      namespaces: [namespace]
     });
-
-    if (results.length > 0 && results[0].props?.isProperty) {
-      return results[0].uuid;
+    const existing = matches.find(match => match.props.label === propName);
+    if (existing) {
+      return existing.uuid;
     }
 
     // Create new property
     return await this.ksg.createProperty({
       name: propName,
       valueType: valueType,
-      embedding: await this.ksg.embedFn(`property ${propName} ${valueType}`)
+      embedding: await this.ksg.embedFn(`property ${propName} ${valueType}`),
+      namespace
     });
   }
 
@@ -436,11 +448,7 @@ export class KSGORM {
    */
   async _getDocumentNode(conceptUuid) {
     // Find has_document association
-    const edges = Array.from(this.memory.edges?.values() || []);
-    const docEdge = edges.find(e =>
-      e.fromNode === conceptUuid &&
-      e.rel === 'has_document'
-    );
+    const [docEdge] = await this.memory.findEdges({ fromNode: conceptUuid, rel: 'has_document' });
 
     if (docEdge) {
       return await this.memory.getNode(docEdge.toNode);
@@ -452,9 +460,13 @@ export class KSGORM {
   /**
    * Update cached JSON document.
    * 
+   * @param {string} conceptUuid
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {number[]} [options.embedding] - Precomputed embedding of JSON.stringify(data)
    * @private
    */
-  async _updateCachedDocument(conceptUuid, data) {
+  async _updateCachedDocument(conceptUuid, data, { embedding = null } = {}) {
     let docNode = await this._getDocumentNode(conceptUuid);
 
     const prov = new Provenance({
@@ -465,7 +477,9 @@ export class KSGORM {
     });
 
     if (!docNode) {
-      // Create new document node
+      // Create new document node (in the concept's namespace)
+      const namespace = namespaceOf(await this.memory.getNode(conceptUuid));
+      embedding = embedding || await this.ksg.embedFn(JSON.stringify(data));
       docNode = new Node({
         kind: 'topic',
         labels: ['document', `doc:${conceptUuid}`],
@@ -478,9 +492,10 @@ export class KSGORM {
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
           status: 'active',
-          namespace: 'public'
+          namespace,
+          ...this.ksg.embeddingProps(embedding)
         },
-        llmEmbedding: await this.ksg.embedFn(JSON.stringify(data))
+        llmEmbedding: embedding
       });
 
       await this.memory.upsert(docNode, prov, { embeddingRequest: true });
@@ -491,14 +506,16 @@ export class KSGORM {
         toConceptUuid: docNode.uuid,
         relationType: 'has_document',
         strength: 1.0,
-        provenance: prov
+        provenance: prov,
+        namespace
       });
     } else {
       // Update existing document
       docNode.props.data = data;
       docNode.props.version = (docNode.props.version || 0) + 1;
       docNode.props.updatedAt = new Date().toISOString();
-      docNode.llmEmbedding = await this.ksg.embedFn(JSON.stringify(data));
+      docNode.llmEmbedding = embedding || await this.ksg.embedFn(JSON.stringify(data));
+      Object.assign(docNode.props, this.ksg.embeddingProps(docNode.llmEmbedding));
 
       await this.memory.upsert(docNode, prov, { embeddingRequest: true });
     }
@@ -507,25 +524,12 @@ export class KSGORM {
   }
 
   /**
-   * Find prototype by name.
+   * Find prototype by name (label or alias, see KnowShowGo.findPrototype).
    * 
    * @private
    */
   async _findPrototypeByName(prototypeName) {
-    const results = await this.ksg.searchConcepts({
-      query: prototypeName,
-      topK: 5
-    });
-
-    for (const result of results) {
-      if (result.props?.isPrototype && 
-          (result.props.label === prototypeName || 
-           result.props.name === prototypeName)) {
-        return result.uuid;
-      }
-    }
-
-    return null;
+    return this.ksg.findPrototype(prototypeName);
   }
 }
 
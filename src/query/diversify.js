@@ -0,0 +1,107 @@
+/**
+ * Result diversification - collapse near-duplicate hits and MMR re-ranking
+ *
+ * Search often returns several hits for the same thing: versions of one
+ * concept (next_version chains), or a concept together with its document,
+ * tag and value nodes. collapseResults keeps the best-ranked hit per group
+ * key; KnowShowGo resolves the keys (see searchConcepts `collapse`).
+ *
+ * mmrRerank then picks results by maximal marginal relevance:
+ *
+ *   mmr(d) = lambda * relevance(d) - (1 - lambda) * max sim(d, selected)
+ *
+ * where relevance is the search score divided by the best candidate's
+ * (negative scores count as 0) and sim is the cosine similarity of the node
+ * vectors. lambda 1 keeps the relevance order; lower values trade relevance
+ * for diversity.
+ */
+
+export const COLLAPSE_MODES = ['version', 'document'];
+
+/**
+ * Check diversification options (throws an Error with status 400 for the REST API).
+ *
+ * @param {Object} options
+ * @param {number|null} [options.mmrLambda]
+ * @param {string[]|null} [options.collapse]
+ */
+export function validateDiversifyOptions({ mmrLambda = null, collapse = null } = {}) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (mmrLambda !== null && !(typeof mmrLambda === 'number' && mmrLambda >= 0 && mmrLambda <= 1)) {
+    throw fail('mmrLambda must be a number between 0 and 1');
+  }
+  if (collapse !== null && (!Array.isArray(collapse) || collapse.some(mode => !COLLAPSE_MODES.includes(mode)))) {
+    throw fail(`collapse must be a list of ${COLLAPSE_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Keep the first (best-ranked) item per key.
+ *
+ * @param {Array<Object>} items - Best first
+ * @param {Array<string>} keys - Group key per item
+ * @returns {Array<{item: Object, collapsed: Object[]}>} One entry per key, in rank order
+ */
+export function collapseResults(items, keys) {
+  const groups = new Map();
+  items.forEach((item, i) => {
+    if (groups.has(keys[i])) groups.get(keys[i]).collapsed.push(item);
+    else groups.set(keys[i], { item, collapsed: [] });
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Order items by maximal marginal relevance.
+ *
+ * @param {Array<Object>} items - Candidates with a `score`, best first
+ * @param {Array<number[]|null>} vectors - Vector per item (null: never redundant)
+ * @param {Object} [options]
+ * @param {number} [options.lambda=0.5] - Relevance vs diversity (1 = relevance only)
+ * @param {number} [options.k] - Items to select (default: all)
+ * @returns {Array<{item: Object, relevance: number, redundancy: number, mmrScore: number}>}
+ *   Selected items in MMR order
+ */
+export function mmrRerank(items, vectors, { lambda = 0.5, k = items.length } = {}) {
+  const scores = items.map(item => Math.max(item.score, 0));
+  const max = Math.max(...scores);
+  const relevance = scores.map(score => (max > 0 ? score / max : 1));
+
+  const remaining = items.map((_, i) => i);
+  const redundancy = items.map(() => 0); // max similarity to the selected items
+  const selected = [];
+  while (selected.length < k && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((i, pos) => {
+      const score = lambda * relevance[i] - (1 - lambda) * redundancy[i];
+      if (score > bestScore) {
+        bestScore = score;
+        best = pos;
+      }
+    });
+    const [chosen] = remaining.splice(best, 1);
+    selected.push({ item: items[chosen], relevance: relevance[chosen], redundancy: redundancy[chosen], mmrScore: bestScore });
+    for (const i of remaining) {
+      redundancy[i] = Math.max(redundancy[i], cosine(vectors[i], vectors[chosen]));
+    }
+  }
+  return selected;
+}
+
+/**
+ * @private
+ */
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const denom = Math.sqrt(normA) * Math.sqrt(normB);
+  return denom > 0 ? dot / denom : 0;
+}
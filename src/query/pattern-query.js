@@ -0,0 +1,744 @@
+/**
+ * Graph pattern queries - a small Cypher-like language
+ *
+ *   MATCH (p:Procedure)-[:hasStep]->(s:Step)-[:usesCommandlet]->(c {label: $commandlet}),
+ *         (p)-[:appliesToSite]->(:WebResource {label: 'example.com'})
+ *   WHERE s.order >= 2
+ *   RETURN p.label AS procedure, s
+ *   LIMIT 10
+ *
+ * - Node patterns (var:Prototype {prop: value}). The label names a
+ *   prototype: the node must be an instance of it or of one of its is_a
+ *   subtypes. Prop maps hold values or where-clause operators
+ *   ({ priority: { gte: 3 } }, see where.js) checked against node props
+ *   and has_value properties; `uuid` matches the node itself.
+ * - Relation patterns -[var:rel|other {w: {gte: 0.5}}]->, <-[...]-, and
+ *   -[...]- (either direction); -->, <-- and -- match any relation.
+ *   Variable length: *, *2, *1..3, *..3 (at most MAX_TRAVERSAL_DEPTH hops);
+ *   the variable then binds the list of edges. An edge is used at most once
+ *   per match.
+ * - WHERE var.prop (= | <> | < | <= | > | >=) value, var.prop IN [...],
+ *   var.prop IS [NOT] NULL, joined with AND.
+ * - RETURN [DISTINCT] var | var.prop [AS alias], ... and LIMIT n.
+ * - $name parameters; EXPLAIN before MATCH returns the plan only.
+ *
+ * planQuery picks where each path pattern starts: a variable bound by an
+ * earlier pattern, else a uuid, a label or name (label index), a
+ * prototype's instances, and last a scan of every node. The rest of the
+ * path is expanded edge by edge from there. runQuery streams rows through
+ * the plan steps, counting the rows each step produced.
+ *
+ * runQuery reads the graph through a QuerySource (see runQuery), so it runs
+ * against any memory backend; KnowShowGo.query provides one.
+ */
+
+import { matchesWhere, validateWhere } from './where.js';
+import { MAX_TRAVERSAL_DEPTH } from './traversal.js';
+
+const PUNCTUATION = ['..', '<=', '>=', '<>', '!=', '->', '<-', '(', ')', '[', ']', '{', '}', ':', ',', '.', '|', '*', '-', '<', '>', '=', '$'];
+const COMPARISONS = { '=': 'eq', '<>': 'ne', '!=': 'ne', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+const KEYWORDS = ['EXPLAIN', 'MATCH', 'WHERE', 'AND', 'RETURN', 'DISTINCT', 'AS', 'LIMIT', 'IN', 'IS', 'NOT', 'NULL', 'TRUE', 'FALSE'];
+
+/**
+ * @private
+ */
+function syntaxError(message, pos) {
+  return Object.assign(new Error(`Query syntax error at ${pos}: ${message}`), { status: 400 });
+}
+
+/**
+ * @private
+ */
+function queryError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Split query text into tokens ({ type, value, pos }).
+ *
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const pos = i;
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw syntaxError(`unterminated ${ch === '`' ? 'name' : 'string'}`, pos);
+      i++;
+      tokens.push({ type: ch === '`' ? 'name' : 'string', value, pos });
+    } else if (/[0-9]/.test(ch)) {
+      const [number] = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+      i += number.length;
+      tokens.push({ type: 'number', value: Number(number), pos });
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const [word] = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+      i += word.length;
+      tokens.push({ type: 'name', value: word, pos });
+    } else {
+      const punct = PUNCTUATION.find(p => text.startsWith(p, i));
+      if (!punct) throw syntaxError(`unexpected character ${ch}`, pos);
+      i += punct.length;
+      tokens.push({ type: 'punct', value: punct, pos });
+    }
+  }
+  tokens.push({ type: 'end', value: null, pos: text.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over the tokens.
+ *
+ * @private
+ */
+class Parser {
+  constructor(text, params) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+    this.params = params;
+    this.anonymous = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token.type === 'punct' && token.value === value;
+  }
+
+  isKeyword(word) {
+    const token = this.peek();
+    return token.type === 'name' && token.value.toUpperCase() === word;
+  }
+
+  accept(value) {
+    if (this.isPunct(value)) return this.next();
+    return null;
+  }
+
+  acceptKeyword(word) {
+    if (this.isKeyword(word)) return this.next();
+    return null;
+  }
+
+  expect(value) {
+    const token = this.accept(value);
+    if (!token) throw this.unexpected(`'${value}'`);
+    return token;
+  }
+
+  expectKeyword(word) {
+    const token = this.acceptKeyword(word);
+    if (!token) throw this.unexpected(word);
+    return token;
+  }
+
+  unexpected(expected) {
+    const token = this.peek();
+    const found = token.type === 'end' ? 'end of query' : `'${token.value}'`;
+    return syntaxError(`expected ${expected}, found ${found}`, token.pos);
+  }
+
+  name(what) {
+    const token = this.peek();
+    if (token.type !== 'name' || (what === 'variable' && KEYWORDS.includes(token.value.toUpperCase()))) {
+      throw this.unexpected(what);
+    }
+    return this.next().value;
+  }
+
+  query() {
+    const explain = Boolean(this.acceptKeyword('EXPLAIN'));
+    this.expectKeyword('MATCH');
+    const patterns = [this.path()];
+    while (this.accept(',')) patterns.push(this.path());
+
+    const where = [];
+    if (this.acceptKeyword('WHERE')) {
+      do {
+        where.push(this.condition());
+      } while (this.acceptKeyword('AND'));
+    }
+
+    this.expectKeyword('RETURN');
+    const distinct = Boolean(this.acceptKeyword('DISTINCT'));
+    const returns = [this.returnItem()];
+    while (this.accept(',')) returns.push(this.returnItem());
+
+    let limit = null;
+    if (this.acceptKeyword('LIMIT')) {
+      const value = this.value();
+      if (!Number.isInteger(value) || value < 0) throw queryError('LIMIT must be a non-negative integer');
+      limit = value;
+    }
+    if (this.peek().type !== 'end') throw this.unexpected('end of query');
+    return { explain, patterns, where, returns, distinct, limit };
+  }
+
+  path() {
+    const nodes = [this.node()];
+    const rels = [];
+    while (this.isPunct('-') || this.isPunct('<-')) {
+      rels.push(this.rel());
+      nodes.push(this.node());
+    }
+    return { nodes, rels };
+  }
+
+  node() {
+    this.expect('(');
+    const pattern = { variable: null, prototype: null, props: null };
+    if (this.peek().type === 'name') pattern.variable = this.name('variable');
+    if (this.accept(':')) pattern.prototype = this.name('prototype name');
+    if (this.isPunct('{')) pattern.props = this.map();
+    this.expect(')');
+    if (!pattern.variable) {
+      pattern.variable = `_n${this.anonymous++}`;
+      pattern.anonymous = true;
+    }
+    return pattern;
+  }
+
+  rel() {
+    const incoming = Boolean(this.accept('<-'));
+    if (!incoming) this.expect('-');
+    const pattern = { variable: null, types: null, props: null, minHops: 1, maxHops: 1, varLength: false };
+    if (this.accept('[')) {
+      if (this.peek().type === 'name') pattern.variable = this.name('variable');
+      if (this.accept(':')) {
+        pattern.types = [this.name('relation name')];
+        while (this.accept('|')) pattern.types.push(this.name('relation name'));
+      }
+      if (this.accept('*')) this.hops(pattern);
+      if (this.isPunct('{')) pattern.props = this.map();
+      this.expect(']');
+    }
+    const outgoing = Boolean(this.accept('->'));
+    if (!outgoing) this.expect('-');
+    if (incoming && outgoing) throw syntaxError('a relation cannot point both ways', this.peek().pos);
+    pattern.direction = outgoing ? 'outgoing' : incoming ? 'incoming' : 'both';
+    if (!pattern.variable) {
+      pattern.variable = `_r${this.anonymous++}`;
+      pattern.anonymous = true;
+    }
+    return pattern;
+  }
+
+  hops(pattern) {
+    pattern.varLength = true;
+    pattern.minHops = 1;
+    pattern.maxHops = MAX_TRAVERSAL_DEPTH;
+    if (this.peek().type === 'number') {
+      pattern.minHops = this.next().value;
+      pattern.maxHops = pattern.minHops;
+    }
+    if (this.accept('..')) {
+      pattern.maxHops = this.peek().type === 'number' ? this.next().value : MAX_TRAVERSAL_DEPTH;
+    }
+    const { minHops, maxHops } = pattern;
+    if (![minHops, maxHops].every(Number.isInteger) || minHops > maxHops || maxHops > MAX_TRAVERSAL_DEPTH) {
+      throw queryError(`variable-length relations take 0 to ${MAX_TRAVERSAL_DEPTH} hops (got *${minHops}..${maxHops})`);
+    }
+  }
+
+  condition() {
+    const variable = this.name('variable');
+    this.expect('.');
+    const property = this.name('property');
+    if (this.acceptKeyword('IS')) {
+      const not = Boolean(this.acceptKeyword('NOT'));
+      this.expectKeyword('NULL');
+      return { variable, property, op: 'exists', value: not };
+    }
+    if (this.acceptKeyword('IN')) {
+      const value = this.value();
+      if (!Array.isArray(value)) throw queryError(`${variable}.${property} IN takes a list`);
+      return { variable, property, op: 'in', value };
+    }
+    const token = this.peek();
+    const op = token.type === 'punct' ? COMPARISONS[token.value] : undefined;
+    if (!op) throw this.unexpected('a comparison (=, <>, <, <=, >, >=, IN, IS NULL)');
+    this.next();
+    return { variable, property, op, value: this.value() };
+  }
+
+  returnItem() {
+    const variable = this.name('variable');
+    const property = this.accept('.') ? this.name('property') : null;
+    const alias = this.acceptKeyword('AS') ? this.name('variable') : null;
+    return { variable, property, alias: alias ?? (property ? `${variable}.${property}` : variable) };
+  }
+
+  map() {
+    this.expect('{');
+    const map = {};
+    if (!this.isPunct('}')) {
+      do {
+        const token = this.peek();
+        if (token.type !== 'name' && token.type !== 'string') throw this.unexpected('a property name');
+        const key = this.next().value;
+        this.expect(':');
+        map[key] = this.value();
+      } while (this.accept(','));
+    }
+    this.expect('}');
+    return map;
+  }
+
+  value() {
+    const token = this.peek();
+    if (token.type === 'string') return this.next().value;
+    if (token.type === 'number') return this.next().value;
+    if (this.accept('-')) {
+      if (this.peek().type !== 'number') throw this.unexpected('a number');
+      return -this.next().value;
+    }
+    if (this.acceptKeyword('TRUE')) return true;
+    if (this.acceptKeyword('FALSE')) return false;
+    if (this.acceptKeyword('NULL')) return null;
+    if (this.accept('$')) {
+      const name = this.name('parameter name');
+      if (!Object.prototype.hasOwnProperty.call(this.params, name)) {
+        throw queryError(`missing query parameter $${name}`);
+      }
+      return this.params[name];
+    }
+    if (this.isPunct('{')) return this.map();
+    if (this.accept('[')) {
+      const list = [];
+      if (!this.isPunct(']')) {
+        do {
+          list.push(this.value());
+        } while (this.accept(','));
+      }
+      this.expect(']');
+      return list;
+    }
+    throw this.unexpected('a value');
+  }
+}
+
+/**
+ * Parse a query (throws an Error with status 400 on syntax errors).
+ *
+ * @param {string} text
+ * @param {Object} [params] - Values for $name parameters
+ * @returns {Object} Query AST: { explain, patterns, where, returns, distinct, limit }
+ */
+export function parseQuery(text, params = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw queryError('query is required');
+  }
+  return new Parser(text, params || {}).query();
+}
+
+/**
+ * Constraints per variable, merged over every place it appears.
+ *
+ * @private
+ */
+function collectVariables(ast) {
+  const variables = new Map(); // name -> { kind: 'node'|'rel', prototypes: [], where: [], varLength }
+  const declare = (name, kind) => {
+    const existing = variables.get(name);
+    if (existing && existing.kind !== kind) {
+      throw queryError(`${name} is used both as a node and as a relation`);
+    }
+    if (existing && kind === 'rel') {
+      throw queryError(`relation variable ${name} is used twice`);
+    }
+    if (!existing) variables.set(name, { kind, prototypes: [], where: [] });
+    return variables.get(name);
+  };
+
+  for (const { nodes, rels } of ast.patterns) {
+    for (const node of nodes) {
+      const entry = declare(node.variable, 'node');
+      if (node.prototype && !entry.prototypes.includes(node.prototype)) entry.prototypes.push(node.prototype);
+      if (node.props) entry.where.push(node.props);
+    }
+    for (const rel of rels) {
+      const entry = declare(rel.variable, 'rel');
+      entry.varLength = rel.varLength;
+      if (rel.props) entry.where.push(rel.props);
+    }
+  }
+
+  for (const { variable, property, op, value } of ast.where) {
+    const entry = variables.get(variable);
+    if (!entry) throw queryError(`WHERE uses unknown variable ${variable}`);
+    entry.where.push({ [property]: { [op]: value } });
+  }
+  for (const entry of variables.values()) {
+    entry.where.forEach(clause => validateWhere(clause));
+  }
+  for (const { variable } of ast.returns) {
+    if (!variables.has(variable) || /^_[nr]\d+$/.test(variable)) {
+      throw queryError(`RETURN uses unknown variable ${variable}`);
+    }
+  }
+  return variables;
+}
+
+/**
+ * The value a where clause requires for a key, when it is a plain equality.
+ *
+ * @private
+ */
+function equalityOn(where, key) {
+  for (const clause of where) {
+    const condition = clause[key];
+    if (typeof condition === 'string') return condition;
+    if (condition && typeof condition.eq === 'string') return condition.eq;
+  }
+  return null;
+}
+
+/**
+ * Pattern text of a node, for plan output.
+ *
+ * @private
+ */
+function formatNode(name, variables) {
+  const { prototypes } = variables.get(name);
+  const shown = /^_n\d+$/.test(name) ? '' : name;
+  return `(${shown}${prototypes.map(p => `:${p}`).join('')})`;
+}
+
+/**
+ * Pattern text of a relation, for plan output.
+ *
+ * @private
+ */
+function formatRel(rel, direction) {
+  const shown = rel.anonymous ? '' : rel.variable;
+  const types = rel.types ? `:${rel.types.join('|')}` : '';
+  const hops = rel.varLength ? `*${rel.minHops}..${rel.maxHops}` : '';
+  const body = shown || types || hops ? `[${shown}${types}${hops}]` : '';
+  if (direction === 'outgoing') return `-${body}->`;
+  if (direction === 'incoming') return `<-${body}-`;
+  return `-${body}-`;
+}
+
+/**
+ * Plan a parsed query: the operator steps runQuery executes, in order.
+ *
+ * Steps: NodeByUuid / NodeByLabel / NodeByPrototype / NodeScan start a
+ * path pattern (a variable bound earlier starts it without a step; a
+ * start step after the first pattern runs once per row, i.e. a cartesian
+ * product), Expand / ExpandVarLength follow a relation, Project and Limit
+ * shape the result. Each step has a human-readable `detail`.
+ *
+ * @param {Object} ast - From parseQuery
+ * @returns {{steps: Object[], columns: string[], variables: Map}}
+ */
+export function planQuery(ast) {
+  const variables = collectVariables(ast);
+  const steps = [];
+  const bound = new Set();
+
+  for (const { nodes, rels } of ast.patterns) {
+    let start = nodes.findIndex(node => bound.has(node.variable));
+    if (start === -1) {
+      const options = nodes.map((node) => {
+        const { where, prototypes } = variables.get(node.variable);
+        const uuid = equalityOn(where, 'uuid');
+        if (uuid) return { rank: 0, op: 'NodeByUuid', uuid, detail: `uuid = '${uuid}'` };
+        for (const key of ['label', 'name']) {
+          const label = equalityOn(where, key);
+          if (label) return { rank: 1, op: 'NodeByLabel', label, detail: `label index lookup '${label}'` };
+        }
+        if (prototypes.length > 0) {
+          return { rank: 2, op: 'NodeByPrototype', prototype: prototypes[0], detail: `instances of ${prototypes[0]}` };
+        }
+        return { rank: 3, op: 'NodeScan', detail: 'scan all nodes' };
+      });
+      start = options.reduce((best, option, i) => (option.rank < options[best].rank ? i : best), 0);
+      const { rank, ...step } = options[start];
+      const variable = nodes[start].variable;
+      steps.push({ ...step, variable, detail: `${formatNode(variable, variables)} ${step.detail}` });
+      bound.add(variable);
+    }
+
+    const expand = (rel, from, to, direction, reversed) => {
+      const relText = formatRel(rel, direction);
+      steps.push({
+        op: rel.varLength ? 'ExpandVarLength' : 'Expand',
+        from,
+        to,
+        rel: rel.variable,
+        types: rel.types,
+        direction,
+        minHops: rel.minHops,
+        maxHops: rel.maxHops,
+        reversed,
+        into: bound.has(to),
+        detail: `${formatNode(from, variables)}${relText}${formatNode(to, variables)}${bound.has(to) ? ' (join)' : ''}`
+      });
+      bound.add(to);
+      bound.add(rel.variable);
+    };
+    const flip = { outgoing: 'incoming', incoming: 'outgoing', both: 'both' };
+    for (let i = start; i < rels.length; i++) {
+      expand(rels[i], nodes[i].variable, nodes[i + 1].variable, rels[i].direction, false);
+    }
+    for (let i = start - 1; i >= 0; i--) {
+      expand(rels[i], nodes[i + 1].variable, nodes[i].variable, flip[rels[i].direction], true);
+    }
+  }
+
+  const columns = ast.returns.map(item => item.alias);
+  steps.push({
+    op: 'Project',
+    items: ast.returns,
+    distinct: ast.distinct,
+    detail: `${ast.distinct ? 'DISTINCT ' : ''}${columns.join(', ')}`
+  });
+  if (ast.limit !== null) {
+    steps.push({ op: 'Limit', limit: ast.limit, detail: `${ast.limit}` });
+  }
+  return { steps, columns, variables };
+}
+
+/**
+ * Plan steps as returned to callers (operators, variables and row counts).
+ *
+ * @param {Object[]} steps
+ * @returns {Object[]}
+ */
+export function describePlan(steps) {
+  return steps.map(({ op, detail, rows = null, variable, from, to }) => ({
+    op,
+    ...(variable ? { variable } : {}),
+    ...(from ? { from, to } : {}),
+    detail,
+    rows
+  }));
+}
+
+/**
+ * @typedef {Object} QuerySource
+ * @property {(uuid: string) => Promise<Node|null>} node - A readable node, or null
+ * @property {(label: string) => Promise<Node[]>} nodesByLabel - Nodes named label (folded match)
+ * @property {(prototypeUuids: string[]) => Promise<Node[]>} instancesOf - Instances of the prototypes
+ * @property {() => AsyncIterable<Node>} scanNodes - Every readable node
+ * @property {(uuid: string, direction: string) => Promise<Array<{edge: Edge, node: string}>>} neighbors
+ *   Readable edges of a node in a direction, with the uuid at the other end
+ * @property {(node: Node) => Promise<Object>} values - Property values for where clauses
+ * @property {(name: string) => Promise<string[]>} prototypes - A prototype and its subtypes
+ * @property {(uuid: string) => Promise<string[]>} instanceOf - Prototypes a node is an instance of
+ */
+
+// Thrown through the operator pipeline when runQuery's maxExpansions is spent
+const EXPANSIONS_EXHAUSTED = Symbol('expansions exhausted');
+
+/**
+ * Execute a planned query.
+ *
+ * @param {{steps: Object[], columns: string[], variables: Map}} plan - From planQuery
+ * @param {QuerySource} source
+ * @param {Object} [options]
+ * @param {number} [options.maxRows=1000] - Row cap when the query has no LIMIT
+ * @param {number} [options.maxExpansions=100000] - Give up after scanning this many nodes
+ *   plus looking up this many neighbor lists (the rows found so far are returned)
+ * @returns {Promise<{columns: string[], rows: Object[], plan: Object[], truncated: boolean}>}
+ *   truncated when maxRows or maxExpansions stopped the query
+ */
+export async function runQuery({ steps, columns, variables }, source, { maxRows = 1000, maxExpansions = 100000 } = {}) {
+  // Work budget: a pattern that never matches would otherwise walk every path
+  let expansions = 0;
+  const spend = () => {
+    if (++expansions > maxExpansions) throw EXPANSIONS_EXHAUSTED;
+  };
+  const neighbors = (uuid, direction) => {
+    spend();
+    return source.neighbors(uuid, direction);
+  };
+
+  // Prototype names -> UUID sets (with subtypes), resolved once
+  const prototypeSets = new Map();
+  for (const entry of variables.values()) {
+    for (const name of entry.prototypes ?? []) {
+      if (!prototypeSets.has(name)) prototypeSets.set(name, new Set(await source.prototypes(name)));
+    }
+  }
+
+  const nodeMatches = async (node, name) => {
+    if (!node) return false;
+    const { prototypes, where } = variables.get(name);
+    if (prototypes.length > 0) {
+      const types = await source.instanceOf(node.uuid);
+      if (!prototypes.every(p => types.some(uuid => prototypeSets.get(p).has(uuid)))) return false;
+    }
+    if (where.length === 0) return true;
+    const values = { uuid: node.uuid, ...(await source.values(node)) };
+    return where.every(clause => matchesWhere(values, clause));
+  };
+  const edgeMatches = (edge, name, types) =>
+    (!types || types.includes(edge.rel)) &&
+    variables.get(name).where.every(clause => matchesWhere(edge.props || {}, clause));
+
+  const operators = {
+    async *NodeByUuid(step, rows) {
+      for await (const row of rows) {
+        const node = await source.node(step.uuid);
+        if (await nodeMatches(node, step.variable)) yield bind(row, step.variable, node);
+      }
+    },
+    async *NodeByLabel(step, rows) {
+      for await (const row of rows) {
+        for (const node of await source.nodesByLabel(step.label)) {
+          if (await nodeMatches(node, step.variable)) yield bind(row, step.variable, node);
+        }
+      }
+    },
+    async *NodeByPrototype(step, rows) {
+      for await (const row of rows) {
+        for (const node of await source.instancesOf([...prototypeSets.get(step.prototype)])) {
+          if (await nodeMatches(node, step.variable)) yield bind(row, step.variable, node);
+        }
+      }
+    },
+    async *NodeScan(step, rows) {
+      for await (const row of rows) {
+        for await (const node of source.scanNodes()) {
+          spend();
+          if (await nodeMatches(node, step.variable)) yield bind(row, step.variable, node);
+        }
+      }
+    },
+    async *Expand(step, rows) {
+      for await (const row of rows) {
+        for (const { edge, node } of await neighbors(row.values[step.from].uuid, step.direction)) {
+          if (row.edges.has(edge.uuid) || !edgeMatches(edge, step.rel, step.types)) continue;
+          const target = await arrive(step, row, node);
+          if (target) yield bind(bind(row, step.rel, edge, [edge]), step.to, target);
+        }
+      }
+    },
+    async *ExpandVarLength(step, rows) {
+      for await (const row of rows) {
+        // Depth-first over simple edge paths, yielding those of minHops..maxHops
+        const walk = async function* (uuid, path) {
+          if (path.length >= step.minHops) {
+            const target = await arrive(step, row, uuid);
+            if (target) {
+              const edges = step.reversed ? [...path].reverse() : path;
+              yield bind(bind(row, step.rel, edges, path), step.to, target);
+            }
+          }
+          if (path.length === step.maxHops) return;
+          for (const { edge, node } of await neighbors(uuid, step.direction)) {
+            // By uuid: backends may hand out a fresh copy of an edge on every read
+            if (row.edges.has(edge.uuid) || path.some(used => used.uuid === edge.uuid)) continue;
+            if (!edgeMatches(edge, step.rel, step.types)) continue;
+            yield* walk(node, [...path, edge]);
+          }
+        };
+        yield* walk(row.values[step.from].uuid, []);
+      }
+    },
+    async *Project(step, rows) {
+      const seen = new Set();
+      for await (const row of rows) {
+        const out = {};
+        for (const item of step.items) {
+          out[item.alias] = await project(row.values[item.variable], item.property);
+        }
+        if (step.distinct) {
+          const key = JSON.stringify(out);
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
+        yield out;
+      }
+    },
+    async *Limit(step, rows) {
+      if (step.limit === 0) return;
+      let count = 0;
+      for await (const row of rows) {
+        yield row;
+        if (++count >= step.limit) return;
+      }
+    }
+  };
+
+  // The node a step arrives at: the bound one (join), or a new match
+  const arrive = async (step, row, uuid) => {
+    if (step.into) return row.values[step.to].uuid === uuid ? row.values[step.to] : null;
+    const node = await source.node(uuid);
+    return (await nodeMatches(node, step.to)) ? node : null;
+  };
+  const project = async (value, property) => {
+    if (Array.isArray(value)) return Promise.all(value.map(edge => project(edge, property)));
+    if (!value) return null;
+    const isEdge = value.fromNode !== undefined;
+    if (!property) {
+      return isEdge
+        ? { uuid: value.uuid, fromNode: value.fromNode, toNode: value.toNode, rel: value.rel, props: value.props }
+        : { uuid: value.uuid, kind: value.kind, labels: value.labels, props: value.props };
+    }
+    if (isEdge) return value.props?.[property] ?? value[property] ?? null;
+    const values = await source.values(value);
+    return values[property] ?? value[property] ?? null;
+  };
+
+  const counted = (step, rows) => (async function* () {
+    step.rows = 0;
+    for await (const row of rows) {
+      step.rows++;
+      yield row;
+    }
+  })();
+
+  let rows = (async function* () {
+    yield { values: {}, edges: new Set() };
+  })();
+  for (const step of steps) {
+    rows = counted(step, operators[step.op](step, rows));
+  }
+
+  const hasLimit = steps.some(step => step.op === 'Limit');
+  const results = [];
+  let truncated = false;
+  try {
+    for await (const row of rows) {
+      if (!hasLimit && results.length >= maxRows) {
+        truncated = true;
+        break;
+      }
+      results.push(row);
+    }
+  } catch (err) {
+    if (err !== EXPANSIONS_EXHAUSTED) throw err;
+    truncated = true;
+  }
+  return { columns, rows: results, plan: describePlan(steps), truncated };
+}
+
+/**
+ * A row with one more binding (and the edges it uses).
+ *
+ * @private
+ */
+function bind(row, name, value, edges = []) {
+  return {
+    values: { ...row.values, [name]: value },
+    edges: edges.length > 0 ? new Set([...row.edges, ...edges.map(edge => edge.uuid)]) : row.edges
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Graph traversal - local neighborhoods and weighted paths between nodes
+ *
+ * Both walks take a `neighbors(uuid)` callback returning the usable edges
+ * of a node as [{ edge, node }] (node = the uuid at the other end), so
+ * KnowShowGo decides visibility, relation and direction filters.
+ *
+ * Path cost is -ln(w * confidence) summed over the edges: the cheapest path
+ * is the one whose edge strengths multiply to the most (`strength`), and
+ * edges with a zero weight or confidence are never crossed.
+ */
+
+export const TRAVERSAL_DIRECTIONS = ['outgoing', 'incoming', 'both'];
+export const MAX_TRAVERSAL_DEPTH = 6;
+
+/**
+ * Check traversal options (throws an Error with status 400 for the REST API).
+ *
+ * @param {Object} options
+ * @param {number} [options.depth] - Neighborhood radius
+ * @param {number} [options.maxDepth] - Longest path, in edges
+ * @param {string[]|null} [options.rels]
+ * @param {string} [options.direction]
+ * @param {number} [options.limit]
+ * @param {number} [options.maxNodes]
+ */
+export function validateTraversalOptions({ depth, maxDepth, rels = null, direction, limit, maxNodes } = {}) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  for (const [name, value] of Object.entries({ depth, maxDepth })) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= MAX_TRAVERSAL_DEPTH)) {
+      throw fail(`${name} must be an integer between 1 and ${MAX_TRAVERSAL_DEPTH}`);
+    }
+  }
+  if (rels !== null && (!Array.isArray(rels) || rels.some(rel => typeof rel !== 'string'))) {
+    throw fail('rels must be a list of relation names');
+  }
+  if (direction !== undefined && !TRAVERSAL_DIRECTIONS.includes(direction)) {
+    throw fail(`direction must be one of ${TRAVERSAL_DIRECTIONS.join(', ')}`);
+  }
+  for (const [name, value] of Object.entries({ limit, maxNodes })) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw fail(`${name} must be a positive integer`);
+    }
+  }
+}
+
+/**
+ * Cost of crossing an edge: -ln(w * confidence), Infinity when either is 0.
+ *
+ * @param {Edge} edge
+ * @returns {number}
+ */
+export function edgeCost(edge) {
+  const strength = (edge.props?.w ?? 1) * (edge.props?.confidence ?? 1);
+  return strength > 0 ? -Math.log(Math.min(strength, 1)) : Infinity;
+}
+
+/**
+ * Breadth-first walk from a node.
+ *
+ * @param {string} start
+ * @param {(uuid: string) => Promise<Array<{edge: Edge, node: string}>>} neighbors
+ * @param {Object} [options]
+ * @param {number} [options.depth=1] - Hops from start
+ * @param {number} [options.maxNodes=500] - Stop once this many nodes are reached
+ * @returns {Promise<{depths: Map<string, number>, edges: Map<string, Edge>, truncated: boolean}>}
+ *   Reached nodes (in walk order) with their hop count, and the edges followed to reach them
+ *   (or between them)
+ */
+export async function neighborhood(start, neighbors, { depth = 1, maxNodes = 500 } = {}) {
+  const depths = new Map([[start, 0]]);
+  const edges = new Map();
+  let frontier = [start];
+  let truncated = false;
+  for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+    const next = [];
+    for (const uuid of frontier) {
+      for (const { edge, node } of await neighbors(uuid)) {
+        if (!depths.has(node)) {
+          if (depths.size >= maxNodes) {
+            truncated = true;
+            continue;
+          }
+          depths.set(node, hop);
+          next.push(node);
+        }
+        edges.set(edge.uuid, edge);
+      }
+    }
+    frontier = next;
+  }
+  return { depths, edges, truncated };
+}
+
+/**
+ * Cheapest simple paths between two nodes, best first (uniform-cost search
+ * over partial paths, so the nth path found is the nth cheapest).
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {(uuid: string) => Promise<Array<{edge: Edge, node: string}>>} neighbors
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=3] - Longest path, in edges
+ * @param {number} [options.limit=3] - Paths to return
+ * @param {number} [options.maxExpansions=10000] - Give up after expanding this many partial paths
+ * @returns {Promise<{paths: Array<{nodes: string[], edges: Edge[], cost: number, strength: number}>,
+ *   truncated: boolean}>}
+ */
+export async function cheapestPaths(from, to, neighbors, { maxDepth = 3, limit = 3, maxExpansions = 10000 } = {}) {
+  const paths = [];
+  // Partial paths, cheapest (then shortest) first
+  const frontier = [{ nodes: [from], edges: [], cost: 0 }];
+  const before = (a, b) => a.cost < b.cost || (a.cost === b.cost && a.edges.length < b.edges.length);
+  const push = (path) => {
+    let lo = 0;
+    let hi = frontier.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (!before(path, frontier[mid])) lo = mid + 1;
+      else hi = mid;
+    }
+    frontier.splice(lo, 0, path);
+  };
+
+  let expansions = 0;
+  while (frontier.length > 0 && paths.length < limit) {
+    const path = frontier.shift();
+    const last = path.nodes[path.nodes.length - 1];
+    if (last === to) {
+      paths.push({ ...path, strength: Math.exp(-path.cost) });
+      continue;
+    }
+    if (path.edges.length >= maxDepth) continue;
+    if (++expansions > maxExpansions) {
+      return { paths, truncated: true };
+    }
+    for (const { edge, node } of await neighbors(last)) {
+      const cost = edgeCost(edge);
+      if (cost === Infinity || path.nodes.includes(node)) continue;
+      push({ nodes: [...path.nodes, node], edges: [...path.edges, edge], cost: path.cost + cost });
+    }
+  }
+  return { paths, truncated: false };
+}
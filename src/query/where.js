@@ -0,0 +1,124 @@
+/**
+ * Property filters ("where" clauses) for concept search and the ORM
+ *
+ * A where clause maps property names to conditions; every condition must
+ * hold. A plain value means equality, an object holds operators:
+ *
+ *   {
+ *     status: 'open',                     // eq
+ *     priority: { gte: 3 },
+ *     due: { lt: '2026-10-23T00:00:00Z' }, // datetime comparison
+ *     owner: { exists: true },
+ *     team: { in: ['core', 'infra'] }
+ *   }
+ *
+ * Operators: eq, ne, gt, gte, lt, lte, in, nin, exists. Values that both
+ * look like dates (ISO 8601 strings or Date objects) compare as instants;
+ * numbers compare numerically and strings lexically. Range operators never
+ * match values of different types. A condition on a list-valued property
+ * matches when any element matches (exists and ne look at the whole list).
+ *
+ * Property values come from node props and from the concept's has_value
+ * values (see KnowShowGo.getProperties), which take precedence.
+ */
+
+export const WHERE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'];
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Check a where clause (throws an Error with status 400 for the REST API).
+ *
+ * @param {Object} where
+ */
+export function validateWhere(where) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!isPlainObject(where)) {
+    throw fail('where must be an object of property conditions');
+  }
+  for (const [key, condition] of Object.entries(where)) {
+    if (!isPlainObject(condition)) continue;
+    for (const [op, operand] of Object.entries(condition)) {
+      if (!WHERE_OPERATORS.includes(op)) {
+        throw fail(`where.${key}: unknown operator ${op} (expected one of ${WHERE_OPERATORS.join(', ')})`);
+      }
+      if ((op === 'in' || op === 'nin') && !Array.isArray(operand)) {
+        throw fail(`where.${key}.${op} must be a list`);
+      }
+      if (op === 'exists' && typeof operand !== 'boolean') {
+        throw fail(`where.${key}.exists must be true or false`);
+      }
+      if (RANGE_OPERATORS.includes(op) && !['number', 'string'].includes(typeof operand) && !(operand instanceof Date)) {
+        throw fail(`where.${key}.${op} must be a number, string or date`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether property values satisfy a where clause.
+ *
+ * @param {Object} values - Property name -> value
+ * @param {Object} where
+ * @returns {boolean}
+ */
+export function matchesWhere(values, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    const operators = isPlainObject(condition) ? condition : { eq: condition };
+    return Object.entries(operators).every(([op, operand]) => matchesOperator(values[key], op, operand));
+  });
+}
+
+/**
+ * @private
+ */
+function matchesOperator(value, op, operand) {
+  const present = value !== undefined && value !== null;
+  if (op === 'exists') return present === operand;
+  if (op === 'ne') return !matchesOperator(value, 'eq', operand);
+  if (op === 'nin') return !matchesOperator(value, 'in', operand);
+  if (!present) return false;
+
+  const items = Array.isArray(value) ? value : [value];
+  return items.some((item) => {
+    switch (op) {
+      case 'eq': return compare(item, operand) === 0;
+      case 'in': return operand.some(candidate => compare(item, candidate) === 0);
+      case 'gt': return compare(item, operand) > 0;
+      case 'gte': return compare(item, operand) >= 0;
+      case 'lt': return compare(item, operand) < 0;
+      case 'lte': return compare(item, operand) <= 0;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Compare two values: negative, 0 or positive, or NaN when they are not
+ * comparable (so every range check fails).
+ *
+ * @private
+ */
+function compare(a, b) {
+  const [timeA, timeB] = [asTime(a), asTime(b)];
+  if (timeA !== null && timeB !== null) return timeA - timeB;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return a === b ? 0 : NaN;
+}
+
+/**
+ * Milliseconds since the epoch of a Date or ISO 8601 string, else null.
+ *
+ * @private
+ */
+function asTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
@@ -90,14 +90,8 @@ const PROPERTY_DEFS = [
   { name: 'updatedAt', valueType: 'datetime', description: 'Update timestamp' }
 ];
 
-async function findPrototypeByLabel(ksg, label) {
-  const results = await ksg.searchConcepts({ query: label, topK: 20 });
-  const hit = results.find(r => r?.props?.isPrototype === true && (r?.props?.label === label || r?.props?.name === label));
-  return hit?.uuid ?? null;
-}
-
 async function ensurePrototype(ksg, name) {
-  const existing = await findPrototypeByLabel(ksg, name);
+  const existing = await ksg.findPrototype(name);
   if (existing) return existing;
   return await ksg.createPrototype({
     name,
@@ -109,9 +103,8 @@ async function ensurePrototype(ksg, name) {
 }
 
 async function findPropertyByName(ksg, name) {
-  const results = await ksg.searchConcepts({ query: `property ${name}`, topK: 20 });
-  const hit = results.find(r => r?.props?.isProperty === true && r?.props?.label === name);
-  return hit?.uuid ?? null;
+  const matches = await ksg.lookupByLabel(name, { kind: 'topic', props: { isProperty: true }, synonyms: false });
+  return matches.find(match => match.props.label === name)?.uuid ?? null;
 }
 
 async function ensurePropertyDef(ksg, def) {
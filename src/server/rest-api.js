@@ -10,79 +10,103 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { KnowShowGo } from '../knowshowgo.js';
+import { PUBLIC_NAMESPACE } from '../models.js';
 import { InMemoryMemory } from '../memory/in-memory.js';
 import { ArangoMemory } from '../memory/arango-memory.js';
+import { FileMemory } from '../memory/file-memory.js';
+import { CachedMemory } from '../memory/cached-memory.js';
+import { createVectorIndex } from '../memory/vector-index.js';
+import { decodeCursor } from '../memory/memory-tools.js';
 import { seedOslAgentPrototype } from '../seed/osl_agent.js';
-
-// Initialize KnowShowGo with embedding function
-// In production, this should use a real embedding service
-const getEmbedFn = () => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
-  const model = process.env.OPENAI_EMBED_MODEL || 'text-embedding-3-small';
-
-  // If OPENAI_API_KEY is set, use OpenAI embeddings; otherwise fall back to a mock embedder.
-  if (apiKey) {
-    return async (text) => {
-      const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/embeddings`, {
-        method: 'POST',
-        headers: {
-          authorization: `Bearer ${apiKey}`,
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify({
-          model,
-          input: text
-        })
-      });
-
-      if (!res.ok) {
-        const body = await res.text().catch(() => '');
-        throw new Error(`OpenAI embeddings failed (${res.status}): ${body.slice(0, 400)}`);
-      }
-
-      const json = await res.json();
-      const embedding = json?.data?.[0]?.embedding;
-      if (!Array.isArray(embedding)) {
-        throw new Error('OpenAI embeddings response missing embedding array');
-      }
-      return embedding;
-    };
+import { createEmbeddingProviderFromEnv } from '../embeddings/providers.js';
+import { EmbeddingCache } from '../embeddings/embedding-cache.js';
+import { reembed } from '../embeddings/reembed.js';
+
+// Vector index options (KSG_VECTOR_INDEX=hnsw|exact, KSG_EXACT_SEARCH_THRESHOLD)
+const getVectorIndexOptions = () => {
+  const options = {};
+  if (process.env.KSG_VECTOR_INDEX) {
+    options.vectorIndex = createVectorIndex(process.env.KSG_VECTOR_INDEX);
   }
-
-  // Default: simple mock embedding (stable, fast, deterministic)
-  return async (text) => {
-    const vec = new Array(384).fill(0);
-    for (let i = 0; i < Math.min(text.length, 384); i++) {
-      vec[i] = text.charCodeAt(i) / 1000;
-    }
-    return vec;
-  };
+  if (process.env.KSG_EXACT_SEARCH_THRESHOLD) {
+    options.exactSearchThreshold = Number(process.env.KSG_EXACT_SEARCH_THRESHOLD);
+  }
+  return options;
 };
 
-// Initialize memory backend
-// Can be InMemory, ArangoDB, ChromaDB, etc.
-const getMemory = () => {
-  const backend = process.env.KSG_MEMORY_BACKEND || 'in-memory';
-  
+/**
+ * Create a memory backend from the environment.
+ *
+ * @param {'in-memory'|'file'|'arango'} [backend] - Defaults to KSG_MEMORY_BACKEND
+ * @param {Object} [overrides]
+ * @param {string} [overrides.dir] - FileMemory directory instead of KSG_DATA_DIR
+ * @param {string} [overrides.database] - ArangoDB database instead of ARANGO_DB
+ * @returns {MemoryTools}
+ */
+export function createMemoryFromEnv(backend = process.env.KSG_MEMORY_BACKEND || 'in-memory', overrides = {}) {
   if (backend === 'arango') {
     const config = {
       url: process.env.ARANGO_URL || 'http://localhost:8529',
-      database: process.env.ARANGO_DB || 'knowshowgo',
+      database: overrides.database || process.env.ARANGO_DB || 'knowshowgo',
       username: process.env.ARANGO_USER || 'root',
-      password: process.env.ARANGO_PASS || ''
+      password: process.env.ARANGO_PASS || '',
+      // ArangoDB 3.12.4+ vector index over node embeddings of this dimension
+      arangoVectorIndex: process.env.ARANGO_VECTOR_DIMENSION
+        ? { dimension: Number(process.env.ARANGO_VECTOR_DIMENSION) }
+        : null,
+      ...getVectorIndexOptions()
     };
     return new ArangoMemory(config);
   }
+
+  if (backend === 'file') {
+    return new FileMemory({
+      dir: overrides.dir || process.env.KSG_DATA_DIR || './data',
+      compactEvery: Number(process.env.KSG_COMPACT_EVERY) || 1000,
+      ...getVectorIndexOptions()
+    });
+  }
   
   // Default: in-memory
-  return new InMemoryMemory();
+  return new InMemoryMemory(getVectorIndexOptions());
+}
+
+// Optional LRU cache in front of the backend (KSG_CACHE_SIZE entries, KSG_CACHE_TTL_MS)
+const withCacheFromEnv = (memory) => {
+  const size = Number(process.env.KSG_CACHE_SIZE) || 0;
+  if (size <= 0) return memory;
+  return new CachedMemory(memory, {
+    maxNodes: size,
+    maxAdjacency: size,
+    ttl: Number(process.env.KSG_CACHE_TTL_MS) || 0
+  });
+};
+
+// Embedding cache (KSG_EMBED_CACHE_SIZE entries, default 50000, 0 = off;
+// KSG_EMBED_CACHE_PATH persists it; KSG_EMBED_CACHE_PREWARM=true seeds it from stored vectors)
+const withEmbeddingCacheFromEnv = (provider, memory) => {
+  const size = process.env.KSG_EMBED_CACHE_SIZE === undefined
+    ? 50000
+    : Number(process.env.KSG_EMBED_CACHE_SIZE) || 0;
+  if (size <= 0) return provider;
+  const cache = new EmbeddingCache({ maxEntries: size, path: process.env.KSG_EMBED_CACHE_PATH || null });
+  if (process.env.KSG_EMBED_CACHE_PREWARM === 'true') {
+    cache.prewarm(memory, provider).catch((err) => {
+      console.error(`Embedding cache prewarm failed: ${err.message}`);
+    });
+  }
+  return cache.wrapProvider(provider);
 };
 
 export function createKnowShowGoFromEnv() {
+  const memory = withCacheFromEnv(createMemoryFromEnv());
   return new KnowShowGo({
-    embedFn: getEmbedFn(),
-    memory: getMemory()
+    // KSG_EMBED_PROVIDER=openai|hashed|mock|module (see embeddings/providers.js)
+    embeddingProvider: withEmbeddingCacheFromEnv(createEmbeddingProviderFromEnv(), memory),
+    // Batch embedding limits (texts per request, requests in flight)
+    embedBatchSize: Number(process.env.KSG_EMBED_BATCH_SIZE) || 64,
+    embedConcurrency: Number(process.env.KSG_EMBED_CONCURRENCY) || 4,
+    memory
   });
 }
 
@@ -91,6 +115,18 @@ export function createApp({ ksg }) {
   app.use(cors());
   app.use(express.json());
 
+  // Namespaces: "X-KSG-Namespace: team-a[,team-b]" scopes a request to a
+  // KnowShowGo view that writes to team-a and reads the listed namespaces plus
+  // 'public'. Requests without the header only see 'public'.
+  app.use((req, res, next) => {
+    const namespaces = (req.get('X-KSG-Namespace') || '')
+      .split(',')
+      .map(ns => ns.trim())
+      .filter(Boolean);
+    req.ksg = ksg.forNamespace(namespaces.length > 0 ? namespaces : PUBLIC_NAMESPACE);
+    next();
+  });
+
   // Static UI
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = path.dirname(__filename);
@@ -99,7 +135,17 @@ export function createApp({ ksg }) {
 
 // Health check
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', service: 'knowshowgo-api' });
+    const health = { status: 'ok', service: 'knowshowgo-api' };
+    if (ksg.embeddingProvider) {
+      health.embedding = { provider: ksg.embeddingProvider.name, model: ksg.embeddingProvider.model };
+      if (ksg.embeddingProvider.cache) {
+        health.embedding.cache = ksg.embeddingProvider.cache.stats();
+      }
+    }
+    if (typeof ksg.memory.stats === 'function') {
+      health.cache = ksg.memory.stats();
+    }
+    res.json(health);
   });
 
   // Seed endpoints (idempotent)
@@ -112,6 +158,80 @@ export function createApp({ ksg }) {
     }
   });
 
+  // Admin: embedding models in use and the re-embed job (see embeddings/reembed.js).
+  // One job per app; it covers every namespace, so it runs on the unscoped instance.
+  // Namespace-scoped requests (X-KSG-Namespace) may not use these routes:
+  // they would read and rewrite other tenants' nodes.
+  app.use('/api/admin', (req, res, next) => {
+    if ((req.get('X-KSG-Namespace') || '').trim() !== '') {
+      return res.status(403).json({ error: 'admin endpoints are not available to namespace-scoped requests' });
+    }
+    next();
+  });
+
+  const reembedJob = { state: null, running: null, error: null };
+
+  /**
+   * GET /api/admin/reembed
+   * Embedding models of stored vectors and the state of the last re-embed job
+   */
+  app.get('/api/admin/reembed', async (_req, res) => {
+    try {
+      res.json({
+        running: reembedJob.running !== null,
+        job: reembedJob.state,
+        error: reembedJob.error,
+        embeddings: await ksg.embeddingStatus()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/reembed
+   * Start a re-embed job, or resume the last one if it did not finish.
+   * Body: { force?, restart?, pageSize?, wait? } - wait=true responds when the job is done
+   */
+  app.post('/api/admin/reembed', async (req, res) => {
+    try {
+      const { force = false, restart = false, pageSize, wait = false } = req.body || {};
+      if (reembedJob.running) {
+        return res.status(409).json({ error: 're-embed job already running', job: reembedJob.state });
+      }
+      if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1)) {
+        return res.status(400).json({ error: 'pageSize must be a positive integer' });
+      }
+
+      const resume = !restart && reembedJob.state && reembedJob.state.phase !== 'done';
+      reembedJob.error = null;
+      reembedJob.running = reembed(ksg, {
+        state: resume ? reembedJob.state : null,
+        force: force === true,
+        pageSize,
+        onCheckpoint: (state) => { reembedJob.state = state; }
+      })
+        .then((state) => { reembedJob.state = state; })
+        .catch((error) => {
+          // The last checkpoint is kept: POST again to resume
+          reembedJob.error = error.message;
+          console.error(`Re-embed job failed: ${error.message}`);
+        })
+        .finally(() => { reembedJob.running = null; });
+
+      if (wait === true) {
+        await reembedJob.running;
+        if (reembedJob.error) {
+          return res.status(500).json({ error: reembedJob.error, job: reembedJob.state });
+        }
+        return res.json({ resumed: Boolean(resume), job: reembedJob.state });
+      }
+      res.status(202).json({ resumed: Boolean(resume), job: reembedJob.state });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
 // ===== Prototype Endpoints =====
 
 /**
@@ -126,12 +246,12 @@ app.post('/api/prototypes', async (req, res) => {
       return res.status(400).json({ error: 'name is required' });
     }
 
-    const prototypeUuid = await ksg.createPrototype({
+    const prototypeUuid = await req.ksg.createPrototype({
       name,
       description,
       context,
       labels: labels || [],
-      embedding: embedding || await ksg.embedFn(name),
+      embedding: embedding || await req.ksg.embedFn(name),
       parentPrototypeUuids: parentPrototypeUuids || null
     });
 
@@ -147,7 +267,7 @@ app.post('/api/prototypes', async (req, res) => {
  */
 app.get('/api/prototypes/:uuid', async (req, res) => {
   try {
-    const prototype = await ksg.getPrototype(req.params.uuid);
+    const prototype = await req.ksg.getPrototype(req.params.uuid);
     if (!prototype) {
       return res.status(404).json({ error: 'Prototype not found' });
     }
@@ -174,10 +294,10 @@ app.post('/api/concepts', async (req, res) => {
       return res.status(400).json({ error: 'jsonObj is required' });
     }
 
-    const conceptUuid = await ksg.createConcept({
+    const conceptUuid = await req.ksg.createConcept({
       prototypeUuid,
       jsonObj,
-      embedding: embedding || await ksg.embedFn(jsonObj.name || JSON.stringify(jsonObj)),
+      embedding: embedding || await req.ksg.embedFn(jsonObj.name || JSON.stringify(jsonObj)),
       previousVersionUuid: previousVersionUuid || null
     });
 
@@ -187,13 +307,42 @@ app.post('/api/concepts', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/concepts/lookup
+ * Find nodes by label, name or alias (no semantic guessing)
+ * Query params: text (required), fuzzy ('true' for typo tolerance), maxDistance,
+ * kind, prototype (name or UUID), includeSubtypes, synonyms ('false' to skip
+ * synonymOf links), limit
+ */
+app.get('/api/concepts/lookup', async (req, res) => {
+  try {
+    const { text, fuzzy, maxDistance, kind, prototype, includeSubtypes, synonyms, limit } = req.query;
+    if (!text) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    const results = await req.ksg.lookupByLabel(String(text), {
+      fuzzy: fuzzy === 'true',
+      maxDistance: maxDistance !== undefined ? Number(maxDistance) : null,
+      kind: kind || null,
+      prototype: prototype || null,
+      includeSubtypes: includeSubtypes === 'true',
+      synonyms: synonyms !== 'false',
+      limit: limit !== undefined ? Number(limit) : 10
+    });
+    res.json({ results });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/concepts/:uuid
  * Get a concept by UUID
  */
 app.get('/api/concepts/:uuid', async (req, res) => {
   try {
-    const concept = await ksg.getConcept(req.params.uuid);
+    const concept = await req.ksg.getConcept(req.params.uuid);
     if (!concept) {
       return res.status(404).json({ error: 'Concept not found' });
     }
@@ -203,28 +352,155 @@ app.get('/api/concepts/:uuid', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/concepts/:uuid/neighborhood
+ * Nodes within `depth` hops and the edges between them
+ * Query params: depth (default 1), rels (comma-separated), direction
+ * ('incoming' | 'outgoing' | 'both'), maxNodes
+ */
+app.get('/api/concepts/:uuid/neighborhood', async (req, res) => {
+  try {
+    const { depth, rels, direction, maxNodes } = req.query;
+    const result = await req.ksg.neighborhood(req.params.uuid, {
+      depth: depth !== undefined ? Number(depth) : 1,
+      rels: parseRels(rels),
+      direction: direction || 'both',
+      maxNodes: maxNodes !== undefined ? Number(maxNodes) : 500
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Concept not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/concepts/:uuid/paths/:toUuid
+ * Strongest paths between two concepts (by edge weight x confidence)
+ * Query params: maxDepth (default 3), rels (comma-separated), direction, limit (default 3)
+ */
+app.get('/api/concepts/:uuid/paths/:toUuid', async (req, res) => {
+  try {
+    const { maxDepth, rels, direction, limit } = req.query;
+    const result = await req.ksg.paths(req.params.uuid, req.params.toUuid, {
+      maxDepth: maxDepth !== undefined ? Number(maxDepth) : 3,
+      rels: parseRels(rels),
+      direction: direction || 'both',
+      limit: limit !== undefined ? Number(limit) : 3
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Concept not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/concepts/:uuid (alias: DELETE /api/nodes/:uuid)
+ * Delete a node and its incident edges
+ * Query params: mode ('hard' | 'soft', default 'hard'), cascade ('true' to also
+ * delete the node's document, tag and value nodes)
+ */
+const deleteNodeHandler = async (req, res) => {
+  try {
+    const { mode, cascade } = req.query;
+    if (mode && mode !== 'hard' && mode !== 'soft') {
+      return res.status(400).json({ error: "mode must be 'hard' or 'soft'" });
+    }
+
+    const result = await req.ksg.deleteNode(req.params.uuid, {
+      mode: mode || 'hard',
+      cascade: cascade === 'true'
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+app.delete('/api/concepts/:uuid', deleteNodeHandler);
+app.delete('/api/nodes/:uuid', deleteNodeHandler);
+
 /**
  * POST /api/concepts/search
  * Search for concepts by semantic similarity
+ * Body: query, topK, ... plus limit/cursor to page through results (returns nextCursor)
+ * mode ('hybrid' | 'vector' | 'lexical'), fusion ('rrf' | 'weighted') and
+ * weights ({ vector, lexical }) select the ranking; prototypeFilter (name or UUID,
+ * plus includeSubtypes for is_a subtypes) limits results to instances, and where
+ * ({ priority: { gte: 3 }, status: 'open' }) to matching property values;
+ * explain: true adds each result's score breakdown (`explanation`);
+ * mmrLambda (0-1) and collapse (['version', 'document']) diversify the results
  */
 app.post('/api/concepts/search', async (req, res) => {
   try {
-    const { query, topK, similarityThreshold, prototypeFilter } = req.body;
+    const {
+      query, topK, similarityThreshold, prototypeFilter, includeSubtypes, where, exact, mode, fusion, weights, explain,
+      mmrLambda, collapse
+    } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'query is required' });
     }
 
-    const results = await ksg.searchConcepts({
+    const results = await req.ksg.searchConcepts({
       query,
       topK: topK || 10,
-      similarityThreshold: similarityThreshold || 0.7,
-      prototypeFilter: prototypeFilter || null
+      similarityThreshold: similarityThreshold ?? 0.7,
+      prototypeFilter: prototypeFilter || null,
+      includeSubtypes: includeSubtypes === true,
+      where: where ?? null,
+      explain: explain === true,
+      mmrLambda: mmrLambda ?? null,
+      collapse: collapse ?? null,
+      exact: exact === true,
+      mode,
+      fusion,
+      weights,
+      ...parsePage(req.body)
     });
 
-    res.json({ results });
+    const body = { results, nextCursor: results.nextCursor };
+    if (results.embeddingWarning) {
+      body.embeddingWarning = results.embeddingWarning;
+    }
+    res.json(body);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ===== Query Endpoints =====
+
+/**
+ * POST /api/query
+ * Run a graph pattern query (Cypher-like MATCH ... WHERE ... RETURN ... LIMIT)
+ * Body: query, params ({ name: value } for $name), maxRows (default 1000)
+ * Returns { columns, rows, plan, truncated }; plan lists the steps run with
+ * their row counts (EXPLAIN queries return the plan only, rows null).
+ * truncated is also set when the query used up its work budget
+ * (ksg.query's default maxExpansions; not settable per request)
+ */
+app.post('/api/query', async (req, res) => {
+  try {
+    const { query, params, maxRows } = req.body;
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    const result = await req.ksg.query(query, {
+      params: params || {},
+      maxRows: maxRows ?? 1000
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -242,14 +518,14 @@ app.post('/api/associations', async (req, res) => {
       return res.status(400).json({ error: 'fromConceptUuid, toConceptUuid, and relationType are required' });
     }
 
-    await ksg.addAssociation({
+    const uuid = await req.ksg.addAssociation({
       fromConceptUuid,
       toConceptUuid,
       relationType,
       strength: strength || 1.0
     });
 
-    res.json({ success: true });
+    res.json({ success: true, uuid });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -258,12 +534,35 @@ app.post('/api/associations', async (req, res) => {
 /**
  * GET /api/associations/:uuid
  * Get associations for a concept
+ * Query params: direction, limit, cursor (returns nextCursor)
  */
 app.get('/api/associations/:uuid', async (req, res) => {
   try {
     const { direction } = req.query; // 'incoming', 'outgoing', or 'both' (default)
-    const associations = await ksg.getAssociations(req.params.uuid, direction || 'both');
-    res.json({ associations });
+    const associations = await req.ksg.getAssociations(req.params.uuid, direction || 'both', parsePage(req.query));
+    res.json({ associations, nextCursor: associations.nextCursor });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/associations/:uuid
+ * Delete an association by edge UUID
+ * Query params: mode ('hard' | 'soft', default 'hard')
+ */
+app.delete('/api/associations/:uuid', async (req, res) => {
+  try {
+    const { mode } = req.query;
+    if (mode && mode !== 'hard' && mode !== 'soft') {
+      return res.status(400).json({ error: "mode must be 'hard' or 'soft'" });
+    }
+
+    const deleted = await req.ksg.deleteAssociation(req.params.uuid, { mode: mode || 'hard' });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+    res.json({ success: true, mode: mode || 'hard' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -283,7 +582,7 @@ app.post('/api/nodes', async (req, res) => {
       return res.status(400).json({ error: 'label is required' });
     }
 
-    const nodeUuid = await ksg.createNodeWithDocument({
+    const nodeUuid = await req.ksg.createNodeWithDocument({
       label,
       summary: summary || null,
       tags: tags || [],
@@ -319,7 +618,7 @@ app.post('/api/knodes', async (req, res) => {
       return res.status(400).json({ error: 'label is required' });
     }
 
-    const uuid = await ksg.createNodeWithDocument({
+    const uuid = await req.ksg.createNodeWithDocument({
       label,
       summary: summary || null,
       tags: tags || [],
@@ -335,6 +634,47 @@ app.post('/api/knodes', async (req, res) => {
 });
 
 // ===== Procedures (OSL-agent-prototype compatibility) =====
+
+/**
+ * Error carrying an HTTP status, thrown inside transactions so their writes roll back
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read limit/cursor paging params (query string or JSON body)
+ */
+function parsePage({ limit, cursor }) {
+  const page = {};
+  if (limit !== undefined) {
+    page.limit = Number(limit);
+    if (!Number.isInteger(page.limit) || page.limit <= 0) {
+      throw new HttpError(400, 'limit must be a positive integer');
+    }
+  }
+  if (cursor !== undefined && cursor !== null) {
+    try {
+      decodeCursor(cursor);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    page.cursor = String(cursor);
+  }
+  return page;
+}
+
+/**
+ * Comma-separated relation names from a query param (undefined/empty = all).
+ */
+function parseRels(rels) {
+  if (rels === undefined || rels === '') return null;
+  return String(rels).split(',').map(rel => rel.trim()).filter(Boolean);
+}
+
 function hasCycle(edges, from, to) {
   // check if adding from->to creates a cycle by seeing if there's a path to 'from' from 'to'
   const adj = new Map();
@@ -378,83 +718,88 @@ app.post('/api/procedures', async (req, res) => {
     const deps = Array.isArray(dependencies) ? dependencies : [];
     const g = guards || {};
 
-    // Create procedure as a topic node (store logical kind in props for compatibility)
-    const procUuid = await ksg.createNodeWithDocument({
-      label: title,
-      summary: description || '',
-      tags: [`procedure:${title}`],
-      metadata: { kind: 'Procedure', title, description, ...(extraProps || {}) }
-    });
-
-    // Create steps
-    const stepUuids = [];
-    for (let i = 0; i < steps.length; i++) {
-      const s = steps[i] || {};
-      const stepTitle = s.title || `Step ${i + 1}`;
-      const stepUuid = await ksg.createNodeWithDocument({
-        label: stepTitle,
-        summary: '',
-        tags: [`step:${stepTitle}`],
-        metadata: {
-          kind: 'Step',
-          title: stepTitle,
-          payload: s.payload,
-          tool: s.tool,
-          order: s.order ?? i,
-          guard_text: s.guard_text ?? g[i],
-          guard: s.guard,
-          on_fail: s.on_fail,
-          procedure_uuid: procUuid
-        }
+    // One transaction: a rejected dependency list leaves no partial procedure behind
+    const result = await req.ksg.transaction(async (tx) => {
+      // Create procedure as a topic node (store logical kind in props for compatibility)
+      const procUuid = await tx.createNodeWithDocument({
+        label: title,
+        summary: description || '',
+        tags: [`procedure:${title}`],
+        metadata: { kind: 'Procedure', title, description, ...(extraProps || {}) }
       });
-      stepUuids.push(stepUuid);
-      await ksg.addAssociation({
-        fromConceptUuid: procUuid,
-        toConceptUuid: stepUuid,
-        relationType: 'has_step',
-        strength: 1.0,
-        props: { order: i }
-      });
-    }
 
-    // Dependency edges: step -> prereq (matches osl-agent-prototype ProcedureBuilder semantics)
-    const existing = (await ksg.getAssociations(procUuid, 'both'))
-      .filter(e => e.rel === 'depends_on' || e.rel === 'has_step');
-    const depEdges = [];
-    for (const [prereqIdx, stepIdx] of deps) {
-      if (typeof prereqIdx !== 'number' || typeof stepIdx !== 'number') {
-        return res.status(400).json({ error: 'dependencies must be [prereq_index, step_index] pairs' });
+      // Create steps
+      const stepUuids = [];
+      for (let i = 0; i < steps.length; i++) {
+        const s = steps[i] || {};
+        const stepTitle = s.title || `Step ${i + 1}`;
+        const stepUuid = await tx.createNodeWithDocument({
+          label: stepTitle,
+          summary: '',
+          tags: [`step:${stepTitle}`],
+          metadata: {
+            kind: 'Step',
+            title: stepTitle,
+            payload: s.payload,
+            tool: s.tool,
+            order: s.order ?? i,
+            guard_text: s.guard_text ?? g[i],
+            guard: s.guard,
+            on_fail: s.on_fail,
+            procedure_uuid: procUuid
+          }
+        });
+        stepUuids.push(stepUuid);
+        await tx.addAssociation({
+          fromConceptUuid: procUuid,
+          toConceptUuid: stepUuid,
+          relationType: 'has_step',
+          strength: 1.0,
+          props: { order: i }
+        });
+      }
+
+      // Dependency edges: step -> prereq (matches osl-agent-prototype ProcedureBuilder semantics)
+      const existing = (await tx.getAssociations(procUuid, 'both'))
+        .filter(e => e.rel === 'depends_on' || e.rel === 'has_step');
+      const depEdges = [];
+      for (const [prereqIdx, stepIdx] of deps) {
+        if (typeof prereqIdx !== 'number' || typeof stepIdx !== 'number') {
+          throw new HttpError(400, 'dependencies must be [prereq_index, step_index] pairs');
+        }
+        if (prereqIdx < 0 || prereqIdx >= stepUuids.length || stepIdx < 0 || stepIdx >= stepUuids.length) {
+          throw new HttpError(400, 'dependency index out of range');
+        }
+        const prereq = stepUuids[prereqIdx];
+        const step = stepUuids[stepIdx];
+        depEdges.push({ fromNode: step, toNode: prereq });
       }
-      if (prereqIdx < 0 || prereqIdx >= stepUuids.length || stepIdx < 0 || stepIdx >= stepUuids.length) {
-        return res.status(400).json({ error: 'dependency index out of range' });
+      // cycle check on step dependency graph
+      for (const e of depEdges) {
+        const graphEdges = [
+          ...existing.filter(x => x.rel === 'depends_on').map(x => ({ fromNode: x.fromNode, toNode: x.toNode })),
+          ...depEdges
+        ];
+        if (hasCycle(graphEdges, e.fromNode, e.toNode)) {
+          throw new HttpError(400, 'cycle_detected');
+        }
       }
-      const prereq = stepUuids[prereqIdx];
-      const step = stepUuids[stepIdx];
-      depEdges.push({ fromNode: step, toNode: prereq });
-    }
-    // cycle check on step dependency graph
-    for (const e of depEdges) {
-      const graphEdges = [
-        ...existing.filter(x => x.rel === 'depends_on').map(x => ({ fromNode: x.fromNode, toNode: x.toNode })),
-        ...depEdges
-      ];
-      if (hasCycle(graphEdges, e.fromNode, e.toNode)) {
-        return res.status(400).json({ error: 'cycle_detected' });
+
+      for (const e of depEdges) {
+        await tx.addAssociation({
+          fromConceptUuid: e.fromNode,
+          toConceptUuid: e.toNode,
+          relationType: 'depends_on',
+          strength: 1.0
+        });
       }
-    }
 
-    for (const e of depEdges) {
-      await ksg.addAssociation({
-        fromConceptUuid: e.fromNode,
-        toConceptUuid: e.toNode,
-        relationType: 'depends_on',
-        strength: 1.0
-      });
-    }
+      return { procedure_uuid: procUuid, step_uuids: stepUuids };
+    });
 
-    res.json({ procedure_uuid: procUuid, step_uuids: stepUuids });
+    res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -466,7 +811,7 @@ app.post('/api/procedures/search', async (req, res) => {
   try {
     const { query, topK } = req.body || {};
     if (!query) return res.status(400).json({ error: 'query is required' });
-    const results = await ksg.searchConcepts({ query, topK: topK || 5 });
+    const results = await req.ksg.searchConcepts({ query, topK: topK || 5 });
     const filtered = results.filter(r => r?.props?.kind === 'Procedure' || r?.props?.isProcedure === true);
     res.json({ results: filtered });
   } catch (error) {
@@ -480,7 +825,7 @@ app.post('/api/procedures/search', async (req, res) => {
  */
 app.post('/api/nodes/:uuid/embedding', async (req, res) => {
   try {
-    await ksg.updateNodeEmbedding(req.params.uuid);
+    await req.ksg.updateNodeEmbedding(req.params.uuid);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -501,7 +846,7 @@ app.post('/api/orm/register', async (req, res) => {
       return res.status(400).json({ error: 'prototypeName is required' });
     }
 
-    await ksg.orm.registerPrototype(prototypeName, options || {});
+    await req.ksg.orm.registerPrototype(prototypeName, options || {});
     res.json({ success: true, prototypeName });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -521,12 +866,12 @@ app.post('/api/orm/:prototypeName/create', async (req, res) => {
       return res.status(400).json({ error: 'properties are required' });
     }
 
-    const Model = await ksg.orm.getModel(prototypeName);
+    const Model = await req.ksg.orm.getModel(prototypeName);
     if (!Model) {
       return res.status(404).json({ error: `Prototype ${prototypeName} not registered` });
     }
 
-    const instance = await Model.create(properties);
+    const instance = await Model.create(properties, { namespace: req.ksg.namespace });
     res.json(await instance.toJSON());
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -541,12 +886,12 @@ app.get('/api/orm/:prototypeName/:uuid', async (req, res) => {
   try {
     const { prototypeName, uuid } = req.params;
     
-    const Model = await ksg.orm.getModel(prototypeName);
+    const Model = await req.ksg.orm.getModel(prototypeName);
     if (!Model) {
       return res.status(404).json({ error: `Prototype ${prototypeName} not registered` });
     }
 
-    const instance = await Model.get(uuid);
+    const instance = await Model.get(uuid, { namespaces: req.ksg.readNamespaces });
     if (!instance) {
       return res.status(404).json({ error: 'Instance not found' });
     }
@@ -577,7 +922,7 @@ app.post('/api/assertions', async (req, res) => {
       return res.status(400).json({ error: 'object is required' });
     }
 
-    const assertion = await ksg.createAssertion({
+    const assertion = await req.ksg.createAssertion({
       subject,
       predicate,
       object,
@@ -594,21 +939,21 @@ app.post('/api/assertions', async (req, res) => {
 /**
  * GET /api/assertions
  * Query assertions with optional filters
- * Query params: subject, predicate, object
+ * Query params: subject, predicate, object, limit, cursor (returns nextCursor)
  */
 app.get('/api/assertions', async (req, res) => {
   try {
     const { subject, predicate, object } = req.query;
-    const filters = {};
+    const filters = parsePage(req.query);
     
     if (subject) filters.subject = subject;
     if (predicate) filters.predicate = predicate;
     if (object !== undefined) filters.object = object;
 
-    const assertions = await ksg.getAssertions(filters);
-    res.json({ assertions });
+    const assertions = await req.ksg.getAssertions(filters);
+    res.json({ assertions, nextCursor: assertions.nextCursor });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -618,7 +963,7 @@ app.get('/api/assertions', async (req, res) => {
  */
 app.get('/api/entities/:id/snapshot', async (req, res) => {
   try {
-    const snapshot = await ksg.snapshot(req.params.id);
+    const snapshot = await req.ksg.snapshot(req.params.id);
     res.json({ snapshot });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -633,7 +978,7 @@ app.get('/api/entities/:id/snapshot', async (req, res) => {
 app.get('/api/entities/:id/evidence', async (req, res) => {
   try {
     const { predicate } = req.query;
-    const evidence = await ksg.evidence(req.params.id, predicate || null);
+    const evidence = await req.ksg.evidence(req.params.id, predicate || null);
     res.json({ evidence });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -654,7 +999,7 @@ app.post('/api/facts', async (req, res) => {
       return res.status(400).json({ error: 'subject, predicate, and object are required' });
     }
     
-    const fact = await ksg.storeFact({
+    const fact = await req.ksg.storeFact({
       subject,
       predicate,
       object,
@@ -681,20 +1026,17 @@ app.post('/api/facts/bulk', async (req, res) => {
       return res.status(400).json({ error: 'facts array is required' });
     }
     
-    const results = [];
-    for (const f of facts) {
-      if (!f.subject || !f.predicate || !f.object) continue;
-      
-      const fact = await ksg.storeFact({
+    // Fact texts are embedded in batches (see KnowShowGo.embedMany)
+    const results = await req.ksg.storeFacts(facts
+      .filter(f => f.subject && f.predicate && f.object)
+      .map(f => ({
         subject: f.subject,
         predicate: f.predicate,
         object: f.object,
         status: f.status || 'verified',
         confidence: f.confidence ?? 1.0,
         source: f.source || null
-      });
-      results.push(fact);
-    }
+      })));
     
     res.json({ stored: results.length, facts: results });
   } catch (error) {
@@ -708,13 +1050,13 @@ app.post('/api/facts/bulk', async (req, res) => {
  */
 app.post('/api/verify', async (req, res) => {
   try {
-    const { claim, threshold } = req.body;
+    const { claim, threshold, exact } = req.body;
     
     if (!claim) {
       return res.status(400).json({ error: 'claim is required' });
     }
     
-    const result = await ksg.verify(claim, { threshold: threshold ?? 0.7 });
+    const result = await req.ksg.verify(claim, { threshold: threshold ?? 0.7, exact: exact === true });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -727,13 +1069,61 @@ app.post('/api/verify', async (req, res) => {
  */
 app.get('/api/facts/stats', async (req, res) => {
   try {
-    const stats = await ksg.getFactStats();
+    const stats = await req.ksg.getFactStats();
     res.json(stats);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ===== Change Events =====
+
+/**
+ * GET /api/changes
+ * Changes after a sequence number (poll to catch up after a disconnect)
+ * Query params: since (default 0), limit
+ */
+app.get('/api/changes', async (req, res) => {
+  try {
+    const since = req.query.since !== undefined ? Number(req.query.since) : 0;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    if (!Number.isInteger(since) || since < 0 || (limit !== undefined && !(Number.isInteger(limit) && limit > 0))) {
+      return res.status(400).json({ error: 'since and limit must be non-negative integers' });
+    }
+    res.json(req.ksg.getChanges(since, { limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/changes/stream
+ * Server-sent events; resumes after the Last-Event-ID header or ?since=
+ */
+app.get('/api/changes/stream', (req, res) => {
+  const since = Number(req.get('Last-Event-ID') ?? req.query.since ?? req.ksg.changeLog.lastSeq);
+  if (!Number.isInteger(since) || since < 0) {
+    return res.status(400).json({ error: 'since must be a non-negative integer' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  if (req.ksg.getChanges(since, { limit: 0 }).truncated) {
+    // Older changes were evicted: the client must resync from the graph
+    res.write(`event: truncated\ndata: ${JSON.stringify({ firstSeq: req.ksg.changeLog.firstSeq })}\n\n`);
+  }
+  const send = (entry) => {
+    res.write(`id: ${entry.seq}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry)}\n\n`);
+  };
+  const unsubscribe = req.ksg.subscribe(send, { since });
+  req.on('close', unsubscribe);
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   console.error(err);
@@ -753,6 +1143,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   app.listen(PORT, () => {
     console.log(`KnowShowGo REST API server running on port ${PORT}`);
     console.log(`Memory backend: ${process.env.KSG_MEMORY_BACKEND || 'in-memory'}`);
+    // Scan stored vectors now, so the first searches can report a mixed index
+    ksg.embeddingStatus().catch((err) => {
+      console.error(`Embedding census failed: ${err.message}`);
+    });
   });
 }
 
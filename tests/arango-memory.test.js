@@ -0,0 +1,407 @@
+/**
+ * Tests for ArangoMemory query generation and collection routing
+ *
+ * Uses a recorded-query stand-in for the database, so no live ArangoDB is
+ * needed: every AQL query is captured and answered with canned rows.
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { ArangoMemory } from '../src/memory/arango-memory.js';
+import { HnswVectorIndex } from '../src/memory/vector-index.js';
+import { encodeCursor } from '../src/memory/memory-tools.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const createRecordingDb = (rows = []) => {
+  const queries = [];
+  const transactions = [];
+  return {
+    queries,
+    transactions,
+    query: async (q) => {
+      queries.push({ query: q.query.replace(/\s+/g, ' ').trim(), bindVars: q.bindVars });
+      return { all: async () => rows };
+    },
+    beginTransaction: async (collections) => {
+      const trx = {
+        collections,
+        steps: 0,
+        status: 'running',
+        step: (fn) => { trx.steps += 1; return fn(); },
+        commit: async () => { trx.status = 'committed'; },
+        abort: async () => { trx.status = 'aborted'; }
+      };
+      transactions.push(trx);
+      return trx;
+    }
+  };
+};
+
+const createMemory = (rows, config = {}) => {
+  const memory = new ArangoMemory(config);
+  memory.db = createRecordingDb(rows); // connect() is a no-op once db is set
+  return memory;
+};
+
+const bound = (recorded) => Object.values(recorded.bindVars);
+
+const createRecordingCollection = () => {
+  const saved = [];
+  return {
+    saved,
+    save: async (doc) => { saved.push(doc); }
+  };
+};
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('ArangoMemory AQL pushdown', () => {
+  test('listNodes filters by kind, label and props and paginates in AQL', async () => {
+    const memory = createMemory([{ _key: 'k', _id: 'nodes/k', _rev: '1', uuid: 'u1', kind: 'fact', props: {} }]);
+
+    const nodes = await memory.listNodes({ kind: 'fact', label: 'Paris', props: { subject: 'paris' }, limit: 10, offset: 20 });
+
+    const [recorded] = memory.db.queries;
+    expect(recorded.query).toContain('FILTER node.kind ==');
+    expect(recorded.query).toContain('IN node.labels');
+    expect(recorded.query).toContain('FILTER node.props[');
+    expect(recorded.query).toContain('SORT node._key LIMIT');
+    expect(bound(recorded)).toEqual(expect.arrayContaining(['fact', 'Paris', 'subject', 'paris', 20, 10]));
+    expect(nodes).toEqual([{ uuid: 'u1', kind: 'fact', props: {} }]);
+  });
+
+  test('namespace filters treat a missing namespace as public', async () => {
+    const memory = createMemory([]);
+    await memory.listNodes({ namespaces: ['team-a', 'public'] });
+
+    const [recorded] = memory.db.queries;
+    expect(recorded.query).toContain('FILTER (node.props.namespace ||');
+    expect(bound(recorded)).toEqual(expect.arrayContaining(['public', ['team-a', 'public']]));
+  });
+
+  test('cursor pages become a range filter on _key', async () => {
+    const memory = createMemory([]);
+    const cursor = encodeCursor({ after: '0a1b-2c' });
+    await memory.findEdges({ rel: 'partOf' }, { limit: 10, cursor });
+
+    const [recorded] = memory.db.queries;
+    expect(recorded.query).toContain('FILTER edge._key >');
+    expect(recorded.query).toContain('SORT edge._key LIMIT');
+    expect(bound(recorded)).toEqual(expect.arrayContaining(['0a1b2c', 10]));
+  });
+
+  test('listNodes without paging has no LIMIT', async () => {
+    const memory = createMemory([]);
+    await memory.listNodes();
+    expect(memory.db.queries[0].query).toBe('FOR node IN nodes RETURN node');
+  });
+
+  test('findEdges filters by endpoints and rel in AQL', async () => {
+    const memory = createMemory([{ _key: 'e', _from: 'nodes/a', _to: 'nodes/b', uuid: 'e1', rel: 'partOf' }]);
+
+    const edges = await memory.findEdges({ fromNode: 'a', rel: 'partOf' }, { limit: 5 });
+
+    const [recorded] = memory.db.queries;
+    expect(recorded.query).toContain('FILTER edge.fromNode ==');
+    expect(recorded.query).toContain('FILTER edge.rel ==');
+    expect(recorded.query).not.toContain('edge.toNode');
+    expect(recorded.query).toContain('SORT edge._key LIMIT');
+    expect(bound(recorded)).toEqual(expect.arrayContaining(['a', 'partOf', 0, 5]));
+    expect(edges).toEqual([{ uuid: 'e1', rel: 'partOf' }]);
+  });
+
+  test('search ranks by cosine similarity server-side and limits to topK', async () => {
+    const row = { uuid: 'u1', name: 'Close', props: { label: 'Close' }, similarity: 0.9 };
+    const memory = createMemory([row]);
+
+    const results = await memory.search({
+      query: 'close',
+      topK: 3,
+      filters: { kind: 'topic', excludeStatus: ['tombstoned'] },
+      queryEmbedding: [1, 0, 0],
+      mode: 'vector'
+    });
+
+    const [recorded] = memory.db.queries;
+    expect(recorded.query).toContain('COSINE_SIMILARITY(node.llmEmbedding');
+    expect(recorded.query).toContain('FILTER node.props.status NOT IN');
+    expect(recorded.query).toContain('SORT similarity DESC LIMIT');
+    expect(bound(recorded)).toEqual(expect.arrayContaining(['topic', ['tombstoned'], [1, 0, 0], 3]));
+    expect(memory.db.queries).toHaveLength(1);
+    expect(results).toEqual([{ ...row, score: 0.9, lexicalScore: 0 }]);
+  });
+
+  test('search without an embedding ranks by BM25 over the search view', async () => {
+    const memory = createMemory([]);
+    await memory.search({ query: 'Phone', topK: 5, filters: { kind: 'topic' } });
+
+    const [recorded] = memory.db.queries;
+    expect(memory.db.queries).toHaveLength(1);
+    expect(recorded.query).toContain('FOR node IN nodes_search SEARCH');
+    expect(recorded.query).toContain("'ksg_text'");
+    expect(recorded.query).toContain('LIKE(node.props.label');
+    expect(recorded.query).toContain('LET lexicalScore = BM25(node)');
+    expect(bound(recorded)).toEqual(expect.arrayContaining([['phone'], '%phone%', 'topic', 5]));
+    expect(recorded.query).toContain('OPTIONS { waitForSync: true }');
+  });
+
+  test('searchWaitForSync: false lets lexical search read a slightly stale view', async () => {
+    const memory = createMemory([], { searchWaitForSync: false });
+    await memory.search({ query: 'Phone', topK: 5 });
+
+    expect(memory.db.queries[0].query).not.toContain('waitForSync');
+  });
+
+  test('search pushes instanceOf and minSimilarity filters into both queries', async () => {
+    const memory = createMemory([]);
+    await memory.search({
+      query: 'fix',
+      topK: 3,
+      filters: { instanceOf: ['p1', 'p2'], minSimilarity: 0.6 },
+      queryEmbedding: [1, 0]
+    });
+
+    for (const recorded of memory.db.queries) {
+      expect(recorded.query).toContain("FOR edge IN edges FILTER edge.fromNode == node.uuid AND edge.rel == 'instanceOf'");
+      expect(recorded.query).toContain('FILTER similarity >=');
+      expect(bound(recorded)).toEqual(expect.arrayContaining([['p1', 'p2'], 0.6]));
+    }
+    expect(memory.db.queries).toHaveLength(2);
+  });
+
+  test('hybrid search runs both rankings and fuses them', async () => {
+    const row = { uuid: 'u1', name: 'Phone', props: { label: 'Phone' }, similarity: 0.8, lexicalScore: 2.5 };
+    const memory = createMemory([row]);
+
+    const results = await memory.search({ query: 'phone', topK: 2, queryEmbedding: [1, 0] });
+
+    const [vector, lexical] = memory.db.queries;
+    expect(vector.query).toContain('COSINE_SIMILARITY(node.llmEmbedding');
+    expect(lexical.query).toContain('BM25(node)');
+    expect(results).toEqual([{ ...row, score: 2 / 61, lexicalScore: 2.5 }]);
+
+    const [explained] = await memory.search({ query: 'phone', topK: 2, queryEmbedding: [1, 0], explain: true });
+    expect(explained.ranking).toEqual({
+      vectorRank: 1, lexicalRank: 1, vectorContribution: 1 / 61, lexicalContribution: 1 / 61
+    });
+  });
+
+  test('search restricts ranking to in-process ANN candidates on large indexes', async () => {
+    const vectorIndex = new HnswVectorIndex();
+    vectorIndex.add('near', [1, 0]);
+    vectorIndex.add('far', [0, 1]);
+    const memory = createMemory([], { vectorIndex, exactSearchThreshold: 0, candidateMultiplier: 1 });
+
+    await memory.search({ query: 'x', topK: 1, queryEmbedding: [1, 0.1], mode: 'vector' });
+    await memory.search({ query: 'x', topK: 1, queryEmbedding: [1, 0.1], mode: 'vector', exact: true });
+
+    const queries = memory.db.queries;
+    const exact = queries.pop();
+    expect(queries[0].query).toContain('FILTER node.uuid IN');
+    expect(bound(queries[0])).toContainEqual(['near']);
+    // No row passed the AQL filters: the candidate list widened until it held every vector
+    expect(bound(queries.at(-1))).toContainEqual(['near', 'far']);
+    expect(exact.query).not.toContain('node.uuid IN');
+  });
+
+  test('in-process ANN candidates are filtered by kind, status and namespace first', async () => {
+    const vectorIndex = new HnswVectorIndex();
+    const memory = createMemory([], { vectorIndex, exactSearchThreshold: 0, candidateMultiplier: 1 });
+    memory._indexVector(new Node({ uuid: 'fact', kind: 'fact', props: {}, llmEmbedding: [1, 0] }));
+    memory._indexVector(new Node({ uuid: 'gone', props: { status: 'tombstoned' }, llmEmbedding: [1, 0.05] }));
+    memory._indexVector(new Node({ uuid: 'topic', props: {}, llmEmbedding: [0.5, 0.5] }));
+
+    await memory.search({
+      query: 'x', topK: 1, queryEmbedding: [1, 0], mode: 'vector', filters: { kind: 'topic', excludeStatus: ['tombstoned'] }
+    });
+    expect(bound(memory.db.queries[0])).toContainEqual(['topic']);
+  });
+
+  test('ArangoDB vector index candidates widen until enough rows pass the filters', async () => {
+    const memory = createMemory([], { arangoVectorIndex: { dimension: 2 }, candidateMultiplier: 4 });
+    const { query } = memory.db;
+    memory.db.query = async (q) => {
+      const result = await query(q);
+      return q.query.includes('LENGTH(nodes)') ? { all: async () => [100] } : result;
+    };
+
+    await memory.search({ query: 'x', topK: 1, queryEmbedding: [1, 0], mode: 'vector', filters: { kind: 'fact' } });
+    const limits = memory.db.queries
+      .filter(q => q.query.includes('APPROX_NEAR_COSINE'))
+      .map(q => bound(q).find(value => [4, 16, 64, 256].includes(value)));
+    expect(limits).toEqual([4, 16, 64, 256]);
+  });
+
+  test('lookupLabel uses the folded-name index for exact lookups and filters in AQL', async () => {
+    const memory = createMemory([]);
+    await memory.lookupLabel({ text: 'Café  Bar', filters: { kind: 'topic', instanceOf: ['p1'] } });
+
+    const [exact] = memory.db.queries;
+    expect(exact.query).toMatch(/^FOR node IN nodes FILTER @value0 IN node\.normLabels\[\*\]/);
+    expect(exact.query).not.toContain('LEVENSHTEIN_DISTANCE');
+    expect(exact.query).not.toContain('nodes_search');
+    expect(exact.query).toContain("edge.rel == 'instanceOf'");
+    expect(bound(exact)).toEqual(expect.arrayContaining(['cafe bar', 'topic', ['p1'], 0]));
+  });
+
+  test('fuzzy lookupLabel shortlists candidates in the search view before LEVENSHTEIN_DISTANCE', async () => {
+    const memory = createMemory([]);
+    await memory.lookupLabel({ text: 'Alexander Graham Bell', fuzzy: true, limit: 3 });
+    await memory.lookupLabel({ text: 'Café  Bar', fuzzy: true, limit: 3 });
+
+    const [long, short] = memory.db.queries;
+    expect(long.query).toContain("FOR node IN nodes_search SEARCH NGRAM_MATCH(node.normLabels, @value0, @value1, 'ksg_trigram')");
+    expect(long.query).toContain('LEVENSHTEIN_DISTANCE(folded');
+    // 19 trigrams, 2 edits may destroy 6 of them
+    expect(bound(long)).toEqual(expect.arrayContaining(['alexander graham bell', 13 / 19, 2, 3]));
+    expect(short.query).toContain('SEARCH IN_RANGE(node.normLabelLengths, @value0, @value1, true, true)');
+    expect(short.query).toContain('LEVENSHTEIN_DISTANCE(folded');
+    expect(bound(short)).toEqual(expect.arrayContaining(['cafe bar', 6, 10, 2, 3]));
+  });
+
+  test('upserted nodes store their folded names, stripped on read', async () => {
+    const memory = createMemory([{ _key: 'k', uuid: 'u1', kind: 'topic', props: { label: 'Café' }, normLabels: ['cafe'], normLabelLengths: [4] }]);
+    memory.nodesCollection = createRecordingCollection();
+    const node = new Node({ kind: 'topic', props: { label: 'Café  Bar', aliases: ['cafe bar', 'Bistro'] } });
+    await memory.upsert(node, new Provenance({ source: 'test' }));
+
+    const [doc] = memory.nodesCollection.saved;
+    expect(doc.normLabels).toEqual(['cafe bar', 'bistro']);
+    expect(doc.normLabelLengths).toEqual([8, 6]);
+    expect(await memory.listNodes()).toEqual([{ uuid: 'u1', kind: 'topic', props: { label: 'Café' } }]);
+  });
+
+  test('search uses the ArangoDB vector index when configured', async () => {
+    const memory = createMemory([], { arangoVectorIndex: { dimension: 2 } });
+    await memory.search({ query: 'x', topK: 2, queryEmbedding: [1, 0], mode: 'vector' });
+
+    expect(memory.db.queries[0].query).toContain('SORT APPROX_NEAR_COSINE(node.llmEmbedding');
+  });
+});
+
+describe('ArangoMemory collection routing', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = createMemory([]);
+    memory.nodesCollection = createRecordingCollection();
+    memory.edgesCollection = createRecordingCollection();
+  });
+
+  test('non-topic nodes go to the nodes collection with a node type', async () => {
+    const prov = new Provenance({ source: 'test' });
+    const fact = new Node({ kind: 'fact', props: { subject: 'bell', predicate: 'invented' } });
+    const tag = new Node({ kind: 'topic', props: { label: 'invention', isTag: true } });
+    await memory.upsert(fact, prov);
+    await memory.upsert(tag, prov);
+
+    expect(memory.edgesCollection.saved).toEqual([]);
+    expect(memory.nodesCollection.saved.map(d => d.nodeType)).toEqual(['fact', 'tag']);
+    expect(memory.nodesCollection.saved[0]._from).toBeUndefined();
+  });
+
+  test('edges go to the edges collection with _from/_to', async () => {
+    const edge = new Edge({ fromNode: 'a-1', toNode: 'b-2', rel: 'relatedTo' });
+    await memory.upsert(edge, new Provenance({ source: 'test' }));
+
+    expect(memory.nodesCollection.saved).toEqual([]);
+    expect(memory.edgesCollection.saved[0]._from).toBe('nodes/a1');
+    expect(memory.edgesCollection.saved[0]._to).toBe('nodes/b2');
+  });
+
+  test('createAssertion and storeFact write nodes, not edges', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    await ksg.createAssertion({ subject: 'u1', predicate: 'age', object: 36 });
+    await ksg.storeFact({ subject: 'Bell', predicate: 'invented', object: 'telephone' });
+
+    const types = memory.nodesCollection.saved.map(d => d.nodeType);
+    expect(types).toContain('assertion');
+    expect(types).toContain('fact');
+    expect(memory.edgesCollection.saved).toEqual([]);
+  });
+
+  test('node type is stripped on read', async () => {
+    memory.nodesCollection.document = async () => ({ _key: 'k', uuid: 'u1', kind: 'fact', nodeType: 'fact', props: {} });
+    expect(await memory.getNode('u1')).toEqual({ uuid: 'u1', kind: 'fact', props: {} });
+  });
+
+  test('getProvenance falls through missing documents but not other errors', async () => {
+    const notFound = Object.assign(new Error('document not found'), { errorNum: 1202, code: 404 });
+    memory.nodesCollection.document = async () => { throw notFound; };
+    memory.edgesCollection.document = async () => ({ _key: 'e1', provenance: { source: 'test' } });
+    expect(await memory.getProvenance('e1')).toEqual({ source: 'test' });
+
+    memory.edgesCollection.document = async () => { throw notFound; };
+    expect(await memory.getProvenance('e1')).toBeNull();
+
+    memory.nodesCollection.document = async () => { throw Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' }); };
+    await expect(memory.getProvenance('e1')).rejects.toThrow('connection refused');
+  });
+});
+
+describe('ArangoMemory.transaction', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = createMemory([]);
+    memory.nodesCollection = createRecordingCollection();
+    memory.edgesCollection = createRecordingCollection();
+  });
+
+  test('runs reads and writes as steps of one stream transaction and commits', async () => {
+    const node = new Node({ props: { label: 'A' } });
+    const result = await memory.transaction(async (tx) => {
+      await tx.upsert(node, new Provenance({ source: 'test' }));
+      await tx.findEdges({ fromNode: node.uuid });
+      return 'ok';
+    });
+
+    const [trx] = memory.db.transactions;
+    expect(result).toBe('ok');
+    expect(trx.collections).toEqual({ write: ['nodes', 'edges'] });
+    expect(trx.steps).toBe(2);
+    expect(trx.status).toBe('committed');
+  });
+
+  test('aborts when fn throws and restores the vector index', async () => {
+    memory.vectorIndex = new HnswVectorIndex();
+    memory.nodesCollection.document = async () => { throw new Error('not found'); };
+    const node = new Node({ props: { label: 'A' }, llmEmbedding: [1, 0] });
+
+    await expect(memory.transaction(async (tx) => {
+      await tx.upsert(node, new Provenance({ source: 'test' }));
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(memory.db.transactions[0].status).toBe('aborted');
+    expect(memory.vectorIndex.has(node.uuid)).toBe(false);
+  });
+
+  test('change events are emitted only after commit', async () => {
+    const events = [];
+    memory.on('change', ({ type }) => events.push(type));
+    const node = new Node({ props: { label: 'A' } });
+
+    await memory.transaction(async (tx) => {
+      await tx.upsert(node, new Provenance({ source: 'test' }));
+      expect(events).toEqual([]);
+    });
+    expect(events).toEqual(['node.created']);
+
+    await expect(memory.transaction(async (tx) => {
+      await tx.upsert(node, new Provenance({ source: 'test' }));
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(events).toEqual(['node.created']);
+  });
+
+  test('nested transactions join the outer one', async () => {
+    await memory.transaction(async (tx) => tx.transaction(async (inner) => inner.listNodes()));
+    expect(memory.db.transactions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for the CachedMemory LRU wrapper
+ */
+
+import { jest } from '@jest/globals';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { CachedMemory } from '../src/memory/cached-memory.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const prov = new Provenance({ source: 'test', confidence: 1.0 });
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+// Counts the calls that reach the wrapped backend
+const countingMemory = () => {
+  const inner = new InMemoryMemory();
+  inner.calls = { getNode: 0, findEdges: 0 };
+  for (const method of Object.keys(inner.calls)) {
+    const original = inner[method].bind(inner);
+    inner[method] = (...args) => {
+      inner.calls[method] += 1;
+      return original(...args);
+    };
+  }
+  return inner;
+};
+
+describe('CachedMemory', () => {
+  let inner;
+  let memory;
+
+  beforeEach(() => {
+    inner = countingMemory();
+    memory = new CachedMemory(inner, { maxNodes: 2, maxAdjacency: 2 });
+  });
+
+  test('serves repeated node and adjacency reads from the cache', async () => {
+    const a = new Node({ props: { label: 'A' } });
+    const b = new Node({ props: { label: 'B' } });
+    await memory.upsert(a, prov);
+    await memory.upsert(b, prov);
+    await memory.upsert(new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'knows' }), prov);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await memory.getNode(a.uuid)).props.label).toBe('A');
+      expect(await memory.findEdges({ fromNode: a.uuid })).toHaveLength(1);
+    }
+    await memory.findEdges({ rel: 'knows' });
+    await memory.findEdges({ fromNode: a.uuid }, { limit: 1 });
+
+    expect(inner.calls).toEqual({ getNode: 1, findEdges: 3 });
+    const stats = memory.stats();
+    expect(stats.nodes).toMatchObject({ hits: 2, misses: 1, size: 1 });
+    expect(stats.adjacency).toMatchObject({ hits: 2, misses: 1, size: 1 });
+    expect(stats.hitRate).toBeCloseTo(4 / 6);
+  });
+
+  test('writes invalidate the node and the adjacency lists of both endpoints', async () => {
+    const a = new Node({ props: { label: 'A' } });
+    const b = new Node({ props: { label: 'B' } });
+    const c = new Node({ props: { label: 'C' } });
+    for (const node of [a, b, c]) await memory.upsert(node, prov);
+    const edge = new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'knows' });
+    await memory.upsert(edge, prov);
+
+    expect(await memory.findEdges({ fromNode: a.uuid })).toHaveLength(1);
+    expect(await memory.findEdges({ toNode: b.uuid })).toHaveLength(1);
+
+    // Moving the edge drops it from b's incoming list even though b is not an endpoint any more
+    await memory.upsert(new Edge({ uuid: edge.uuid, fromNode: a.uuid, toNode: c.uuid, rel: 'knows' }), prov);
+    expect(await memory.findEdges({ toNode: b.uuid })).toEqual([]);
+    expect((await memory.findEdges({ fromNode: a.uuid }))[0].toNode).toBe(c.uuid);
+
+    await memory.getNode(a.uuid);
+    await memory.upsert(new Node({ uuid: a.uuid, props: { label: 'A2' } }), prov);
+    expect((await memory.getNode(a.uuid)).props.label).toBe('A2');
+
+    await memory.deleteEdge(edge.uuid);
+    expect(await memory.findEdges({ fromNode: a.uuid })).toEqual([]);
+    await memory.deleteNode(a.uuid);
+    expect(await memory.getNode(a.uuid)).toBeNull();
+  });
+
+  test('evicts the least recently used entries', async () => {
+    const nodes = ['A', 'B', 'C'].map(label => new Node({ props: { label } }));
+    for (const node of nodes) await memory.upsert(node, prov);
+
+    await memory.getNode(nodes[0].uuid);
+    await memory.getNode(nodes[1].uuid);
+    await memory.getNode(nodes[0].uuid);
+    await memory.getNode(nodes[2].uuid); // evicts B
+    await memory.getNode(nodes[0].uuid);
+    await memory.getNode(nodes[1].uuid);
+
+    expect(inner.calls.getNode).toBe(4);
+    expect(memory.stats().nodes).toMatchObject({ size: 2, evictions: 2 });
+  });
+
+  test('writes made directly on the wrapped backend invalidate through its events', async () => {
+    const node = new Node({ props: { label: 'Before' } });
+    await inner.upsert(node, prov);
+    await memory.getNode(node.uuid);
+
+    await inner.upsert(new Node({ uuid: node.uuid, props: { label: 'After' } }), prov);
+    expect((await memory.getNode(node.uuid)).props.label).toBe('After');
+  });
+
+  test('a read overlapped by a write is not cached', async () => {
+    const node = new Node({ props: { label: 'old' } });
+    await inner.upsert(node, prov);
+    const original = inner.getNode;
+    let release;
+    inner.getNode = async (uuid) => {
+      const stale = await original(uuid);
+      const snapshot = new Node({ uuid, props: { ...stale.props } });
+      await new Promise((resolve) => { release = resolve; });
+      return snapshot;
+    };
+
+    const read = memory.getNode(node.uuid);
+    await new Promise(resolve => setImmediate(resolve));
+    await memory.upsert(new Node({ uuid: node.uuid, props: { label: 'new' } }), prov);
+    release();
+    expect((await read).props.label).toBe('old');
+
+    inner.getNode = original;
+    expect((await memory.getNode(node.uuid)).props.label).toBe('new');
+  });
+
+  test('callers get copies of cached nodes', async () => {
+    const node = new Node({ props: { label: 'A' } });
+    await memory.upsert(node, prov);
+    await memory.getNode(node.uuid);
+    const cached = await memory.getNode(node.uuid);
+    cached.props.label = 'mutated, never saved';
+
+    const again = await memory.getNode(node.uuid);
+    expect(again.props.label).toBe('A');
+    expect(again).toBeInstanceOf(Node);
+  });
+
+  test('entries expire after ttl', async () => {
+    memory = new CachedMemory(inner, { ttl: 1000 });
+    const node = new Node({ props: { label: 'A' } });
+    await memory.upsert(node, prov);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10_000);
+    try {
+      await memory.getNode(node.uuid);
+      now.mockReturnValue(10_500);
+      await memory.getNode(node.uuid);
+      now.mockReturnValue(11_001);
+      await memory.getNode(node.uuid);
+    } finally {
+      now.mockRestore();
+    }
+    expect(inner.calls.getNode).toBe(2);
+  });
+
+  test('rolled back transactions leave no stale entries', async () => {
+    const node = new Node({ props: { label: 'Kept' } });
+    await memory.upsert(node, prov);
+    await memory.getNode(node.uuid);
+
+    await expect(memory.transaction(async (tx) => {
+      await tx.upsert(new Node({ uuid: node.uuid, props: { label: 'Dropped' } }), prov);
+      expect((await tx.getNode(node.uuid)).props.label).toBe('Dropped');
+      throw new Error('rollback');
+    })).rejects.toThrow('rollback');
+
+    expect((await memory.getNode(node.uuid)).props.label).toBe('Kept');
+  });
+
+  test('KnowShowGo and the ORM read through the cache and still see their writes', async () => {
+    memory = new CachedMemory(inner);
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const events = [];
+    ksg.on('node.created', () => events.push('node.created'));
+
+    const Person = await ksg.orm.registerPrototype('Person', {
+      properties: { name: { type: 'string' }, email: { type: 'string' } }
+    });
+    const john = await Person.create({ name: 'John', email: 'john@example.com' });
+    john.email = 'new@example.com';
+    await john.save();
+
+    const loaded = await (await Person.get(john._conceptUuid)).toJSON();
+    const afterFirst = { ...inner.calls };
+    const again = await (await Person.get(john._conceptUuid)).toJSON();
+
+    expect(loaded.email).toBe('new@example.com');
+    expect(again).toEqual(loaded);
+    expect(inner.calls).toEqual(afterFirst);
+    expect(memory.stats().hitRate).toBeGreaterThan(0);
+    expect(events.length).toBeGreaterThan(0);
+  });
+});
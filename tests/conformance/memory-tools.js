@@ -0,0 +1,359 @@
+/**
+ * MemoryTools conformance suite
+ *
+ * Reusable Jest suite that checks a memory backend against the contract in
+ * src/memory/memory-tools.js. Run it from a *.test.js file:
+ *
+ *   describeMemoryConformance('MyMemory', {
+ *     create: async () => new MyMemory(),
+ *     destroy: async (memory) => memory.close()   // optional
+ *   });
+ */
+
+import { KnowShowGo } from '../../src/knowshowgo.js';
+import { Node, Edge, Provenance } from '../../src/models.js';
+import { assertMemoryTools, nextCursor, iterateEdges } from '../../src/memory/memory-tools.js';
+
+const prov = new Provenance({ source: 'test', confidence: 1.0, traceId: 'conformance' });
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+/**
+ * Register the conformance tests for one backend.
+ *
+ * @param {string} name - Backend name shown in the test report
+ * @param {Object} factory
+ * @param {() => Promise<Object>} factory.create - Returns a fresh, empty backend
+ * @param {(memory: Object) => Promise<void>} [factory.destroy] - Cleanup after each test
+ */
+export function describeMemoryConformance(name, { create, destroy = async () => {} }) {
+  describe(`MemoryTools conformance: ${name}`, () => {
+    let memory;
+
+    beforeEach(async () => {
+      memory = await create();
+    });
+
+    afterEach(async () => {
+      await destroy(memory);
+    });
+
+    const node = (label, extra = {}) => new Node({
+      kind: 'topic',
+      labels: [label],
+      props: { label },
+      ...extra
+    });
+
+    const edge = (fromNode, toNode, rel) => new Edge({ fromNode, toNode, rel });
+
+    test('implements every MemoryTools method', () => {
+      expect(() => assertMemoryTools(memory)).not.toThrow();
+    });
+
+    test('upsert + getNode round-trips node fields', async () => {
+      const n = node('Alpha', { llmEmbedding: [0.1, 0.2, 0.3] });
+      await memory.upsert(n, prov, { embeddingRequest: false });
+
+      const loaded = await memory.getNode(n.uuid);
+      expect(loaded.uuid).toBe(n.uuid);
+      expect(loaded.kind).toBe('topic');
+      expect(loaded.props.label).toBe('Alpha');
+      expect(loaded.llmEmbedding).toEqual([0.1, 0.2, 0.3]);
+    });
+
+    test('getNode / getEdge return null for unknown UUIDs', async () => {
+      expect(await memory.getNode('00000000-0000-4000-8000-000000000000')).toBeNull();
+      expect(await memory.getEdge('00000000-0000-4000-8000-000000000000')).toBeNull();
+    });
+
+    test('upsert replaces an existing node by uuid', async () => {
+      const n = node('Before');
+      await memory.upsert(n, prov);
+      n.props.label = 'After';
+      await memory.upsert(n, prov);
+
+      expect((await memory.getNode(n.uuid)).props.label).toBe('After');
+      expect((await memory.listNodes()).filter(x => x.uuid === n.uuid)).toHaveLength(1);
+    });
+
+    test('upsert + getEdge round-trips edge fields', async () => {
+      const a = node('A');
+      const b = node('B');
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+      const e = edge(a.uuid, b.uuid, 'relatedTo');
+      await memory.upsert(e, prov);
+
+      const loaded = await memory.getEdge(e.uuid);
+      expect(loaded.uuid).toBe(e.uuid);
+      expect(loaded.fromNode).toBe(a.uuid);
+      expect(loaded.toNode).toBe(b.uuid);
+      expect(loaded.rel).toBe('relatedTo');
+      expect(loaded.props.w).toBe(1.0);
+    });
+
+    test('listNodes returns all nodes and filters by kind', async () => {
+      const a = node('A');
+      const fact = new Node({ kind: 'fact', props: { label: 'fact' } });
+      await memory.upsert(a, prov);
+      await memory.upsert(fact, prov);
+
+      const all = (await memory.listNodes()).map(n => n.uuid);
+      expect(all).toEqual(expect.arrayContaining([a.uuid, fact.uuid]));
+
+      const facts = await memory.listNodes({ kind: 'fact' });
+      expect(facts.map(n => n.uuid)).toEqual([fact.uuid]);
+    });
+
+    test('listNodes filters by label and props and paginates', async () => {
+      const nodes = ['A', 'B', 'C', 'D'].map(label => node(label, { props: { label, group: label < 'C' ? 1 : 2 } }));
+      for (const n of nodes) await memory.upsert(n, prov);
+
+      expect((await memory.listNodes({ label: 'B' })).map(n => n.uuid)).toEqual([nodes[1].uuid]);
+      const group2 = (await memory.listNodes({ kind: 'topic', props: { group: 2 } })).map(n => n.uuid).sort();
+      expect(group2).toEqual([nodes[2].uuid, nodes[3].uuid].sort());
+
+      const first = await memory.listNodes({ limit: 3 });
+      const rest = await memory.listNodes({ limit: 3, offset: 3 });
+      expect(first).toHaveLength(3);
+      expect(rest).toHaveLength(1);
+      expect(new Set([...first, ...rest].map(n => n.uuid)).size).toBe(4);
+    });
+
+    test('findEdges and listEdges paginate', async () => {
+      const [a, b] = [node('A'), node('B')];
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+      for (let i = 0; i < 3; i++) await memory.upsert(edge(a.uuid, b.uuid, 'relatedTo'), prov);
+
+      const page1 = await memory.findEdges({ fromNode: a.uuid }, { limit: 2 });
+      const page2 = await memory.findEdges({ fromNode: a.uuid }, { limit: 2, offset: 2 });
+      expect(page1).toHaveLength(2);
+      expect(page2).toHaveLength(1);
+      expect(await memory.listEdges({ limit: 1 })).toHaveLength(1);
+    });
+
+    test('cursor pages cover every node and edge once, in uuid order', async () => {
+      const nodes = ['A', 'B', 'C', 'D', 'E'].map(label => node(label));
+      for (const n of nodes) await memory.upsert(n, prov);
+      for (let i = 0; i < 3; i++) await memory.upsert(edge(nodes[0].uuid, nodes[i + 1].uuid, 'relatedTo'), prov);
+
+      const seen = [];
+      let cursor;
+      do {
+        const page = await memory.listNodes({ kind: 'topic', limit: 2, cursor });
+        seen.push(...page.map(n => n.uuid));
+        cursor = nextCursor(page, 2);
+      } while (cursor);
+      expect(seen).toEqual(nodes.map(n => n.uuid).sort());
+
+      const iterated = [];
+      for await (const e of iterateEdges(memory, { fromNode: nodes[0].uuid }, { pageSize: 2 })) {
+        iterated.push(e.uuid);
+      }
+      expect(iterated).toHaveLength(3);
+      expect(new Set(iterated).size).toBe(3);
+    });
+
+    test('listEdges and findEdges', async () => {
+      const [a, b, c] = [node('A'), node('B'), node('C')];
+      for (const n of [a, b, c]) await memory.upsert(n, prov);
+      const ab = edge(a.uuid, b.uuid, 'relatedTo');
+      const ac = edge(a.uuid, c.uuid, 'partOf');
+      const cb = edge(c.uuid, b.uuid, 'relatedTo');
+      for (const e of [ab, ac, cb]) await memory.upsert(e, prov);
+
+      const ids = (edges) => edges.map(e => e.uuid).sort();
+
+      expect(ids(await memory.listEdges())).toEqual(ids([ab, ac, cb]));
+      expect(ids(await memory.findEdges({ fromNode: a.uuid }))).toEqual(ids([ab, ac]));
+      expect(ids(await memory.findEdges({ toNode: b.uuid }))).toEqual(ids([ab, cb]));
+      expect(ids(await memory.findEdges({ rel: 'relatedTo' }))).toEqual(ids([ab, cb]));
+      expect(ids(await memory.findEdges({ fromNode: a.uuid, rel: 'partOf' }))).toEqual([ac.uuid]);
+      expect(ids(await memory.findEdges({ fromNode: c.uuid, toNode: b.uuid, rel: 'relatedTo' })))
+        .toEqual([cb.uuid]);
+      expect(await memory.findEdges({ fromNode: b.uuid })).toEqual([]);
+    });
+
+    test('deleteNode removes the node only', async () => {
+      const [a, b] = [node('A'), node('B')];
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+      const e = edge(a.uuid, b.uuid, 'relatedTo');
+      await memory.upsert(e, prov);
+
+      expect(await memory.deleteNode(a.uuid)).toBe(true);
+      expect(await memory.getNode(a.uuid)).toBeNull();
+      expect(await memory.getEdge(e.uuid)).not.toBeNull();
+      expect(await memory.deleteNode(a.uuid)).toBe(false);
+    });
+
+    test('deleteEdge removes the edge', async () => {
+      const [a, b] = [node('A'), node('B')];
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+      const e = edge(a.uuid, b.uuid, 'relatedTo');
+      await memory.upsert(e, prov);
+
+      expect(await memory.deleteEdge(e.uuid)).toBe(true);
+      expect(await memory.getEdge(e.uuid)).toBeNull();
+      expect(await memory.findEdges({ fromNode: a.uuid })).toEqual([]);
+      expect(await memory.deleteEdge(e.uuid)).toBe(false);
+    });
+
+    test('search ranks by embedding similarity and honours topK and kind', async () => {
+      const close = node('Close', { llmEmbedding: [1, 0, 0] });
+      const far = node('Far', { llmEmbedding: [0, 1, 0] });
+      const fact = new Node({ kind: 'fact', props: { label: 'Closest fact' }, llmEmbedding: [1, 0, 0] });
+      for (const n of [close, far, fact]) await memory.upsert(n, prov);
+
+      const results = await memory.search({
+        query: 'zzz',
+        topK: 1,
+        filters: { kind: 'topic' },
+        queryEmbedding: [0.9, 0.1, 0]
+      });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].uuid).toBe(close.uuid);
+      expect(results[0].name).toBe('Close');
+      expect(results[0].props.label).toBe('Close');
+      expect(typeof results[0].similarity).toBe('number');
+    });
+
+    test('search skips nodes whose status is excluded', async () => {
+      const live = node('Lamp');
+      const gone = node('Lamp shade');
+      gone.props.status = 'tombstoned';
+      await memory.upsert(live, prov);
+      await memory.upsert(gone, prov);
+
+      const results = await memory.search({
+        query: 'lamp',
+        topK: 5,
+        filters: { kind: 'topic', excludeStatus: ['tombstoned'] }
+      });
+      expect(results.map(r => r.uuid)).toEqual([live.uuid]);
+    });
+
+    test('listNodes and search filter by namespace (missing namespace = public)', async () => {
+      const shared = node('Lamp');
+      const team = node('Lamp post', { props: { label: 'Lamp post', namespace: 'team-a' } });
+      const legacy = node('Lamp oil');
+      delete legacy.props.namespace;
+      for (const n of [shared, team, legacy]) await memory.upsert(n, prov);
+
+      const listed = await memory.listNodes({ namespaces: ['public'] });
+      expect(listed.map(n => n.uuid).sort()).toEqual([shared.uuid, legacy.uuid].sort());
+      const results = await memory.search({ query: 'lamp', topK: 5, filters: { namespaces: ['team-a'] } });
+      expect(results.map(r => r.uuid)).toEqual([team.uuid]);
+    });
+
+    test('search filters by instanceOf prototype and minimum similarity', async () => {
+      const proto = node('Task');
+      const close = node('Close task', { llmEmbedding: [1, 0, 0] });
+      const far = node('Far task', { llmEmbedding: [0, 1, 0] });
+      const other = node('Other', { llmEmbedding: [1, 0, 0] });
+      for (const n of [proto, close, far, other]) await memory.upsert(n, prov);
+      await memory.upsert(edge(close.uuid, proto.uuid, 'instanceOf'), prov);
+      await memory.upsert(edge(far.uuid, proto.uuid, 'instanceOf'), prov);
+
+      const instances = await memory.search({
+        query: 'zzz', topK: 5, filters: { instanceOf: [proto.uuid] }, queryEmbedding: [1, 0, 0]
+      });
+      expect(instances.map(r => r.uuid)).toEqual([close.uuid, far.uuid]);
+
+      const similar = await memory.search({
+        query: 'task', topK: 5, filters: { instanceOf: [proto.uuid], minSimilarity: 0.5 }, queryEmbedding: [1, 0, 0]
+      });
+      expect(similar.map(r => r.uuid)).toEqual([close.uuid]);
+    });
+
+    test('search falls back to label matching without an embedding', async () => {
+      const a = node('Telephone');
+      const b = node('Telegraph');
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+
+      const results = await memory.search({ query: 'phone', topK: 5, filters: { kind: 'topic' } });
+      expect(results.map(r => r.uuid)).toEqual([a.uuid]);
+    });
+
+    test('lookupLabel matches folded labels and aliases, and near misses when fuzzy', async () => {
+      const cafe = node('Café', { props: { label: 'Café', aliases: ['Coffee House'] } });
+      const other = node('Telegraph', { props: { label: 'Telegraph', status: 'tombstoned' } });
+      await memory.upsert(cafe, prov);
+      await memory.upsert(other, prov);
+
+      const exact = await memory.lookupLabel({ text: '  coffee   HOUSE ' });
+      expect(exact).toEqual([expect.objectContaining({ uuid: cafe.uuid, matched: 'Coffee House', distance: 0 })]);
+      expect(await memory.lookupLabel({ text: 'cafe' })).toHaveLength(1);
+      expect(await memory.lookupLabel({ text: 'caffe' })).toEqual([]);
+
+      const fuzzy = await memory.lookupLabel({ text: 'caffe', fuzzy: true });
+      expect(fuzzy.map(r => [r.uuid, r.distance])).toEqual([[cafe.uuid, 1]]);
+      expect(await memory.lookupLabel({ text: 'telegraf', fuzzy: true, filters: { excludeStatus: ['tombstoned'] } }))
+        .toEqual([]);
+    });
+
+    test('transaction (when supported) commits or rolls back', async () => {
+      if (typeof memory.transaction !== 'function') return;
+      const kept = node('Kept');
+      const dropped = node('Dropped');
+
+      await memory.transaction(async (tx) => tx.upsert(kept, prov));
+      await expect(memory.transaction(async (tx) => {
+        await tx.upsert(dropped, prov);
+        throw new Error('rollback');
+      })).rejects.toThrow('rollback');
+
+      expect(await memory.getNode(kept.uuid)).not.toBeNull();
+      expect(await memory.getNode(dropped.uuid)).toBeNull();
+    });
+
+    test('getProvenance (when supported) returns the last write\'s provenance', async () => {
+      if (typeof memory.getProvenance !== 'function') return;
+      const a = node('A');
+      const b = node('B');
+      const e = edge(a.uuid, b.uuid, 'relatedTo');
+      await memory.upsert(a, prov);
+      await memory.upsert(b, prov);
+      await memory.upsert(e, new Provenance({ source: 'doc', confidence: 0.5, traceId: 't2' }));
+
+      expect(await memory.getProvenance(a.uuid)).toMatchObject({ source: 'test', traceId: 'conformance' });
+      expect(await memory.getProvenance(e.uuid)).toMatchObject({ source: 'doc', confidence: 0.5 });
+      await memory.deleteNode(b.uuid);
+      expect(await memory.getProvenance(b.uuid)).toBeNull();
+      expect(await memory.getProvenance('missing')).toBeNull();
+    });
+
+    test('works as a KnowShowGo backend', async () => {
+      const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+      const protoUuid = await ksg.createPrototype({
+        name: 'Person',
+        description: 'A person',
+        context: 'test',
+        embedding: await mockEmbedFn('Person')
+      });
+      const conceptUuid = await ksg.createConceptWithProperties({
+        prototypeUuid: protoUuid,
+        properties: { name: 'Ada', born: 1815 },
+        embedding: await mockEmbedFn('Ada')
+      });
+
+      expect(await ksg.getProperties(conceptUuid)).toEqual({ born: 1815 });
+      const outgoing = await ksg.getAssociations(conceptUuid, 'outgoing');
+      expect(outgoing.some(e => e.rel === 'instanceOf' && e.toNode === protoUuid)).toBe(true);
+
+      await ksg.createAssertion({ subject: conceptUuid, predicate: 'age', object: 36 });
+      expect(await ksg.snapshot(conceptUuid)).toEqual({ age: 36 });
+    });
+  });
+}
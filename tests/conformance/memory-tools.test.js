@@ -0,0 +1,52 @@
+/**
+ * Run the MemoryTools conformance suite against every bundled backend.
+ *
+ * ArangoMemory only runs in live mode:
+ *   TEST_LIVE=true npm test -- tests/conformance/
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { InMemoryMemory } from '../../src/memory/in-memory.js';
+import { FileMemory } from '../../src/memory/file-memory.js';
+import { CachedMemory } from '../../src/memory/cached-memory.js';
+import { IS_LIVE } from '../integration/setup.js';
+import { describeMemoryConformance } from './memory-tools.js';
+
+describeMemoryConformance('InMemoryMemory', {
+  create: async () => new InMemoryMemory()
+});
+
+describeMemoryConformance('FileMemory', {
+  create: async () => new FileMemory({
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-conformance-')),
+    fsync: false
+  }),
+  destroy: async (memory) => {
+    await memory.close();
+    fs.rmSync(memory.dir, { recursive: true, force: true });
+  }
+});
+
+describeMemoryConformance('CachedMemory(InMemoryMemory)', {
+  create: async () => new CachedMemory(new InMemoryMemory(), { maxNodes: 4, maxAdjacency: 4 })
+});
+
+if (IS_LIVE) {
+  describeMemoryConformance('ArangoMemory', {
+    create: async () => {
+      const { ArangoMemory } = await import('../../src/memory/arango-memory.js');
+      const memory = new ArangoMemory({
+        url: process.env.ARANGO_URL || 'http://localhost:8529',
+        database: process.env.ARANGO_DB || 'knowshowgo_test',
+        username: process.env.ARANGO_USER || 'root',
+        password: process.env.ARANGO_PASS || 'changeme'
+      });
+      await memory.connect();
+      await memory.nodesCollection.truncate();
+      await memory.edgesCollection.truncate();
+      return memory;
+    }
+  });
+}
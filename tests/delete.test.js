@@ -0,0 +1,186 @@
+/**
+ * Tests for node/edge deletion and tombstones
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { TOMBSTONED } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('Delete and tombstones', () => {
+  let ksg;
+  let memory;
+  let protoUuid;
+
+  beforeEach(async () => {
+    memory = new InMemoryMemory();
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    protoUuid = await ksg.createPrototype({
+      name: 'Person',
+      description: 'A person',
+      context: 'test',
+      embedding: await mockEmbedFn('Person')
+    });
+  });
+
+  test('hard delete removes the node and its incident edges', async () => {
+    const conceptUuid = await ksg.createConcept({
+      prototypeUuid: protoUuid,
+      jsonObj: { name: 'Alice' },
+      embedding: await mockEmbedFn('Alice')
+    });
+
+    const result = await ksg.deleteNode(conceptUuid);
+
+    expect(result.mode).toBe('hard');
+    expect(result.nodes).toEqual([conceptUuid]);
+    expect(result.edges).toHaveLength(1);
+    expect(await ksg.getConcept(conceptUuid)).toBeNull();
+    expect(await ksg.getAssociations(protoUuid)).toEqual([]);
+  });
+
+  test('returns null for unknown nodes', async () => {
+    expect(await ksg.deleteNode('00000000-0000-4000-8000-000000000000')).toBeNull();
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(ksg.deleteNode(protoUuid, { mode: 'purge' })).rejects.toThrow('Unsupported delete mode');
+  });
+
+  test('soft delete tombstones the node and hides it from search and associations', async () => {
+    const conceptUuid = await ksg.createConcept({
+      prototypeUuid: protoUuid,
+      jsonObj: { name: 'Bob' },
+      embedding: await mockEmbedFn('Bob')
+    });
+
+    await ksg.deleteNode(conceptUuid, { mode: 'soft' });
+
+    const node = await ksg.getConcept(conceptUuid);
+    expect(node.props.status).toBe(TOMBSTONED);
+    expect(node.props.deletedAt).toBeDefined();
+    expect(memory.edges.size).toBe(1);
+    expect(Array.from(memory.edges.values())[0].props.status).toBe(TOMBSTONED);
+
+    expect(await ksg.getAssociations(conceptUuid)).toEqual([]);
+    expect(await ksg.getAssociations(protoUuid)).toEqual([]);
+    const results = await ksg.searchConcepts({ query: 'Bob', topK: 10 });
+    expect(results.map(r => r.uuid)).not.toContain(conceptUuid);
+  });
+
+  test('cascade removes document and tag nodes from createNodeWithDocument', async () => {
+    const nodeUuid = await ksg.createNodeWithDocument({
+      label: 'Telephone',
+      tags: ['invention', 'communication'],
+      prototypeUuid: protoUuid
+    });
+    const before = memory.nodes.size;
+
+    const result = await ksg.deleteNode(nodeUuid, { cascade: true });
+
+    // node + document + 2 tags
+    expect(result.nodes).toHaveLength(4);
+    expect(memory.nodes.size).toBe(before - 4);
+    expect(Array.from(memory.nodes.values()).some(n => n.props.isTag || n.props.isDocument)).toBe(false);
+    expect(Array.from(memory.edges.values()).some(e => e.fromNode === nodeUuid || e.toNode === nodeUuid))
+      .toBe(false);
+  });
+
+  test('cascade removes value nodes but keeps shared property nodes', async () => {
+    const conceptUuid = await ksg.createConceptWithProperties({
+      prototypeUuid: protoUuid,
+      properties: { name: 'Carol', age: 41 },
+      embedding: await mockEmbedFn('Carol')
+    });
+    const propNode = Array.from(memory.nodes.values()).find(n => n.props.isProperty);
+
+    const result = await ksg.deleteNode(conceptUuid, { cascade: true });
+
+    expect(result.nodes).toHaveLength(2); // concept + value
+    expect(await ksg.getConcept(propNode.uuid)).not.toBeNull();
+    expect(Array.from(memory.nodes.values()).some(n => n.props.isValue)).toBe(false);
+  });
+
+  test('soft cascade tombstones dependents', async () => {
+    const nodeUuid = await ksg.createNodeWithDocument({ label: 'Lamp', tags: ['light'] });
+
+    const result = await ksg.deleteNode(nodeUuid, { mode: 'soft', cascade: true });
+
+    expect(result.nodes).toHaveLength(3);
+    for (const uuid of result.nodes) {
+      expect((await ksg.getConcept(uuid)).props.status).toBe(TOMBSTONED);
+    }
+    const results = await ksg.searchConcepts({ query: 'light', topK: 10 });
+    expect(results.filter(r => result.nodes.includes(r.uuid))).toEqual([]);
+  });
+
+  test('soft-deleted facts keep their status and no longer verify claims', async () => {
+    const fact = await ksg.storeFact({ subject: 'sky', predicate: 'is', object: 'blue' });
+    const held = await memory.getNode(fact.uuid);
+    await ksg.deleteNode(fact.uuid, { mode: 'soft' });
+
+    const stored = await ksg.getConcept(fact.uuid);
+    expect(stored.props).toMatchObject({ status: TOMBSTONED, statusBeforeDelete: 'verified' });
+    expect(held.props.status).toBe('verified');
+
+    const result = await ksg.verify('sky is blue');
+    expect(result).toMatchObject({ status: 'unverified', matchingFact: null, reason: 'No facts in knowledge base' });
+  });
+
+  test('a cascade that fails partway leaves every dependent in place', async () => {
+    const nodeUuid = await ksg.createNodeWithDocument({ label: 'Lamp', tags: ['light', 'bulb'] });
+    const before = memory.nodes.size;
+    const deleteNode = memory.deleteNode.bind(memory);
+    let deletes = 0;
+    memory.deleteNode = async (uuid) => {
+      if (++deletes === 3) throw new Error('backend down');
+      return deleteNode(uuid);
+    };
+
+    await expect(ksg.deleteNode(nodeUuid, { cascade: true })).rejects.toThrow('backend down');
+    memory.deleteNode = deleteNode;
+    expect(memory.nodes.size).toBe(before);
+    expect((await ksg.getAssociations(nodeUuid)).length).toBeGreaterThan(0);
+  });
+
+  test('deleteAssociation supports hard and soft modes', async () => {
+    const a = await ksg.createConcept({ prototypeUuid: protoUuid, jsonObj: { name: 'A' }, embedding: await mockEmbedFn('A') });
+    const b = await ksg.createConcept({ prototypeUuid: protoUuid, jsonObj: { name: 'B' }, embedding: await mockEmbedFn('B') });
+    const soft = await ksg.addAssociation({ fromConceptUuid: a, toConceptUuid: b, relationType: 'knows' });
+    const hard = await ksg.addAssociation({ fromConceptUuid: b, toConceptUuid: a, relationType: 'knows' });
+
+    expect(await ksg.deleteAssociation(soft, { mode: 'soft' })).toBe(true);
+    expect(await ksg.deleteAssociation(hard)).toBe(true);
+    expect(await ksg.deleteAssociation(hard)).toBe(false);
+
+    expect(memory.edges.get(soft).props.status).toBe(TOMBSTONED);
+    expect(memory.edges.has(hard)).toBe(false);
+    expect((await ksg.getAssociations(a)).filter(e => e.rel === 'knows')).toEqual([]);
+  });
+
+  test('tombstoned assertions and entities are excluded from snapshot', async () => {
+    const conceptUuid = await ksg.createConcept({
+      prototypeUuid: protoUuid,
+      jsonObj: { name: 'Dana' },
+      embedding: await mockEmbedFn('Dana')
+    });
+    await ksg.createAssertion({ subject: conceptUuid, predicate: 'city', object: 'Paris', truth: 0.6 });
+    const wrong = await ksg.createAssertion({ subject: conceptUuid, predicate: 'city', object: 'Rome', truth: 0.9 });
+
+    expect(await ksg.snapshot(conceptUuid)).toEqual({ city: 'Rome' });
+
+    await ksg.deleteNode(wrong.uuid, { mode: 'soft' });
+    expect(await ksg.snapshot(conceptUuid)).toEqual({ city: 'Paris' });
+    expect(await ksg.getAssertions({ subject: conceptUuid })).toHaveLength(1);
+
+    await ksg.deleteNode(conceptUuid, { mode: 'soft' });
+    expect(await ksg.snapshot(conceptUuid)).toEqual({});
+  });
+});
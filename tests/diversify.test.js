@@ -0,0 +1,170 @@
+/**
+ * Tests for diversified retrieval (MMR re-ranking and result collapsing)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { collapseResults, mmrRerank, validateDiversifyOptions } from '../src/query/diversify.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('mmrRerank', () => {
+  const items = [{ id: 'a', score: 3 }, { id: 'b', score: 2.9 }, { id: 'c', score: 2 }];
+  const vectors = [[1, 0], [1, 0], [0, 1]];
+
+  test('demotes items similar to ones already selected', () => {
+    const ranked = mmrRerank(items, vectors, { lambda: 0.5 });
+    expect(ranked.map(r => r.item.id)).toEqual(['a', 'c', 'b']);
+    expect(ranked[0]).toMatchObject({ relevance: 1, redundancy: 0, mmrScore: 0.5 });
+    expect(ranked[2].redundancy).toBeCloseTo(1);
+  });
+
+  test('lambda 1 keeps the relevance order and k limits the selection', () => {
+    expect(mmrRerank(items, vectors, { lambda: 1 }).map(r => r.item.id)).toEqual(['a', 'b', 'c']);
+    expect(mmrRerank(items, vectors, { lambda: 0.5, k: 2 })).toHaveLength(2);
+  });
+
+  test('items without vectors are never redundant', () => {
+    expect(mmrRerank(items, [null, null, null], { lambda: 0.1 }).map(r => r.item.id)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('collapseResults', () => {
+  test('keeps the first item per key', () => {
+    const groups = collapseResults([{ id: 1 }, { id: 2 }, { id: 3 }], ['x', 'y', 'x']);
+    expect(groups).toEqual([
+      { item: { id: 1 }, collapsed: [{ id: 3 }] },
+      { item: { id: 2 }, collapsed: [] }
+    ]);
+  });
+
+  test('options are validated', () => {
+    expect(() => validateDiversifyOptions({ mmrLambda: 1.5 })).toThrow(/mmrLambda/);
+    expect(() => validateDiversifyOptions({ collapse: ['tags'] })).toThrow(/collapse/);
+    expect(() => validateDiversifyOptions({ mmrLambda: 0, collapse: ['version', 'document'] })).not.toThrow();
+  });
+});
+
+describe('searchConcepts diversification', () => {
+  let ksg;
+  let proto;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    proto = await ksg.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+  });
+
+  const labels = results => results.map(r => r.props.label);
+
+  test('collapse by version keeps one hit per next_version chain', async () => {
+    const v1 = await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name: 'Telephone' }, embedding: await mockEmbedFn('Telephone') });
+    const v2 = await ksg.createConcept({
+      prototypeUuid: proto, jsonObj: { name: 'Telephone' }, embedding: await mockEmbedFn('Telephone'), previousVersionUuid: v1
+    });
+    const v3 = await ksg.createConcept({
+      prototypeUuid: proto, jsonObj: { name: 'Telephone' }, embedding: await mockEmbedFn('Telephone'), previousVersionUuid: v2
+    });
+
+    const all = await ksg.searchConcepts({ query: 'Telephone', topK: 5, prototypeFilter: proto });
+    expect(all).toHaveLength(3);
+
+    const collapsed = await ksg.searchConcepts({ query: 'Telephone', topK: 5, prototypeFilter: proto, collapse: ['version'] });
+    expect(collapsed).toHaveLength(1);
+    expect([collapsed[0].uuid, ...collapsed[0].collapsed].sort()).toEqual([v1, v2, v3].sort());
+  });
+
+  test('collapse by document folds tags and documents into their node', async () => {
+    const bell = await ksg.createNodeWithDocument({ label: 'Bell', tags: ['bell telephone', 'bell labs'] });
+    await ksg.createNodeWithDocument({ label: 'Edison', tags: ['edison bulb'] });
+
+    const all = await ksg.searchConcepts({ query: 'bell', topK: 10, mode: 'lexical' });
+    expect(all.length).toBeGreaterThan(1);
+
+    const collapsed = await ksg.searchConcepts({ query: 'bell', topK: 10, mode: 'lexical', collapse: ['document'] });
+    expect(collapsed).toHaveLength(1);
+    const hits = [collapsed[0].uuid, ...collapsed[0].collapsed];
+    expect(hits).toContain(bell);
+    expect(hits).toHaveLength(all.length);
+  });
+
+  test('mmrLambda spreads near-duplicates down the list', async () => {
+    const embeddings = { Telephone: [1, 0, 0], Telegraph: [0.8, 0.6, 0] };
+    for (const name of ['Telephone', 'Telephone', 'Telegraph']) {
+      await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name }, embedding: embeddings[name] });
+    }
+    const queryEmbedding = [1, 0, 0];
+
+    const plain = await ksg.searchConcepts({ query: 'x', queryEmbedding, topK: 2, mode: 'vector', prototypeFilter: proto });
+    expect(labels(plain)).toEqual(['Telephone', 'Telephone']);
+
+    const diverse = await ksg.searchConcepts({
+      query: 'x', queryEmbedding, topK: 2, mode: 'vector', prototypeFilter: proto, mmrLambda: 0.3, explain: true
+    });
+    expect(labels(diverse)).toEqual(['Telephone', 'Telegraph']);
+    expect(diverse[1].explanation.adjustments).toEqual([
+      expect.objectContaining({ type: 'mmr', lambda: 0.3, delta: expect.any(Number) })
+    ]);
+    expect(diverse[1].adjustments).toBeUndefined();
+  });
+
+  test('diversified pages walk one pool without repeats or gaps', async () => {
+    for (let i = 0; i < 30; i++) {
+      await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name: `apple ${i}` } });
+    }
+    const params = { query: 'apple', prototypeFilter: proto, mmrLambda: 0.3, limit: 5 };
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await ksg.searchConcepts({ ...params, cursor });
+      seen.push(...page.map(r => r.uuid));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(20);
+    expect(new Set(seen).size).toBe(20);
+  });
+});
+
+describe('diversification in POST /api/concepts/search', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    await ksg.createNodeWithDocument({ label: 'Bell', tags: ['bell telephone', 'bell labs'] });
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  const search = body => fetch(`${baseUrl}/api/concepts/search`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('collapses results and rejects bad options', async () => {
+    const res = await search({ query: 'bell', mode: 'lexical', collapse: ['document'], mmrLambda: 0.7 });
+    expect(res.status).toBe(200);
+    const { results } = await res.json();
+    expect(results).toHaveLength(1);
+    expect(results[0].collapsed.length).toBeGreaterThan(0);
+
+    expect((await search({ query: 'bell', mmrLambda: 2 })).status).toBe(400);
+    expect((await search({ query: 'bell', collapse: 'version' })).status).toBe(400);
+  });
+});
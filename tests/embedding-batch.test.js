@@ -0,0 +1,110 @@
+/**
+ * Tests for batched embedding (embedManyFn, chunking, concurrency)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { embedBatched } from '../src/embeddings/batch.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+// embedManyFn that records each batch and the peak number of calls in flight
+const recordingEmbedManyFn = () => {
+  const batches = [];
+  let inFlight = 0;
+  const fn = async (texts) => {
+    batches.push(texts);
+    inFlight += 1;
+    fn.peak = Math.max(fn.peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight -= 1;
+    return Promise.all(texts.map(mockEmbedFn));
+  };
+  fn.batches = batches;
+  fn.peak = 0;
+  return fn;
+};
+
+describe('embedBatched', () => {
+  test('chunks unique texts and keeps the input order', async () => {
+    const embedManyFn = recordingEmbedManyFn();
+    const texts = ['a', 'b', 'c', 'a', 'd', 'e', 'b'];
+    const vectors = await embedBatched(texts, { embedFn: mockEmbedFn, embedManyFn, batchSize: 2, concurrency: 2 });
+
+    expect(embedManyFn.batches).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    expect(embedManyFn.peak).toBe(2);
+    expect(vectors).toEqual(await Promise.all(texts.map(mockEmbedFn)));
+  });
+
+  test('falls back to embedFn per text within the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const embedFn = async (text) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight -= 1;
+      return mockEmbedFn(text);
+    };
+    const vectors = await embedBatched(['w', 'x', 'y', 'z'], { embedFn, concurrency: 3 });
+    expect(vectors).toHaveLength(4);
+    expect(peak).toBe(3);
+  });
+
+  test('rejects a batch result of the wrong length', async () => {
+    const embedManyFn = async () => [[1]];
+    await expect(embedBatched(['a', 'b'], { embedFn: mockEmbedFn, embedManyFn }))
+      .rejects.toThrow('embedManyFn returned 1 vectors for 2 texts');
+  });
+});
+
+describe('KnowShowGo with embedManyFn', () => {
+  let embedManyFn;
+  let ksg;
+
+  beforeEach(() => {
+    embedManyFn = recordingEmbedManyFn();
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, embedManyFn, embedBatchSize: 3, memory: new InMemoryMemory() });
+  });
+
+  test('createConceptWithProperties embeds all values in one batch', async () => {
+    const protoUuid = await ksg.createPrototype({ name: 'Person', description: 'A person', context: 'test' });
+    await ksg.createConceptWithProperties({
+      prototypeUuid: protoUuid,
+      properties: { name: 'Ada', field: 'mathematics', country: 'England' },
+      embedding: await mockEmbedFn('Ada')
+    });
+    expect(embedManyFn.batches).toEqual([['mathematics', 'England']]);
+  });
+
+  test('createNodeWithDocument embeds tags in chunks', async () => {
+    await ksg.createNodeWithDocument({ label: 'Bell', tags: ['inventor', 'telephone', 'scotland', 'teacher'] });
+    expect(embedManyFn.batches).toEqual([['inventor', 'telephone', 'scotland'], ['teacher']]);
+  });
+
+  test('storeFacts batches fact texts and stores them in order', async () => {
+    const stored = await ksg.storeFacts([
+      { subject: 'Bell', predicate: 'invented', object: 'telephone' },
+      { subject: 'Edison', predicate: 'invented', object: 'light bulb' }
+    ]);
+    expect(stored.map(f => f.subject)).toEqual(['bell', 'edison']);
+    expect(embedManyFn.batches).toEqual([['Bell invented telephone', 'Edison invented light bulb']]);
+
+    const result = await ksg.verify('Bell invented telephone');
+    expect(result.status).toBe('verified');
+  });
+
+  test('ORM create embeds the concept and its document together', async () => {
+    const Person = await ksg.orm.registerPrototype('Person', { properties: { name: { type: 'string' } } });
+    embedManyFn.batches.length = 0;
+    await Person.create({ name: 'Grace' });
+
+    expect(embedManyFn.batches[0]).toEqual(['Person Grace', JSON.stringify({ name: 'Grace' })]);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for the content-addressed embedding cache
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { EmbeddingCache, embeddingKey, embeddingSourceText } from '../src/embeddings/embedding-cache.js';
+import { createHashedNgramProvider } from '../src/embeddings/hashed-ngram.js';
+
+// Hashed provider that counts the texts it actually embeds
+const countingProvider = (options = {}) => {
+  const provider = createHashedNgramProvider({ dimension: 32, ...options });
+  const embedded = [];
+  return {
+    ...provider,
+    embedded,
+    embed: async (text) => {
+      embedded.push(text);
+      return provider.embed(text);
+    },
+    embedMany: async (texts) => {
+      embedded.push(...texts);
+      return provider.embedMany(texts);
+    }
+  };
+};
+
+describe('EmbeddingCache', () => {
+  test('embeds each text once per provider and model', async () => {
+    const cache = new EmbeddingCache();
+    const v1 = countingProvider();
+    const v2 = countingProvider({ model: 'other-model' });
+
+    const first = await cache.embed(v1, 'telephone');
+    const again = await cache.embed(v1, 'telephone');
+    await cache.embed(v2, 'telephone');
+
+    expect(again).toEqual(first);
+    expect(again).not.toBe(first);
+    expect(v1.embedded).toEqual(['telephone']);
+    expect(v2.embedded).toEqual(['telephone']);
+    expect(cache.stats()).toMatchObject({ size: 2, hits: 1, misses: 2 });
+    expect(cache.stats().hitRate).toBeCloseTo(1 / 3);
+  });
+
+  test('concurrent misses for the same text share one call', async () => {
+    const cache = new EmbeddingCache();
+    const provider = countingProvider();
+    await Promise.all([1, 2, 3].map(() => cache.embed(provider, 'same')));
+    expect(provider.embedded).toEqual(['same']);
+  });
+
+  test('evicts the least recently used vectors', async () => {
+    const cache = new EmbeddingCache({ maxEntries: 2 });
+    const provider = countingProvider();
+    for (const text of ['a', 'b', 'a', 'c', 'a', 'b']) {
+      await cache.embed(provider, text);
+    }
+    expect(provider.embedded).toEqual(['a', 'b', 'c', 'b']);
+    expect(cache.size).toBe(2);
+  });
+
+  test('persists entries to disk and skips a torn last line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-embed-cache-'));
+    const file = path.join(dir, 'nested', 'embeddings.ndjson');
+    try {
+      const provider = countingProvider();
+      const cache = new EmbeddingCache({ path: file });
+      const vector = await cache.embed(provider, 'persisted');
+      await cache.flush();
+      fs.appendFileSync(file, '{"k":"torn');
+
+      const reopened = new EmbeddingCache({ path: file });
+      await reopened.ready();
+      expect(reopened.size).toBe(1);
+      expect(await reopened.embed(provider, 'persisted')).toEqual(vector);
+      expect(provider.embedded).toEqual(['persisted']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rewrites the file to the live entries once it outgrows maxEntries', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-embed-cache-'));
+    const file = path.join(dir, 'embeddings.ndjson');
+    const lines = () => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+    try {
+      const provider = countingProvider();
+      const cache = new EmbeddingCache({ path: file, maxEntries: 2, compactFactor: 2 });
+      for (const text of ['a', 'b', 'c', 'd']) await cache.embed(provider, text);
+      await cache.flush();
+      expect(lines()).toBe(4);
+
+      await cache.embed(provider, 'e');
+      await cache.flush();
+      expect(lines()).toBe(2);
+
+      const reopened = new EmbeddingCache({ path: file, maxEntries: 2 });
+      await reopened.embedMany(provider, ['d', 'e']);
+      expect(provider.embedded).toEqual(['a', 'b', 'c', 'd', 'e']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('embedMany sends only the misses to the provider', async () => {
+    const cache = new EmbeddingCache();
+    const provider = countingProvider();
+    const wrapped = cache.wrapProvider(provider);
+
+    await wrapped.embed('a');
+    const vectors = await wrapped.embedMany(['a', 'b', 'c', 'b']);
+
+    expect(provider.embedded).toEqual(['a', 'b', 'c']);
+    expect(vectors).toEqual(await Promise.all(['a', 'b', 'c', 'b'].map(t => provider.embed(t))));
+    expect(cache.wrapProvider({ name: 'x', model: 'y', embed: provider.embed }).embedMany).toBeUndefined();
+  });
+
+  test('wrapEmbedFn caches a bare embedFn', async () => {
+    const cache = new EmbeddingCache();
+    let calls = 0;
+    const embedFn = cache.wrapEmbedFn(async () => { calls += 1; return [1, 0]; }, { model: 'm' });
+    await embedFn('x');
+    await embedFn('x');
+    expect(calls).toBe(1);
+    expect(cache.get(embeddingKey('custom', 'm', 'x'))).toEqual([1, 0]);
+  });
+});
+
+describe('EmbeddingCache with KnowShowGo', () => {
+  test('repeated tags, values and recomputes hit the cache', async () => {
+    const provider = countingProvider();
+    const cache = new EmbeddingCache();
+    const ksg = new KnowShowGo({ embeddingProvider: cache.wrapProvider(provider), memory: new InMemoryMemory() });
+
+    await ksg.createNodeWithDocument({ label: 'Bell', tags: ['inventor', 'telephone'] });
+    await ksg.createNodeWithDocument({ label: 'Edison', tags: ['inventor', 'light bulb'] });
+
+    expect(provider.embedded.filter(t => t === 'inventor')).toHaveLength(1);
+    expect(cache.stats().hits).toBeGreaterThan(0);
+  });
+
+  test('prewarm seeds the cache from stored vectors of the same model', async () => {
+    const memory = new InMemoryMemory();
+    const provider = countingProvider();
+    const ksg = new KnowShowGo({ embeddingProvider: provider, memory });
+    await ksg.createNodeWithDocument({ label: 'Bell', tags: ['inventor'] });
+    await ksg.storeFact({ subject: 'Bell', predicate: 'invented', object: 'telephone' });
+    await ksg.createValueNode({ value: 42, valueType: 'number' });
+
+    const cache = new EmbeddingCache();
+    expect(await cache.prewarm(memory, countingProvider({ model: 'other-model' }))).toBe(0);
+    expect(await cache.prewarm(memory, provider)).toBe(3);
+
+    provider.embedded.length = 0;
+    const cached = cache.wrapProvider(provider);
+    for (const text of ['inventor', 'Bell invented telephone', '42']) {
+      await cached.embed(text);
+    }
+    expect(provider.embedded).toEqual([]);
+  });
+
+  test('embeddingSourceText skips nodes whose vector is not a text embedding', () => {
+    expect(embeddingSourceText({ kind: 'topic', props: { label: 'Bell', summary: 'x' } })).toBeNull();
+    expect(embeddingSourceText({ kind: 'topic', props: { isValue: true, valueType: 'datetime', label: 'x' } }))
+      .toBeNull();
+    expect(embeddingSourceText({ kind: 'topic', props: { isProperty: true, label: 'age', valueType: 'number' } }))
+      .toBe('property age number');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for embedding providers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import {
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+  createEmbeddingProvider,
+  createEmbeddingProviderFromEnv
+} from '../src/embeddings/providers.js';
+import { createHashedNgramProvider, fitIdf } from '../src/embeddings/hashed-ngram.js';
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+// Local stand-in for an OpenAI-compatible /embeddings endpoint
+const startEmbeddingServer = async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const json = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: json });
+      if (json.input === 'fail') {
+        res.writeHead(429);
+        res.end('rate limited');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      const inputs = Array.isArray(json.input) ? json.input : [json.input];
+      // Returned in reverse order: clients must match results by index
+      const data = inputs.map((input, index) => ({ index, embedding: [input.length, 1, 0] })).reverse();
+      res.end(JSON.stringify({ data }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return { server, requests, baseUrl: `http://127.0.0.1:${port}/v1/` };
+};
+
+describe('Embedding provider registry', () => {
+  test('bundles openai, hashed, mock and module providers', () => {
+    expect(listEmbeddingProviders()).toEqual(expect.arrayContaining(['openai', 'hashed', 'mock', 'module']));
+    expect(() => createEmbeddingProvider('nope')).toThrow('Unknown embedding provider: nope');
+  });
+
+  test('custom providers can be registered', async () => {
+    registerEmbeddingProvider('constant', ({ value = 1 }) => ({
+      name: 'constant',
+      model: `constant-${value}`,
+      embed: async () => [value, value]
+    }));
+    const provider = createEmbeddingProvider('constant', { value: 3 });
+    expect(provider.model).toBe('constant-3');
+    expect(await provider.embed('x')).toEqual([3, 3]);
+  });
+
+  test('selects a provider from the environment', () => {
+    expect(createEmbeddingProviderFromEnv({}).name).toBe('mock');
+    expect(createEmbeddingProviderFromEnv({ OPENAI_API_KEY: 'k' })).toMatchObject({
+      name: 'openai',
+      model: 'text-embedding-3-small'
+    });
+    expect(createEmbeddingProviderFromEnv({ KSG_EMBED_PROVIDER: 'mock', KSG_EMBED_DIMENSION: '8' }))
+      .toMatchObject({ name: 'mock', dimension: 8 });
+    expect(() => createEmbeddingProviderFromEnv({ KSG_EMBED_PROVIDER: 'module' }))
+      .toThrow('requires a path');
+  });
+});
+
+describe('Hashed n-gram provider', () => {
+  const provider = createHashedNgramProvider({ dimension: 256 });
+
+  test('is deterministic and unit length', async () => {
+    const a = await provider.embed('Alexander Graham Bell');
+    expect(a).toHaveLength(256);
+    expect(await provider.embed('Alexander Graham Bell')).toEqual(a);
+    expect(cosine(a, a)).toBeCloseTo(1);
+    expect(await provider.embed('')).toEqual(new Array(256).fill(0));
+  });
+
+  test('similarity follows lexical overlap and tolerates typos', async () => {
+    const [query, related, unrelated, typo] = await Promise.all([
+      provider.embed('Paris is the capital of France'),
+      provider.embed('capital of France'),
+      provider.embed('water boils at 100 degrees'),
+      provider.embed('Pariss capitol of Frances')
+    ]);
+    expect(cosine(query, related)).toBeGreaterThan(0.5);
+    expect(cosine(query, typo)).toBeGreaterThan(0.3);
+    expect(cosine(query, unrelated)).toBeLessThan(0.15);
+  });
+
+  test('an IDF table down-weights common words', async () => {
+    const corpus = ['the cat', 'the dog', 'the bird', 'the fish', 'a cat sat'];
+    const weighted = createHashedNgramProvider({ dimension: 256, idf: fitIdf(corpus) });
+    expect(weighted.model).toBe('hashed-ngram-v1-256-idf');
+
+    const plain = cosine(await provider.embed('the cat'), await provider.embed('the dog'));
+    const withIdf = cosine(await weighted.embed('the cat'), await weighted.embed('the dog'));
+    expect(withIdf).toBeLessThan(plain);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startEmbeddingServer();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  test('posts model and input to a local stand-in server', async () => {
+    const provider = createEmbeddingProvider('openai', { baseUrl: stub.baseUrl, model: 'local-model' });
+    expect(await provider.embed('hello')).toEqual([5, 1, 0]);
+
+    const [request] = stub.requests;
+    expect(request.url).toBe('/v1/embeddings');
+    expect(request.body).toEqual({ model: 'local-model', input: 'hello' });
+    expect(request.headers.authorization).toBeUndefined();
+  });
+
+  test('embedMany sends one request with array input', async () => {
+    const provider = createEmbeddingProvider('openai', { baseUrl: stub.baseUrl, model: 'local-model' });
+    expect(await provider.embedMany(['a', 'bbb', 'cc'])).toEqual([[1, 1, 0], [3, 1, 0], [2, 1, 0]]);
+    expect(stub.requests.at(-1).body).toEqual({ model: 'local-model', input: ['a', 'bbb', 'cc'] });
+  });
+
+  test('sends the API key and reports HTTP errors', async () => {
+    const provider = createEmbeddingProvider('openai', { baseUrl: stub.baseUrl, apiKey: 'secret' });
+    await expect(provider.embed('fail')).rejects.toThrow('OpenAI embeddings failed (429): rate limited');
+    expect(stub.requests.at(-1).headers.authorization).toBe('Bearer secret');
+  });
+});
+
+describe('Module provider', () => {
+  test('loads a local module on first use', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-embed-'));
+    const file = path.join(dir, 'embedder.mjs');
+    fs.writeFileSync(file, [
+      'export default ({ scale = 1 }) => ({',
+      "  model: 'word-count',",
+      '  embed: async (text) => [text.split(" ").length * scale, 1]',
+      '});'
+    ].join('\n'));
+    try {
+      const provider = createEmbeddingProvider('module', { path: file, scale: 2 });
+      expect(await provider.embed('one two three')).toEqual([6, 1]);
+      expect(provider.model).toBe('word-count');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('KnowShowGo with an embedding provider', () => {
+  test('every embedded node records provider and model', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embeddingProvider: createHashedNgramProvider({ dimension: 64 }), memory });
+
+    const protoUuid = await ksg.createPrototype({ name: 'Person', description: 'A person', context: 'test' });
+    await ksg.storeFact({ subject: 'Bell', predicate: 'invented', object: 'telephone' });
+    const nodeUuid = await ksg.createNodeWithDocument({
+      label: 'Bell',
+      prototypeUuid: protoUuid,
+      tags: ['inventor', 'telephone']
+    });
+
+    const embedded = Array.from(memory.nodes.values()).filter(n => n.llmEmbedding);
+    expect(embedded.length).toBeGreaterThan(4);
+    for (const node of embedded) {
+      expect(node.props).toMatchObject({ embeddingProvider: 'hashed', embeddingModel: 'hashed-ngram-v1-64' });
+    }
+    expect((await memory.getNode(nodeUuid)).props.embeddingModel).toBe('hashed-ngram-v1-64');
+
+    const [hit] = await ksg.searchConcepts({ query: 'telephone inventor', topK: 1 });
+    expect(hit).toBeDefined();
+  });
+
+  test('nodes embedded by a bare embedFn are not stamped', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embedFn: async () => [1, 0], memory });
+    const uuid = await ksg.createPrototype({ name: 'Thing', description: 'x', context: 'test' });
+    expect((await memory.getNode(uuid)).props.embeddingProvider).toBeUndefined();
+  });
+
+  test('caller-supplied vectors are stamped external, not with the provider', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embeddingProvider: createHashedNgramProvider({ dimension: 4 }), memory });
+
+    const external = await ksg.createPrototype({ name: 'Thing', description: 'x', context: 'test', embedding: [1, 0, 0, 0] });
+    const own = await ksg.createPrototype({ name: 'Other', description: 'x', context: 'test', embedding: await ksg.embedFn('Other') });
+
+    expect((await memory.getNode(external)).props).toMatchObject({ embeddingProvider: 'external', embeddingDimension: 4 });
+    expect((await memory.getNode(external)).props.embeddingModel).toBeUndefined();
+    expect((await memory.getNode(own)).props).toMatchObject({ embeddingProvider: 'hashed', embeddingModel: 'hashed-ngram-v1-4' });
+
+    const status = await ksg.embeddingStatus();
+    expect(status).toMatchObject({ mixed: false, stale: 0, total: 2 });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for change events and the change log
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { ChangeLog } from '../src/events/change-log.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const prov = new Provenance({ source: 'user', confidence: 1.0 });
+
+describe('ChangeLog', () => {
+  test('assigns sequence numbers and returns entries after a seq', () => {
+    const log = new ChangeLog();
+    log.append('node.created', { item: { uuid: 'a' } });
+    log.append('node.created', { item: { uuid: 'b' } });
+    log.append('node.deleted', { item: { uuid: 'a' } });
+
+    const { changes, lastSeq, truncated } = log.since(1);
+    expect(changes.map(c => c.seq)).toEqual([2, 3]);
+    expect(lastSeq).toBe(3);
+    expect(truncated).toBe(false);
+    expect(log.since(0, { limit: 1 }).changes.map(c => c.item.uuid)).toEqual(['a']);
+  });
+
+  test('evicts old entries and reports truncation', () => {
+    const log = new ChangeLog({ capacity: 2 });
+    for (const uuid of ['a', 'b', 'c']) log.append('node.created', { item: { uuid } });
+
+    expect(log.firstSeq).toBe(2);
+    expect(log.since(0).truncated).toBe(true);
+    expect(log.since(1).truncated).toBe(false);
+  });
+
+  test('a seq from before a restart is reported as truncated', () => {
+    const log = new ChangeLog();
+    log.append('node.created', { item: { uuid: 'a' } });
+
+    expect(log.since(1).truncated).toBe(false);
+    expect(log.since(500)).toEqual({ changes: [], lastSeq: 1, truncated: true });
+  });
+
+  test('snapshots items without embeddings', () => {
+    const log = new ChangeLog();
+    const node = new Node({ props: { label: 'Before' }, llmEmbedding: [1, 2] });
+    const entry = log.append('node.created', { item: node, provenance: prov });
+    node.props.label = 'After';
+
+    expect(entry.item.props.label).toBe('Before');
+    expect(entry.item.llmEmbedding).toBeUndefined();
+    expect(entry.provenance).toBe(prov);
+  });
+});
+
+describe('InMemoryMemory events', () => {
+  test('emits created, updated and deleted events with provenance', async () => {
+    const memory = new InMemoryMemory();
+    const events = [];
+    memory.on('change', ({ type, item, provenance }) => events.push([type, item.uuid, provenance]));
+
+    const node = new Node({ props: { label: 'A' } });
+    const edge = new Edge({ fromNode: node.uuid, toNode: node.uuid, rel: 'relatedTo' });
+    await memory.upsert(node, prov);
+    await memory.upsert(node, prov);
+    await memory.upsert(edge, prov);
+    await memory.deleteEdge(edge.uuid);
+    await memory.deleteNode(node.uuid);
+    await memory.deleteNode(node.uuid);
+
+    expect(events).toEqual([
+      ['node.created', node.uuid, prov],
+      ['node.updated', node.uuid, prov],
+      ['edge.created', edge.uuid, prov],
+      ['edge.deleted', edge.uuid, null],
+      ['node.deleted', node.uuid, null]
+    ]);
+  });
+});
+
+describe('KnowShowGo events', () => {
+  let ksg;
+
+  beforeEach(() => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+  });
+
+  test('emits assertion.created and fact.stored with provenance', async () => {
+    const seen = {};
+    ksg.on('assertion.created', e => { seen.assertion ??= e; });
+    ksg.on('fact.stored', e => { seen.fact = e; });
+
+    const assertion = await ksg.createAssertion({ subject: 's1', predicate: 'age', object: 3, source: 'import' });
+    await ksg.storeFact({ subject: 'Bell', predicate: 'invented', object: 'telephone' });
+
+    expect(seen.assertion.item.uuid).toBe(assertion.uuid);
+    expect(seen.assertion.provenance.source).toBe('import');
+    expect(seen.fact.item.props.subject).toBe('bell');
+    expect(seen.fact.provenance.source).toBe('verification');
+    expect(seen.fact.seq).toBeGreaterThan(seen.assertion.seq);
+  });
+
+  test('forwards backend node and edge events into the change log', async () => {
+    const protoUuid = await ksg.createPrototype({ name: 'Person', description: 'A person', context: 'test' });
+    await ksg.createConcept({ prototypeUuid: protoUuid, jsonObj: { name: 'Ada' } });
+
+    const types = ksg.getChanges().changes.map(c => c.type);
+    expect(types).toEqual(expect.arrayContaining([
+      'node.created', 'prototype.created', 'concept.created', 'edge.created', 'association.created'
+    ]));
+  });
+
+  test('subscribe replays changes after a seq and then streams live ones', async () => {
+    await ksg.createAssertion({ subject: 's1', predicate: 'p', object: 1 });
+    const resumeAt = ksg.changeLog.lastSeq;
+    await ksg.createAssertion({ subject: 's2', predicate: 'p', object: 2 });
+
+    const received = [];
+    const unsubscribe = ksg.subscribe(e => received.push(e), { since: resumeAt });
+    await ksg.createAssertion({ subject: 's3', predicate: 'p', object: 3 });
+    unsubscribe();
+    await ksg.createAssertion({ subject: 's4', predicate: 'p', object: 4 });
+
+    const subjects = received.filter(e => e.type === 'assertion.created').map(e => e.item.subject);
+    expect(subjects).toEqual(['s2', 's3']);
+    expect(received.map(e => e.seq)).toEqual([...received.map(e => e.seq)].sort((a, b) => a - b));
+  });
+
+  test('events raised inside a rolled-back transaction are dropped', async () => {
+    const concepts = [];
+    ksg.on('association.created', e => concepts.push(e));
+
+    await expect(ksg.transaction(async (tx) => {
+      const a = await tx.createNodeWithDocument({ label: 'A' });
+      await tx.addAssociation({ fromConceptUuid: a, toConceptUuid: a, relationType: 'relatedTo' });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(concepts).toEqual([]);
+  });
+
+  test('close stops listening to the memory backend', async () => {
+    const memory = new InMemoryMemory();
+    const listeners = memory.listenerCount('change');
+    const closed = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    expect(memory.listenerCount('change')).toBe(listeners + 1);
+
+    closed.close();
+    expect(memory.listenerCount('change')).toBe(listeners);
+    await memory.upsert(new Node({ props: { label: 'A' } }), prov);
+    expect(closed.changeLog.lastSeq).toBe(0);
+  });
+});
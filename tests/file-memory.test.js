@@ -0,0 +1,194 @@
+/**
+ * Tests for the file-backed memory backend
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { FileMemory } from '../src/memory/file-memory.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const prov = new Provenance({ source: 'user', confidence: 1.0 });
+
+describe('FileMemory', () => {
+  let dir;
+  const opened = [];
+
+  const open = (options = {}) => {
+    const memory = new FileMemory({ dir, fsync: false, ...options });
+    opened.push(memory);
+    return memory;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-file-memory-'));
+  });
+
+  afterEach(async () => {
+    await Promise.all(opened.splice(0).map(m => m.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reloads nodes and edges after restart', async () => {
+    const memory = open();
+    const a = new Node({ props: { label: 'Alpha' }, llmEmbedding: [1, 0] });
+    const b = new Node({ props: { label: 'Beta' } });
+    const edge = new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'relatedTo' });
+    await memory.upsert(a, prov);
+    await memory.upsert(b, prov);
+    await memory.upsert(edge, prov);
+    await memory.close();
+
+    const reopened = open();
+    const loaded = await reopened.getNode(a.uuid);
+    expect(loaded).toBeInstanceOf(Node);
+    expect(loaded.props.label).toBe('Alpha');
+    expect(loaded.llmEmbedding).toEqual([1, 0]);
+    expect(reopened.edges.get(edge.uuid)).toBeInstanceOf(Edge);
+    expect(reopened.edges.get(edge.uuid).toNode).toBe(b.uuid);
+  });
+
+  test('replays updates in order', async () => {
+    const memory = open();
+    const node = new Node({ props: { label: 'v1' } });
+    await memory.upsert(node, prov);
+    node.props.label = 'v2';
+    await memory.upsert(node, prov);
+    await memory.close();
+
+    const reopened = open();
+    expect((await reopened.getNode(node.uuid)).props.label).toBe('v2');
+  });
+
+  test('persists deletes', async () => {
+    const memory = open();
+    const a = new Node({ props: { label: 'Keep' } });
+    const b = new Node({ props: { label: 'Drop' } });
+    const edge = new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'relatedTo' });
+    await memory.upsert(a, prov);
+    await memory.upsert(b, prov);
+    await memory.upsert(edge, prov);
+    await memory.deleteEdge(edge.uuid);
+    await memory.deleteNode(b.uuid);
+    await memory.close();
+
+    const reopened = open();
+    expect(await reopened.getNode(a.uuid)).not.toBeNull();
+    expect(await reopened.getNode(b.uuid)).toBeNull();
+    expect(await reopened.getEdge(edge.uuid)).toBeNull();
+  });
+
+  test('deleting a missing item logs nothing', async () => {
+    const memory = open();
+    const a = new Node({ props: { label: 'Keep' } });
+    await memory.upsert(a, prov);
+    const seq = memory.seq;
+
+    expect(await memory.deleteNode('missing')).toBe(false);
+    expect(await memory.deleteEdge('missing')).toBe(false);
+    await memory.flush();
+
+    expect(memory.seq).toBe(seq);
+    expect(fs.readFileSync(path.join(dir, 'log.ndjson'), 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('compacts the log into a snapshot', async () => {
+    const memory = open({ compactEvery: 3 });
+    for (let i = 0; i < 4; i++) {
+      await memory.upsert(new Node({ props: { label: `n${i}` } }), prov);
+    }
+    await memory.flush();
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.nodes).toHaveLength(3);
+    const logLines = fs.readFileSync(path.join(dir, 'log.ndjson'), 'utf8').trim().split('\n');
+    expect(logLines).toHaveLength(1);
+    await memory.close();
+
+    const reopened = open();
+    expect(reopened.nodes.size).toBe(4);
+  });
+
+  test('keeps provenance across the log and snapshots', async () => {
+    const memory = open({ compactEvery: 2 });
+    const a = new Node({ props: { label: 'A' } });
+    const b = new Node({ props: { label: 'B' } });
+    await memory.upsert(a, new Provenance({ source: 'doc', traceId: 'snap' }));
+    await memory.upsert(b, prov); // triggers compaction
+    await memory.upsert(a, new Provenance({ source: 'tool', traceId: 'log' }));
+    await memory.close();
+
+    const reopened = open();
+    expect(await reopened.getProvenance(a.uuid)).toMatchObject({ source: 'tool', traceId: 'log' });
+    expect(await reopened.getProvenance(b.uuid)).toMatchObject({ source: 'user' });
+  });
+
+  test('discards a torn final log record', async () => {
+    const memory = open();
+    const node = new Node({ props: { label: 'Survivor' } });
+    await memory.upsert(node, prov);
+    await memory.close();
+
+    fs.appendFileSync(path.join(dir, 'log.ndjson'), '{"seq":2,"op":"upsert","type":"no');
+
+    const reopened = open();
+    expect(reopened.nodes.size).toBe(1);
+    const next = new Node({ props: { label: 'After crash' } });
+    await reopened.upsert(next, prov);
+    await reopened.close();
+
+    const again = open();
+    expect(again.nodes.size).toBe(2);
+    expect((await again.getNode(next.uuid)).props.label).toBe('After crash');
+  });
+
+  test('skips log records already covered by the snapshot', async () => {
+    const memory = open();
+    const node = new Node({ props: { label: 'original' } });
+    await memory.upsert(node, prov);
+    node.props.label = 'updated';
+    await memory.upsert(node, prov);
+    await memory.close();
+
+    // Simulate a crash after the snapshot rename but before log truncation
+    const log = fs.readFileSync(path.join(dir, 'log.ndjson'), 'utf8');
+    const compacting = open();
+    await compacting.compact();
+    await compacting.close();
+    fs.writeFileSync(path.join(dir, 'log.ndjson'), log.split('\n')[0] + '\n');
+
+    const reopened = open();
+    expect((await reopened.getNode(node.uuid)).props.label).toBe('updated');
+  });
+
+  test('works as a KnowShowGo backend across restarts', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: open() });
+    const protoUuid = await ksg.createPrototype({
+      name: 'Person',
+      description: 'A human individual',
+      context: 'identity',
+      embedding: await mockEmbedFn('Person')
+    });
+    const conceptUuid = await ksg.createConcept({
+      prototypeUuid: protoUuid,
+      jsonObj: { name: 'Ada Lovelace' },
+      embedding: await mockEmbedFn('Ada Lovelace')
+    });
+    await ksg.memory.close();
+
+    const restarted = new KnowShowGo({ embedFn: mockEmbedFn, memory: open() });
+    const concept = await restarted.getConcept(conceptUuid);
+    expect(concept.props.label).toBe('Ada Lovelace');
+    const assocs = await restarted.getAssociations(conceptUuid, 'outgoing');
+    expect(assocs.some(e => e.rel === 'instanceOf' && e.toNode === protoUuid)).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for NDJSON graph export/import and backend-to-backend copies
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { FileMemory } from '../src/memory/file-memory.js';
+import { exportGraph, importGraph, copyGraph, countGraph } from '../src/memory/graph-transfer.js';
+import { Node, Provenance } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const collect = async (lines) => {
+  let text = '';
+  for await (const line of lines) text += line;
+  return text;
+};
+
+const buildGraph = async (memory) => {
+  const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+  const protoUuid = await ksg.createPrototype({
+    name: 'Person',
+    description: 'A person',
+    context: 'test',
+    embedding: await mockEmbedFn('Person')
+  });
+  const conceptUuid = await ksg.createConceptWithProperties({
+    prototypeUuid: protoUuid,
+    properties: { name: 'Ada', born: 1815 },
+    embedding: await mockEmbedFn('Ada'),
+    provenance: new Provenance({ source: 'doc', confidence: 0.7, traceId: 'import-me' })
+  });
+  await ksg.storeFact({ subject: 'Ada', predicate: 'wrote', object: 'the first program' });
+  return { ksg, protoUuid, conceptUuid };
+};
+
+describe('Graph export/import', () => {
+  test('round-trips nodes, edges and provenance with the same UUIDs', async () => {
+    const source = new InMemoryMemory();
+    const { conceptUuid, protoUuid } = await buildGraph(source);
+
+    const text = await collect(exportGraph(source, { pageSize: 2 }));
+    const records = text.trim().split('\n').map(line => JSON.parse(line));
+    expect(records[0]).toMatchObject({ type: 'header', format: 'knowshowgo-graph', version: 1 });
+    expect(records.at(-1)).toEqual({ type: 'footer', nodes: source.nodes.size, edges: source.edges.size });
+
+    const target = new InMemoryMemory();
+    const counts = await importGraph(target, Readable.from([text]));
+
+    expect(counts).toEqual(await countGraph(source));
+    expect(await target.getNode(conceptUuid)).toEqual(await source.getNode(conceptUuid));
+    expect(await target.getProvenance(conceptUuid)).toEqual(await source.getProvenance(conceptUuid));
+
+    const restored = new KnowShowGo({ embedFn: mockEmbedFn, memory: target });
+    expect(await restored.getProperties(conceptUuid)).toEqual({ born: 1815 });
+    const outgoing = await restored.getAssociations(conceptUuid, 'outgoing');
+    expect(outgoing.some(e => e.rel === 'instanceOf' && e.toNode === protoUuid)).toBe(true);
+  });
+
+  test('rejects truncated and malformed input', async () => {
+    const source = new InMemoryMemory();
+    await buildGraph(source);
+    const lines = (await collect(exportGraph(source))).trim().split('\n');
+
+    await expect(importGraph(new InMemoryMemory(), Readable.from([lines.slice(0, -1).join('\n')])))
+      .rejects.toThrow('missing footer');
+    await expect(importGraph(new InMemoryMemory(), Readable.from([[lines[0], ...lines.slice(2)].join('\n')])))
+      .rejects.toThrow('footer expects');
+    await expect(importGraph(new InMemoryMemory(), Readable.from([`${lines[0]}\n{"type":"node"`])))
+      .rejects.toThrow('line 2: invalid JSON');
+    await expect(importGraph(new InMemoryMemory(), Readable.from([lines[1]])))
+      .rejects.toThrow('missing header');
+  });
+
+  test('copies InMemoryMemory into FileMemory that survives a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-transfer-'));
+    try {
+      const source = new InMemoryMemory();
+      await buildGraph(source);
+      await source.upsert(new Node({ kind: 'topic', props: { label: 'Extra', namespace: 'team-a' } }), null);
+
+      const target = new FileMemory({ dir, fsync: false });
+      const copied = await copyGraph(source, target);
+      await target.close();
+
+      const reopened = new FileMemory({ dir, fsync: false });
+      expect(await countGraph(reopened)).toEqual(copied);
+      expect(copied).toEqual({ nodes: source.nodes.size, edges: source.edges.size });
+      const [extra] = await reopened.listNodes({ label: 'Extra' });
+      expect(extra.props.namespace).toBe('team-a');
+      await reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for InMemoryMemory adjacency indexes
+ */
+
+import { jest } from '@jest/globals';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const prov = new Provenance({ source: 'user', confidence: 1.0 });
+
+describe('InMemoryMemory adjacency indexes', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = new InMemoryMemory();
+  });
+
+  test('re-indexes an edge whose endpoints change on upsert', async () => {
+    const [a, b, c] = ['A', 'B', 'C'].map(label => new Node({ props: { label } }));
+    const edge = new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'relatedTo' });
+    await memory.upsert(edge, prov);
+
+    const moved = new Edge({ uuid: edge.uuid, fromNode: c.uuid, toNode: b.uuid, rel: 'partOf' });
+    await memory.upsert(moved, prov);
+
+    expect(await memory.findEdges({ fromNode: a.uuid })).toEqual([]);
+    expect(await memory.findEdges({ rel: 'relatedTo' })).toEqual([]);
+    expect(await memory.findEdges({ fromNode: c.uuid, rel: 'partOf' })).toEqual([moved]);
+    expect(await memory.findEdges({ toNode: b.uuid })).toEqual([moved]);
+  });
+
+  test('drops index entries on deleteEdge', async () => {
+    const edge = new Edge({ fromNode: 'x', toNode: 'y', rel: 'relatedTo' });
+    await memory.upsert(edge, prov);
+    await memory.deleteEdge(edge.uuid);
+
+    expect(await memory.findEdges({ fromNode: 'x' })).toEqual([]);
+    expect(await memory.findEdges({ toNode: 'y' })).toEqual([]);
+    expect(memory._outIndex.size).toBe(0);
+    expect(memory._inIndex.size).toBe(0);
+    expect(memory._relIndex.size).toBe(0);
+  });
+
+  test('KnowShowGo and the ORM never scan the full edge map', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const Person = await ksg.orm.registerPrototype('Person', {
+      properties: { name: { type: 'string' }, age: { type: 'number' } }
+    });
+    const alice = await Person.create({ name: 'Alice', age: 30 });
+
+    const scan = jest.spyOn(memory.edges, 'values');
+
+    const nodeUuid = await ksg.createNodeWithDocument({
+      label: 'Telephone',
+      tags: ['invention', 'communication'],
+      prototypeUuid: Person.prototypeUuid
+    });
+    await ksg.getAssociations(nodeUuid);
+    await ksg.getProperties(alice.uuid);
+    await ksg.updateNodeEmbedding(nodeUuid);
+    const loaded = await Person.get(alice.uuid);
+    loaded._documentCache = {};
+    expect(await loaded._getProperty('age')).toBe(30);
+
+    expect(scan).not.toHaveBeenCalled();
+  });
+
+  test('getAssociations returns self-loops once', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const node = new Node({ props: { label: 'Loop' } });
+    await memory.upsert(node, prov);
+    await ksg.addAssociation({ fromConceptUuid: node.uuid, toConceptUuid: node.uuid, relationType: 'relatedTo' });
+
+    expect(await ksg.getAssociations(node.uuid)).toHaveLength(1);
+    expect(await ksg.getAssociations(node.uuid, 'incoming')).toHaveLength(1);
+    expect(await ksg.getAssociations(node.uuid, 'outgoing')).toHaveLength(1);
+  });
+});
@@ -162,3 +162,53 @@ describe('KnowShowGo', () => {
   });
 });
 
+
+describe('searchConcepts filters', () => {
+  let ksg;
+  let task;
+  let bug;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    task = await ksg.createPrototype({ name: 'Task', description: 'Work item', context: 'test', embedding: await mockEmbedFn('Task') });
+    bug = await ksg.createPrototype({
+      name: 'Bug', description: 'Defect', context: 'test', parentPrototypeUuids: [task], embedding: await mockEmbedFn('Bug')
+    });
+    const note = await ksg.createPrototype({ name: 'Note', description: 'Note', context: 'test', embedding: await mockEmbedFn('Note') });
+    for (const [prototypeUuid, name] of [[task, 'Fix login'], [bug, 'Fix logout'], [note, 'Fix lamp']]) {
+      await ksg.createConcept({ prototypeUuid, jsonObj: { name }, embedding: await mockEmbedFn(name) });
+    }
+  });
+
+  const names = results => results.map(r => r.props.name).sort();
+
+  test('prototypeFilter keeps instances of the prototype, by name or UUID', async () => {
+    expect(names(await ksg.searchConcepts({ query: 'Fix', topK: 10, prototypeFilter: 'Task' }))).toEqual(['Fix login']);
+    expect(names(await ksg.searchConcepts({ query: 'Fix', topK: 10, prototypeFilter: bug }))).toEqual(['Fix logout']);
+  });
+
+  test('includeSubtypes follows is_a transitively', async () => {
+    const regression = await ksg.createPrototype({
+      name: 'Regression', description: 'Regression', context: 'test', parentPrototypeUuids: [bug]
+    });
+    await ksg.createConcept({ prototypeUuid: regression, jsonObj: { name: 'Fix logo' }, embedding: await mockEmbedFn('Fix logo') });
+
+    const results = await ksg.searchConcepts({ query: 'Fix', topK: 10, prototypeFilter: 'Task', includeSubtypes: true });
+    expect(names(results)).toEqual(['Fix login', 'Fix logo', 'Fix logout']);
+    expect(await ksg.getSubtypes(task)).toEqual([task, bug, regression]);
+  });
+
+  test('an unknown prototype is an error', async () => {
+    await expect(ksg.searchConcepts({ query: 'Fix', prototypeFilter: 'Epic' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('similarityThreshold drops less similar results', async () => {
+    const queryEmbedding = await mockEmbedFn('Fix login');
+    const all = await ksg.searchConcepts({ query: 'Fix login', queryEmbedding, topK: 10 });
+    const threshold = all.find(r => r.props.name === 'Fix login').similarity;
+    const close = await ksg.searchConcepts({ query: 'Fix login', queryEmbedding, topK: 10, similarityThreshold: threshold });
+
+    expect(all.length).toBeGreaterThan(1);
+    expect(close.map(r => r.props.name)).toEqual(['Fix login']);
+  });
+});
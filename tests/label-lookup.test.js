@@ -0,0 +1,222 @@
+/**
+ * Tests for label lookup (exact, folded and fuzzy names, aliases, synonyms)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { LabelIndex, levenshtein, normalizeLabel } from '../src/memory/label-index.js';
+import { lookupLabel } from '../src/memory/memory-tools.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('LabelIndex', () => {
+  const node = (uuid, props, labels = []) => ({ uuid, props, labels });
+
+  test('folds case, accents and spacing', () => {
+    expect(normalizeLabel('  Crème   Brûlée ')).toBe('creme brulee');
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+  });
+
+  test('finds labels, names, aliases and labels entries', () => {
+    const index = new LabelIndex();
+    index.add(node('a', { label: 'Telephone', aliases: ['Phone', 'Handset'] }));
+    index.add(node('b', { name: 'Telegraph' }, ['wire']));
+
+    expect(index.lookup('HANDSET')).toEqual([{ uuid: 'a', matched: 'Handset', distance: 0 }]);
+    expect(index.lookup('telegraph').map(hit => hit.uuid)).toEqual(['b']);
+    expect(index.lookup('Wire').map(hit => hit.uuid)).toEqual(['b']);
+    expect(index.lookup('telephon')).toEqual([]);
+  });
+
+  test('fuzzy lookups allow a few edits, closest first', () => {
+    const index = new LabelIndex();
+    index.add(node('a', { label: 'Telephone' }));
+    index.add(node('b', { label: 'Telephones' }));
+    index.add(node('c', { label: 'Cat' }));
+
+    expect(index.lookup('telephon', { fuzzy: true }).map(hit => [hit.uuid, hit.distance]))
+      .toEqual([['a', 1], ['b', 2]]);
+    expect(index.lookup('telephon', { fuzzy: true, maxDistance: 1 }).map(hit => hit.uuid)).toEqual(['a']);
+    expect(index.lookup('cat', { fuzzy: true }).map(hit => hit.uuid)).toEqual(['c']);
+    expect(index.lookup('cta', { fuzzy: true, maxDistance: 2 }).map(hit => hit.uuid)).toEqual(['c']);
+  });
+
+  test('fuzzy lookups find names whose edits break every shared trigram', () => {
+    const index = new LabelIndex();
+    index.add(node('a', { label: 'xbcxe' }));
+    index.add(node('b', { label: 'zzzzzzzzz' }));
+
+    expect(index.lookup('abcde', { fuzzy: true })).toEqual([{ uuid: 'a', matched: 'xbcxe', distance: 2 }]);
+    expect(index.lookup('abcdefgh', { fuzzy: true, maxDistance: 1 })).toEqual([]);
+  });
+
+  test('re-indexing and removal drop old names', () => {
+    const index = new LabelIndex();
+    index.add(node('a', { label: 'Telephone' }));
+    index.add(node('a', { label: 'Telegraph' }));
+    expect(index.lookup('telephone')).toEqual([]);
+    index.remove('a');
+    expect(index.lookup('telegraph', { fuzzy: true })).toEqual([]);
+    expect(index.size).toBe(0);
+  });
+});
+
+describe('KnowShowGo.lookupByLabel', () => {
+  let ksg;
+  let device;
+  let phone;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    device = await ksg.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    phone = await ksg.createConcept({ prototypeUuid: device, jsonObj: { name: 'Telephone', aliases: ['Phone'] } });
+  });
+
+  test('matches aliases exactly, and typos with fuzzy', async () => {
+    const [exact] = await ksg.lookupByLabel('phone');
+    expect(exact).toMatchObject({ uuid: phone, name: 'Telephone', matched: 'Phone', distance: 0, match: 'exact' });
+
+    expect(await ksg.lookupByLabel('Telefone')).toEqual([]);
+    const [fuzzy] = await ksg.lookupByLabel('Telefone', { fuzzy: true });
+    expect(fuzzy).toMatchObject({ uuid: phone, matched: 'Telephone', distance: 2, match: 'fuzzy' });
+  });
+
+  test('filters by kind, prototype and props', async () => {
+    const gadget = await ksg.createPrototype({ name: 'Gadget', description: 'A gadget', context: 'test' });
+    const other = await ksg.createConcept({ prototypeUuid: gadget, jsonObj: { name: 'Phone' } });
+
+    const both = await ksg.lookupByLabel('phone', { kind: 'topic' });
+    expect(both.map(r => r.uuid).sort()).toEqual([phone, other].sort());
+    expect((await ksg.lookupByLabel('phone', { prototype: 'device' })).map(r => r.uuid)).toEqual([phone]);
+    expect(await ksg.lookupByLabel('phone', { props: { isPrototype: true } })).toEqual([]);
+    await expect(ksg.lookupByLabel('phone', { prototype: 'Nope' })).rejects.toMatchObject({ status: 404 });
+    await expect(ksg.lookupByLabel(' ')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('follows synonymOf associations and properties', async () => {
+    const handset = await ksg.createConcept({ prototypeUuid: device, jsonObj: { name: 'Handset' } });
+    const cell = await ksg.createConcept({ prototypeUuid: device, jsonObj: { name: 'Mobile' } });
+    await ksg.addAssociation({ fromConceptUuid: handset, toConceptUuid: phone, relationType: 'synonymOf' });
+    const property = await ksg.getOrCreateProperty('synonymOf', 'node_ref');
+    const value = await ksg.createValueNode({ value: phone, valueType: 'node_ref' });
+    await ksg.addAssociation({
+      fromConceptUuid: cell, toConceptUuid: value, relationType: 'has_value', props: { propertyName: 'synonymOf', propertyUuid: property.uuid }
+    });
+
+    const results = await ksg.lookupByLabel('Mobile');
+    expect(results.map(r => [r.name, r.match, r.via ?? null])).toEqual([
+      ['Mobile', 'exact', null],
+      ['Telephone', 'synonym', cell]
+    ]);
+
+    const viaEdge = await ksg.lookupByLabel('Telephone');
+    expect(viaEdge.map(r => [r.name, r.match])).toEqual([['Telephone', 'exact'], ['Handset', 'synonym']]);
+    expect(await ksg.lookupByLabel('Telephone', { synonyms: false })).toHaveLength(1);
+  });
+
+  test('findPrototype and the ORM reuse prototypes regardless of case', async () => {
+    expect(await ksg.findPrototype('DEVICE')).toBe(device);
+    const Device = await ksg.orm.registerPrototype('device', { properties: {} });
+    expect(Device.prototypeUuid).toBe(device);
+  });
+
+  test('backends without lookupLabel fall back to scanning listNodes', async () => {
+    const memory = new InMemoryMemory();
+    memory.lookupLabel = undefined;
+    const custom = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const proto = await custom.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    const uuid = await custom.createConcept({ prototypeUuid: proto, jsonObj: { name: 'Telephone', aliases: ['Phone'] } });
+
+    expect(await custom.findPrototype('device')).toBe(proto);
+    const [fuzzy] = await custom.lookupByLabel('Telefone', { fuzzy: true, prototype: proto });
+    expect(fuzzy).toMatchObject({ uuid, name: 'Telephone', matched: 'Telephone', distance: 2 });
+    expect(await custom.lookupByLabel('phone', { props: { isPrototype: true } })).toEqual([]);
+  });
+
+  test('the fallback index is built once and kept current from change events', async () => {
+    const memory = new InMemoryMemory();
+    memory.lookupLabel = undefined;
+    const listNodes = memory.listNodes.bind(memory);
+    let scans = 0;
+    memory.listNodes = (filters) => { scans += 1; return listNodes(filters); };
+    const custom = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const proto = await custom.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    const uuid = await custom.createConcept({ prototypeUuid: proto, jsonObj: { name: 'Telephone' } });
+
+    expect((await custom.lookupByLabel('telephone')).map(hit => hit.uuid)).toEqual([uuid]);
+    const afterFirstLookup = scans;
+    const node = await memory.getNode(uuid);
+    Object.assign(node.props, { name: 'Handset', label: 'Handset', aliases: ['Handset'] });
+    node.labels = [];
+    await memory.upsert(node);
+    expect(await custom.lookupByLabel('telephone')).toEqual([]);
+    expect((await custom.lookupByLabel('handsett', { fuzzy: true })).map(hit => hit.uuid)).toEqual([uuid]);
+    await custom.deleteNode(uuid);
+    expect(await custom.lookupByLabel('handset')).toEqual([]);
+    expect(scans).toBe(afterFirstLookup);
+  });
+
+  test('backends without change events rescan on every lookup', async () => {
+    const memory = new InMemoryMemory();
+    const custom = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const proto = await custom.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    const uuid = await custom.createConcept({ prototypeUuid: proto, jsonObj: { name: 'Telephone' } });
+    const listNodes = memory.listNodes.bind(memory);
+    let scans = 0;
+    const plain = {
+      findEdges: memory.findEdges.bind(memory),
+      listNodes: (filters) => { scans += 1; return listNodes(filters); }
+    };
+
+    expect((await lookupLabel(plain, { text: 'telephone' })).map(hit => hit.uuid)).toEqual([uuid]);
+    expect((await lookupLabel(plain, { text: 'telephone' })).map(hit => hit.uuid)).toEqual([uuid]);
+    expect(scans).toBe(2);
+  });
+
+  test('getOrCreateProperty only reuses an exactly named property', async () => {
+    const upper = await ksg.getOrCreateProperty('URL', 'url');
+    expect((await ksg.getOrCreateProperty('URL', 'url')).uuid).toBe(upper.uuid);
+    expect((await ksg.getOrCreateProperty('url', 'url')).uuid).not.toBe(upper.uuid);
+  });
+});
+
+describe('GET /api/concepts/lookup', () => {
+  let server;
+  let baseUrl;
+  let phone;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    const device = await ksg.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    phone = await ksg.createConcept({ prototypeUuid: device, jsonObj: { name: 'Telephone', aliases: ['Phone'] } });
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  const lookup = params => fetch(`${baseUrl}/api/concepts/lookup?${new URLSearchParams(params)}`);
+
+  test('finds concepts by name and rejects bad parameters', async () => {
+    const res = await lookup({ text: 'telefone', fuzzy: 'true', prototype: 'Device' });
+    expect(res.status).toBe(200);
+    const { results } = await res.json();
+    expect(results.map(r => [r.uuid, r.match])).toEqual([[phone, 'fuzzy']]);
+
+    expect((await lookup({})).status).toBe(400);
+    expect((await lookup({ text: 'phone', maxDistance: 'x' })).status).toBe(400);
+    expect((await lookup({ text: 'phone', prototype: 'Nope' })).status).toBe(404);
+  });
+});
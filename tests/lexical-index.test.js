@@ -0,0 +1,161 @@
+/**
+ * Tests for BM25 lexical search and hybrid rank fusion
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { LexicalIndex, fuseRankings, validateSearchOptions } from '../src/memory/lexical-index.js';
+import { Node } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const topic = (uuid, props, labels = []) => new Node({ uuid, kind: 'topic', props, labels });
+
+describe('LexicalIndex', () => {
+  test('ranks by BM25 over label, aliases, summary and labels', () => {
+    const index = new LexicalIndex();
+    index.add(topic('a', { label: 'Telephone', summary: 'Voice over wires, invented by Bell' }));
+    index.add(topic('b', { label: 'Bell', aliases: ['Alexander Graham Bell'] }));
+    index.add(topic('c', { label: 'Edison' }, ['inventor']));
+
+    const hits = index.search('bell', 5);
+    expect(hits.map(h => h.uuid)).toEqual(['b', 'a']);
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    expect(index.search('inventor', 5).map(h => h.uuid)).toEqual(['c']);
+  });
+
+  test('rare terms outweigh common ones', () => {
+    const index = new LexicalIndex();
+    index.add(topic('a', { label: 'red apple' }));
+    index.add(topic('b', { label: 'red car' }));
+    index.add(topic('c', { label: 'red door' }));
+
+    expect(index.search('red car', 3)[0].uuid).toBe('b');
+  });
+
+  test('unknown query terms match indexed terms containing them', () => {
+    const index = new LexicalIndex();
+    index.add(topic('a', { label: 'Telephone' }));
+    expect(index.search('phone', 5).map(h => h.uuid)).toEqual(['a']);
+    expect(index.search('ph', 5)).toEqual([]);
+  });
+
+  test('re-adding replaces the old text and remove drops the node', () => {
+    const index = new LexicalIndex();
+    index.add(topic('a', { label: 'Telegraph' }));
+    index.add(topic('a', { label: 'Telephone' }));
+    expect(index.size).toBe(1);
+    expect(index.search('telegraph', 5)).toEqual([]);
+
+    index.remove('a');
+    expect(index.size).toBe(0);
+    expect(index.search('telephone', 5)).toEqual([]);
+  });
+
+  test('search applies the filter', () => {
+    const index = new LexicalIndex();
+    index.add(topic('a', { label: 'Bell' }));
+    index.add(topic('b', { label: 'Bell tower' }));
+    expect(index.search('bell', 5, { filter: uuid => uuid !== 'a' }).map(h => h.uuid)).toEqual(['b']);
+  });
+});
+
+describe('fuseRankings', () => {
+  const vectorHits = [{ uuid: 'a', similarity: 0.9 }, { uuid: 'b', similarity: 0.5 }];
+  const lexicalHits = [{ uuid: 'b', score: 4 }, { uuid: 'c', score: 2 }];
+
+  test('reciprocal rank fusion favours items in both rankings', () => {
+    const fused = fuseRankings(vectorHits, lexicalHits);
+    expect([...fused.keys()]).toEqual(['b', 'a', 'c']);
+    expect(fused.get('b')).toEqual({
+      score: 1 / 62 + 1 / 61,
+      vectorRank: 2,
+      lexicalRank: 1,
+      similarity: 0.5,
+      lexicalScore: 4,
+      vectorContribution: 1 / 62,
+      lexicalContribution: 1 / 61
+    });
+  });
+
+  test('weighted fusion sums similarity and normalized BM25', () => {
+    const fused = fuseRankings(vectorHits, lexicalHits, { fusion: 'weighted', weights: { vector: 1, lexical: 0.5 } });
+    expect(fused.get('a').score).toBeCloseTo(0.9);
+    expect(fused.get('b').score).toBeCloseTo(0.5 + 0.5);
+    expect(fused.get('c').score).toBeCloseTo(0.25);
+  });
+
+  test('single-ranking modes ignore the other ranking', () => {
+    expect([...fuseRankings(vectorHits, lexicalHits, { mode: 'vector' }).keys()]).toEqual(['a', 'b']);
+    expect([...fuseRankings(vectorHits, lexicalHits, { mode: 'lexical' }).keys()]).toEqual(['b', 'c']);
+  });
+
+  test('equal scores share a rank', () => {
+    const fused = fuseRankings([{ uuid: 'a', similarity: 0.7 }, { uuid: 'b', similarity: 0.7 }], []);
+    expect(fused.get('a').score).toBe(fused.get('b').score);
+  });
+
+  test('options are validated', () => {
+    expect(() => validateSearchOptions({ mode: 'fuzzy' })).toThrow(/mode must be one of/);
+    expect(() => validateSearchOptions({ fusion: 'max' })).toThrow(/fusion must be one of/);
+    expect(() => validateSearchOptions({ weights: { vector: -1 } })).toThrow(/weights/);
+    expect(() => validateSearchOptions({ mode: 'lexical', weights: { lexical: 2 } })).not.toThrow();
+  });
+});
+
+describe('searchConcepts modes', () => {
+  let ksg;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    const proto = await ksg.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+    for (const name of ['Telephone', 'Telegraph', 'Phonograph']) {
+      await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name }, embedding: await mockEmbedFn(name) });
+    }
+  });
+
+  const names = results => results.map(r => r.props.label);
+
+  test('lexical mode ranks by text alone and skips the query embedding', async () => {
+    let embedded = 0;
+    ksg.embedFn = async (text) => { embedded += 1; return mockEmbedFn(text); };
+
+    const results = await ksg.searchConcepts({ query: 'telegraph', topK: 3, mode: 'lexical' });
+    expect(names(results)).toEqual(['Telegraph']);
+    expect(results[0].lexicalScore).toBeGreaterThan(0);
+    expect(embedded).toBe(0);
+  });
+
+  test('vector mode ranks by similarity alone', async () => {
+    const results = await ksg.searchConcepts({ query: 'Telegraph', topK: 3, mode: 'vector' });
+    expect(names(results)[0]).toBe('Telegraph');
+    expect(results).toHaveLength(3);
+    expect(results.every(r => r.score === r.similarity)).toBe(true);
+  });
+
+  test('hybrid mode lifts text matches the vector ranking misses', async () => {
+    // The query vector points at 'Telegraph'; only 'Telephone' matches the text
+    const query = 'phone';
+    const queryEmbedding = await mockEmbedFn('Telegraph');
+    const vector = await ksg.searchConcepts({ query, queryEmbedding, topK: 3, mode: 'vector' });
+    const hybrid = await ksg.searchConcepts({ query, queryEmbedding, topK: 3 });
+    expect(vector[0].props.label).toBe('Telegraph');
+    expect(hybrid[0].props.label).toBe('Telephone');
+    expect(hybrid[0].lexicalScore).toBeGreaterThan(0);
+
+    const vectorHeavy = await ksg.searchConcepts({
+      query, queryEmbedding, topK: 3, fusion: 'weighted', weights: { vector: 1, lexical: 0 }
+    });
+    expect(names(vectorHeavy)).toEqual(names(vector));
+  });
+
+  test('rejects an unknown mode', async () => {
+    await expect(ksg.searchConcepts({ query: 'x', mode: 'fuzzy' })).rejects.toMatchObject({ status: 400 });
+  });
+});
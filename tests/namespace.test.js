@@ -0,0 +1,140 @@
+/**
+ * Tests for namespaces (scoped writes and reads)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { Node, Provenance, namespaceOf } from '../src/models.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('Namespaces', () => {
+  let ksg;
+  let teamA;
+  let teamB;
+  let protoUuid;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    teamA = ksg.forNamespace('team-a');
+    teamB = ksg.forNamespace('team-b');
+    protoUuid = await ksg.createPrototype({
+      name: 'Project',
+      description: 'A project',
+      context: 'test',
+      embedding: await mockEmbedFn('Project')
+    });
+  });
+
+  test('views write to their namespace; the base instance writes to public', async () => {
+    const conceptUuid = await teamA.createConcept({
+      prototypeUuid: protoUuid,
+      jsonObj: { name: 'Apollo' },
+      embedding: await mockEmbedFn('Apollo')
+    });
+    const [edge] = await ksg.getAssociations(conceptUuid, 'outgoing');
+
+    expect((await ksg.getConcept(conceptUuid)).props.namespace).toBe('team-a');
+    expect(edge.props.namespace).toBe('team-a');
+    expect((await ksg.getPrototype(protoUuid)).props.namespace).toBe('public');
+  });
+
+  test('explicit namespace params override the view default', async () => {
+    const uuid = await ksg.createNodeWithDocument({ label: 'Doc', tags: ['alpha'], namespace: 'team-b' });
+    const nodes = await ksg.memory.listNodes({ namespaces: ['team-b'] });
+
+    // node, document and tag node all land in team-b
+    expect(nodes.map(n => n.uuid)).toContain(uuid);
+    expect(nodes).toHaveLength(3);
+  });
+
+  test('searchConcepts and getConcept only see own namespaces plus public', async () => {
+    const secret = await teamA.createNodeWithDocument({ label: 'Apollo secret' });
+
+    const own = await teamA.searchConcepts({ query: 'Apollo secret', topK: 20 });
+    const other = await teamB.searchConcepts({ query: 'Apollo secret', topK: 20 });
+
+    expect(own.map(r => r.uuid)).toContain(secret);
+    expect(other.map(r => r.uuid)).not.toContain(secret);
+    expect(other.map(r => r.uuid)).toContain(protoUuid);
+    expect(await teamB.getConcept(secret)).toBeNull();
+    expect(await ksg.getConcept(secret)).not.toBeNull(); // base instance is unscoped
+    expect((await ksg.searchConcepts({ query: 'x', topK: 20, namespaces: ['team-b'] })).map(r => r.uuid))
+      .not.toContain(secret);
+  });
+
+  test('getAssociations hides edges from other namespaces', async () => {
+    const target = await ksg.createNodeWithDocument({ label: 'Shared' });
+    await teamA.addAssociation({ fromConceptUuid: protoUuid, toConceptUuid: target, relationType: 'relatedTo' });
+
+    expect(await teamA.getAssociations(target, 'incoming')).toHaveLength(1);
+    expect(await teamB.getAssociations(target, 'incoming')).toHaveLength(0);
+  });
+
+  test('getAssertions and snapshot are scoped', async () => {
+    await ksg.createAssertion({ subject: 'e1', predicate: 'color', object: 'red', truth: 0.5 });
+    await teamA.createAssertion({ subject: 'e1', predicate: 'color', object: 'blue', truth: 0.9 });
+
+    expect((await teamA.getAssertions({ subject: 'e1' })).map(a => a.object).sort()).toEqual(['blue', 'red']);
+    expect((await teamB.getAssertions({ subject: 'e1' })).map(a => a.object)).toEqual(['red']);
+    expect(await teamA.snapshot('e1')).toEqual({ color: 'blue' });
+    expect(await teamB.snapshot('e1')).toEqual({ color: 'red' });
+  });
+
+  test('verify only uses facts from readable namespaces', async () => {
+    await teamA.storeFact({ subject: 'Apollo', predicate: 'launches in', object: 'June' });
+
+    expect((await teamA.verify('Apollo launches in June')).status).toBe('verified');
+    expect((await teamB.verify('Apollo launches in June')).status).toBe('unverified');
+    expect((await ksg.forNamespace(['team-b', 'team-a']).verify('Apollo launches in June')).status).toBe('verified');
+  });
+
+  test('scoped views cannot delete other namespaces', async () => {
+    const secret = await teamA.createNodeWithDocument({ label: 'Keep me' });
+
+    expect(await teamB.deleteNode(secret)).toBeNull();
+    expect(await ksg.getConcept(secret)).not.toBeNull();
+  });
+
+  test('change feed of a view skips other namespaces', async () => {
+    const since = ksg.changeLog.lastSeq;
+    const seen = [];
+    const unsubscribe = teamB.subscribe(entry => seen.push(entry));
+
+    await teamA.createAssertion({ subject: 'e2', predicate: 'size', object: 1 });
+    await teamB.createAssertion({ subject: 'e2', predicate: 'size', object: 2 });
+    unsubscribe();
+
+    expect(seen.length).toBeGreaterThan(0);
+    expect(seen.every(entry => namespaceOf(entry.item) !== 'team-a')).toBe(true);
+    expect(teamB.getChanges(since).changes).toEqual(seen);
+  });
+
+  test('ORM create and find respect namespaces', async () => {
+    const Person = await ksg.orm.registerPrototype('Person', { properties: { name: { type: 'string' } } });
+    const alice = await Person.create({ name: 'Alice' }, { namespace: 'team-a' });
+
+    expect((await ksg.getConcept(alice.uuid)).props.namespace).toBe('team-a');
+    expect((await Person.find({ namespaces: ['team-a'] })).map(p => p.uuid)).toContain(alice.uuid);
+    expect((await Person.find({ namespaces: ['team-b'] })).map(p => p.uuid)).not.toContain(alice.uuid);
+    expect(await Person.get(alice.uuid, { namespaces: ['team-b'] })).toBeNull();
+  });
+
+  test('nodes without a namespace count as public', async () => {
+    const legacy = new Node({ kind: 'topic', props: { label: 'Legacy' }, llmEmbedding: await mockEmbedFn('Legacy') });
+    delete legacy.props.namespace;
+    await ksg.memory.upsert(legacy, new Provenance({ source: 'test' }));
+
+    expect((await teamB.searchConcepts({ query: 'Legacy', topK: 20 })).map(r => r.uuid)).toContain(legacy.uuid);
+  });
+
+  test('forNamespace requires a namespace', () => {
+    expect(() => ksg.forNamespace([])).toThrow('namespace is required');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for cursor pagination through KnowShowGo
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { decodeCursor, encodeCursor, iterateNodes, SortedKeys } from '../src/memory/memory-tools.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+// Follow nextCursor until the last page
+const collectPages = async (fetchPage) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await fetchPage(cursor);
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('Cursor pagination', () => {
+  let ksg;
+
+  beforeEach(() => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+  });
+
+  test('cursors round-trip and reject garbage', () => {
+    expect(decodeCursor(encodeCursor({ after: 'abc' }))).toEqual({ after: 'abc' });
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor({ offset: 4 }), 'after')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor({ after: 'abc' }), 'offset')).toThrow('Invalid cursor');
+  });
+
+  test('listings and searches reject each other\'s cursors with 400', async () => {
+    const hub = await ksg.createNodeWithDocument({ label: 'Hub' });
+    await expect(ksg.getAssociations(hub, 'both', { limit: 2, cursor: encodeCursor({ offset: 2 }) }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(ksg.searchConcepts({ query: 'Hub', limit: 2, cursor: encodeCursor({ after: hub }) }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(ksg.memory.listNodes({ limit: 2, cursor: encodeCursor({ offset: 2 }) }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('getAssertions pages through every match', async () => {
+    for (let i = 0; i < 5; i++) {
+      await ksg.createAssertion({ subject: 'e1', predicate: `p${i}`, object: i });
+    }
+    await ksg.createAssertion({ subject: 'e2', predicate: 'p0', object: 0 });
+
+    const pages = await collectPages(cursor => ksg.getAssertions({ subject: 'e1', limit: 2, cursor }));
+
+    expect(pages.map(p => p.length)).toEqual([2, 2, 1]);
+    expect(pages.flat().map(a => a.predicate).sort()).toEqual(['p0', 'p1', 'p2', 'p3', 'p4']);
+    expect((await ksg.getAssertions({ subject: 'e1' })).nextCursor).toBeNull();
+  });
+
+  test('getAssertions pushes the object filter down so pages stay full', async () => {
+    for (let i = 0; i < 4; i++) {
+      await ksg.createAssertion({ subject: 'e1', predicate: 'color', object: i % 2 === 0 ? 'red' : 'blue' });
+    }
+
+    const page = await ksg.getAssertions({ subject: 'e1', object: 'red', limit: 2 });
+    expect(page.map(a => a.object)).toEqual(['red', 'red']);
+  });
+
+  test('getAssociations pages by edge uuid', async () => {
+    const hub = await ksg.createNodeWithDocument({ label: 'Hub' });
+    for (let i = 0; i < 4; i++) {
+      const spoke = await ksg.createNodeWithDocument({ label: `Spoke ${i}` });
+      await ksg.addAssociation({ fromConceptUuid: hub, toConceptUuid: spoke, relationType: 'relatedTo' });
+    }
+    const all = await ksg.getAssociations(hub, 'outgoing');
+
+    const pages = await collectPages(cursor => ksg.getAssociations(hub, 'outgoing', { limit: 2, cursor }));
+
+    expect(pages.flat().map(e => e.uuid)).toEqual(all.map(e => e.uuid).sort());
+  });
+
+  test('getAssociations pages both directions from the backend and skips hidden edges', async () => {
+    const hub = await ksg.createNodeWithDocument({ label: 'Hub' });
+    const edges = [];
+    for (let i = 0; i < 6; i++) {
+      const spoke = await ksg.createNodeWithDocument({ label: `Spoke ${i}` });
+      edges.push(i % 2 === 0
+        ? await ksg.addAssociation({ fromConceptUuid: hub, toConceptUuid: spoke, relationType: 'relatedTo' })
+        : await ksg.addAssociation({ fromConceptUuid: spoke, toConceptUuid: hub, relationType: 'relatedTo' }));
+    }
+    edges.push(await ksg.addAssociation({ fromConceptUuid: hub, toConceptUuid: hub, relationType: 'self' }));
+    const hidden = edges[2];
+    await ksg.deleteAssociation(hidden, { mode: 'soft' });
+
+    const expected = (await ksg.getAssociations(hub, 'both')).map(e => e.uuid).sort();
+    expect(expected).toEqual(expect.arrayContaining(edges.filter(uuid => uuid !== hidden)));
+    expect(expected).not.toContain(hidden);
+
+    const calls = [];
+    const findEdges = ksg.memory.findEdges.bind(ksg.memory);
+    ksg.memory.findEdges = (filters, page) => {
+      calls.push(page?.limit);
+      return findEdges(filters, page);
+    };
+    const pages = await collectPages(cursor => ksg.getAssociations(hub, 'both', { limit: 2, cursor }));
+
+    expect(pages.flat().map(e => e.uuid)).toEqual(expected);
+    expect(pages.slice(0, -1).every(page => page.length === 2)).toBe(true);
+    expect(calls.every(limit => limit === 2)).toBe(true);
+  });
+
+  test('searchConcepts pages follow the ranking', async () => {
+    for (const label of ['Apple', 'Apricot', 'Avocado', 'Banana', 'Blueberry']) {
+      await ksg.createNodeWithDocument({ label });
+    }
+    const ranked = await ksg.searchConcepts({ query: 'Apple', topK: 100 });
+
+    const first = await ksg.searchConcepts({ query: 'Apple', limit: 2 });
+    const second = await ksg.searchConcepts({ query: 'Apple', limit: 2, cursor: first.nextCursor });
+
+    expect([...first, ...second].map(r => r.uuid)).toEqual(ranked.slice(0, 4).map(r => r.uuid));
+    expect(ranked.nextCursor).toBeNull();
+  });
+
+  test('a searchConcepts page that ends the results has no nextCursor', async () => {
+    for (const label of ['Apple', 'Apricot', 'Avocado']) {
+      await ksg.createNodeWithDocument({ label });
+    }
+    const ranked = await ksg.searchConcepts({ query: 'Apple', topK: 100 });
+
+    const whole = await ksg.searchConcepts({ query: 'Apple', limit: ranked.length });
+    expect(whole).toHaveLength(ranked.length);
+    expect(whole.nextCursor).toBeNull();
+
+    const first = await ksg.searchConcepts({ query: 'Apple', limit: ranked.length - 1 });
+    const last = await ksg.searchConcepts({ query: 'Apple', limit: ranked.length - 1, cursor: first.nextCursor });
+    expect(last.map(r => r.uuid)).toEqual([ranked[ranked.length - 1].uuid]);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  test('SortedKeys pages in key order across writes between pages', () => {
+    const keys = new SortedKeys();
+    for (const key of ['d', 'b', 'f', 'a']) keys.add(key);
+    const get = key => key;
+
+    const first = keys.page(get, { limit: 2 });
+    expect(first).toEqual(['a', 'b']);
+    keys.add('c');
+    keys.delete('d');
+    keys.delete('f');
+    keys.add('f');
+    keys.add('e');
+    keys.delete('e');
+    expect(keys.page(get, { limit: 10, cursor: encodeCursor({ after: 'b' }) })).toEqual(['c', 'f']);
+    expect(keys.page(get, { offset: 1, limit: 2 }, key => key !== 'b')).toEqual(['c', 'f']);
+  });
+
+  test('InMemoryMemory pages do not sort the collection again', async () => {
+    const memory = ksg.memory;
+    for (let i = 0; i < 5; i++) {
+      await ksg.createAssertion({ subject: 'e1', predicate: `p${i}`, object: i });
+    }
+    const expected = (await memory.listNodes({ kind: 'assertion' })).map(n => n.uuid).sort();
+    await memory.listNodes({ limit: 1 });
+
+    const sort = Array.prototype.sort;
+    let sorts = 0;
+    Array.prototype.sort = function (...args) {
+      sorts += 1;
+      return sort.apply(this, args);
+    };
+    try {
+      const seen = [];
+      for await (const node of iterateNodes(memory, { kind: 'assertion' }, { pageSize: 2 })) {
+        seen.push(node.uuid);
+      }
+      expect(seen).toEqual(expected);
+    } finally {
+      Array.prototype.sort = sort;
+    }
+    expect(sorts).toBe(0);
+  });
+
+  test('iterateNodes streams a backend in pages', async () => {
+    const memory = ksg.memory;
+    for (let i = 0; i < 7; i++) {
+      await ksg.createAssertion({ subject: 'e1', predicate: `p${i}`, object: i });
+    }
+    const calls = [];
+    const listNodes = memory.listNodes.bind(memory);
+    memory.listNodes = (filters) => {
+      calls.push(filters.limit);
+      return listNodes(filters);
+    };
+
+    const seen = [];
+    for await (const node of iterateNodes(memory, { kind: 'assertion' }, { pageSize: 3 })) {
+      seen.push(node.uuid);
+    }
+
+    expect(new Set(seen).size).toBe(7);
+    expect(calls).toEqual([3, 3, 3]);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests for graph pattern queries (MATCH ... WHERE ... RETURN ... LIMIT)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { parseQuery, planQuery } from '../src/query/pattern-query.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+/**
+ * Login (Procedure) -hasStep-> Open page (1), Type password (2), Submit (3)
+ *   -usesCommandlet-> navigate, type, click; Login -appliesToSite-> example.com
+ * Checkout (Purchase, is_a Procedure) -hasStep-> Pay (2) -usesCommandlet-> click;
+ *   Checkout -appliesToSite-> shop.com
+ */
+async function seed(ksg) {
+  const proto = {};
+  for (const name of ['Procedure', 'Purchase', 'Step', 'Commandlet', 'WebResource']) {
+    proto[name] = await ksg.createPrototype({ name, description: `A ${name}`, context: 'test' });
+  }
+  await ksg.addAssociation({ fromConceptUuid: proto.Purchase, toConceptUuid: proto.Procedure, relationType: 'is_a' });
+
+  const ids = {};
+  const concept = async (prototype, name, extra = {}) => {
+    ids[name] = await ksg.createConcept({ prototypeUuid: proto[prototype], jsonObj: { name, ...extra } });
+  };
+  const link = (from, to, relationType, props = {}) => ksg.addAssociation({
+    fromConceptUuid: ids[from], toConceptUuid: ids[to], relationType, props
+  });
+
+  await concept('Procedure', 'Login');
+  await concept('Purchase', 'Checkout');
+  await concept('WebResource', 'example.com');
+  await concept('WebResource', 'shop.com');
+  for (const name of ['navigate', 'type', 'click']) await concept('Commandlet', name);
+  for (const [name, order, commandlet] of [['Open page', 1, 'navigate'], ['Type password', 2, 'type'], ['Submit', 3, 'click']]) {
+    await concept('Step', name, { order });
+    await link('Login', name, 'hasStep', { order });
+    await link(name, commandlet, 'usesCommandlet');
+  }
+  await concept('Step', 'Pay', { order: 2 });
+  await link('Checkout', 'Pay', 'hasStep', { order: 1 });
+  await link('Pay', 'click', 'usesCommandlet');
+  await link('Login', 'example.com', 'appliesToSite');
+  await link('Checkout', 'shop.com', 'appliesToSite');
+  return ids;
+}
+
+describe('pattern query parser', () => {
+  test('parses nodes, relations, conditions and returns', () => {
+    const ast = parseQuery(
+      "MATCH (p:Procedure {label: $name})-[r:hasStep|next *1..2]->(s)<--(:Step) " +
+      'WHERE s.order >= 2 AND s.skip IS NULL AND p.tag IN [\'a\', "b"] ' +
+      'RETURN DISTINCT p.label AS procedure, r LIMIT 5',
+      { name: 'Login' }
+    );
+    expect(ast.patterns[0].nodes.map(node => [node.variable, node.prototype])).toEqual([
+      ['p', 'Procedure'], ['s', null], ['_n1', 'Step']
+    ]);
+    expect(ast.patterns[0].nodes[0].props).toEqual({ label: 'Login' });
+    expect(ast.patterns[0].rels.map(rel => [rel.types, rel.direction, rel.minHops, rel.maxHops])).toEqual([
+      [['hasStep', 'next'], 'outgoing', 1, 2],
+      [null, 'incoming', 1, 1]
+    ]);
+    expect(ast.where).toEqual([
+      { variable: 's', property: 'order', op: 'gte', value: 2 },
+      { variable: 's', property: 'skip', op: 'exists', value: false },
+      { variable: 'p', property: 'tag', op: 'in', value: ['a', 'b'] }
+    ]);
+    expect(ast.returns.map(item => item.alias)).toEqual(['procedure', 'r']);
+    expect(ast).toMatchObject({ distinct: true, limit: 5, explain: false });
+  });
+
+  test('reports syntax errors with their position', () => {
+    expect(() => parseQuery('MATCH (p RETURN p')).toThrow(/at 9: expected '\)', found 'RETURN'/);
+    expect(() => parseQuery("MATCH (p {label: 'x}) RETURN p")).toThrow(/unterminated string/);
+    expect(() => parseQuery('MATCH (p) RETURN p LIMIT -1')).toThrow(/LIMIT/);
+    expect(() => parseQuery('MATCH (a)-[*7]->(b) RETURN a')).toThrow(/0 to 6 hops/);
+    expect(() => parseQuery('MATCH (p {label: $name}) RETURN p')).toThrow(/\$name/);
+    expect(() => parseQuery('')).toThrow(/query is required/);
+    let error = null;
+    try {
+      parseQuery('MATCH (p) RETURN');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ status: 400 });
+  });
+
+  test('rejects unknown and conflicting variables', () => {
+    expect(() => planQuery(parseQuery('MATCH (p) RETURN q'))).toThrow(/unknown variable q/);
+    expect(() => planQuery(parseQuery('MATCH (p) WHERE q.x = 1 RETURN p'))).toThrow(/unknown variable q/);
+    expect(() => planQuery(parseQuery('MATCH (p)-[p]->(q) RETURN p'))).toThrow(/node and as a relation/);
+    expect(() => planQuery(parseQuery('MATCH (a)-[r]->(b)-[r]->(c) RETURN a'))).toThrow(/used twice/);
+    expect(() => planQuery(parseQuery('MATCH (p {x: {near: 1}}) RETURN p'))).toThrow(/near/);
+  });
+
+  test('starts from the most selective node', () => {
+    const ops = text => planQuery(parseQuery(text)).steps.map(step => step.op);
+    expect(ops("MATCH (p:Procedure)-[:hasStep]->(s {label: 'Submit'}) RETURN p"))
+      .toEqual(['NodeByLabel', 'Expand', 'Project']);
+    expect(ops("MATCH (p)-->(s {uuid: 'x', label: 'Submit'}) RETURN p LIMIT 1"))
+      .toEqual(['NodeByUuid', 'Expand', 'Project', 'Limit']);
+    expect(ops('MATCH (p)-[*]->(s:Step) RETURN p')).toEqual(['NodeByPrototype', 'ExpandVarLength', 'Project']);
+    expect(ops('MATCH (p), (p)-->(q) RETURN q')).toEqual(['NodeScan', 'Expand', 'Project']);
+  });
+});
+
+describe('KnowShowGo.query', () => {
+  let ksg;
+  let ids;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    ids = await seed(ksg);
+  });
+
+  const sorted = rows => rows.map(row => Object.values(row).join(' / ')).sort();
+
+  test('matches chains with prototype (and subtype) and prop constraints', async () => {
+    const result = await ksg.query(
+      'MATCH (p:Procedure)-[:hasStep]->(s:Step)-[:usesCommandlet]->(c {label: $commandlet}) ' +
+      'RETURN p.label AS procedure, s.label AS step',
+      { params: { commandlet: 'click' } }
+    );
+    expect(result.columns).toEqual(['procedure', 'step']);
+    expect(sorted(result.rows)).toEqual(['Checkout / Pay', 'Login / Submit']);
+    expect(result.plan.map(step => [step.op, step.rows])).toEqual([
+      ['NodeByLabel', 1], ['Expand', 2], ['Expand', 2], ['Project', 2]
+    ]);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('joins patterns on shared variables and applies WHERE', async () => {
+    const { rows } = await ksg.query(
+      "MATCH (p:Procedure)-[h:hasStep]->(s), (p)-[:appliesToSite]->(:WebResource {label: 'example.com'}) " +
+      'WHERE s.order >= 2 AND h.order <> 3 RETURN s.label AS step, s'
+    );
+    expect(rows.map(row => row.step)).toEqual(['Type password']);
+    expect(rows[0].s).toMatchObject({ uuid: ids['Type password'], kind: 'topic' });
+    expect(rows[0].s.props.order).toBe(2);
+
+    const none = await ksg.query("MATCH (p {label: 'Checkout'})<-[:hasStep]-(s) RETURN s");
+    expect(none.rows).toEqual([]);
+    const incoming = await ksg.query("MATCH (c {label: 'click'})<-[:usesCommandlet]-(s) RETURN s.label");
+    expect(sorted(incoming.rows)).toEqual(['Pay', 'Submit']);
+  });
+
+  test('variable-length relations bind their edges', async () => {
+    const { rows } = await ksg.query(
+      "MATCH (p {label: 'Login'})-[r:hasStep|usesCommandlet*2]->(c:Commandlet) RETURN c.label AS commandlet, r, r.rel AS rels"
+    );
+    expect(rows.map(row => row.commandlet).sort()).toEqual(['click', 'navigate', 'type']);
+    expect(rows[0].r).toHaveLength(2);
+    expect(rows[0].r[0]).toMatchObject({ fromNode: ids.Login, rel: 'hasStep' });
+    expect(rows[0].rels).toEqual(['hasStep', 'usesCommandlet']);
+
+    const reachable = await ksg.query(
+      "MATCH (c {label: 'click'})<-[:hasStep|usesCommandlet*0..]-(x) RETURN x.label"
+    );
+    expect(sorted(reachable.rows)).toEqual(['Checkout', 'Login', 'Pay', 'Submit', 'click']);
+  });
+
+  test('DISTINCT, LIMIT and the row cap', async () => {
+    const distinct = await ksg.query('MATCH (:Step)-[:usesCommandlet]->(c) RETURN DISTINCT c.label AS name');
+    expect(sorted(distinct.rows)).toEqual(['click', 'navigate', 'type']);
+
+    const limited = await ksg.query('MATCH (s:Step) RETURN s.label LIMIT 2');
+    expect(limited.rows).toHaveLength(2);
+    expect(limited.plan.at(-1)).toMatchObject({ op: 'Limit', rows: 2 });
+
+    const capped = await ksg.query('MATCH (s:Step) RETURN s.label', { maxRows: 3 });
+    expect(capped.rows).toHaveLength(3);
+    expect(capped.truncated).toBe(true);
+  });
+
+  test('a query that outruns its expansion budget stops and reports truncated', async () => {
+    const result = await ksg.query('MATCH (a)-[*]-(b) WHERE b.x = 1 RETURN a', { maxExpansions: 50 });
+    expect(result).toMatchObject({ rows: [], truncated: true });
+
+    const found = await ksg.query("MATCH (p {label: 'Login'})-[:hasStep]->(s) RETURN s.label", { maxExpansions: 50 });
+    expect(found).toMatchObject({ truncated: false });
+    await expect(ksg.query('MATCH (x) RETURN x', { maxExpansions: 0 })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('EXPLAIN returns the plan without running it', async () => {
+    const result = await ksg.query("EXPLAIN MATCH (p:Procedure)-[:hasStep]->(s {label: 'Pay'}) RETURN p");
+    expect(result.rows).toBeNull();
+    expect(result.plan.map(step => step.op)).toEqual(['NodeByLabel', 'Expand', 'Project']);
+    expect(result.plan[0]).toMatchObject({ variable: 's', detail: "(s) label index lookup 'Pay'", rows: null });
+    expect(result.plan[1].detail).toBe('(s)<-[:hasStep]-(p:Procedure)');
+  });
+
+  test('skips tombstoned nodes and rejects unknown prototypes', async () => {
+    await ksg.deleteNode(ids.Submit, { mode: 'soft' });
+    const { rows } = await ksg.query("MATCH (p {label: 'Login'})-[:hasStep]->(s) RETURN s.label AS step");
+    expect(sorted(rows)).toEqual(['Open page', 'Type password']);
+
+    await expect(ksg.query('MATCH (x:Nope) RETURN x')).rejects.toMatchObject({ status: 404 });
+    await expect(ksg.query('MATCH (x) RETURN x', { maxRows: 0 })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('POST /api/query', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    await seed(ksg);
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  const post = body => fetch(`${baseUrl}/api/query`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('runs queries and reports errors', async () => {
+    const res = await post({
+      query: 'MATCH (s:Step)-[:usesCommandlet]->(c {label: $name}) RETURN s.label AS step',
+      params: { name: 'navigate' }
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.rows).toEqual([{ step: 'Open page' }]);
+    expect(body.plan.length).toBeGreaterThan(0);
+
+    expect((await post({})).status).toBe(400);
+    expect((await post({ query: 'MATCH (s RETURN s' })).status).toBe(400);
+    expect((await post({ query: 'MATCH (s:Nope) RETURN s' })).status).toBe(404);
+  });
+});
+
+describe('pattern queries over a backend that copies edges', () => {
+  // Like ArangoMemory: every read returns a fresh object
+  class CopyingMemory extends InMemoryMemory {
+    async findEdges(...args) {
+      return (await super.findEdges(...args)).map(edge => ({ ...edge, props: { ...edge.props } }));
+    }
+  }
+
+  test('a variable-length relation uses each edge at most once', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new CopyingMemory() });
+    const proto = await ksg.createPrototype({ name: 'Person', description: 'A person', context: 'test' });
+    const a = await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name: 'A' } });
+    const b = await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name: 'B' } });
+    await ksg.addAssociation({ fromConceptUuid: a, toConceptUuid: b, relationType: 'knows' });
+
+    const twice = await ksg.query("MATCH (x {label: 'A'})-[r:knows*2]-(y) RETURN y.label");
+    expect(twice.rows).toEqual([]);
+    const once = await ksg.query("MATCH (x {label: 'A'})-[r:knows*1..2]-(y) RETURN y.label AS y");
+    expect(once.rows).toEqual([{ y: 'B' }]);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for embedding model tracking and the re-embed job
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { createHashedNgramProvider } from '../src/embeddings/hashed-ngram.js';
+import { reembed } from '../src/embeddings/reembed.js';
+
+// Old and new models: same provider, different dimensions
+const oldProvider = () => createHashedNgramProvider({ dimension: 32 });
+const newProvider = () => createHashedNgramProvider({ dimension: 64 });
+
+async function seedGraph(memory) {
+  const ksg = new KnowShowGo({ embeddingProvider: oldProvider(), memory });
+  const protoUuid = await ksg.createPrototype({ name: 'Person', description: 'A person', context: 'test' });
+  const bellUuid = await ksg.createNodeWithDocument({
+    label: 'Bell',
+    prototypeUuid: protoUuid,
+    tags: ['inventor', 'telephone']
+  });
+  await ksg.storeFact({ subject: 'Bell', predicate: 'invented', object: 'telephone' });
+  await ksg.createConceptWithProperties({
+    prototypeUuid: protoUuid,
+    properties: { name: 'Ada', field: 'mathematics' },
+    embedding: await ksg.embedFn('Ada')
+  });
+  return { bellUuid };
+}
+
+const vectors = memory => Array.from(memory.nodes.values()).filter(n => n.llmEmbedding);
+
+describe('Embedding model tracking', () => {
+  test('nodes record provider, model and dimension', async () => {
+    const memory = new InMemoryMemory();
+    await seedGraph(memory);
+    for (const node of vectors(memory)) {
+      expect(node.props).toMatchObject({ embeddingModel: 'hashed-ngram-v1-32', embeddingDimension: 32 });
+    }
+
+    const bare = new KnowShowGo({ embedFn: async () => [1, 0, 0], memory: new InMemoryMemory() });
+    const uuid = await bare.createNodeWithDocument({ label: 'Thing', tags: ['thing'] });
+    expect((await bare.memory.getNode(uuid)).props).toMatchObject({ embeddingDimension: 3 });
+    expect((await bare.memory.getNode(uuid)).props.embeddingModel).toBeUndefined();
+  });
+
+  test('search reports vectors from another model', async () => {
+    const memory = new InMemoryMemory();
+    await seedGraph(memory);
+    const ksg = new KnowShowGo({ embeddingProvider: newProvider(), memory });
+
+    // The census is built in the background; search does not wait for it
+    expect((await ksg.searchConcepts({ query: 'telephone', topK: 3 })).embeddingWarning).toBeUndefined();
+    await ksg.embeddingCensus.build(memory);
+
+    const results = await ksg.searchConcepts({ query: 'telephone', topK: 3 });
+    expect(results.embeddingWarning).toMatchObject({
+      current: { provider: 'hashed', model: 'hashed-ngram-v1-64', dimension: 64 },
+      mixed: false,
+      stale: vectors(memory).length
+    });
+
+    // The census follows writes: new vectors make the index mixed
+    await ksg.createNodeWithDocument({ label: 'Edison', tags: ['light bulb'] });
+    const status = await ksg.embeddingStatus();
+    expect(status.mixed).toBe(true);
+    expect(status.models.map(m => m.dimension).sort()).toEqual([32, 64]);
+  });
+
+  test('a single-model index has no warning', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embeddingProvider: oldProvider(), memory });
+    await seedGraph(memory);
+    await ksg.embeddingStatus();
+    const results = await ksg.searchConcepts({ query: 'telephone', topK: 3 });
+    expect(results.embeddingWarning).toBeUndefined();
+  });
+
+  test('the warning only counts vectors in the namespaces a view reads', async () => {
+    const memory = new InMemoryMemory();
+    await seedGraph(memory);
+    const ksg = new KnowShowGo({ embeddingProvider: newProvider(), memory });
+    await ksg.forNamespace('team-a').createNodeWithDocument({ label: 'Edison', tags: ['light bulb'] });
+    await ksg.embeddingStatus();
+
+    const teamB = ksg.forNamespace('team-b');
+    expect(await teamB.embeddingStatus()).toMatchObject({ mixed: false, stale: vectors(memory).length - 3 });
+    const status = await ksg.forNamespace('team-a').embeddingStatus();
+    expect(status).toMatchObject({ mixed: true, total: vectors(memory).length });
+  });
+});
+
+describe('reembed', () => {
+  test('recomputes leaf vectors and re-derives means', async () => {
+    const memory = new InMemoryMemory();
+    const { bellUuid } = await seedGraph(memory);
+    const provider = newProvider();
+    const ksg = new KnowShowGo({ embeddingProvider: provider, memory });
+
+    const state = await reembed(ksg);
+
+    expect(state).toMatchObject({ phase: 'done', target: { model: 'hashed-ngram-v1-64', dimension: 64 } });
+    expect(state.embedded).toBeGreaterThan(0);
+    expect(state.derived).toBeGreaterThan(0);
+    for (const node of vectors(memory)) {
+      expect(node.llmEmbedding).toHaveLength(64);
+      expect(node.props.embeddingModel).toBe('hashed-ngram-v1-64');
+    }
+
+    const tag = Array.from(memory.nodes.values()).find(n => n.props.isTag && n.props.label === 'inventor');
+    expect(tag.llmEmbedding).toEqual(await provider.embed('inventor'));
+    expect((await memory.getNode(bellUuid)).llmEmbedding).toEqual(await ksg.computeNodeEmbedding(bellUuid));
+    expect(await ksg.embeddingStatus()).toMatchObject({ mixed: false, stale: 0 });
+
+    // Nothing left to do on a second run
+    expect(await reembed(ksg)).toMatchObject({ embedded: 0, derived: 0 });
+  });
+
+  test('resumes from a checkpoint without redoing finished pages', async () => {
+    const memory = new InMemoryMemory();
+    await seedGraph(memory);
+    const provider = newProvider();
+    const embedded = [];
+    const recording = {
+      ...provider,
+      embedMany: async (texts) => {
+        embedded.push(...texts);
+        return provider.embedMany(texts);
+      }
+    };
+    const ksg = new KnowShowGo({ embeddingProvider: recording, memory });
+
+    const controller = new AbortController();
+    const checkpoints = [];
+    const stopped = await reembed(ksg, {
+      pageSize: 2,
+      signal: controller.signal,
+      onCheckpoint: (state) => {
+        checkpoints.push(state);
+        if (checkpoints.length === 2) controller.abort();
+      }
+    });
+    expect(stopped.phase).toBe('embed');
+    expect(stopped.cursor).toBe(checkpoints[1].cursor);
+
+    const done = await reembed(ksg, { state: JSON.parse(JSON.stringify(stopped)), pageSize: 2 });
+    expect(done.phase).toBe('done');
+    expect(new Set(embedded).size).toBe(embedded.length);
+    expect(await ksg.embeddingStatus()).toMatchObject({ stale: 0 });
+  });
+
+  test('force recomputes vectors that look current', async () => {
+    const memory = new InMemoryMemory();
+    let calls = 0;
+    const ksg = new KnowShowGo({ embedFn: async () => { calls += 1; return [1, 0]; }, memory });
+    await ksg.createNodeWithDocument({ label: 'Bell', tags: ['inventor'] });
+
+    expect(await reembed(ksg)).toMatchObject({ embedded: 0, derived: 0 });
+    calls = 0;
+    expect(await reembed(ksg, { force: true })).toMatchObject({ embedded: 1, derived: 2 });
+    expect(calls).toBeGreaterThan(1);
+  });
+});
+
+describe('Re-embed REST API', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const memory = new InMemoryMemory();
+    await seedGraph(memory);
+    const ksg = new KnowShowGo({ embeddingProvider: newProvider(), memory });
+    await ksg.embeddingStatus(); // as the server does on startup
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  const post = (url, body) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('search reports a stale index until the job has run', async () => {
+    const before = await (await post('/api/concepts/search', { query: 'telephone' })).json();
+    expect(before.embeddingWarning.stale).toBeGreaterThan(0);
+
+    expect((await post('/api/admin/reembed', { pageSize: 0 })).status).toBe(400);
+
+    const res = await post('/api/admin/reembed', { wait: true, pageSize: 3 });
+    expect(res.status).toBe(200);
+    expect((await res.json()).job.phase).toBe('done');
+
+    const status = await (await fetch(`${baseUrl}/api/admin/reembed`)).json();
+    expect(status).toMatchObject({ running: false, embeddings: { stale: 0, mixed: false } });
+
+    const after = await (await post('/api/concepts/search', { query: 'telephone' })).json();
+    expect(after.embeddingWarning).toBeUndefined();
+  });
+
+  test('namespace-scoped requests cannot use the admin routes', async () => {
+    const scoped = { 'X-KSG-Namespace': 'team-a' };
+    expect((await fetch(`${baseUrl}/api/admin/reembed`, { headers: scoped })).status).toBe(403);
+    const res = await fetch(`${baseUrl}/api/admin/reembed`, {
+      method: 'POST',
+      headers: { ...scoped, 'content-type': 'application/json' },
+      body: JSON.stringify({ force: true })
+    });
+    expect(res.status).toBe(403);
+    expect((await (await fetch(`${baseUrl}/api/admin/reembed`)).json()).running).toBe(false);
+  });
+});
@@ -4,6 +4,7 @@
 
 import { KnowShowGo } from '../src/knowshowgo.js';
 import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { CachedMemory } from '../src/memory/cached-memory.js';
 import { createApp } from '../src/server/rest-api.js';
 
 const mockEmbedFn = async (text) => {
@@ -14,8 +15,7 @@ const mockEmbedFn = async (text) => {
   return vec;
 };
 
-async function startServer() {
-  const memory = new InMemoryMemory();
+async function startServer(memory = new InMemoryMemory()) {
   const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
   const app = createApp({ ksg });
 
@@ -26,17 +26,19 @@ async function startServer() {
   const addr = server.address();
   const baseUrl = `http://${addr.address}:${addr.port}`;
 
-  return { server, baseUrl };
+  return { server, baseUrl, memory };
 }
 
 describe('REST API', () => {
   let server;
   let baseUrl;
+  let memory;
 
   beforeAll(async () => {
     const started = await startServer();
     server = started.server;
     baseUrl = started.baseUrl;
+    memory = started.memory;
   });
 
   afterAll(async () => {
@@ -237,5 +239,162 @@ describe('REST API', () => {
     const searchBody = await searchRes.json();
     expect(Array.isArray(searchBody.results)).toBe(true);
   });
+
+  test('rejected procedure dependencies roll back every write', async () => {
+    const nodesBefore = memory.nodes.size;
+    const edgesBefore = memory.edges.size;
+
+    const res = await fetch(`${baseUrl}/api/procedures`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        title: 'CyclicProcedure',
+        steps: [{ title: 'First' }, { title: 'Second' }],
+        dependencies: [[0, 1], [1, 0]]
+      })
+    });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('cycle_detected');
+    expect(memory.nodes.size).toBe(nodesBefore);
+    expect(memory.edges.size).toBe(edgesBefore);
+  });
+
+  test('change log can be polled from a sequence number', async () => {
+    const before = await (await fetch(`${baseUrl}/api/changes?since=0`)).json();
+
+    await fetch(`${baseUrl}/api/assertions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ subject: 'entity-1', predicate: 'color', object: 'red' })
+    });
+
+    const res = await fetch(`${baseUrl}/api/changes?since=${before.lastSeq}`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.changes.map(c => c.type)).toContain('assertion.created');
+    expect(body.changes.every(c => c.seq > before.lastSeq)).toBe(true);
+    expect(body.truncated).toBe(false);
+
+    const bad = await fetch(`${baseUrl}/api/changes?since=-1`);
+    expect(bad.status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/changes?limit=1.5`)).status).toBe(400);
+  });
+
+  test('X-KSG-Namespace scopes writes and reads', async () => {
+    const post = (path, body, namespace) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(namespace && { 'x-ksg-namespace': namespace }) },
+      body: JSON.stringify(body)
+    });
+
+    const { uuid } = await (await post('/api/nodes', { label: 'Team A Secret' }, 'team-a')).json();
+    await post('/api/facts', { subject: 'Project X', predicate: 'ships in', object: 'March' }, 'team-a');
+
+    const own = await fetch(`${baseUrl}/api/concepts/${uuid}`, { headers: { 'x-ksg-namespace': 'team-a' } });
+    expect(own.status).toBe(200);
+    expect((await own.json()).props.namespace).toBe('team-a');
+
+    const other = await fetch(`${baseUrl}/api/concepts/${uuid}`, { headers: { 'x-ksg-namespace': 'team-b' } });
+    expect(other.status).toBe(404);
+    expect((await fetch(`${baseUrl}/api/concepts/${uuid}`)).status).toBe(404);
+
+    const { results } = await (await post('/api/concepts/search', { query: 'Team A Secret', topK: 50 }, 'team-b')).json();
+    expect(results.map(r => r.uuid)).not.toContain(uuid);
+
+    const hidden = await (await post('/api/verify', { claim: 'Project X ships in March' }, 'team-b')).json();
+    expect(hidden.status).toBe('unverified');
+    const visible = await (await post('/api/verify', { claim: 'Project X ships in March' }, 'team-b,team-a')).json();
+    expect(visible.status).toBe('verified');
+  });
+
+  test('assertions are paginated with limit and nextCursor', async () => {
+    for (let i = 0; i < 3; i++) {
+      await fetch(`${baseUrl}/api/assertions`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ subject: 'paged-entity', predicate: `p${i}`, object: i })
+      });
+    }
+
+    const first = await (await fetch(`${baseUrl}/api/assertions?subject=paged-entity&limit=2`)).json();
+    expect(first.assertions).toHaveLength(2);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await (await fetch(
+      `${baseUrl}/api/assertions?subject=paged-entity&limit=2&cursor=${first.nextCursor}`
+    )).json();
+    expect(second.assertions).toHaveLength(1);
+    expect(second.nextCursor).toBeNull();
+
+    expect((await fetch(`${baseUrl}/api/assertions?limit=0`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/assertions?cursor=bogus`)).status).toBe(400);
+  });
+
+  test('delete nodes and associations', async () => {
+    const nodeRes = await fetch(`${baseUrl}/api/nodes`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ label: 'Disposable', tags: ['temp'] })
+    });
+    const { uuid } = await nodeRes.json();
+
+    const otherRes = await fetch(`${baseUrl}/api/nodes`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ label: 'Other' })
+    });
+    const other = await otherRes.json();
+
+    const assocRes = await fetch(`${baseUrl}/api/associations`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ fromConceptUuid: other.uuid, toConceptUuid: uuid, relationType: 'relatedTo' })
+    });
+    const assoc = await assocRes.json();
+    expect(assoc.uuid).toBeDefined();
+
+    const delAssocRes = await fetch(`${baseUrl}/api/associations/${assoc.uuid}?mode=soft`, { method: 'DELETE' });
+    expect(delAssocRes.status).toBe(200);
+    const listRes = await fetch(`${baseUrl}/api/associations/${other.uuid}`);
+    const { associations } = await listRes.json();
+    expect(associations.some(e => e.rel === 'relatedTo')).toBe(false);
+
+    const badRes = await fetch(`${baseUrl}/api/nodes/${uuid}?mode=nope`, { method: 'DELETE' });
+    expect(badRes.status).toBe(400);
+
+    const delRes = await fetch(`${baseUrl}/api/nodes/${uuid}?cascade=true`, { method: 'DELETE' });
+    expect(delRes.status).toBe(200);
+    const deleted = await delRes.json();
+    expect(deleted.mode).toBe('hard');
+    expect(deleted.nodes).toHaveLength(3); // node + document + tag
+
+    const getRes = await fetch(`${baseUrl}/api/concepts/${uuid}`);
+    expect(getRes.status).toBe(404);
+    const againRes = await fetch(`${baseUrl}/api/concepts/${uuid}`, { method: 'DELETE' });
+    expect(againRes.status).toBe(404);
+  });
 });
 
+describe('REST API with a cached backend', () => {
+  test('health reports cache statistics', async () => {
+    const { server, baseUrl } = await startServer(new CachedMemory(new InMemoryMemory()));
+    try {
+      const created = await fetch(`${baseUrl}/api/prototypes`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: 'Person', description: 'A person' })
+      });
+      const { uuid } = await created.json();
+      await fetch(`${baseUrl}/api/concepts/${uuid}`);
+      await fetch(`${baseUrl}/api/concepts/${uuid}`);
+
+      const body = await (await fetch(`${baseUrl}/health`)).json();
+      expect(body.status).toBe('ok');
+      expect(body.cache.nodes.hits).toBeGreaterThan(0);
+      expect(body.cache.hitRate).toBeGreaterThan(0);
+    } finally {
+      await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+    }
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for search result explanations (explain: true)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { matchedTerms } from '../src/memory/lexical-index.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+async function seed(ksg) {
+  const device = await ksg.createPrototype({ name: 'Device', description: 'A device', context: 'test' });
+  const phone = await ksg.createPrototype({
+    name: 'Phone', description: 'A phone', context: 'test', parentPrototypeUuids: [device]
+  });
+  await ksg.createConcept({ prototypeUuid: phone, jsonObj: { name: 'Telephone', maker: 'Bell' }, embedding: await mockEmbedFn('Telephone') });
+  await ksg.createConcept({ prototypeUuid: device, jsonObj: { name: 'Telegraph' }, embedding: await mockEmbedFn('Telegraph') });
+  return { device, phone };
+}
+
+describe('matchedTerms', () => {
+  test('lists query terms found in the node text, including infix matches', () => {
+    const node = { props: { label: 'Telephone', summary: 'Invented by Bell' } };
+    expect(matchedTerms('bell phone lamp', node).sort()).toEqual(['bell', 'telephone']);
+    expect(matchedTerms('', node)).toEqual([]);
+  });
+});
+
+describe('searchConcepts explain', () => {
+  let ksg;
+  let protos;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    protos = await seed(ksg);
+  });
+
+  test('results are unchanged without explain', async () => {
+    const [result] = await ksg.searchConcepts({ query: 'phone', topK: 1 });
+    expect(result.explanation).toBeUndefined();
+    expect(result.ranking).toBeUndefined();
+  });
+
+  test('hybrid results break the score into vector and lexical parts', async () => {
+    const queryEmbedding = await mockEmbedFn('Telegraph');
+    const results = await ksg.searchConcepts({ query: 'telephone', queryEmbedding, topK: 5, explain: true });
+    const telephone = results.find(r => r.props.label === 'Telephone');
+    const { explanation } = telephone;
+
+    expect(explanation).toMatchObject({
+      score: telephone.score,
+      mode: 'hybrid',
+      fusion: 'rrf',
+      vector: { similarity: telephone.similarity, weight: 1 },
+      lexical: { score: telephone.lexicalScore, rank: 1, weight: 1, terms: ['telephone'] },
+      filters: { namespace: 'public' },
+      adjustments: []
+    });
+    expect(explanation.vector.rank).toBeGreaterThan(1);
+    expect(explanation.vector.contribution + explanation.lexical.contribution).toBeCloseTo(telephone.score);
+
+    const telegraph = results.find(r => r.props.label === 'Telegraph');
+    expect(telegraph.explanation.lexical).toBeNull();
+    expect(telegraph.explanation.vector.rank).toBe(1);
+  });
+
+  test('single-ranking modes have no weights or fusion', async () => {
+    const [result] = await ksg.searchConcepts({ query: 'telegraph', topK: 1, mode: 'lexical', explain: true });
+    expect(result.explanation).toMatchObject({
+      mode: 'lexical',
+      fusion: null,
+      vector: null,
+      lexical: { rank: 1, weight: null, contribution: result.lexicalScore, terms: ['telegraph'] }
+    });
+  });
+
+  test('filters show what each result matched on', async () => {
+    const [result] = await ksg.searchConcepts({
+      query: 'Telephone',
+      topK: 1,
+      prototypeFilter: 'Device',
+      includeSubtypes: true,
+      similarityThreshold: 0.1,
+      where: { maker: 'Bell' },
+      explain: true
+    });
+
+    expect(result.props.label).toBe('Telephone');
+    expect(result.explanation.filters).toEqual({
+      namespace: 'public',
+      prototype: { filter: 'Device', instanceOf: [protos.phone] },
+      similarityThreshold: { threshold: 0.1, similarity: result.similarity },
+      where: { maker: 'Bell' }
+    });
+  });
+});
+
+describe('explain in POST /api/concepts/search', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    await seed(ksg);
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  test('returns the explanation with each result', async () => {
+    const res = await fetch(`${baseUrl}/api/concepts/search`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ query: 'telephone', similarityThreshold: 0, explain: true })
+    });
+    expect(res.status).toBe(200);
+    const { results } = await res.json();
+    expect(results.length).toBeGreaterThan(0);
+    for (const result of results) {
+      expect(result.explanation).toMatchObject({ mode: 'hybrid', score: result.score });
+    }
+    expect(results[0].explanation.lexical.terms).toEqual(['telephone']);
+  });
+});
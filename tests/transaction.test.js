@@ -0,0 +1,162 @@
+/**
+ * Tests for memory transactions and rollback
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { FileMemory } from '../src/memory/file-memory.js';
+import { Node, Edge, Provenance } from '../src/models.js';
+
+const prov = new Provenance({ source: 'user', confidence: 1.0 });
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('InMemoryMemory.transaction', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = new InMemoryMemory();
+  });
+
+  test('commits writes when fn resolves', async () => {
+    const node = new Node({ props: { label: 'Kept' } });
+    const result = await memory.transaction(async (tx) => {
+      await tx.upsert(node, prov);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await memory.getNode(node.uuid)).not.toBeNull();
+  });
+
+  test('rolls back inserts, replacements and deletes when fn throws', async () => {
+    const a = new Node({ props: { label: 'A' }, llmEmbedding: [1, 0] });
+    const b = new Node({ props: { label: 'B' } });
+    await memory.upsert(a, prov);
+    await memory.upsert(b, prov);
+    const edge = new Edge({ fromNode: a.uuid, toNode: b.uuid, rel: 'relatedTo' });
+    await memory.upsert(edge, prov);
+
+    const added = new Node({ props: { label: 'Added' } });
+    await expect(memory.transaction(async (tx) => {
+      await tx.upsert(added, prov);
+      await tx.upsert(new Node({ uuid: a.uuid, props: { label: 'A renamed' } }), prov);
+      await tx.deleteEdge(edge.uuid);
+      await tx.deleteNode(b.uuid);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await memory.getNode(added.uuid)).toBeNull();
+    expect((await memory.getNode(a.uuid)).props.label).toBe('A');
+    expect(memory.vectorIndex.has(a.uuid)).toBe(true);
+    expect(await memory.getNode(b.uuid)).not.toBeNull();
+    expect(await memory.findEdges({ fromNode: a.uuid })).toHaveLength(1);
+  });
+
+  test('rolls back in-place updates of nodes read inside the transaction', async () => {
+    const node = new Node({ props: { label: 'Original' } });
+    const edge = new Edge({ fromNode: node.uuid, toNode: node.uuid, rel: 'self', props: { w: 1 } });
+    await memory.upsert(node, prov);
+    await memory.upsert(edge, prov);
+
+    await expect(memory.transaction(async (tx) => {
+      const stored = await tx.getNode(node.uuid);
+      stored.props.label = 'changed';
+      await tx.upsert(stored, prov);
+      const storedEdge = await tx.getEdge(edge.uuid);
+      storedEdge.props.w = 0.1;
+      await tx.upsert(storedEdge, prov);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect((await memory.getNode(node.uuid)).props.label).toBe('Original');
+    expect((await memory.getEdge(edge.uuid)).props.w).toBe(1);
+  });
+
+  test('nested transactions join the outer one', async () => {
+    const inner = new Node({ props: { label: 'Inner' } });
+    await expect(memory.transaction(async (tx) => {
+      await tx.transaction(async (nested) => nested.upsert(inner, prov));
+      throw new Error('outer failed');
+    })).rejects.toThrow('outer failed');
+
+    expect(await memory.getNode(inner.uuid)).toBeNull();
+  });
+
+  test('FileMemory persists the rollback', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-tx-'));
+    try {
+      const fileMemory = new FileMemory({ dir });
+      const node = new Node({ props: { label: 'Temp' } });
+      await expect(fileMemory.transaction(async (tx) => {
+        await tx.upsert(node, prov);
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      await fileMemory.close();
+
+      const reopened = new FileMemory({ dir });
+      expect(await reopened.getNode(node.uuid)).toBeNull();
+      await reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('KnowShowGo composite operations', () => {
+  test('createNodeWithDocument leaves nothing behind when an embedding fails', async () => {
+    const memory = new InMemoryMemory();
+    const failingEmbed = async (text) => {
+      if (text === 'broken') throw new Error('embedding service down');
+      return mockEmbedFn(text);
+    };
+    const ksg = new KnowShowGo({ embedFn: failingEmbed, memory });
+
+    await expect(ksg.createNodeWithDocument({ label: 'Phone', tags: ['ok', 'broken'] }))
+      .rejects.toThrow('embedding service down');
+
+    expect(memory.nodes.size).toBe(0);
+    expect(memory.edges.size).toBe(0);
+  });
+
+  test('createConceptWithProperties commits as one unit', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+    const protoUuid = await ksg.createPrototype({
+      name: 'Person',
+      description: 'A person',
+      context: 'test',
+      embedding: await mockEmbedFn('Person')
+    });
+
+    const conceptUuid = await ksg.createConceptWithProperties({
+      prototypeUuid: protoUuid,
+      properties: { name: 'Ada', born: 1815 },
+      embedding: await mockEmbedFn('Ada')
+    });
+
+    expect(await ksg.getProperties(conceptUuid)).toEqual({ born: 1815 });
+  });
+
+  test('ksg.transaction rolls back several operations together', async () => {
+    const memory = new InMemoryMemory();
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory });
+
+    await expect(ksg.transaction(async (tx) => {
+      await tx.createNodeWithDocument({ label: 'One', tags: ['x'] });
+      await tx.createNodeWithDocument({ label: 'Two' });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(memory.nodes.size).toBe(0);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for graph traversal (neighborhoods and weighted paths)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { cheapestPaths, edgeCost, validateTraversalOptions } from '../src/query/traversal.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(16).fill(0);
+  for (let i = 0; i < Math.min(text.length, 16); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+/**
+ * Bell -invented(0.9)-> Telephone -uses(1.0)-> Wire
+ * Bell -knew(0.5)-> Edison -worked_on(0.5)-> Wire
+ * Telephone -related_to(w 1, confidence 0)-> Edison
+ * Watson -assisted-> Bell
+ * (every concept is also instanceOf Thing)
+ */
+const RELS = ['invented', 'uses', 'knew', 'worked_on', 'related_to', 'assisted'];
+
+async function seed(ksg) {
+  const proto = await ksg.createPrototype({ name: 'Thing', description: 'A thing', context: 'test' });
+  const ids = {};
+  for (const name of ['Bell', 'Telephone', 'Wire', 'Edison', 'Watson']) {
+    ids[name] = await ksg.createConcept({ prototypeUuid: proto, jsonObj: { name } });
+  }
+  const link = (from, to, relationType, strength, props = {}) => ksg.addAssociation({
+    fromConceptUuid: ids[from], toConceptUuid: ids[to], relationType, strength, props
+  });
+  await link('Bell', 'Telephone', 'invented', 0.9);
+  await link('Telephone', 'Wire', 'uses', 1.0);
+  await link('Bell', 'Edison', 'knew', 0.5);
+  await link('Edison', 'Wire', 'worked_on', 0.5);
+  await link('Telephone', 'Edison', 'related_to', 1.0, { confidence: 0 });
+  await link('Watson', 'Bell', 'assisted', 1.0);
+  return ids;
+}
+
+describe('traversal helpers', () => {
+  test('edge cost is -ln(w * confidence)', () => {
+    expect(edgeCost({ props: { w: 1, confidence: 1 } })).toBeCloseTo(0);
+    expect(edgeCost({ props: { w: 0.5, confidence: 0.5 } })).toBeCloseTo(-Math.log(0.25));
+    expect(edgeCost({ props: { w: 0.9, confidence: 0 } })).toBe(Infinity);
+  });
+
+  test('cheapestPaths returns simple paths cheapest first', async () => {
+    const graph = {
+      a: [['b', 0.5], ['c', 1]],
+      b: [['d', 1]],
+      c: [['a', 1], ['d', 0.25]],
+      d: []
+    };
+    const neighbors = async uuid => graph[uuid].map(([node, w]) => ({ edge: { uuid: `${uuid}${node}`, props: { w } }, node }));
+    const { paths, truncated } = await cheapestPaths('a', 'd', neighbors, { limit: 5 });
+    expect(paths.map(path => path.nodes.join(''))).toEqual(['abd', 'acd']);
+    expect(paths[0].strength).toBeCloseTo(0.5);
+    expect(truncated).toBe(false);
+  });
+
+  test('options are validated', () => {
+    expect(() => validateTraversalOptions({ depth: 0 })).toThrow(/depth/);
+    expect(() => validateTraversalOptions({ maxDepth: 7 })).toThrow(/maxDepth/);
+    expect(() => validateTraversalOptions({ direction: 'up' })).toThrow(/direction/);
+    expect(() => validateTraversalOptions({ rels: 'knew' })).toThrow(/rels/);
+    expect(() => validateTraversalOptions({ depth: 2, rels: ['knew'], direction: 'both', limit: 1 })).not.toThrow();
+  });
+});
+
+describe('KnowShowGo traversal', () => {
+  let ksg;
+  let ids;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    ids = await seed(ksg);
+  });
+
+  const labels = nodes => nodes.map(node => node.props.label).sort();
+
+  test('neighborhood collects nodes within depth and the edges followed', async () => {
+    const one = await ksg.neighborhood(ids.Bell, { rels: ['invented', 'knew', 'assisted'] });
+    expect(labels(one.nodes)).toEqual(['Bell', 'Edison', 'Telephone', 'Watson']);
+    expect(one.edges.map(edge => edge.rel).sort()).toEqual(['assisted', 'invented', 'knew']);
+    expect(one.depths[ids.Bell]).toBe(0);
+
+    const two = await ksg.neighborhood(ids.Bell, { depth: 2, direction: 'outgoing' });
+    expect(labels(two.nodes)).toEqual(['Bell', 'Edison', 'Telephone', 'Thing', 'Wire']);
+    expect(two.depths[ids.Wire]).toBe(2);
+    expect(two.truncated).toBe(false);
+
+    const capped = await ksg.neighborhood(ids.Bell, { depth: 2, maxNodes: 2 });
+    expect(capped.nodes).toHaveLength(2);
+    expect(capped.truncated).toBe(true);
+  });
+
+  test('neighborhood skips tombstoned nodes and returns null for unknown roots', async () => {
+    await ksg.deleteNode(ids.Telephone, { mode: 'soft' });
+    const result = await ksg.neighborhood(ids.Bell, { depth: 2, direction: 'outgoing', rels: RELS });
+    expect(labels(result.nodes)).toEqual(['Bell', 'Edison', 'Wire']);
+    expect(await ksg.neighborhood('00000000-0000-4000-8000-000000000000')).toBeNull();
+  });
+
+  test('paths rank by strength and never cross zero-confidence edges', async () => {
+    const result = await ksg.paths(ids.Bell, ids.Wire, { rels: RELS, limit: 5 });
+    expect(result.paths.map(path => path.nodes)).toEqual([
+      [ids.Bell, ids.Telephone, ids.Wire],
+      [ids.Bell, ids.Edison, ids.Wire]
+    ]);
+    expect(result.paths[0].strength).toBeCloseTo(0.9);
+    expect(result.paths[1].strength).toBeCloseTo(0.25);
+    expect(labels(result.nodes)).toEqual(['Bell', 'Edison', 'Telephone', 'Wire']);
+    expect(result.edges).toHaveLength(4);
+  });
+
+  test('paths honour rels, direction and maxDepth', async () => {
+    const viaEdison = await ksg.paths(ids.Bell, ids.Wire, { rels: ['knew', 'worked_on'] });
+    expect(viaEdison.paths.map(path => path.nodes)).toEqual([[ids.Bell, ids.Edison, ids.Wire]]);
+
+    expect((await ksg.paths(ids.Wire, ids.Bell, { rels: RELS, direction: 'outgoing' })).paths).toEqual([]);
+    expect((await ksg.paths(ids.Wire, ids.Bell, { rels: RELS })).paths).toHaveLength(2);
+    expect((await ksg.paths(ids.Watson, ids.Wire, { rels: RELS, maxDepth: 2 })).paths).toEqual([]);
+    expect((await ksg.paths(ids.Watson, ids.Wire, { rels: RELS, maxDepth: 3 })).paths).toHaveLength(2);
+
+    // Without rels, the shared prototype links them too
+    const any = await ksg.paths(ids.Watson, ids.Wire, { maxDepth: 2 });
+    expect(any.paths.map(path => path.nodes.length)).toEqual([3]);
+  });
+});
+
+describe('traversal REST routes', () => {
+  let server;
+  let baseUrl;
+  let ids;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    ids = await seed(ksg);
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  test('GET /api/concepts/:uuid/neighborhood', async () => {
+    const res = await fetch(`${baseUrl}/api/concepts/${ids.Bell}/neighborhood?depth=2&rels=invented,uses`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.nodes.map(node => node.props.label).sort()).toEqual(['Bell', 'Telephone', 'Wire']);
+    expect(body.edges).toHaveLength(2);
+
+    expect((await fetch(`${baseUrl}/api/concepts/${ids.Bell}/neighborhood?depth=9`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/concepts/missing/neighborhood`)).status).toBe(404);
+  });
+
+  test('GET /api/concepts/:uuid/paths/:toUuid', async () => {
+    const res = await fetch(`${baseUrl}/api/concepts/${ids.Bell}/paths/${ids.Wire}?limit=1&rels=${RELS.join(',')}`);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.paths).toHaveLength(1);
+    expect(body.paths[0].nodes).toEqual([ids.Bell, ids.Telephone, ids.Wire]);
+    expect(body.edges.map(edge => edge.uuid)).toEqual(body.paths[0].edges);
+
+    expect((await fetch(`${baseUrl}/api/concepts/${ids.Bell}/paths/${ids.Wire}?direction=up`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/concepts/${ids.Bell}/paths/missing`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for vector indexes and ANN-backed search
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { FileMemory } from '../src/memory/file-memory.js';
+import { HnswVectorIndex, ExactVectorIndex, createVectorIndex } from '../src/memory/vector-index.js';
+import { Node, Provenance } from '../src/models.js';
+
+const prov = new Provenance({ source: 'user', confidence: 1.0 });
+
+// Deterministic pseudo-random vectors
+const makeRng = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 4294967296 - 0.5;
+};
+
+const randomVectors = (count, dim, seed = 1) => {
+  const rng = makeRng(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dim }, rng));
+};
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(128).fill(0);
+  for (let i = 0; i < Math.min(text.length, 128); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+describe('HnswVectorIndex', () => {
+  test('recall@10 against exact search stays above 0.9', () => {
+    const vectors = randomVectors(1000, 32);
+    const hnsw = new HnswVectorIndex();
+    const exact = new ExactVectorIndex();
+    vectors.forEach((v, i) => {
+      hnsw.add(`n${i}`, v);
+      exact.add(`n${i}`, v);
+    });
+
+    let hits = 0;
+    const queries = randomVectors(20, 32, 99);
+    for (const q of queries) {
+      const truth = new Set(exact.search(q, 10).map(r => r.id));
+      hits += hnsw.search(q, 10).filter(r => truth.has(r.id)).length;
+    }
+
+    expect(hits / (queries.length * 10)).toBeGreaterThan(0.9);
+  });
+
+  test('replacing and removing vectors', () => {
+    const index = new HnswVectorIndex();
+    index.add('a', [1, 0]);
+    index.add('b', [0, 1]);
+    index.add('a', [0, 1]);
+    index.remove('b');
+
+    expect(index.size).toBe(1);
+    expect(index.has('b')).toBe(false);
+    expect(index.search([0, 1], 5)).toEqual([{ id: 'a', similarity: 1 }]);
+  });
+
+  test('filters results and widens the search when the filter is selective', () => {
+    const index = new HnswVectorIndex({ efSearch: 8 });
+    randomVectors(300, 8).forEach((v, i) => index.add(`n${i}`, v));
+
+    const results = index.search(randomVectors(1, 8, 7)[0], 3, { filter: id => id.endsWith('7') });
+    expect(results).toHaveLength(3);
+    expect(results.every(r => r.id.endsWith('7'))).toBe(true);
+  });
+
+  test('toJSON/load round-trips the graph', () => {
+    const index = new HnswVectorIndex();
+    randomVectors(100, 8).forEach((v, i) => index.add(`n${i}`, v));
+    index.remove('n3');
+
+    const restored = createVectorIndex('hnsw');
+    restored.load(JSON.parse(JSON.stringify(index.toJSON())));
+    const q = randomVectors(1, 8, 5)[0];
+
+    expect(restored.size).toBe(99);
+    expect(restored.search(q, 5)).toEqual(index.search(q, 5));
+  });
+});
+
+describe('Vector index in memory backends', () => {
+  test('InMemoryMemory uses the index above exactSearchThreshold; exact matches brute force', async () => {
+    const memory = new InMemoryMemory({ exactSearchThreshold: 0 });
+    const vectors = randomVectors(200, 16);
+    for (const [i, v] of vectors.entries()) {
+      await memory.upsert(new Node({ kind: 'topic', props: { label: `n${i}` }, llmEmbedding: v }), prov);
+    }
+    const q = randomVectors(1, 16, 3)[0];
+
+    const approx = await memory.search({ query: 'zzz', topK: 5, queryEmbedding: q, mode: 'vector' });
+    const exact = await memory.search({ query: 'zzz', topK: 5, queryEmbedding: q, mode: 'vector', exact: true });
+
+    expect(memory.vectorIndex.size).toBe(200);
+    expect(approx).toHaveLength(5);
+    expect(approx[0].uuid).toBe(exact[0].uuid);
+  });
+
+  test('deleted nodes leave the index', async () => {
+    const memory = new InMemoryMemory({ exactSearchThreshold: 0 });
+    const node = new Node({ kind: 'topic', props: { label: 'Gone' }, llmEmbedding: [1, 0] });
+    await memory.upsert(node, prov);
+    await memory.deleteNode(node.uuid);
+
+    expect(memory.vectorIndex.has(node.uuid)).toBe(false);
+    expect(await memory.search({ query: 'x', topK: 5, queryEmbedding: [1, 0] })).toEqual([]);
+  });
+
+  test('verify finds facts through the index', async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory({ exactSearchThreshold: 0 }) });
+    await ksg.storeFact({ subject: 'Paris', predicate: 'capital of', object: 'France' });
+    await ksg.storeFact({ subject: 'Water', predicate: 'boils at', object: '100 degrees' });
+
+    const result = await ksg.verify('Paris capital of France');
+    expect(result.status).toBe('verified');
+  });
+
+  test('FileMemory persists the index in snapshots', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ksg-vec-'));
+    try {
+      const memory = new FileMemory({ dir, exactSearchThreshold: 0 });
+      const node = new Node({ kind: 'topic', props: { label: 'Saved' }, llmEmbedding: [0.2, 0.9] });
+      await memory.upsert(node, prov);
+      await memory.compact();
+      await memory.close();
+
+      const reopened = new FileMemory({ dir, exactSearchThreshold: 0 });
+      expect(reopened.vectorIndex.has(node.uuid)).toBe(true);
+      const [hit] = await reopened.search({ query: 'x', topK: 1, queryEmbedding: [0.2, 0.9] });
+      expect(hit.uuid).toBe(node.uuid);
+      await reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for structured property filters (where clauses)
+ */
+
+import { KnowShowGo } from '../src/knowshowgo.js';
+import { InMemoryMemory } from '../src/memory/in-memory.js';
+import { createApp } from '../src/server/rest-api.js';
+import { matchesWhere, validateWhere } from '../src/query/where.js';
+
+const mockEmbedFn = async (text) => {
+  const vec = new Array(32).fill(0);
+  for (let i = 0; i < Math.min(text.length, 32); i++) {
+    vec[i] = text.charCodeAt(i) / 1000;
+  }
+  return vec;
+};
+
+const TASKS = [
+  { name: 'Write report', priority: 5, status: 'open', due: '2026-10-20T09:00:00.000Z' },
+  { name: 'Book flights', priority: 3, status: 'open', due: '2026-10-30T09:00:00.000Z' },
+  { name: 'Pay invoice', priority: 4, status: 'done', due: '2026-10-19T09:00:00.000Z' },
+  { name: 'Water plants', priority: 1, status: 'open' }
+];
+
+describe('matchesWhere', () => {
+  const task = { priority: 3, status: 'open', due: '2026-10-20T09:00:00Z', tags: ['home', 'urgent'], owner: null };
+
+  test('equality, ranges, in and exists', () => {
+    expect(matchesWhere(task, { status: 'open', priority: { gte: 3, lt: 5 } })).toBe(true);
+    expect(matchesWhere(task, { priority: { gt: 3 } })).toBe(false);
+    expect(matchesWhere(task, { status: { in: ['open', 'blocked'] } })).toBe(true);
+    expect(matchesWhere(task, { status: { nin: ['open'] } })).toBe(false);
+    expect(matchesWhere(task, { status: { ne: 'done' } })).toBe(true);
+    expect(matchesWhere(task, { owner: { exists: false }, due: { exists: true } })).toBe(true);
+    expect(matchesWhere(task, { missing: { gte: 0 } })).toBe(false);
+  });
+
+  test('datetimes compare as instants', () => {
+    expect(matchesWhere(task, { due: { lt: '2026-10-23' } })).toBe(true);
+    expect(matchesWhere(task, { due: { gt: new Date('2026-10-20T08:00:00+00:00') } })).toBe(true);
+    expect(matchesWhere(task, { due: { lte: '2026-10-20T10:00:00+02:00' } })).toBe(false);
+  });
+
+  test('list values match when any element does', () => {
+    expect(matchesWhere(task, { tags: 'urgent' })).toBe(true);
+    expect(matchesWhere(task, { tags: { in: ['work', 'home'] } })).toBe(true);
+  });
+
+  test('range checks across types never match', () => {
+    expect(matchesWhere(task, { priority: { gte: '1' } })).toBe(false);
+    expect(matchesWhere(task, { status: { lt: 5 } })).toBe(false);
+  });
+
+  test('validateWhere rejects malformed clauses', () => {
+    expect(() => validateWhere({ priority: { between: [1, 2] } })).toThrow(/unknown operator between/);
+    expect(() => validateWhere({ status: { in: 'open' } })).toThrow(/must be a list/);
+    expect(() => validateWhere({ owner: { exists: 'yes' } })).toThrow(/true or false/);
+    expect(() => validateWhere([])).toThrow(/must be an object/);
+    expect(() => validateWhere({ status: 'open', priority: { gte: 3 } })).not.toThrow();
+  });
+});
+
+describe('where in searchConcepts and the ORM', () => {
+  let ksg;
+  let Task;
+
+  beforeEach(async () => {
+    ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    Task = await ksg.orm.registerPrototype('Task', {
+      properties: { priority: { type: 'number' }, status: { type: 'string' }, due: { type: 'string' } }
+    });
+    for (const task of TASKS) {
+      await Task.create(task);
+    }
+  });
+
+  // Search results and ORM instances, by concept label
+  const names = async results => (await Promise.all(results.map(r => ksg.getConcept(r.uuid))))
+    .map(node => node.props.label)
+    .sort();
+
+  test('filters ranked results on has_value property values', async () => {
+    const results = await ksg.searchConcepts({
+      query: 'task',
+      topK: 10,
+      prototypeFilter: 'Task',
+      where: { priority: { gte: 3 }, status: 'open', due: { lt: '2026-10-23T00:00:00Z' } }
+    });
+    expect(await names(results)).toEqual(['Write report']);
+  });
+
+  test('widens the search until the page is full', async () => {
+    const results = await ksg.searchConcepts({
+      query: 'Write report',
+      topK: 2,
+      prototypeFilter: 'Task',
+      where: { priority: { lte: 3 } }
+    });
+    expect(await names(results)).toEqual(['Book flights', 'Water plants']);
+  });
+
+  test('ORM find accepts where', async () => {
+    expect(await names(await Task.find({ where: { status: 'open', priority: { gt: 1 } } })))
+      .toEqual(['Book flights', 'Write report']);
+    expect(await names(await Task.find({ where: { due: { exists: false } } }))).toEqual(['Water plants']);
+  });
+
+  test('props are filterable too', async () => {
+    const results = await ksg.searchConcepts({ query: 'task', topK: 10, where: { isPrototype: true } });
+    expect(results.map(r => r.props.label)).toEqual(['Task']);
+  });
+});
+
+describe('where in POST /api/concepts/search', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ksg = new KnowShowGo({ embedFn: mockEmbedFn, memory: new InMemoryMemory() });
+    const Task = await ksg.orm.registerPrototype('Task', { properties: {} });
+    for (const task of TASKS) {
+      await Task.create(task);
+    }
+    const app = createApp({ ksg });
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve, reject) => server.close((err) => (err ? reject(err) : resolve())));
+  });
+
+  const search = body => fetch(`${baseUrl}/api/concepts/search`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('filters results and rejects bad clauses', async () => {
+    const res = await search({
+      query: 'task', prototypeFilter: 'Task', similarityThreshold: 0, where: { status: 'done' }
+    });
+    expect(res.status).toBe(200);
+    expect((await res.json()).results.map(r => r.props.label)).toEqual(['Pay invoice']);
+
+    const bad = await search({ query: 'task', where: { priority: { above: 3 } } });
+    expect(bad.status).toBe(400);
+  });
+});